@@ -0,0 +1,47 @@
+/**
+ * Lints src/, the service worker, the build scripts and the tests
+ *
+ * tf, faceLandmarksDetection and THREE are the CDN script globals the browser code relies on.
+ * The detectors also run in the face detection worker, so importScripts is allowed too.
+ */
+
+import js from '@eslint/js';
+import globals from 'globals';
+
+export default [
+    {
+        ignores: ['dist/', 'vendor/', 'models/', 'coverage/']
+    },
+    js.configs.recommended,
+    {
+        languageOptions: {
+            ecmaVersion: 2022,
+            sourceType: 'module',
+            globals: {
+                ...globals.browser,
+                tf: 'readonly',
+                faceLandmarksDetection: 'readonly',
+                THREE: 'readonly',
+                importScripts: 'readonly'
+            }
+        },
+        rules: {
+            'no-unused-vars': ['error', { args: 'none', caughtErrors: 'none', ignoreRestSiblings: true }],
+            // Debug blocks are toggled with `if (false)`
+            'no-constant-condition': 'off'
+        }
+    },
+    {
+        files: ['*.config.js', 'scripts/**/*.js', 'test/**/*.js'],
+        languageOptions: {
+            globals: globals.node
+        }
+    },
+    {
+        files: ['sw.js'],
+        languageOptions: {
+            sourceType: 'script',
+            globals: globals.serviceworker
+        }
+    }
+];
@@ -0,0 +1,26 @@
+/**
+ * Builds the library from src/ into dist/
+ *
+ * - virtual-glasses.esm.js: ES module of src/index.js, for bundlers and <script type="module">
+ * - virtual-glasses.umd.js: the VirtualGlasses global plus the app start-up (src/browser.js), loaded by index.html
+ * - virtual-glasses.worker.js: the face detection worker (src/worker.js), see WorkerFaceDetector
+ *
+ * tf, faceLandmarksDetection and THREE stay globals, loaded from vendor/.
+ */
+
+const banner = '/* Virtual Glasses Try-On - built from src/, do not edit */';
+
+export default [
+    {
+        input: 'src/index.js',
+        output: { file: 'dist/virtual-glasses.esm.js', format: 'es', banner }
+    },
+    {
+        input: 'src/browser.js',
+        output: { file: 'dist/virtual-glasses.umd.js', format: 'umd', name: 'VirtualGlasses', banner }
+    },
+    {
+        input: 'src/worker.js',
+        output: { file: 'dist/virtual-glasses.worker.js', format: 'iife', banner }
+    }
+];
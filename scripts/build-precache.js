@@ -0,0 +1,66 @@
+/**
+ * Writes dist/precache-manifest.js: the app shell files the service worker
+ * keeps offline and a version hash of their contents
+ *
+ * sw.js imports it, so any change to these files makes browsers install the
+ * new service worker and offer the update. The frame catalog and its assets
+ * are cached by the service worker itself (see sw.js).
+ */
+
+import { createHash } from 'node:crypto';
+import { existsSync } from 'node:fs';
+import { readdir, readFile, writeFile } from 'node:fs/promises';
+import { dirname, join, relative, sep } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const root = join(dirname(fileURLToPath(import.meta.url)), '..');
+
+const FILES = [
+    'index.html',
+    'manifest.webmanifest',
+    'style/virtual-glasses.css',
+    'dist/virtual-glasses.umd.js',
+    'dist/virtual-glasses.worker.js',
+    'catalog/capture-templates.json'
+];
+
+// Every file in these folders
+const FOLDERS = ['images', 'vendor', 'models'];
+
+async function listFiles(folder) {
+    if (!existsSync(join(root, folder))) {
+        console.warn(`precache: ${folder}/ is missing${folder === 'models' ? ', run npm run models to work offline' : ''}`);
+        return [];
+    }
+
+    return walk(join(root, folder));
+}
+
+// readdir's `recursive` option is newer than the Node versions we support
+async function walk(dir) {
+    const files = [];
+    for (const entry of await readdir(dir, { withFileTypes: true })) {
+        const path = join(dir, entry.name);
+        if (entry.isDirectory()) {
+            files.push(...(await walk(path)));
+        } else if (entry.isFile()) {
+            files.push(relative(root, path).split(sep).join('/'));
+        }
+    }
+    return files;
+}
+
+const files = [...FILES];
+for (const folder of FOLDERS) files.push(...(await listFiles(folder)));
+files.sort();
+
+const hash = createHash('sha256');
+for (const file of files) {
+    hash.update(file);
+    hash.update(await readFile(join(root, file)));
+}
+const version = hash.digest('hex').slice(0, 12);
+
+await writeFile(join(root, 'dist/precache-manifest.js'),
+    `// Generated by scripts/build-precache.js\nself.PRECACHE_MANIFEST = ${JSON.stringify({ version, files: ['./', ...files] }, null, 4)};\n`);
+console.log(`precache: ${files.length} files, version ${version}`);
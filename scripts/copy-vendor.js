@@ -0,0 +1,45 @@
+/**
+ * Copies the browser builds of tf.js (with the wasm backend and its .wasm
+ * files), face-landmarks-detection (0.0.3 for the page, 1.0.5 for the
+ * detectors that load it on demand), the MediaPipe face mesh solution and
+ * three.js from node_modules into vendor/, so the app does not depend on a CDN
+ */
+
+import { copyFile, mkdir, readdir } from 'node:fs/promises';
+import { basename, dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const root = join(dirname(fileURLToPath(import.meta.url)), '..');
+
+// Source paths, or [source, name in vendor/] to rename
+const FILES = [
+    '@tensorflow/tfjs/dist/tf.min.js',
+    '@tensorflow/tfjs-backend-wasm/dist/tf-backend-wasm.min.js',
+    '@tensorflow/tfjs-backend-wasm/dist/tfjs-backend-wasm.wasm',
+    '@tensorflow/tfjs-backend-wasm/dist/tfjs-backend-wasm-simd.wasm',
+    '@tensorflow/tfjs-backend-wasm/dist/tfjs-backend-wasm-threaded-simd.wasm',
+    '@tensorflow-models/face-landmarks-detection/dist/face-landmarks-detection.js',
+    ['face-landmarks-detection-1/dist/face-landmarks-detection.js', 'face-landmarks-detection-1.js'],
+    'three/build/three.min.js',
+    'three/examples/js/loaders/GLTFLoader.js'
+];
+
+// The MediaPipe solution loads these from its solutionPath at runtime
+const SOLUTION = { from: '@mediapipe/face_mesh', to: 'face_mesh', pattern: /^face_mesh.*\.(js|wasm|data|binarypb)$/ };
+
+await mkdir(join(root, 'vendor'), { recursive: true });
+const copied = [];
+for (const file of FILES) {
+    const [source, target] = Array.isArray(file) ? file : [file, basename(file)];
+    await copyFile(join(root, 'node_modules', source), join(root, 'vendor', target));
+    copied.push(target);
+}
+
+const solutionFiles = (await readdir(join(root, 'node_modules', SOLUTION.from))).filter(name => SOLUTION.pattern.test(name));
+await mkdir(join(root, 'vendor', SOLUTION.to), { recursive: true });
+for (const name of solutionFiles) {
+    await copyFile(join(root, 'node_modules', SOLUTION.from, name), join(root, 'vendor', SOLUTION.to, name));
+}
+copied.push(`${SOLUTION.to}/ (${solutionFiles.length} files)`);
+
+console.log(`vendor: ${copied.join(', ')}`);
@@ -0,0 +1,44 @@
+/**
+ * Downloads the face landmark model weights from TF Hub into models/, so the
+ * app can serve them itself and the service worker can keep them offline
+ *
+ * Run once with `npm run models`; the files are not checked in.
+ */
+
+import { mkdir, writeFile } from 'node:fs/promises';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const root = join(dirname(fileURLToPath(import.meta.url)), '..');
+
+// The TF Hub models face-landmarks-detection 0.0.3 loads by default, then
+// those 1.0.5 loads on the tfjs runtime with refineLandmarks (the default)
+const MODELS = {
+    blazeface: 'https://tfhub.dev/tensorflow/tfjs-model/blazeface/1/default/1',
+    facemesh: 'https://tfhub.dev/mediapipe/tfjs-model/facemesh/1/default/1',
+    iris: 'https://tfhub.dev/mediapipe/tfjs-model/iris/1/default/2',
+    'face-detection-short': 'https://tfhub.dev/mediapipe/tfjs-model/face_detection/short/1',
+    'attention-mesh': 'https://tfhub.dev/mediapipe/tfjs-model/face_landmarks_detection/attention_mesh/1'
+};
+
+async function download(url) {
+    const response = await fetch(`${url}?tfjs-format=file`);
+    if (!response.ok) throw new Error(`HTTP ${response.status} for ${url}`);
+    return Buffer.from(await response.arrayBuffer());
+}
+
+for (const [name, url] of Object.entries(MODELS)) {
+    const folder = join(root, 'models', name);
+    await mkdir(folder, { recursive: true });
+
+    const modelJson = await download(`${url}/model.json`);
+    await writeFile(join(folder, 'model.json'), modelJson);
+
+    const { weightsManifest } = JSON.parse(modelJson);
+    const shards = weightsManifest.flatMap(group => group.paths);
+    for (const shard of shards) {
+        await writeFile(join(folder, shard), await download(`${url}/${shard}`));
+    }
+
+    console.log(`models/${name}: model.json and ${shards.length} weight file(s)`);
+}
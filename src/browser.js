@@ -0,0 +1,56 @@
+/**
+ * Browser entry, built into the VirtualGlasses global (dist/virtual-glasses.umd.js)
+ * Starts the app on pages that have its markup
+ */
+
+import { VirtualGlassesTryOn } from './ui/virtual-glasses.js';
+import { EmbedBridge } from './ui/embed-bridge.js';
+import { OfflineManager } from './ui/offline-manager.js';
+
+export * from './index.js';
+
+document.addEventListener('DOMContentLoaded', () => {
+    // Pages that only embed widgets (TryOnWidget) have no app markup of their own
+    const canvas = document.getElementById('canvas');
+    if (!canvas || canvas.closest('.virtual-glasses-widget')) return;
+
+    // Initialize the application
+    try {
+        window.virtualGlassesApp = new VirtualGlassesTryOn();
+        console.log('Virtual Glasses Try-On application initialized successfully');
+
+        // Shops that frame the page drive it with postMessage, if their origin is allowed
+        const allowedOrigins = EmbedBridge.getPageOrigins();
+        if (window.parent !== window && allowedOrigins.length > 0) {
+            window.virtualGlassesBridge = new EmbedBridge(window.virtualGlassesApp, { allowedOrigins });
+        }
+
+        setupOffline(window.virtualGlassesApp);
+    } catch (error) {
+        console.error('Failed to initialize Virtual Glasses Try-On:', error);
+    }
+});
+
+/**
+ * Keep the app working offline (sw.js) and offer new app and catalog versions in the update banner
+ */
+function setupOffline(app) {
+    if (!OfflineManager.isSupported()) return;
+
+    const offline = new OfflineManager({ catalogUrl: app.catalogUrl });
+    offline.setCallbacks({
+        onOfflineReady: () => app.updateStatus('Saved on this device - try-on now works offline'),
+        onUpdateReady: () => app.showUpdateBanner('A new version of the try-on is ready.', () => offline.applyUpdate()),
+        onCatalogUpdated: ({ url, version }) => {
+            if (new URL(url, document.baseURI).href !== new URL(app.catalogUrl, document.baseURI).href) return;
+            app.showUpdateBanner(`New frames are available (catalog version ${version}).`, () => app.setCatalogUrl(app.catalogUrl));
+        },
+        onCatalogIncomplete: ({ failed }) => {
+            app.updateStatus(`${failed.length} frame file(s) could not be saved for offline use - they will be tried again later`);
+        }
+    });
+    offline.register();
+
+    window.addEventListener('online', () => app.updateStatus('Back online'));
+    window.addEventListener('offline', () => app.updateStatus('Offline - using the frames and models saved on this device'));
+}
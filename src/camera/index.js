@@ -0,0 +1,7 @@
+/**
+ * Camera
+ * Input sources (camera, photo, video file) and the camera UI around them
+ */
+
+export { InputSource, CameraSource, ImageSource, VideoFileSource } from './input-sources.js';
+export { WebcamUILib } from './webcam-ui-lib.js';
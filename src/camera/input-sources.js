@@ -0,0 +1,257 @@
+/**
+ * Input Sources
+ * Camera, photo and video-file inputs that the try-on can run on
+ *
+ * A source fills a page element (video or img) that face detection reads
+ * from and the overlay canvas is drawn over.
+ */
+
+class InputSource {
+    constructor(element) {
+        this.element = element;
+        this.active = false;
+    }
+
+    /**
+     * Start the source; resolves once the first frame can be read
+     */
+    async start() {
+        this.active = true;
+    }
+
+    /**
+     * Stop the source and release its resources
+     */
+    stop() {
+        this.active = false;
+    }
+
+    /**
+     * Get the element faces are detected in
+     */
+    getElement() {
+        return this.element;
+    }
+
+    /**
+     * Frame size in pixels
+     */
+    getWidth() {
+        return this.element.videoWidth || this.element.naturalWidth || this.element.width;
+    }
+
+    getHeight() {
+        return this.element.videoHeight || this.element.naturalHeight || this.element.height;
+    }
+
+    /**
+     * True for a single still frame that only needs detecting once
+     */
+    isStatic() {
+        return false;
+    }
+
+    /**
+     * True when the preview is shown mirrored, like a selfie camera
+     */
+    isMirrored() {
+        return false;
+    }
+
+    /**
+     * Check if the source is running
+     */
+    isActive() {
+        return this.active;
+    }
+
+    /**
+     * Wait for a media element event, failing on its error event
+     */
+    static waitForEvent(element, eventName) {
+        return new Promise((resolve, reject) => {
+            const cleanup = () => {
+                element.removeEventListener(eventName, onEvent);
+                element.removeEventListener('error', onError);
+            };
+            const onEvent = () => {
+                cleanup();
+                resolve();
+            };
+            const onError = () => {
+                cleanup();
+                reject(new Error(`Could not read ${element.tagName.toLowerCase()} source`));
+            };
+            element.addEventListener(eventName, onEvent);
+            element.addEventListener('error', onError);
+        });
+    }
+}
+
+/**
+ * Live camera through getUserMedia
+ *
+ * `constraints` may be a list tried in order: when a camera rejects one with
+ * an OverconstrainedError the next is used, so callers can pass a ladder of
+ * falling resolutions.
+ */
+class CameraSource extends InputSource {
+    constructor(video, constraints) {
+        super(video);
+        this.constraintsLadder = Array.isArray(constraints) ? constraints : [constraints];
+        this.constraints = null; // the constraints that worked
+        this.stream = null;
+    }
+
+    async start() {
+        for (let index = 0; index < this.constraintsLadder.length; index++) {
+            try {
+                this.stream = await navigator.mediaDevices.getUserMedia(this.constraintsLadder[index]);
+                this.constraints = this.constraintsLadder[index];
+                break;
+            } catch (error) {
+                const isLast = index === this.constraintsLadder.length - 1;
+                if (error.name !== 'OverconstrainedError' || isLast) throw error;
+                console.warn('Camera rejected constraints, trying the next:', this.constraintsLadder[index], error);
+            }
+        }
+
+        this.element.srcObject = this.stream;
+
+        // Wait for video to be ready
+        await new Promise(resolve => {
+            this.element.onloadedmetadata = resolve;
+        });
+
+        this.active = true;
+    }
+
+    stop() {
+        if (this.stream) {
+            this.stream.getTracks().forEach(track => track.stop());
+            this.stream = null;
+        }
+
+        this.element.srcObject = null;
+        this.active = false;
+    }
+
+    /**
+     * Get the settings the camera actually applied (deviceId, facingMode, size)
+     */
+    getSettings() {
+        const track = this.stream && this.stream.getVideoTracks()[0];
+        return track && track.getSettings ? track.getSettings() : {};
+    }
+
+    /**
+     * Mirror front cameras only; rear cameras are shown as they are
+     */
+    isMirrored() {
+        const requested = this.constraints && this.constraints.video && this.constraints.video.facingMode;
+        const facingMode = this.getSettings().facingMode || requested;
+        return facingMode !== 'environment';
+    }
+}
+
+/**
+ * Uploaded photo, detected once and re-rendered when the frame changes
+ */
+class ImageSource extends InputSource {
+    constructor(image, file) {
+        super(image);
+        this.file = file;
+        this.url = null;
+    }
+
+    async start() {
+        this.url = URL.createObjectURL(this.file);
+        const loaded = InputSource.waitForEvent(this.element, 'load');
+        this.element.src = this.url;
+
+        try {
+            await loaded;
+        } catch (error) {
+            this.stop();
+            throw new Error(`Could not open image "${this.file.name}"`);
+        }
+
+        this.active = true;
+    }
+
+    stop() {
+        if (this.url) {
+            URL.revokeObjectURL(this.url);
+            this.url = null;
+        }
+
+        this.element.removeAttribute('src');
+        this.active = false;
+    }
+
+    isStatic() {
+        return true;
+    }
+}
+
+/**
+ * Local video file, stepped frame by frame so the overlay matches the shown frame
+ */
+class VideoFileSource extends InputSource {
+    constructor(video, file, options = {}) {
+        super(video);
+        this.file = file;
+        this.url = null;
+        this.frameRate = options.frameRate || 30;
+        this.loop = options.loop !== false;
+    }
+
+    async start() {
+        this.url = URL.createObjectURL(this.file);
+        const loaded = InputSource.waitForEvent(this.element, 'loadeddata');
+        this.element.muted = true;
+        this.element.src = this.url;
+
+        try {
+            await loaded;
+        } catch (error) {
+            this.stop();
+            throw new Error(`Could not play video "${this.file.name}"`);
+        }
+
+        this.element.pause();
+        this.active = true;
+    }
+
+    /**
+     * Seek to the next frame; resolves once it is shown
+     */
+    async advance() {
+        if (!this.active) return;
+
+        let time = this.element.currentTime + 1 / this.frameRate;
+        if (time >= this.element.duration) {
+            if (!this.loop) return;
+            time = 0;
+        }
+
+        const seeked = InputSource.waitForEvent(this.element, 'seeked');
+        this.element.currentTime = time;
+        await seeked;
+    }
+
+    stop() {
+        this.element.pause();
+
+        if (this.url) {
+            URL.revokeObjectURL(this.url);
+            this.url = null;
+        }
+
+        this.element.removeAttribute('src');
+        this.element.load();
+        this.active = false;
+    }
+}
+
+export { InputSource, CameraSource, ImageSource, VideoFileSource };
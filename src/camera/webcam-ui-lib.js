@@ -0,0 +1,555 @@
+/**
+ * Webcam UI Library
+ * Handles the camera and other input sources, video streaming, and UI interactions
+ */
+
+import { CameraSource, ImageSource, VideoFileSource } from './input-sources.js';
+
+class WebcamUILib {
+    /**
+     * `options.root` is the element holding the UI (the whole document by
+     * default); elements are looked up by id inside it only, with
+     * `options.idPrefix` in front of each id.
+     */
+    constructor(options = {}) {
+        this.root = options.root || document;
+        this.idPrefix = options.idPrefix || '';
+        this.video = this.getElement('video');
+        this.photo = this.getElement('photo');
+        this.canvas = this.getElement('canvas');
+        this.ctx = this.canvas ? this.canvas.getContext('2d') : null;
+        this.source = null;
+        this.isRunning = false;
+        
+        this.constraints = {
+            video: {
+                width: { ideal: 640 },
+                height: { ideal: 480 },
+                facingMode: 'user'
+            }
+        };
+
+        // Camera choice, remembered between visits
+        this.preferencesKey = 'virtualGlasses.camera';
+        this.cameraPreferences = this.loadCameraPreferences();
+        
+        this.callbacks = {
+            onStart: null,
+            onStop: null,
+            onError: null
+        };
+
+        // Keep the overlay matched to the stream and its on-screen size
+        if (this.video) this.video.addEventListener('resize', () => this.updateCanvasSize());
+        this.handleWindowResize = () => this.syncCanvasSize();
+        window.addEventListener('resize', this.handleWindowResize);
+    }
+
+    /**
+     * Find a UI element by id within the root
+     */
+    getElement(id) {
+        return this.root.querySelector(`#${this.idPrefix}${id}`);
+    }
+
+    /**
+     * Initialize camera stream
+     */
+    async startCamera() {
+        const success = await this.startSource(new CameraSource(this.video, this.getConstraintsLadder()), 'Camera');
+
+        if (success) {
+            const { width, height } = this.source.getSettings();
+            const wanted = WebcamUILib.RESOLUTIONS.find(option => option.id === this.cameraPreferences.resolution);
+            if (wanted && width && height && (width !== wanted.width || height !== wanted.height)) {
+                this.updateStatus(`Camera does not support ${wanted.label}, using ${width}×${height}`);
+            }
+        }
+
+        return success;
+    }
+
+    /**
+     * Build the constraints to try, from the preferred resolution down
+     *
+     * Preferred sizes are exact so unsupported ones fail with an
+     * OverconstrainedError and the next size is tried. The last entries drop
+     * the size and then the device, so some camera always starts.
+     */
+    getConstraintsLadder() {
+        const { deviceId, facingMode, resolution } = this.cameraPreferences;
+        const camera = deviceId ? { deviceId: { exact: deviceId } } : { facingMode };
+        const start = WebcamUILib.RESOLUTIONS.findIndex(option => option.id === resolution);
+
+        const ladder = start === -1 ? [] : WebcamUILib.RESOLUTIONS.slice(start).map(option => ({
+            video: { ...camera, width: { exact: option.width }, height: { exact: option.height } }
+        }));
+
+        ladder.push({ video: { ...this.constraints.video, ...camera } });
+        if (deviceId) {
+            ladder.push({ video: { ...this.constraints.video, facingMode } });
+        }
+
+        return ladder;
+    }
+
+    /**
+     * Change camera, resolution or facing mode; restarts a running camera
+     */
+    async setCameraPreferences(preferences) {
+        this.cameraPreferences = { ...this.cameraPreferences, ...preferences };
+        this.saveCameraPreferences();
+
+        if (this.source instanceof CameraSource) {
+            return this.startCamera();
+        }
+        return true;
+    }
+
+    /**
+     * Get the current camera choice ({ deviceId, resolution, facingMode })
+     */
+    getCameraPreferences() {
+        return this.cameraPreferences;
+    }
+
+    /**
+     * Read the remembered camera choice
+     */
+    loadCameraPreferences() {
+        const defaults = { deviceId: null, resolution: 'auto', facingMode: 'user' };
+
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.preferencesKey));
+            return { ...defaults, ...(saved || {}) };
+        } catch (error) {
+            return defaults;
+        }
+    }
+
+    /**
+     * Remember the camera choice
+     */
+    saveCameraPreferences() {
+        try {
+            localStorage.setItem(this.preferencesKey, JSON.stringify(this.cameraPreferences));
+        } catch (error) {
+            console.warn('Could not save camera preferences:', error);
+        }
+    }
+
+    /**
+     * List the video input devices
+     */
+    async getVideoDevices() {
+        if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) return [];
+
+        const devices = await navigator.mediaDevices.enumerateDevices();
+        return devices.filter(device => device.kind === 'videoinput');
+    }
+
+    /**
+     * Fill the camera and resolution pickers
+     */
+    async updateCameraControls() {
+        const cameraSelect = this.getElement('cameraSelect');
+        const resolutionSelect = this.getElement('resolutionSelect');
+        const switchFacingBtn = this.getElement('switchFacing');
+
+        const devices = await this.getVideoDevices();
+        const activeDeviceId = this.source instanceof CameraSource
+            ? this.source.getSettings().deviceId
+            : this.cameraPreferences.deviceId;
+
+        if (cameraSelect) {
+            cameraSelect.innerHTML = '';
+            cameraSelect.appendChild(new Option('Default camera', ''));
+            devices.forEach((device, index) => {
+                // Labels stay empty until camera permission is granted
+                cameraSelect.appendChild(new Option(device.label || `Camera ${index + 1}`, device.deviceId));
+            });
+            cameraSelect.value = this.cameraPreferences.deviceId && activeDeviceId ? activeDeviceId : '';
+        }
+
+        if (resolutionSelect) {
+            resolutionSelect.innerHTML = '';
+            resolutionSelect.appendChild(new Option('Auto', 'auto'));
+            WebcamUILib.RESOLUTIONS.forEach(option => {
+                resolutionSelect.appendChild(new Option(option.label, option.id));
+            });
+            resolutionSelect.value = this.cameraPreferences.resolution;
+        }
+
+        // Only phones and tablets usually have both a front and a rear camera
+        if (switchFacingBtn) {
+            switchFacingBtn.style.display = devices.length > 1 ? 'inline-block' : 'none';
+        }
+    }
+
+    /**
+     * Open an uploaded photo
+     */
+    async startPhoto(file) {
+        return this.startSource(new ImageSource(this.photo, file), 'Photo');
+    }
+
+    /**
+     * Play a local video file
+     */
+    async startVideoFile(file) {
+        return this.startSource(new VideoFileSource(this.video, file), 'Video');
+    }
+
+    /**
+     * Start an input source, replacing the running one
+     */
+    async startSource(source, label = 'Source') {
+        if (this.source) this.stopCamera();
+
+        try {
+            this.updateStatus(`Starting ${label.toLowerCase()}...`);
+            this.showLoading();
+
+            await source.start();
+            this.source = source;
+
+            this.updateCanvasSize();
+
+            this.isRunning = true;
+            this.updateUI(true);
+            this.syncCanvasSize();
+            this.hideLoading();
+            
+            if (this.callbacks.onStart) {
+                this.callbacks.onStart();
+            }
+
+            this.updateStatus(`${label} active`);
+            return true;
+
+        } catch (error) {
+            this.hideLoading();
+            const errorMsg = source instanceof CameraSource ? this.getCameraErrorMessage(error) : error.message;
+            this.showError(errorMsg);
+            this.updateStatus(`${label} failed`);
+            
+            if (this.callbacks.onError) {
+                this.callbacks.onError(error, errorMsg);
+            }
+            
+            return false;
+        }
+    }
+
+    /**
+     * Stop the running source (camera, photo or video) and cleanup
+     */
+    stopCamera() {
+        this.isRunning = false;
+
+        if (this.source) {
+            this.source.stop();
+            this.source = null;
+        }
+
+        if (this.canvas && this.ctx) {
+            this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        }
+
+        this.updateUI(false);
+        
+        if (this.callbacks.onStop) {
+            this.callbacks.onStop();
+        }
+
+        this.updateStatus('Stopped');
+    }
+
+    /**
+     * Set canvas size to match the source, e.g. after a resolution change or rotation
+     */
+    updateCanvasSize() {
+        if (!this.canvas || !this.source) return;
+
+        const width = this.source.getWidth() || 640;
+        const height = this.source.getHeight() || 480;
+        if (this.canvas.width !== width || this.canvas.height !== height) {
+            this.canvas.width = width;
+            this.canvas.height = height;
+        }
+
+        this.syncCanvasSize();
+    }
+
+    /**
+     * Show the overlay canvas at the size the source is displayed
+     */
+    syncCanvasSize() {
+        if (!this.canvas || !this.source) return;
+
+        const element = this.source.getElement();
+        this.canvas.style.width = `${element.clientWidth}px`;
+        this.canvas.style.height = `${element.clientHeight}px`;
+    }
+
+    /**
+     * Update UI elements based on source state
+     */
+    updateUI(isActive) {
+        const placeholder = this.getElement('placeholder');
+        const startBtn = this.getElement('startCamera');
+        const stopBtn = this.getElement('stopCamera');
+        const captureBtn = this.getElement('capturePhoto');
+        const captureTools = this.getElement('captureTools');
+        const faceInfo = this.getElement('faceInfo');
+        const cameraSection = this.getElement('cameraSection');
+        const element = isActive && this.source ? this.source.getElement() : null;
+
+        // Files are shown as they are; only the camera preview is mirrored
+        if (cameraSection) {
+            cameraSection.classList.toggle('unmirrored', !!this.source && !this.source.isMirrored());
+        }
+
+        if (isActive) {
+            if (placeholder) placeholder.style.display = 'none';
+            if (this.video) this.video.style.display = element === this.video ? 'block' : 'none';
+            if (this.photo) this.photo.style.display = element === this.photo ? 'block' : 'none';
+            if (this.canvas) this.canvas.style.display = 'block';
+            if (startBtn) startBtn.style.display = this.source instanceof CameraSource ? 'none' : 'inline-block';
+            if (stopBtn) stopBtn.style.display = 'inline-block';
+            if (captureBtn) captureBtn.style.display = 'inline-block';
+            if (captureTools) captureTools.style.display = 'flex';
+            if (faceInfo) faceInfo.style.display = 'block';
+        } else {
+            if (placeholder) placeholder.style.display = 'block';
+            if (this.video) this.video.style.display = 'none';
+            if (this.photo) this.photo.style.display = 'none';
+            if (this.canvas) this.canvas.style.display = 'none';
+            if (startBtn) startBtn.style.display = 'inline-block';
+            if (stopBtn) stopBtn.style.display = 'none';
+            if (captureBtn) captureBtn.style.display = 'none';
+            if (captureTools) captureTools.style.display = 'none';
+            if (faceInfo) faceInfo.style.display = 'none';
+        }
+    }
+
+    /**
+     * Show loading indicator
+     */
+    showLoading() {
+        const loading = this.getElement('loading');
+        if (loading) {
+            loading.style.display = 'block';
+        }
+    }
+
+    /**
+     * Hide loading indicator
+     */
+    hideLoading() {
+        const loading = this.getElement('loading');
+        if (loading) {
+            loading.style.display = 'none';
+        }
+    }
+
+    /**
+     * Display error message
+     */
+    showError(message) {
+        const errorDiv = this.getElement('errorDiv');
+        const errorText = this.getElement('errorText');
+        
+        if (errorText) errorText.textContent = message;
+        if (errorDiv) errorDiv.classList.add('show');
+    }
+
+    /**
+     * Hide error message
+     */
+    hideError() {
+        const errorDiv = this.getElement('errorDiv');
+        if (errorDiv) errorDiv.classList.remove('show');
+    }
+
+    /**
+     * Update status display
+     */
+    updateStatus(message) {
+        const status = this.getElement('status');
+        if (status) {
+            status.textContent = message;
+        }
+        console.log('[WebcamUI]', message);
+    }
+
+    /**
+     * Draw the current source frame with the overlay, as the preview shows it
+     *
+     * The result is at the source's native resolution (a video's own frame
+     * size, a photo's full size), scaled down to fit `maxWidth` if given.
+     */
+    composeFrame(target = document.createElement('canvas'), maxWidth = Infinity) {
+        const sourceWidth = this.source.getWidth() || this.canvas.width;
+        const sourceHeight = this.source.getHeight() || this.canvas.height;
+        const scale = Math.min(1, maxWidth / sourceWidth);
+        const width = Math.round(sourceWidth * scale);
+        const height = Math.round(sourceHeight * scale);
+
+        if (target.width !== width || target.height !== height) {
+            target.width = width;
+            target.height = height;
+        }
+
+        const ctx = target.getContext('2d');
+        ctx.save();
+
+        // Match the preview: the camera is mirrored, files are not
+        if (this.source.isMirrored()) {
+            ctx.translate(width, 0);
+            ctx.scale(-1, 1);
+        }
+
+        // Draw the source frame, then the overlay from the main canvas
+        ctx.drawImage(this.source.getElement(), 0, 0, width, height);
+        ctx.drawImage(this.canvas, 0, 0, width, height);
+        ctx.restore();
+
+        return target;
+    }
+
+    /**
+     * Capture photo from the running source and download it
+     *
+     * Returns the PNG data URL.
+     */
+    capturePhoto(filename = null) {
+        if (!this.source || !this.canvas || !this.ctx) {
+            this.showError('Camera not ready for photo capture');
+            return null;
+        }
+
+        const dataUrl = this.composeFrame().toDataURL('image/png');
+
+        // Generate download
+        const link = document.createElement('a');
+        link.download = filename || `virtual-glasses-${Date.now()}.png`;
+        link.href = dataUrl;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+
+        this.updateStatus('Photo captured and downloaded!');
+        return dataUrl;
+    }
+
+    /**
+     * Get user-friendly error message for camera errors
+     */
+    getCameraErrorMessage(error) {
+        const errorMessages = {
+            'NotAllowedError': 'Camera access denied. Please allow camera permission and refresh the page.',
+            'NotFoundError': 'No camera found. Please connect a camera and refresh the page.',
+            'NotReadableError': 'Camera is busy or not accessible. Please close other applications using the camera.',
+            'OverconstrainedError': 'Camera constraints not supported. Please try with a different camera.',
+            'SecurityError': 'Camera access blocked due to security restrictions.',
+            'AbortError': 'Camera access was aborted.',
+            'TypeError': 'Camera not supported in this browser.'
+        };
+
+        return errorMessages[error.name] || `Camera error: ${error.message}`;
+    }
+
+    /**
+     * Check if camera is supported
+     */
+    static isCameraSupported() {
+        return !!(navigator.mediaDevices && navigator.mediaDevices.getUserMedia);
+    }
+
+    /**
+     * Set callback functions
+     */
+    setCallbacks(callbacks) {
+        this.callbacks = { ...this.callbacks, ...callbacks };
+    }
+
+    /**
+     * Get current video element
+     */
+    getVideoElement() {
+        return this.video;
+    }
+
+    /**
+     * Get the running input source, or null
+     */
+    getSource() {
+        return this.source;
+    }
+
+    /**
+     * Get the element of the running source (video or photo)
+     */
+    getSourceElement() {
+        return this.source ? this.source.getElement() : null;
+    }
+
+    /**
+     * Get current canvas element
+     */
+    getCanvasElement() {
+        return this.canvas;
+    }
+
+    /**
+     * Get canvas context
+     */
+    getCanvasContext() {
+        return this.ctx;
+    }
+
+    /**
+     * Check if camera is running
+     */
+    isActive() {
+        return this.isRunning;
+    }
+
+    /**
+     * Update face detection count display
+     */
+    updateFaceCount(count) {
+        const faceInfo = this.getElement('faceCount');
+        if (!faceInfo) return;
+
+        if (count === 0) {
+            faceInfo.textContent = 'No faces detected - look at the camera';
+            faceInfo.style.color = '#856404';
+        } else if (count === 1) {
+            faceInfo.textContent = '✅ Face detected - glasses applied!';
+            faceInfo.style.color = '#155724';
+        } else {
+            faceInfo.textContent = `✅ ${count} faces detected`;
+            faceInfo.style.color = '#155724';
+        }
+    }
+
+    /**
+     * Cleanup resources
+     */
+    cleanup() {
+        this.stopCamera();
+        window.removeEventListener('resize', this.handleWindowResize);
+    }
+}
+
+// Resolutions offered in the picker, highest first; also the fallback ladder
+WebcamUILib.RESOLUTIONS = [
+    { id: '1920x1080', label: '1920×1080', width: 1920, height: 1080 },
+    { id: '1280x720', label: '1280×720', width: 1280, height: 720 },
+    { id: '640x480', label: '640×480', width: 640, height: 480 },
+    { id: '320x240', label: '320×240', width: 320, height: 240 }
+];
+
+export { WebcamUILib };
@@ -0,0 +1,351 @@
+/**
+ * Capture Manager
+ * Stills, bursts, WebM and GIF clips of the try-on, kept in an in-app gallery
+ *
+ * Frames come from a compose function that draws the source with its overlay
+ * (see WebcamUILib.composeFrame), so captures are at the source's native
+ * resolution rather than the preview size. Gallery items are
+ * { id, type, blob, url, filename, width, height, createdAt } where type is
+ * 'photo', 'webm' or 'gif' and url is an object URL for showing the capture.
+ */
+
+import { GifEncoder } from './gif-encoder.js';
+import { ZipWriter } from './zip-writer.js';
+
+class CaptureManager {
+    /**
+     * `compose(target, maxWidth)` draws the current frame into a canvas and returns it
+     */
+    constructor(compose) {
+        this.compose = compose;
+        this.items = [];
+        this.nextId = 1;
+
+        // Burst of stills
+        this.burstCount = 5;
+        this.burstInterval = 250; // ms
+
+        // Clips stop by themselves after this long unless stopped earlier
+        this.clipDuration = 5000; // ms
+        this.webmFrameRate = 30;
+        this.gifFrameRate = 10;
+        this.gifMaxWidth = 360;
+
+        // Stops the clip being recorded, if any
+        this.recording = null;
+
+        // Set by cleanup(); captures still finishing after it are dropped
+        this.isClosed = false;
+
+        this.callbacks = {
+            onChange: null,
+            onCapture: null,
+            onRecordingChange: null
+        };
+    }
+
+    /**
+     * Capture one still into the gallery
+     */
+    async capturePhoto(name) {
+        const canvas = this.compose(document.createElement('canvas'));
+        const blob = await CaptureManager.canvasToBlob(canvas, 'image/png');
+        return this.addItem('photo', blob, `${name}-${Date.now()}.png`, canvas.width, canvas.height);
+    }
+
+    /**
+     * Capture a quick series of stills into the gallery
+     */
+    async captureBurst(name, count = this.burstCount, interval = this.burstInterval) {
+        const stamp = Date.now();
+        const items = [];
+
+        for (let index = 0; index < count; index++) {
+            if (index > 0) await CaptureManager.wait(interval);
+            const canvas = this.compose(document.createElement('canvas'));
+            const blob = await CaptureManager.canvasToBlob(canvas, 'image/png');
+            items.push(this.addItem('photo', blob, `${name}-${stamp}-burst-${index + 1}.png`, canvas.width, canvas.height));
+        }
+
+        return items;
+    }
+
+    /**
+     * Record a clip in 'webm' or 'gif' format into the gallery
+     *
+     * Resolves with the gallery item once the clip is finished, either after
+     * `duration` ms or when stopRecording() is called.
+     */
+    async recordClip(name, format = 'webm', duration = this.clipDuration) {
+        if (this.recording) throw new Error('A clip is already being recorded');
+        if (format === 'webm' && !CaptureManager.getWebMType()) {
+            throw new Error('WebM recording is not supported in this browser');
+        }
+
+        this.setRecording({ stop: null, format });
+        try {
+            return format === 'gif' ? await this.recordGif(name, duration) : await this.recordWebM(name, duration);
+        } finally {
+            this.setRecording(null);
+        }
+    }
+
+    /**
+     * Stop the clip being recorded early; it is still added to the gallery
+     */
+    stopRecording() {
+        if (this.recording && this.recording.stop) this.recording.stop();
+    }
+
+    /**
+     * Check if a clip is being recorded
+     */
+    isRecording() {
+        return !!this.recording;
+    }
+
+    /**
+     * Record the composited frames with MediaRecorder
+     */
+    recordWebM(name, duration) {
+        const canvas = this.compose(document.createElement('canvas'));
+        const mimeType = CaptureManager.getWebMType();
+        const recorder = new MediaRecorder(canvas.captureStream(this.webmFrameRate), { mimeType });
+        const chunks = [];
+
+        return new Promise((resolve, reject) => {
+            let frameRequest = null;
+            let timer = null;
+
+            const drawFrame = () => {
+                this.compose(canvas);
+                frameRequest = requestAnimationFrame(drawFrame);
+            };
+
+            const stop = () => {
+                cancelAnimationFrame(frameRequest);
+                clearTimeout(timer);
+                if (recorder.state !== 'inactive') recorder.stop();
+            };
+
+            recorder.ondataavailable = (event) => {
+                if (event.data && event.data.size > 0) chunks.push(event.data);
+            };
+            recorder.onerror = (event) => {
+                stop();
+                reject(event.error || new Error('Recording failed'));
+            };
+            recorder.onstop = () => {
+                const blob = new Blob(chunks, { type: 'video/webm' });
+                resolve(this.addItem('webm', blob, `${name}-${Date.now()}.webm`, canvas.width, canvas.height));
+            };
+
+            this.recording.stop = stop;
+            recorder.start();
+            drawFrame();
+            timer = setTimeout(stop, duration);
+        });
+    }
+
+    /**
+     * Record the composited frames, scaled down, as an animated GIF
+     */
+    recordGif(name, duration) {
+        const canvas = this.compose(document.createElement('canvas'), this.gifMaxWidth);
+        const ctx = canvas.getContext('2d', { willReadFrequently: true });
+        const frameTime = 1000 / this.gifFrameRate;
+        const encoder = new GifEncoder(canvas.width, canvas.height, { delay: frameTime });
+
+        return new Promise((resolve, reject) => {
+            let frameRequest = null;
+            let timer = null;
+            let lastFrame = -Infinity;
+
+            const addFrame = (now) => {
+                if (now - lastFrame >= frameTime) {
+                    lastFrame = now;
+                    try {
+                        this.compose(canvas, this.gifMaxWidth);
+                        encoder.addFrame(ctx.getImageData(0, 0, canvas.width, canvas.height));
+                    } catch (error) {
+                        cancelAnimationFrame(frameRequest);
+                        clearTimeout(timer);
+                        reject(error);
+                        return;
+                    }
+                }
+                frameRequest = requestAnimationFrame(addFrame);
+            };
+
+            const stop = () => {
+                cancelAnimationFrame(frameRequest);
+                clearTimeout(timer);
+                try {
+                    resolve(this.addItem('gif', encoder.finish(), `${name}-${Date.now()}.gif`, canvas.width, canvas.height));
+                } catch (error) {
+                    reject(error);
+                }
+            };
+
+            this.recording.stop = stop;
+            addFrame(performance.now());
+            timer = setTimeout(stop, duration);
+        });
+    }
+
+    /**
+     * Add a capture to the gallery; returns null once the manager is cleaned up
+     */
+    addItem(type, blob, filename, width, height) {
+        if (this.isClosed) return null;
+
+        const item = {
+            id: this.nextId++,
+            type,
+            blob,
+            url: URL.createObjectURL(blob),
+            filename,
+            width,
+            height,
+            createdAt: Date.now()
+        };
+
+        this.items.unshift(item);
+        this.notifyChange();
+        if (this.callbacks.onCapture) this.callbacks.onCapture(item);
+        return item;
+    }
+
+    /**
+     * Get the gallery, newest first
+     */
+    getItems() {
+        return this.items;
+    }
+
+    /**
+     * Get a gallery item by id
+     */
+    getItem(id) {
+        return this.items.find(item => item.id === id) || null;
+    }
+
+    /**
+     * Delete a capture from the gallery
+     */
+    removeItem(id) {
+        const item = this.getItem(id);
+        if (!item) return;
+
+        URL.revokeObjectURL(item.url);
+        this.items = this.items.filter(other => other !== item);
+        this.notifyChange();
+    }
+
+    /**
+     * Delete every capture
+     */
+    clear() {
+        this.items.forEach(item => URL.revokeObjectURL(item.url));
+        this.items = [];
+        this.notifyChange();
+    }
+
+    /**
+     * Download one capture
+     */
+    download(id) {
+        const item = this.getItem(id);
+        if (item) CaptureManager.downloadUrl(item.url, item.filename);
+    }
+
+    /**
+     * Download the whole gallery as one zip
+     */
+    async downloadAll(filename = `virtual-glasses-captures-${Date.now()}.zip`) {
+        if (this.items.length === 0) return;
+
+        const zip = new ZipWriter();
+        for (const item of [...this.items].reverse()) {
+            await zip.addFile(item.filename, item.blob, new Date(item.createdAt));
+        }
+
+        const url = URL.createObjectURL(zip.finish());
+        CaptureManager.downloadUrl(url, filename);
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    /**
+     * Track the clip being recorded and notify listeners
+     */
+    setRecording(recording) {
+        this.recording = recording;
+        if (this.callbacks.onRecordingChange && !this.isClosed) this.callbacks.onRecordingChange(!!recording);
+    }
+
+    /**
+     * Notify listeners that the gallery changed
+     */
+    notifyChange() {
+        if (this.callbacks.onChange) this.callbacks.onChange(this.items);
+    }
+
+    /**
+     * Release the gallery's object URLs and stop any recording
+     */
+    cleanup() {
+        // A WebM recorder stops asynchronously, after the gallery is gone
+        this.isClosed = true;
+        this.stopRecording();
+        this.items.forEach(item => URL.revokeObjectURL(item.url));
+        this.items = [];
+    }
+
+    /**
+     * Set callback functions
+     */
+    setCallbacks(callbacks) {
+        this.callbacks = { ...this.callbacks, ...callbacks };
+    }
+
+    /**
+     * Best WebM type MediaRecorder can produce here, or null if none
+     */
+    static getWebMType() {
+        if (typeof MediaRecorder === 'undefined' || !HTMLCanvasElement.prototype.captureStream) return null;
+        return CaptureManager.WEBM_TYPES.find(type => MediaRecorder.isTypeSupported(type)) || null;
+    }
+
+    /**
+     * Promise wrapper around canvas.toBlob
+     */
+    static canvasToBlob(canvas, type, quality) {
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('Could not encode the capture')), type, quality);
+        });
+    }
+
+    /**
+     * Save an object or data URL under a file name
+     */
+    static downloadUrl(url, filename) {
+        const link = document.createElement('a');
+        link.download = filename;
+        link.href = url;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+    }
+
+    /**
+     * Resolve after a delay
+     */
+    static wait(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+}
+
+// Preferred first
+CaptureManager.WEBM_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+
+export { CaptureManager };
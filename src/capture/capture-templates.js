@@ -0,0 +1,534 @@
+/**
+ * Capture Templates
+ * Loads branded capture templates and draws them onto captured frames
+ *
+ * A template (catalog/capture-templates.json) can place a logo, the frame's
+ * name, colour and price, and a QR code or text link to the product in the
+ * corners. The model attribution from the frame's license is always drawn,
+ * as a strip along the top or bottom, because CC-BY requires it.
+ */
+
+import { QRCode } from './qr-code.js';
+import { CatalogValidationError, FrameCatalog } from '../catalog/frame-catalog.js';
+
+class CaptureTemplates {
+    constructor() {
+        this.url = null;
+        this.version = null;
+        this.defaultTemplateId = null;
+        this.templates = [];
+        this.templatesById = new Map();
+
+        // Logo images keyed by URL, and encoded QR codes keyed by link
+        this.logos = new Map();
+        this.qrCodes = new Map();
+
+        // Problems found in the last loaded file (broken templates are skipped)
+        this.errors = [];
+    }
+
+    /**
+     * Fetch and validate a templates file
+     */
+    async load(url) {
+        let data;
+
+        try {
+            const response = await fetch(url);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            data = await response.json();
+        } catch (error) {
+            throw new CatalogValidationError(`Failed to load capture templates ${url}: ${error.message}`);
+        }
+
+        this.url = new URL(url, document.baseURI).href;
+        this.setData(data);
+        return this;
+    }
+
+    /**
+     * Validate templates data, keep the valid templates and start loading their logos
+     */
+    setData(data) {
+        const { templates, errors } = CaptureTemplates.validate(data);
+
+        if (templates.length === 0) {
+            throw new CatalogValidationError('Capture templates file has no valid templates', errors);
+        }
+
+        const base = this.url || document.baseURI;
+        this.version = data.version;
+        this.errors = errors;
+        this.templates = templates.map(template => ({
+            ...template,
+            logo: template.logo && { ...template.logo, image: new URL(template.logo.image, base).href }
+        }));
+        this.templatesById = new Map(this.templates.map(template => [template.id, template]));
+
+        if (data.defaultTemplate && this.templatesById.has(data.defaultTemplate)) {
+            this.defaultTemplateId = data.defaultTemplate;
+        } else {
+            if (data.defaultTemplate) {
+                this.errors.push(`defaultTemplate "${data.defaultTemplate}" does not match any valid template`);
+            }
+            this.defaultTemplateId = this.templates[0].id;
+        }
+
+        // Logos are drawn straight into captures, so they have to be ready beforehand
+        this.templates.forEach(template => {
+            if (template.logo) this.getLogo(template.logo.image);
+        });
+
+        this.errors.forEach(error => console.error('[CaptureTemplates]', error));
+    }
+
+    /**
+     * Get all valid templates in file order
+     */
+    getTemplates() {
+        return this.templates;
+    }
+
+    /**
+     * Get a template by id
+     */
+    getTemplate(id) {
+        return this.templatesById.get(id) || null;
+    }
+
+    /**
+     * Get the template selected on first load
+     */
+    getDefaultTemplate() {
+        return this.getTemplate(this.defaultTemplateId);
+    }
+
+    /**
+     * Get a logo image, starting to load it on first use
+     */
+    getLogo(url) {
+        if (!this.logos.has(url)) {
+            const image = new Image();
+            image.onerror = () => console.error('[CaptureTemplates] Failed to load logo', url);
+            image.src = url;
+            this.logos.set(url, image);
+        }
+        return this.logos.get(url);
+    }
+
+    /**
+     * Get the QR code for a link, encoding it on first use
+     */
+    getQRCode(text) {
+        if (!this.qrCodes.has(text)) {
+            let qr = null;
+            try {
+                qr = QRCode.encode(text);
+            } catch (error) {
+                console.warn('[CaptureTemplates]', error.message);
+            }
+            this.qrCodes.set(text, qr);
+        }
+        return this.qrCodes.get(text);
+    }
+
+    /**
+     * Link to the product of a look
+     *
+     * The frame's own `productUrl` wins, then the template's
+     * `productLink.productUrl` pattern ({frame}, {variant} and {lens} are
+     * filled in), then the try-on link for the look.
+     */
+    getProductUrl(template, info) {
+        if (info.frame && info.frame.productUrl) return info.frame.productUrl;
+
+        const pattern = template.productLink && template.productLink.productUrl;
+        if (pattern && info.frame) {
+            return pattern
+                .replace(/\{frame\}/g, encodeURIComponent(info.frame.id))
+                .replace(/\{variant\}/g, encodeURIComponent(info.variant ? info.variant.id : ''))
+                .replace(/\{lens\}/g, encodeURIComponent(info.lens ? info.lens.id : ''));
+        }
+
+        return info.shareUrl || null;
+    }
+
+    /**
+     * Draw a template onto a captured frame
+     *
+     * `info` is { frame, variant, lens, shareUrl, credits } for the look
+     * being worn; `credits` holds the license of every frame in the shot.
+     * Sizes in the template are fractions of the canvas, so the layout is
+     * the same for full-size photos and small GIFs.
+     */
+    apply(canvas, template, info) {
+        const ctx = canvas.getContext('2d');
+        const { width, height } = canvas;
+        const unit = Math.min(width, height);
+        const text = { ...CaptureTemplates.DEFAULT_TEXT, ...template.text };
+        const fontSize = Math.max(CaptureTemplates.MIN_FONT_SIZE, Math.round(text.size * unit));
+        const margin = Math.round(unit * 0.025);
+        const layout = { width, height, margin, top: margin, bottom: margin, corners: {} };
+
+        ctx.save();
+        ctx.textBaseline = 'top';
+
+        const attribution = template.attribution || { position: 'bottom' };
+        const credits = (info.credits || []).map(license => license.credit);
+        if (credits.length > 0) {
+            const stripHeight = this.drawAttribution(ctx, credits, attribution.position, text, fontSize, layout);
+            layout[attribution.position] += stripHeight;
+        }
+
+        if (template.logo) this.drawLogo(ctx, template.logo, layout);
+        if (template.frameInfo && info.frame) this.drawFrameInfo(ctx, template.frameInfo, info, text, fontSize, layout);
+        if (template.productLink) this.drawProductLink(ctx, template, info, text, fontSize, layout);
+
+        ctx.restore();
+    }
+
+    /**
+     * Draw the license credits as a full-width strip; returns its height
+     */
+    drawAttribution(ctx, credits, position, text, fontSize, layout) {
+        const size = Math.max(CaptureTemplates.MIN_FONT_SIZE, Math.round(fontSize * 0.5));
+        const padding = Math.round(size * 0.5);
+        ctx.font = `${size}px ${text.font}`;
+
+        const lines = credits.flatMap(credit => CaptureTemplates.wrapText(ctx, credit, layout.width - padding * 2));
+        const stripHeight = lines.length * size * 1.25 + padding * 2;
+        const top = position === 'top' ? 0 : layout.height - stripHeight;
+
+        ctx.fillStyle = text.background;
+        ctx.fillRect(0, top, layout.width, stripHeight);
+        ctx.fillStyle = text.color;
+        lines.forEach((line, index) => ctx.fillText(line, padding, top + padding + index * size * 1.25));
+
+        return stripHeight;
+    }
+
+    /**
+     * Draw the logo if it has loaded
+     */
+    drawLogo(ctx, logo, layout) {
+        const image = this.getLogo(logo.image);
+        if (!image.complete || !image.naturalWidth) return;
+
+        const logoWidth = layout.width * logo.width;
+        const logoHeight = logoWidth * image.naturalHeight / image.naturalWidth;
+        const { x, y } = CaptureTemplates.place(layout, logo.position, logoWidth, logoHeight);
+
+        ctx.globalAlpha = logo.opacity !== undefined ? logo.opacity : 1;
+        ctx.drawImage(image, x, y, logoWidth, logoHeight);
+        ctx.globalAlpha = 1;
+    }
+
+    /**
+     * Draw the frame's name, colour, lens and price in a box
+     */
+    drawFrameInfo(ctx, frameInfo, info, text, fontSize, layout) {
+        const fields = frameInfo.fields || CaptureTemplates.FRAME_FIELDS;
+        const values = {
+            brand: info.frame.brand,
+            name: info.frame.name,
+            variant: info.variant ? info.variant.name : null,
+            lens: info.lens ? `${info.lens.name} lenses` : null,
+            price: info.frame.price ? FrameCatalog.formatPrice(info.frame.price) : null
+        };
+        const pick = (names) => names.filter(name => fields.includes(name) && values[name]).map(name => values[name]);
+
+        const lines = [
+            { text: pick(['brand', 'name']).join(' '), bold: true },
+            { text: pick(['variant', 'lens']).join(' · ') },
+            { text: pick(['price']).join('') }
+        ].filter(line => line.text);
+
+        this.drawTextBox(ctx, lines, frameInfo.position, text, fontSize, layout);
+    }
+
+    /**
+     * Draw a QR code or text link to the product
+     *
+     * QR codes too small to scan (under two pixels a module, e.g. in GIFs)
+     * are replaced by the text link.
+     */
+    drawProductLink(ctx, template, info, text, fontSize, layout) {
+        const link = template.productLink;
+        const url = this.getProductUrl(template, info);
+        if (!url) return;
+
+        const qr = link.style === 'qr' ? this.getQRCode(url) : null;
+        const qrSize = Math.round(Math.min(layout.width, layout.height) * (link.size || 0.18));
+
+        if (qr && qrSize / (qr.size + 8) >= 2) {
+            const labelSize = Math.round(fontSize * 0.6);
+            const labelHeight = link.label ? Math.round(labelSize * 1.5) : 0;
+            const { x, y } = CaptureTemplates.place(layout, link.position, qrSize, qrSize + labelHeight);
+
+            QRCode.draw(ctx, qr, x, y, qrSize);
+            if (link.label) {
+                ctx.fillStyle = '#ffffff';
+                ctx.fillRect(x, y + qrSize, qrSize, labelHeight);
+                ctx.fillStyle = '#000000';
+                ctx.font = `600 ${labelSize}px ${text.font}`;
+                ctx.textAlign = 'center';
+                ctx.fillText(link.label, x + qrSize / 2, y + qrSize + (labelHeight - labelSize) / 2, qrSize);
+                ctx.textAlign = 'left';
+            }
+            return;
+        }
+
+        const lines = [];
+        if (link.label) lines.push({ text: link.label, bold: true });
+        lines.push({ text: url.replace(/^https?:\/\//, '') });
+        this.drawTextBox(ctx, lines, link.position, text, Math.max(CaptureTemplates.MIN_FONT_SIZE, Math.round(fontSize * 0.7)), layout);
+    }
+
+    /**
+     * Draw lines of text in a box placed in a corner
+     */
+    drawTextBox(ctx, lines, position, text, fontSize, layout) {
+        const padding = Math.round(fontSize * 0.5);
+        const lineHeight = fontSize * 1.25;
+        const fontFor = (line) => `${line.bold ? '700 ' : ''}${fontSize}px ${text.font}`;
+        const maxWidth = layout.width / 2 - layout.margin - padding * 2;
+
+        const textWidth = Math.min(maxWidth, Math.max(...lines.map(line => {
+            ctx.font = fontFor(line);
+            return ctx.measureText(line.text).width;
+        })));
+        const boxWidth = textWidth + padding * 2;
+        const boxHeight = lines.length * lineHeight + padding * 2 - (lineHeight - fontSize);
+        const { x, y } = CaptureTemplates.place(layout, position, boxWidth, boxHeight);
+
+        ctx.fillStyle = text.background;
+        CaptureTemplates.roundRect(ctx, x, y, boxWidth, boxHeight, padding);
+        ctx.fill();
+
+        ctx.fillStyle = text.color;
+        lines.forEach((line, index) => {
+            ctx.font = fontFor(line);
+            ctx.fillText(line.text, x + padding, y + padding + index * lineHeight, textWidth);
+        });
+    }
+
+    /**
+     * Top-left position for a box in a corner, stacking boxes in the same corner
+     */
+    static place(layout, position, boxWidth, boxHeight) {
+        const used = layout.corners[position] || 0;
+        const x = position.endsWith('left') ? layout.margin : layout.width - layout.margin - boxWidth;
+        const y = position.startsWith('top') ? layout.top + used : layout.height - layout.bottom - used - boxHeight;
+
+        layout.corners[position] = used + boxHeight + layout.margin / 2;
+        return { x, y };
+    }
+
+    /**
+     * Break text into lines that fit a width
+     *
+     * Words too long for a line on their own (URLs) are split anywhere.
+     */
+    static wrapText(ctx, text, maxWidth) {
+        const lines = [];
+        let line = '';
+
+        const words = text.split(/\s+/).flatMap(word => {
+            if (ctx.measureText(word).width <= maxWidth) return [word];
+
+            const parts = [];
+            let part = '';
+            Array.from(word).forEach(char => {
+                if (part && ctx.measureText(part + char).width > maxWidth) {
+                    parts.push(part);
+                    part = '';
+                }
+                part += char;
+            });
+            return [...parts, part];
+        });
+
+        words.forEach(word => {
+            const candidate = line ? `${line} ${word}` : word;
+            if (line && ctx.measureText(candidate).width > maxWidth) {
+                lines.push(line);
+                line = word;
+            } else {
+                line = candidate;
+            }
+        });
+        if (line) lines.push(line);
+
+        return lines;
+    }
+
+    /**
+     * Add a rounded rectangle to a new path
+     */
+    static roundRect(ctx, x, y, width, height, radius) {
+        ctx.beginPath();
+        ctx.moveTo(x + radius, y);
+        ctx.arcTo(x + width, y, x + width, y + height, radius);
+        ctx.arcTo(x + width, y + height, x, y + height, radius);
+        ctx.arcTo(x, y + height, x, y, radius);
+        ctx.arcTo(x, y, x + width, y, radius);
+        ctx.closePath();
+    }
+
+    /**
+     * Validate raw templates data
+     *
+     * Returns the valid templates and a list of readable error messages for
+     * the broken ones.
+     */
+    static validate(data) {
+        const errors = [];
+
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            return { templates: [], errors: ['Capture templates file must be a JSON object'] };
+        }
+
+        if (!Array.isArray(data.templates)) {
+            return { templates: [], errors: ['Capture templates "templates" must be an array'] };
+        }
+
+        const seenIds = new Set();
+        const templates = data.templates.filter((template, index) => {
+            const label = template && typeof template.id === 'string' ? `templates[${index}] ("${template.id}")` : `templates[${index}]`;
+            const templateErrors = CaptureTemplates.validateTemplate(template);
+
+            if (templateErrors.length === 0 && seenIds.has(template.id)) {
+                templateErrors.push(`duplicate id "${template.id}"`);
+            }
+
+            if (templateErrors.length > 0) {
+                templateErrors.forEach(error => errors.push(`${label}: ${error}`));
+                return false;
+            }
+
+            seenIds.add(template.id);
+            return true;
+        });
+
+        return { templates, errors };
+    }
+
+    /**
+     * Validate a single template entry
+     */
+    static validateTemplate(template) {
+        const errors = [];
+
+        if (!template || typeof template !== 'object') {
+            return ['entry must be an object'];
+        }
+
+        const isString = (value) => typeof value === 'string' && value.trim() !== '';
+        const isFraction = (value) => typeof value === 'number' && isFinite(value) && value > 0 && value <= 1;
+        const isObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+        const checkPosition = (section, positions = CaptureTemplates.POSITIONS) => {
+            if (!positions.includes(template[section].position)) {
+                errors.push(`${section}.position must be one of ${positions.join(', ')}`);
+            }
+        };
+
+        if (!isString(template.id) || !/^[a-z0-9-]+$/.test(template.id)) {
+            errors.push('id must be a lowercase string of letters, digits and dashes');
+        }
+
+        if (!isString(template.name)) {
+            errors.push('name must be a non-empty string');
+        }
+
+        if (template.logo !== undefined) {
+            if (!isObject(template.logo)) {
+                errors.push('logo must be an object with image, position and width');
+            } else {
+                if (!isString(template.logo.image)) errors.push('logo.image must be a non-empty string');
+                checkPosition('logo');
+                if (!isFraction(template.logo.width)) errors.push('logo.width must be a fraction of the capture width (0-1)');
+                if (template.logo.opacity !== undefined && !isFraction(template.logo.opacity)) {
+                    errors.push('logo.opacity must be a number between 0 and 1');
+                }
+            }
+        }
+
+        if (template.frameInfo !== undefined) {
+            if (!isObject(template.frameInfo)) {
+                errors.push('frameInfo must be an object with a position');
+            } else {
+                checkPosition('frameInfo');
+                const fields = template.frameInfo.fields;
+                if (fields !== undefined && (!Array.isArray(fields) || fields.some(field => !CaptureTemplates.FRAME_FIELDS.includes(field)))) {
+                    errors.push(`frameInfo.fields must be a list of ${CaptureTemplates.FRAME_FIELDS.join(', ')}`);
+                }
+            }
+        }
+
+        if (template.productLink !== undefined) {
+            if (!isObject(template.productLink)) {
+                errors.push('productLink must be an object with a position and style');
+            } else {
+                const link = template.productLink;
+                checkPosition('productLink');
+                if (!CaptureTemplates.LINK_STYLES.includes(link.style)) {
+                    errors.push(`productLink.style must be one of ${CaptureTemplates.LINK_STYLES.join(', ')}`);
+                }
+                if (link.size !== undefined && !isFraction(link.size)) {
+                    errors.push('productLink.size must be a fraction of the capture size (0-1)');
+                }
+                if (link.label !== undefined && !isString(link.label)) {
+                    errors.push('productLink.label must be a non-empty string');
+                }
+                if (link.productUrl !== undefined && (!isString(link.productUrl) || !/^https?:\/\//.test(link.productUrl))) {
+                    errors.push('productLink.productUrl must be an http(s) URL pattern');
+                }
+            }
+        }
+
+        if (template.attribution !== undefined) {
+            if (!isObject(template.attribution)) {
+                errors.push('attribution must be an object with a position');
+            } else {
+                checkPosition('attribution', CaptureTemplates.ATTRIBUTION_POSITIONS);
+            }
+        }
+
+        if (template.text !== undefined) {
+            if (!isObject(template.text)) {
+                errors.push('text must be an object of text styles');
+            } else {
+                ['font', 'color', 'background'].forEach(field => {
+                    if (template.text[field] !== undefined && !isString(template.text[field])) {
+                        errors.push(`text.${field} must be a non-empty string`);
+                    }
+                });
+                if (template.text.size !== undefined && !isFraction(template.text.size)) {
+                    errors.push('text.size must be a fraction of the capture size (0-1)');
+                }
+            }
+        }
+
+        return errors;
+    }
+}
+
+CaptureTemplates.POSITIONS = ['top-left', 'top-right', 'bottom-left', 'bottom-right'];
+CaptureTemplates.ATTRIBUTION_POSITIONS = ['top', 'bottom'];
+CaptureTemplates.FRAME_FIELDS = ['brand', 'name', 'variant', 'lens', 'price'];
+CaptureTemplates.LINK_STYLES = ['qr', 'text'];
+
+// Text style used where a template does not set one; size is a fraction of the shorter side
+CaptureTemplates.DEFAULT_TEXT = {
+    font: '"Segoe UI", Helvetica, Arial, sans-serif',
+    color: '#ffffff',
+    background: 'rgba(0, 0, 0, 0.55)',
+    size: 0.032
+};
+
+// Smallest text drawn, in pixels, so small captures stay legible
+CaptureTemplates.MIN_FONT_SIZE = 9;
+
+export { CaptureTemplates };
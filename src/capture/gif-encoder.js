@@ -0,0 +1,177 @@
+/**
+ * GIF Encoder
+ * Minimal animated GIF writer for short try-on clips
+ *
+ * Frames are quantised to one fixed 252-colour palette (6 red x 7 green x 6
+ * blue levels) with ordered dithering, which is fast enough to run while
+ * recording and avoids a palette pass over the whole clip.
+ */
+
+class GifEncoder {
+    constructor(width, height, options = {}) {
+        this.width = width;
+        this.height = height;
+        this.delay = options.delay || 100; // ms per frame
+        this.loop = options.loop !== false;
+        this.chunks = [GifEncoder.getHeader(width, height, this.loop)];
+        this.frameCount = 0;
+    }
+
+    /**
+     * Add a frame from ImageData (or anything with RGBA `data`) of the encoder's size
+     */
+    addFrame(imageData) {
+        const indices = GifEncoder.quantise(imageData.data, this.width, this.height);
+        const delay = Math.round(this.delay / 10); // GIF delays are in hundredths of a second
+
+        const bytes = [
+            // Graphic control extension: delay, no transparency
+            0x21, 0xf9, 0x04, 0x00, delay & 0xff, (delay >> 8) & 0xff, 0x00, 0x00,
+            // Image descriptor: full frame, global palette
+            0x2c, 0, 0, 0, 0,
+            this.width & 0xff, (this.width >> 8) & 0xff,
+            this.height & 0xff, (this.height >> 8) & 0xff,
+            0x00,
+            GifEncoder.MIN_CODE_SIZE
+        ];
+
+        const data = GifEncoder.lzw(indices, GifEncoder.MIN_CODE_SIZE);
+        for (let offset = 0; offset < data.length; offset += 255) {
+            const block = data.subarray(offset, offset + 255);
+            bytes.push(block.length, ...block);
+        }
+        bytes.push(0x00);
+
+        this.chunks.push(new Uint8Array(bytes));
+        this.frameCount++;
+    }
+
+    /**
+     * Finish the file and get it as a Blob
+     */
+    finish() {
+        return new Blob([...this.chunks, new Uint8Array([0x3b])], { type: 'image/gif' });
+    }
+
+    /**
+     * Header, global palette and the looping extension
+     */
+    static getHeader(width, height, loop) {
+        const bytes = [
+            ...Array.from('GIF89a', char => char.charCodeAt(0)),
+            width & 0xff, (width >> 8) & 0xff,
+            height & 0xff, (height >> 8) & 0xff,
+            0xf7, // global palette of 256 colours
+            0x00, 0x00
+        ];
+
+        for (let index = 0; index < 256; index++) {
+            bytes.push(...GifEncoder.getPaletteColour(index));
+        }
+
+        if (loop) {
+            bytes.push(0x21, 0xff, 0x0b, ...Array.from('NETSCAPE2.0', char => char.charCodeAt(0)), 0x03, 0x01, 0x00, 0x00, 0x00);
+        }
+
+        return new Uint8Array(bytes);
+    }
+
+    /**
+     * RGB of a palette index; indices past the 252 colours are black
+     */
+    static getPaletteColour(index) {
+        if (index >= 252) return [0, 0, 0];
+
+        const red = Math.floor(index / 42);
+        const green = Math.floor((index % 42) / 6);
+        const blue = index % 6;
+        return [Math.round(red * 255 / 5), Math.round(green * 255 / 6), Math.round(blue * 255 / 5)];
+    }
+
+    /**
+     * Map RGBA pixels to palette indices with 4x4 ordered dithering
+     */
+    static quantise(data, width, height) {
+        const indices = new Uint8Array(width * height);
+        const bayer = GifEncoder.BAYER;
+        const level = (value, steps, threshold) => Math.min(steps, Math.max(0, Math.round(value / 255 * steps + threshold)));
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const pixel = y * width + x;
+                const threshold = bayer[(y & 3) * 4 + (x & 3)] / 16 - 0.5;
+
+                indices[pixel] =
+                    level(data[pixel * 4], 5, threshold) * 42 +
+                    level(data[pixel * 4 + 1], 6, threshold) * 6 +
+                    level(data[pixel * 4 + 2], 5, threshold);
+            }
+        }
+
+        return indices;
+    }
+
+    /**
+     * GIF flavoured LZW compression of palette indices
+     */
+    static lzw(indices, minCodeSize) {
+        const clearCode = 1 << minCodeSize;
+        const endCode = clearCode + 1;
+        const output = [];
+        let codeSize = minCodeSize + 1;
+        let nextCode = endCode + 1;
+        let table = new Map();
+        let buffer = 0;
+        let bufferBits = 0;
+
+        const write = (code) => {
+            buffer |= code << bufferBits;
+            bufferBits += codeSize;
+            while (bufferBits >= 8) {
+                output.push(buffer & 0xff);
+                buffer >>= 8;
+                bufferBits -= 8;
+            }
+        };
+
+        write(clearCode);
+
+        let current = indices[0];
+        for (let index = 1; index < indices.length; index++) {
+            const value = indices[index];
+            const key = (current << 8) | value;
+            const code = table.get(key);
+
+            if (code !== undefined) {
+                current = code;
+                continue;
+            }
+
+            write(current);
+            if (nextCode === 4096) {
+                // Table full: start over
+                write(clearCode);
+                table = new Map();
+                nextCode = endCode + 1;
+                codeSize = minCodeSize + 1;
+            } else {
+                if (nextCode >= (1 << codeSize)) codeSize++;
+                table.set(key, nextCode++);
+            }
+            current = value;
+        }
+
+        write(current);
+        write(endCode);
+        if (bufferBits > 0) output.push(buffer & 0xff);
+
+        return new Uint8Array(output);
+    }
+}
+
+GifEncoder.MIN_CODE_SIZE = 8;
+
+// 4x4 Bayer matrix for ordered dithering
+GifEncoder.BAYER = [0, 8, 2, 10, 12, 4, 14, 6, 3, 11, 1, 9, 15, 7, 13, 5];
+
+export { GifEncoder };
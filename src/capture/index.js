@@ -0,0 +1,10 @@
+/**
+ * Capture
+ * Photos, clips and the gallery, with branding templates and their encoders
+ */
+
+export { CaptureManager } from './capture-manager.js';
+export { CaptureTemplates } from './capture-templates.js';
+export { GifEncoder } from './gif-encoder.js';
+export { ZipWriter } from './zip-writer.js';
+export { QRCode } from './qr-code.js';
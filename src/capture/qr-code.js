@@ -0,0 +1,424 @@
+/**
+ * QR Code
+ * Minimal QR code encoder for product links on captures
+ *
+ * Encodes text as UTF-8 bytes with error correction level M in the smallest
+ * of versions 1-10 that fits (up to 213 bytes, plenty for a URL).
+ */
+
+class QRCode {
+    /**
+     * Encode text into a QR code
+     *
+     * Returns { size, modules } where modules[y][x] is true for dark modules.
+     * Throws if the text is too long.
+     */
+    static encode(text) {
+        const bytes = Array.from(new TextEncoder().encode(text));
+        const version = QRCode.getVersion(bytes.length);
+        if (!version) throw new Error(`Text is too long for a QR code (${bytes.length} bytes)`);
+
+        const codewords = QRCode.addErrorCorrection(QRCode.getDataCodewords(bytes, version), version);
+        const size = version * 4 + 17;
+
+        const { modules, reserved } = QRCode.getFunctionPatterns(version);
+        QRCode.placeData(modules, reserved, codewords);
+
+        // Keep the mask with the lowest penalty
+        let best = null;
+        for (let mask = 0; mask < 8; mask++) {
+            const masked = QRCode.applyMask(modules, reserved, mask);
+            QRCode.placeFormat(masked, mask);
+            const penalty = QRCode.getPenalty(masked);
+            if (!best || penalty < best.penalty) best = { modules: masked, penalty };
+        }
+
+        return { size, modules: best.modules };
+    }
+
+    /**
+     * Draw a QR code with its quiet zone, `size` pixels square
+     */
+    static draw(ctx, qr, x, y, size, options = {}) {
+        const quietZone = 4;
+        const moduleSize = size / (qr.size + quietZone * 2);
+
+        ctx.save();
+        ctx.fillStyle = options.light || '#ffffff';
+        ctx.fillRect(x, y, size, size);
+        ctx.fillStyle = options.dark || '#000000';
+        qr.modules.forEach((row, moduleY) => {
+            row.forEach((dark, moduleX) => {
+                if (!dark) return;
+                // Round to whole pixels so neighbouring modules leave no seams
+                const left = Math.round(x + (moduleX + quietZone) * moduleSize);
+                const top = Math.round(y + (moduleY + quietZone) * moduleSize);
+                const right = Math.round(x + (moduleX + quietZone + 1) * moduleSize);
+                const bottom = Math.round(y + (moduleY + quietZone + 1) * moduleSize);
+                ctx.fillRect(left, top, right - left, bottom - top);
+            });
+        });
+        ctx.restore();
+    }
+
+    /**
+     * Smallest version that holds the data, or null
+     */
+    static getVersion(byteCount) {
+        for (let version = 1; version <= 10; version++) {
+            const countBits = version < 10 ? 8 : 16;
+            const capacity = QRCode.getDataCapacity(version) * 8;
+            if (4 + countBits + byteCount * 8 <= capacity) return version;
+        }
+        return null;
+    }
+
+    /**
+     * Number of data codewords of a version
+     */
+    static getDataCapacity(version) {
+        const { groups } = QRCode.EC_BLOCKS[version];
+        return groups.reduce((total, [blocks, dataCodewords]) => total + blocks * dataCodewords, 0);
+    }
+
+    /**
+     * Byte mode segment, terminator and padding, as codewords
+     */
+    static getDataCodewords(bytes, version) {
+        const bits = [];
+        const push = (value, length) => {
+            for (let bit = length - 1; bit >= 0; bit--) bits.push((value >> bit) & 1);
+        };
+
+        push(0b0100, 4);
+        push(bytes.length, version < 10 ? 8 : 16);
+        bytes.forEach(byte => push(byte, 8));
+
+        const capacity = QRCode.getDataCapacity(version);
+        push(0, Math.min(4, capacity * 8 - bits.length));
+        while (bits.length % 8 !== 0) bits.push(0);
+
+        const codewords = [];
+        for (let index = 0; index < bits.length; index += 8) {
+            codewords.push(bits.slice(index, index + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+        }
+        for (let pad = 0; codewords.length < capacity; pad++) {
+            codewords.push(pad % 2 === 0 ? 0xec : 0x11);
+        }
+
+        return codewords;
+    }
+
+    /**
+     * Split data into blocks, add Reed-Solomon codewords and interleave
+     */
+    static addErrorCorrection(data, version) {
+        const { ecCodewords, groups } = QRCode.EC_BLOCKS[version];
+        const generator = QRCode.getGenerator(ecCodewords);
+        const blocks = [];
+        let offset = 0;
+
+        groups.forEach(([count, dataCodewords]) => {
+            for (let block = 0; block < count; block++) {
+                const blockData = data.slice(offset, offset + dataCodewords);
+                offset += dataCodewords;
+                blocks.push({ data: blockData, ec: QRCode.getRemainder(blockData, generator) });
+            }
+        });
+
+        const result = [];
+        const longest = Math.max(...blocks.map(block => block.data.length));
+        for (let index = 0; index < longest; index++) {
+            blocks.forEach(block => {
+                if (index < block.data.length) result.push(block.data[index]);
+            });
+        }
+        for (let index = 0; index < ecCodewords; index++) {
+            blocks.forEach(block => result.push(block.ec[index]));
+        }
+
+        return result;
+    }
+
+    /**
+     * Reed-Solomon generator polynomial of a degree, highest power first
+     */
+    static getGenerator(degree) {
+        let polynomial = [1];
+        for (let index = 0; index < degree; index++) {
+            const next = new Array(polynomial.length + 1).fill(0);
+            polynomial.forEach((coefficient, power) => {
+                next[power] ^= coefficient;
+                next[power + 1] ^= QRCode.multiply(coefficient, QRCode.EXP[index]);
+            });
+            polynomial = next;
+        }
+        return polynomial;
+    }
+
+    /**
+     * Error correction codewords: remainder of data * x^n divided by the generator
+     */
+    static getRemainder(data, generator) {
+        const remainder = new Array(generator.length - 1).fill(0);
+        data.forEach(byte => {
+            const factor = byte ^ remainder.shift();
+            remainder.push(0);
+            for (let index = 0; index < remainder.length; index++) {
+                remainder[index] ^= QRCode.multiply(generator[index + 1], factor);
+            }
+        });
+        return remainder;
+    }
+
+    /**
+     * Multiply in GF(256)
+     */
+    static multiply(a, b) {
+        if (a === 0 || b === 0) return 0;
+        return QRCode.EXP[(QRCode.LOG[a] + QRCode.LOG[b]) % 255];
+    }
+
+    /**
+     * Finder, timing and alignment patterns, plus the reserved format and version areas
+     */
+    static getFunctionPatterns(version) {
+        const size = version * 4 + 17;
+        const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+        const reserved = Array.from({ length: size }, () => new Array(size).fill(false));
+        const set = (x, y, dark) => {
+            if (x < 0 || y < 0 || x >= size || y >= size) return;
+            modules[y][x] = dark;
+            reserved[y][x] = true;
+        };
+
+        // Finders with their separators
+        [[0, 0], [size - 7, 0], [0, size - 7]].forEach(([left, top]) => {
+            for (let dy = -1; dy <= 7; dy++) {
+                for (let dx = -1; dx <= 7; dx++) {
+                    const ring = Math.max(Math.abs(dx - 3), Math.abs(dy - 3));
+                    set(left + dx, top + dy, ring !== 2 && ring !== 4);
+                }
+            }
+        });
+
+        // Timing
+        for (let index = 8; index < size - 8; index++) {
+            set(index, 6, index % 2 === 0);
+            set(6, index, index % 2 === 0);
+        }
+
+        // Alignment patterns, skipping those over the finders
+        const positions = QRCode.ALIGNMENT[version];
+        const last = positions.length - 1;
+        positions.forEach((cy, row) => {
+            positions.forEach((cx, column) => {
+                if ((row === 0 && column === 0) || (row === 0 && column === last) || (row === last && column === 0)) return;
+                for (let dy = -2; dy <= 2; dy++) {
+                    for (let dx = -2; dx <= 2; dx++) {
+                        set(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+                    }
+                }
+            });
+        });
+
+        // Format areas (filled in per mask) and the always-dark module
+        for (let index = 0; index < 9; index++) {
+            if (!reserved[8][index]) set(index, 8, false);
+            if (!reserved[index][8]) set(8, index, false);
+        }
+        for (let index = 0; index < 8; index++) {
+            set(size - 1 - index, 8, false);
+            set(8, size - 1 - index, false);
+        }
+        set(8, size - 8, true);
+
+        // Version information
+        if (version >= 7) {
+            const bits = QRCode.getVersionBits(version);
+            for (let index = 0; index < 18; index++) {
+                const dark = ((bits >> index) & 1) === 1;
+                const a = Math.floor(index / 3);
+                const b = size - 11 + (index % 3);
+                set(a, b, dark);
+                set(b, a, dark);
+            }
+        }
+
+        return { modules, reserved };
+    }
+
+    /**
+     * Place codewords in the zigzag column pairs from the bottom right
+     */
+    static placeData(modules, reserved, codewords) {
+        const size = modules.length;
+        let bitIndex = 0;
+        const totalBits = codewords.length * 8;
+
+        for (let right = size - 1; right >= 1; right -= 2) {
+            if (right === 6) right = 5; // skip the vertical timing column
+            for (let step = 0; step < size; step++) {
+                for (let column = 0; column < 2; column++) {
+                    const x = right - column;
+                    const upwards = ((right + 1) & 2) === 0;
+                    const y = upwards ? size - 1 - step : step;
+                    if (reserved[y][x]) continue;
+
+                    // Remainder bits after the last codeword stay light
+                    if (bitIndex < totalBits) {
+                        modules[y][x] = ((codewords[bitIndex >> 3] >> (7 - (bitIndex & 7))) & 1) === 1;
+                    }
+                    bitIndex++;
+                }
+            }
+        }
+    }
+
+    /**
+     * Copy of the modules with a data mask applied
+     */
+    static applyMask(modules, reserved, mask) {
+        const condition = QRCode.MASKS[mask];
+        return modules.map((row, y) => row.map((dark, x) => (reserved[y][x] || !condition(x, y) ? dark : !dark)));
+    }
+
+    /**
+     * Write the format bits (level M and the mask) in both copies
+     */
+    static placeFormat(modules, mask) {
+        const size = modules.length;
+        const data = (0b00 << 3) | mask; // level M
+        let remainder = data;
+        for (let index = 0; index < 10; index++) {
+            remainder = (remainder << 1) ^ ((remainder >> 9) * 0x537);
+        }
+        const bits = ((data << 10) | remainder) ^ 0x5412;
+        const bit = (index) => ((bits >> index) & 1) === 1;
+
+        // Around the top left finder
+        for (let index = 0; index <= 5; index++) modules[index][8] = bit(index);
+        modules[7][8] = bit(6);
+        modules[8][8] = bit(7);
+        modules[8][7] = bit(8);
+        for (let index = 9; index < 15; index++) modules[8][14 - index] = bit(index);
+
+        // Split between the other two finders
+        for (let index = 0; index < 8; index++) modules[8][size - 1 - index] = bit(index);
+        for (let index = 8; index < 15; index++) modules[size - 15 + index][8] = bit(index);
+        modules[size - 8][8] = true;
+    }
+
+    /**
+     * 18 version bits with their BCH error correction
+     */
+    static getVersionBits(version) {
+        let remainder = version;
+        for (let index = 0; index < 12; index++) {
+            remainder = (remainder << 1) ^ ((remainder >> 11) * 0x1f25);
+        }
+        return (version << 12) | remainder;
+    }
+
+    /**
+     * Penalty score used to pick the mask
+     */
+    static getPenalty(modules) {
+        const size = modules.length;
+        let penalty = 0;
+
+        const scoreLine = (line) => {
+            let score = 0;
+            let runColour = null;
+            let runLength = 0;
+            line.forEach(dark => {
+                if (dark === runColour) {
+                    runLength++;
+                } else {
+                    if (runLength >= 5) score += runLength - 2;
+                    runColour = dark;
+                    runLength = 1;
+                }
+            });
+            if (runLength >= 5) score += runLength - 2;
+
+            // Finder-like 1:1:3:1:1 runs with four light modules on one side
+            const text = line.map(dark => (dark ? '1' : '0')).join('');
+            score += 40 * ((text.match(/(?=10111010000)/g) || []).length + (text.match(/(?=00001011101)/g) || []).length);
+            return score;
+        };
+
+        for (let index = 0; index < size; index++) {
+            penalty += scoreLine(modules[index]);
+            penalty += scoreLine(modules.map(row => row[index]));
+        }
+
+        let dark = 0;
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                if (modules[y][x]) dark++;
+                if (x < size - 1 && y < size - 1) {
+                    const colour = modules[y][x];
+                    if (modules[y][x + 1] === colour && modules[y + 1][x] === colour && modules[y + 1][x + 1] === colour) {
+                        penalty += 3;
+                    }
+                }
+            }
+        }
+
+        penalty += Math.floor(Math.abs(dark * 20 - size * size * 10) / (size * size)) * 10;
+        return penalty;
+    }
+}
+
+// Level M error correction: codewords per block and [blocks, data codewords] groups
+QRCode.EC_BLOCKS = {
+    1: { ecCodewords: 10, groups: [[1, 16]] },
+    2: { ecCodewords: 16, groups: [[1, 28]] },
+    3: { ecCodewords: 26, groups: [[1, 44]] },
+    4: { ecCodewords: 18, groups: [[2, 32]] },
+    5: { ecCodewords: 24, groups: [[2, 43]] },
+    6: { ecCodewords: 16, groups: [[4, 27]] },
+    7: { ecCodewords: 18, groups: [[4, 31]] },
+    8: { ecCodewords: 22, groups: [[2, 38], [2, 39]] },
+    9: { ecCodewords: 22, groups: [[3, 36], [2, 37]] },
+    10: { ecCodewords: 26, groups: [[4, 43], [1, 44]] }
+};
+
+// Alignment pattern centres per version
+QRCode.ALIGNMENT = {
+    1: [],
+    2: [6, 18],
+    3: [6, 22],
+    4: [6, 26],
+    5: [6, 30],
+    6: [6, 34],
+    7: [6, 22, 38],
+    8: [6, 24, 42],
+    9: [6, 26, 46],
+    10: [6, 28, 50]
+};
+
+// Data masks: a module is flipped where the condition holds
+QRCode.MASKS = [
+    (x, y) => (x + y) % 2 === 0,
+    (x, y) => y % 2 === 0,
+    (x) => x % 3 === 0,
+    (x, y) => (x + y) % 3 === 0,
+    (x, y) => (Math.floor(y / 2) + Math.floor(x / 3)) % 2 === 0,
+    (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+    (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+    (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0
+];
+
+// GF(256) exponent and log tables for the 0x11d polynomial
+QRCode.EXP = new Array(256);
+QRCode.LOG = new Array(256);
+for (let index = 0, value = 1; index < 256; index++) {
+    QRCode.EXP[index] = value;
+    QRCode.LOG[value] = index;
+    value <<= 1;
+    if (value & 0x100) value ^= 0x11d;
+}
+
+export { QRCode };
@@ -0,0 +1,135 @@
+/**
+ * Zip Writer
+ * Bundles files into an uncompressed ("stored") zip archive
+ *
+ * Captures are already compressed (PNG, WebM, GIF), so storing them as-is
+ * keeps the archive small enough without a deflate implementation.
+ */
+
+class ZipWriter {
+    constructor() {
+        this.entries = [];
+    }
+
+    /**
+     * Add a file; `data` is a Blob, ArrayBuffer or Uint8Array
+     */
+    async addFile(name, data, date = new Date()) {
+        let bytes = data;
+        if (data instanceof Blob) bytes = new Uint8Array(await data.arrayBuffer());
+        else if (data instanceof ArrayBuffer) bytes = new Uint8Array(data);
+
+        this.entries.push({
+            name: ZipWriter.getUniqueName(name, this.entries),
+            bytes,
+            crc: ZipWriter.crc32(bytes),
+            date
+        });
+    }
+
+    /**
+     * Build the archive as a Blob
+     */
+    finish() {
+        const encoder = new TextEncoder();
+        const parts = [];
+        const directory = [];
+        let offset = 0;
+
+        this.entries.forEach(entry => {
+            const name = encoder.encode(entry.name);
+            const { time, date } = ZipWriter.getDosDateTime(entry.date);
+
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034b50, true);
+            local.setUint16(4, 20, true);          // version needed
+            local.setUint16(6, 0x0800, true);      // UTF-8 names
+            local.setUint16(8, 0, true);           // stored
+            local.setUint16(10, time, true);
+            local.setUint16(12, date, true);
+            local.setUint32(14, entry.crc, true);
+            local.setUint32(18, entry.bytes.length, true);
+            local.setUint32(22, entry.bytes.length, true);
+            local.setUint16(26, name.length, true);
+            local.setUint16(28, 0, true);
+            parts.push(local, name, entry.bytes);
+
+            const central = new DataView(new ArrayBuffer(46));
+            central.setUint32(0, 0x02014b50, true);
+            central.setUint16(4, 20, true);        // version made by
+            central.setUint16(6, 20, true);
+            central.setUint16(8, 0x0800, true);
+            central.setUint16(10, 0, true);
+            central.setUint16(12, time, true);
+            central.setUint16(14, date, true);
+            central.setUint32(16, entry.crc, true);
+            central.setUint32(20, entry.bytes.length, true);
+            central.setUint32(24, entry.bytes.length, true);
+            central.setUint16(28, name.length, true);
+            central.setUint32(42, offset, true);   // local header offset
+            directory.push(central, name);
+
+            offset += 30 + name.length + entry.bytes.length;
+        });
+
+        const directorySize = directory.reduce((size, part) => size + part.byteLength, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);
+        end.setUint16(8, this.entries.length, true);
+        end.setUint16(10, this.entries.length, true);
+        end.setUint32(12, directorySize, true);
+        end.setUint32(16, offset, true);
+
+        return new Blob([...parts, ...directory, end], { type: 'application/zip' });
+    }
+
+    /**
+     * Avoid duplicate names by adding " (2)", " (3)"... before the extension
+     */
+    static getUniqueName(name, entries) {
+        const taken = new Set(entries.map(entry => entry.name));
+        if (!taken.has(name)) return name;
+
+        const dot = name.lastIndexOf('.');
+        const base = dot > 0 ? name.slice(0, dot) : name;
+        const extension = dot > 0 ? name.slice(dot) : '';
+        let count = 2;
+        while (taken.has(`${base} (${count})${extension}`)) count++;
+        return `${base} (${count})${extension}`;
+    }
+
+    /**
+     * MS-DOS time and date fields used by zip headers
+     */
+    static getDosDateTime(date) {
+        return {
+            time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+            date: ((Math.max(1980, date.getFullYear()) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+        };
+    }
+
+    /**
+     * CRC-32 checksum of some bytes
+     */
+    static crc32(bytes) {
+        if (!ZipWriter.crcTable) {
+            ZipWriter.crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+                ZipWriter.crcTable[n] = c >>> 0;
+            }
+        }
+
+        let crc = 0xffffffff;
+        for (let index = 0; index < bytes.length; index++) {
+            crc = ZipWriter.crcTable[(crc ^ bytes[index]) & 0xff] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xffffffff) >>> 0;
+    }
+}
+
+// Built on first use
+ZipWriter.crcTable = null;
+
+export { ZipWriter };
@@ -0,0 +1,494 @@
+/**
+ * Frame Catalog
+ * Loads and validates the JSON catalog of glasses frames
+ */
+
+class CatalogValidationError extends Error {
+    constructor(message, errors = []) {
+        super(message);
+        this.name = 'CatalogValidationError';
+        this.errors = errors;
+    }
+}
+
+class FrameCatalog {
+    constructor() {
+        this.url = null;
+        this.version = null;
+        this.defaultFrameId = null;
+        this.frames = [];
+        this.framesById = new Map();
+        this.lenses = [];
+        this.lensesById = new Map();
+
+        // Problems found in the last loaded catalog (broken entries are skipped)
+        this.errors = [];
+    }
+
+    /**
+     * Fetch and validate a catalog file
+     */
+    async load(url) {
+        let data;
+
+        try {
+            const response = await fetch(url);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            data = await response.json();
+        } catch (error) {
+            throw new CatalogValidationError(`Failed to load frame catalog ${url}: ${error.message}`);
+        }
+
+        this.url = new URL(url, document.baseURI).href;
+        this.setData(data);
+        return this;
+    }
+
+    /**
+     * Validate catalog data and keep the valid frames
+     */
+    setData(data) {
+        const { frames, lenses, errors } = FrameCatalog.validate(data);
+
+        if (frames.length === 0) {
+            throw new CatalogValidationError('Frame catalog has no valid frames', errors);
+        }
+
+        this.version = data.version;
+        this.errors = errors;
+        this.frames = frames.map(frame => this.resolveFrame(frame));
+        this.framesById = new Map(this.frames.map(frame => [frame.id, frame]));
+        this.lenses = lenses;
+        this.lensesById = new Map(lenses.map(lens => [lens.id, lens]));
+
+        if (data.defaultFrame && this.framesById.has(data.defaultFrame)) {
+            this.defaultFrameId = data.defaultFrame;
+        } else {
+            if (data.defaultFrame) {
+                this.errors.push(`defaultFrame "${data.defaultFrame}" does not match any valid frame`);
+            }
+            this.defaultFrameId = this.frames[0].id;
+        }
+
+        this.errors.forEach(error => console.error('[FrameCatalog]', error));
+    }
+
+    /**
+     * Resolve asset paths relative to the catalog file
+     */
+    resolveFrame(frame) {
+        const base = this.url || document.baseURI;
+        const resolve = (path) => (path ? new URL(path, base).href : null);
+
+        const resolveTextures = (textures) => {
+            if (!textures) return undefined;
+            const resolved = {};
+            Object.keys(textures).forEach(name => {
+                resolved[name] = resolve(textures[name]);
+            });
+            return resolved;
+        };
+
+        return {
+            ...frame,
+            previewImage: resolve(frame.previewImage),
+            overlayImage: resolve(frame.overlayImage),
+            model: resolve(frame.model),
+            variants: frame.variants && frame.variants.map(variant => ({
+                ...variant,
+                previewImage: resolve(variant.previewImage),
+                overlayImage: resolve(variant.overlayImage),
+                textures: resolveTextures(variant.textures)
+            }))
+        };
+    }
+
+    /**
+     * Get all valid frames in catalog order
+     */
+    getFrames() {
+        return this.frames;
+    }
+
+    /**
+     * Get a frame by id
+     */
+    getFrame(id) {
+        return this.framesById.get(id) || null;
+    }
+
+    /**
+     * Get the lenses offered for a frame, in catalog order
+     *
+     * Frames without a `lenses` list can have any lens in the catalog.
+     */
+    getLenses(frameId) {
+        const frame = this.getFrame(frameId);
+        if (!frame || !frame.lenses) return this.lenses;
+        return frame.lenses.map(id => this.lensesById.get(id));
+    }
+
+    /**
+     * Get a lens by id
+     */
+    getLens(id) {
+        return this.lensesById.get(id) || null;
+    }
+
+    /**
+     * Get the frame selected on first load
+     */
+    getDefaultFrame() {
+        return this.getFrame(this.defaultFrameId);
+    }
+
+    /**
+     * Validate raw catalog data
+     *
+     * Returns the valid frame and lens entries and a list of readable error
+     * messages for the broken ones.
+     */
+    static validate(data) {
+        const errors = [];
+
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            return { frames: [], lenses: [], errors: ['Catalog must be a JSON object'] };
+        }
+
+        if (!Array.isArray(data.frames)) {
+            return { frames: [], lenses: [], errors: ['Catalog "frames" must be an array'] };
+        }
+
+        // Lenses first, so frames can be checked against the lens ids
+        const lensIds = new Set();
+        let lenses = [];
+        if (data.lenses !== undefined && !Array.isArray(data.lenses)) {
+            errors.push('Catalog "lenses" must be an array');
+        } else if (data.lenses) {
+            lenses = data.lenses.filter((lens, index) => {
+                const label = lens && typeof lens.id === 'string' ? `lenses[${index}] ("${lens.id}")` : `lenses[${index}]`;
+                const lensErrors = FrameCatalog.validateLens(lens);
+
+                if (lensErrors.length === 0 && lensIds.has(lens.id)) {
+                    lensErrors.push(`duplicate id "${lens.id}"`);
+                }
+
+                if (lensErrors.length > 0) {
+                    lensErrors.forEach(error => errors.push(`${label}: ${error}`));
+                    return false;
+                }
+
+                lensIds.add(lens.id);
+                return true;
+            });
+        }
+
+        const seenIds = new Set();
+        const frames = data.frames.filter((frame, index) => {
+            const label = frame && typeof frame.id === 'string' ? `frames[${index}] ("${frame.id}")` : `frames[${index}]`;
+            const frameErrors = FrameCatalog.validateFrame(frame, lensIds);
+
+            if (frameErrors.length === 0 && seenIds.has(frame.id)) {
+                frameErrors.push(`duplicate id "${frame.id}"`);
+            }
+
+            if (frameErrors.length > 0) {
+                frameErrors.forEach(error => errors.push(`${label}: ${error}`));
+                return false;
+            }
+
+            seenIds.add(frame.id);
+            return true;
+        });
+
+        return { frames, lenses, errors };
+    }
+
+    /**
+     * Validate a single frame entry against the catalog's lens ids
+     */
+    static validateFrame(frame, lensIds = new Set()) {
+        const errors = [];
+
+        if (!frame || typeof frame !== 'object') {
+            return ['entry must be an object'];
+        }
+
+        const isString = (value) => typeof value === 'string' && value.trim() !== '';
+        const isPositive = (value) => typeof value === 'number' && isFinite(value) && value > 0;
+
+        if (!isString(frame.id) || !/^[a-z0-9-]+$/.test(frame.id)) {
+            errors.push('id must be a lowercase string of letters, digits and dashes');
+        }
+
+        ['name', 'brand', 'previewImage', 'overlayImage'].forEach(field => {
+            if (!isString(frame[field])) {
+                errors.push(`${field} must be a non-empty string`);
+            }
+        });
+
+        if (!frame.price || typeof frame.price !== 'object') {
+            errors.push('price must be an object with amount and currency');
+        } else {
+            if (typeof frame.price.amount !== 'number' || !isFinite(frame.price.amount) || frame.price.amount < 0) {
+                errors.push('price.amount must be a number of at least 0');
+            }
+            if (!isString(frame.price.currency) || !/^[A-Z]{3}$/.test(frame.price.currency)) {
+                errors.push('price.currency must be a three-letter ISO 4217 code');
+            }
+        }
+
+        if (frame.model !== undefined && (!isString(frame.model) || !/\.(gltf|glb)$/i.test(frame.model))) {
+            errors.push('model must be a path to a .gltf or .glb file');
+        }
+
+        if (frame.productUrl !== undefined && (!isString(frame.productUrl) || !/^https?:\/\//.test(frame.productUrl))) {
+            errors.push('productUrl must be an http(s) URL');
+        }
+
+        if (!frame.dimensions || typeof frame.dimensions !== 'object') {
+            errors.push('dimensions must be an object with sizes in millimetres');
+        } else {
+            ['lensWidth', 'lensHeight', 'bridgeWidth', 'templeLength'].forEach(field => {
+                if (!isPositive(frame.dimensions[field])) {
+                    errors.push(`dimensions.${field} must be a positive number of millimetres`);
+                }
+            });
+            if (frame.dimensions.frameWidth !== undefined && !isPositive(frame.dimensions.frameWidth)) {
+                errors.push('dimensions.frameWidth must be a positive number of millimetres');
+            }
+        }
+
+        errors.push(...FrameCatalog.validateFit(frame));
+
+        errors.push(...FrameCatalog.validateVariants(frame));
+
+        if (frame.lenses !== undefined) {
+            if (!Array.isArray(frame.lenses) || frame.lenses.length === 0) {
+                errors.push('lenses must be a non-empty array of lens ids');
+            } else {
+                frame.lenses
+                    .filter(id => !lensIds.has(id))
+                    .forEach(id => errors.push(`lenses: "${id}" does not match any valid lens`));
+            }
+        }
+
+        if (frame.defaultLens !== undefined) {
+            const offered = Array.isArray(frame.lenses) ? frame.lenses.includes(frame.defaultLens) : lensIds.has(frame.defaultLens);
+            if (!offered) {
+                errors.push(`defaultLens "${frame.defaultLens}" must be one of the frame's lenses`);
+            }
+        }
+
+        if (!frame.license || typeof frame.license !== 'object') {
+            errors.push('license must be an object with attribution details');
+        } else {
+            ['title', 'author', 'source', 'type', 'credit'].forEach(field => {
+                if (!isString(frame.license[field])) {
+                    errors.push(`license.${field} must be a non-empty string`);
+                }
+            });
+        }
+
+        return errors;
+    }
+
+    /**
+     * Validate a frame's fit anchors
+     *
+     * `fit.overlay` holds [x, y] image pixels of the overlay image and
+     * `fit.model` holds [x, y, z] glTF scene units, required when a model is set.
+     */
+    static validateFit(frame) {
+        const errors = [];
+        const anchorNames = ['leftLens', 'rightLens', 'bridge', 'leftTemple', 'rightTemple'];
+        const isPoint = (value, length) => Array.isArray(value) && value.length === length &&
+            value.every(coordinate => typeof coordinate === 'number' && isFinite(coordinate));
+
+        if (!frame.fit || typeof frame.fit !== 'object') {
+            return ['fit must be an object with overlay (and model) anchors'];
+        }
+
+        const checkAnchors = (section, length) => {
+            const anchors = frame.fit[section];
+            if (!anchors || typeof anchors !== 'object') {
+                errors.push(`fit.${section} must be an object of anchor points`);
+                return;
+            }
+            anchorNames.forEach(name => {
+                if (!isPoint(anchors[name], length)) {
+                    errors.push(`fit.${section}.${name} must be an array of ${length} numbers`);
+                }
+            });
+            if (isPoint(anchors.leftLens, length) && isPoint(anchors.rightLens, length) &&
+                anchors.leftLens.every((coordinate, axis) => coordinate === anchors.rightLens[axis])) {
+                errors.push(`fit.${section}.leftLens and rightLens must be different points`);
+            }
+        };
+
+        checkAnchors('overlay', 2);
+        if (frame.model !== undefined || frame.fit.model !== undefined) {
+            checkAnchors('model', 3);
+        }
+
+        return errors;
+    }
+
+    /**
+     * Validate a frame's colour and material variants
+     *
+     * Each variant has an id, name and #rrggbb `swatch`, and may set
+     * `previewImage`, `overlayImage`, a 2D `recolor` rule, and for the model
+     * `materials` ({ color, metalness, roughness } per glTF material name)
+     * and `textures` (base colour texture path per glTF material name).
+     */
+    static validateVariants(frame) {
+        const errors = [];
+        const isString = (value) => typeof value === 'string' && value.trim() !== '';
+        const isColor = (value) => typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value);
+        const isFraction = (value) => typeof value === 'number' && value >= 0 && value <= 1;
+        const isObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+
+        if (frame.variants === undefined) {
+            if (frame.defaultVariant !== undefined) errors.push('defaultVariant needs a variants list');
+            return errors;
+        }
+
+        if (!Array.isArray(frame.variants) || frame.variants.length === 0) {
+            return ['variants must be a non-empty array'];
+        }
+
+        const seenIds = new Set();
+        frame.variants.forEach((variant, index) => {
+            const label = `variants[${index}]`;
+
+            if (!isObject(variant)) {
+                errors.push(`${label} must be an object`);
+                return;
+            }
+
+            if (!isString(variant.id) || !/^[a-z0-9-]+$/.test(variant.id)) {
+                errors.push(`${label}.id must be a lowercase string of letters, digits and dashes`);
+            } else if (seenIds.has(variant.id)) {
+                errors.push(`${label}: duplicate id "${variant.id}"`);
+            }
+            seenIds.add(variant.id);
+
+            if (!isString(variant.name)) errors.push(`${label}.name must be a non-empty string`);
+            if (!isColor(variant.swatch)) errors.push(`${label}.swatch must be a #rrggbb colour`);
+
+            ['previewImage', 'overlayImage'].forEach(field => {
+                if (variant[field] !== undefined && !isString(variant[field])) {
+                    errors.push(`${label}.${field} must be a non-empty string`);
+                }
+            });
+
+            if (variant.recolor !== undefined) {
+                const rule = variant.recolor;
+                if (!isObject(rule) || !isColor(rule.color)) {
+                    errors.push(`${label}.recolor must be an object with a #rrggbb color`);
+                } else {
+                    if (rule.mode !== undefined && !FrameCatalog.RECOLOR_MODES.includes(rule.mode)) {
+                        errors.push(`${label}.recolor.mode must be one of ${FrameCatalog.RECOLOR_MODES.join(', ')}`);
+                    }
+                    if (rule.strength !== undefined && !isFraction(rule.strength)) {
+                        errors.push(`${label}.recolor.strength must be a number from 0 to 1`);
+                    }
+                }
+            }
+
+            if (variant.materials !== undefined) {
+                if (!isObject(variant.materials)) {
+                    errors.push(`${label}.materials must be an object keyed by glTF material name`);
+                } else {
+                    Object.keys(variant.materials).forEach(name => {
+                        const settings = variant.materials[name];
+                        if (!isObject(settings)) {
+                            errors.push(`${label}.materials["${name}"] must be an object`);
+                            return;
+                        }
+                        if (settings.color !== undefined && !isColor(settings.color)) {
+                            errors.push(`${label}.materials["${name}"].color must be a #rrggbb colour`);
+                        }
+                        ['metalness', 'roughness'].forEach(field => {
+                            if (settings[field] !== undefined && !isFraction(settings[field])) {
+                                errors.push(`${label}.materials["${name}"].${field} must be a number from 0 to 1`);
+                            }
+                        });
+                    });
+                }
+            }
+
+            if (variant.textures !== undefined) {
+                if (!isObject(variant.textures) || !Object.values(variant.textures).every(isString)) {
+                    errors.push(`${label}.textures must map glTF material names to texture paths`);
+                }
+            }
+        });
+
+        if (frame.defaultVariant !== undefined && !seenIds.has(frame.defaultVariant)) {
+            errors.push(`defaultVariant "${frame.defaultVariant}" does not match any of the frame's variants`);
+        }
+
+        return errors;
+    }
+
+    /**
+     * Validate a single lens entry
+     *
+     * `color` is #rrggbb; `opacity`, `bottomOpacity` (gradients) and
+     * `clearOpacity` (photochromic, indoors) are 0-1.
+     */
+    static validateLens(lens) {
+        const errors = [];
+
+        if (!lens || typeof lens !== 'object') {
+            return ['entry must be an object'];
+        }
+
+        if (typeof lens.id !== 'string' || !/^[a-z0-9-]+$/.test(lens.id)) {
+            errors.push('id must be a lowercase string of letters, digits and dashes');
+        }
+
+        if (typeof lens.name !== 'string' || lens.name.trim() === '') {
+            errors.push('name must be a non-empty string');
+        }
+
+        if (!FrameCatalog.LENS_TYPES.includes(lens.type)) {
+            errors.push(`type must be one of ${FrameCatalog.LENS_TYPES.join(', ')}`);
+        }
+
+        if (lens.color !== undefined && (typeof lens.color !== 'string' || !/^#[0-9a-f]{6}$/i.test(lens.color))) {
+            errors.push('color must be a #rrggbb colour');
+        }
+
+        ['opacity', 'bottomOpacity', 'clearOpacity'].forEach(field => {
+            const value = lens[field];
+            if (value !== undefined && (typeof value !== 'number' || !(value >= 0 && value <= 1))) {
+                errors.push(`${field} must be a number from 0 to 1`);
+            }
+        });
+
+        return errors;
+    }
+
+    /**
+     * Format a frame price for display
+     */
+    static formatPrice(price) {
+        try {
+            return new Intl.NumberFormat(undefined, { style: 'currency', currency: price.currency }).format(price.amount);
+        } catch (error) {
+            return `${price.amount} ${price.currency}`;
+        }
+    }
+}
+
+FrameCatalog.LENS_TYPES = ['clear', 'tint', 'gradient', 'mirror', 'photochromic'];
+
+// Canvas blend modes a variant's recolour rule may use
+FrameCatalog.RECOLOR_MODES = ['color', 'hue', 'multiply', 'screen', 'overlay', 'soft-light', 'source-atop'];
+
+export { FrameCatalog, CatalogValidationError };
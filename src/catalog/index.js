@@ -0,0 +1,7 @@
+/**
+ * Catalog
+ * The frame catalog and saved looks
+ */
+
+export { FrameCatalog, CatalogValidationError } from './frame-catalog.js';
+export { LookCollection } from './look-collection.js';
@@ -0,0 +1,143 @@
+/**
+ * Look Collection
+ * Favourite and recently tried looks, remembered in localStorage
+ *
+ * A look is { frame, variant, lens }: a catalog frame id with the variant id
+ * (null for frames without variants) and lens id it was worn with.
+ */
+
+class LookCollection {
+    constructor(options = {}) {
+        this.storageKey = options.storageKey || 'virtualGlasses.looks';
+        this.maxFavourites = options.maxFavourites || 24;
+        this.maxHistory = options.maxHistory || 8;
+
+        const saved = this.load();
+        this.favourites = saved.favourites;
+        this.history = saved.history;
+
+        this.callbacks = {
+            onChange: null
+        };
+    }
+
+    /**
+     * Get the favourite looks, newest first
+     */
+    getFavourites() {
+        return this.favourites;
+    }
+
+    /**
+     * Check if a look is a favourite
+     */
+    isFavourite(look) {
+        const key = LookCollection.getKey(look);
+        return this.favourites.some(favourite => LookCollection.getKey(favourite) === key);
+    }
+
+    /**
+     * Add a look to the favourites, or remove it if it is one already
+     *
+     * Returns true when the look is now a favourite.
+     */
+    toggleFavourite(look) {
+        if (this.isFavourite(look)) {
+            this.removeFavourite(look);
+            return false;
+        }
+
+        this.favourites = [LookCollection.normalise(look), ...this.favourites].slice(0, this.maxFavourites);
+        this.save();
+        return true;
+    }
+
+    /**
+     * Remove a look from the favourites
+     */
+    removeFavourite(look) {
+        const key = LookCollection.getKey(look);
+        this.favourites = this.favourites.filter(favourite => LookCollection.getKey(favourite) !== key);
+        this.save();
+    }
+
+    /**
+     * Get the recently tried looks, newest first, one per frame
+     */
+    getHistory() {
+        return this.history;
+    }
+
+    /**
+     * Record a tried look
+     *
+     * Each frame appears once, with the variant and lens it was last worn
+     * with, so the history holds the last few frames tried.
+     */
+    addToHistory(look) {
+        const entry = LookCollection.normalise(look);
+        this.history = [entry, ...this.history.filter(item => item.frame !== entry.frame)].slice(0, this.maxHistory);
+        this.save();
+    }
+
+    /**
+     * Forget the recently tried looks
+     */
+    clearHistory() {
+        this.history = [];
+        this.save();
+    }
+
+    /**
+     * Read the saved looks, dropping malformed entries
+     */
+    load() {
+        const isLook = (look) => !!look && typeof look.frame === 'string';
+
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey)) || {};
+            return {
+                favourites: Array.isArray(saved.favourites) ? saved.favourites.filter(isLook).map(LookCollection.normalise) : [],
+                history: Array.isArray(saved.history) ? saved.history.filter(isLook).map(LookCollection.normalise) : []
+            };
+        } catch (error) {
+            return { favourites: [], history: [] };
+        }
+    }
+
+    /**
+     * Remember the looks and notify listeners
+     */
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({ favourites: this.favourites, history: this.history }));
+        } catch (error) {
+            console.warn('Could not save looks:', error);
+        }
+
+        if (this.callbacks.onChange) this.callbacks.onChange();
+    }
+
+    /**
+     * Set callback functions
+     */
+    setCallbacks(callbacks) {
+        this.callbacks = { ...this.callbacks, ...callbacks };
+    }
+
+    /**
+     * Copy a look with only the known fields
+     */
+    static normalise(look) {
+        return { frame: look.frame, variant: look.variant || null, lens: look.lens || null };
+    }
+
+    /**
+     * Identity of a look, for comparing and de-duplicating
+     */
+    static getKey(look) {
+        return [look.frame, look.variant || '', look.lens || ''].join('/');
+    }
+}
+
+export { LookCollection };
@@ -0,0 +1,451 @@
+/**
+ * Face Detectors
+ * Adapters that wrap face landmark models behind one interface
+ *
+ * Every detector resolves estimateFaces(input) to a list of
+ * { landmarks, box, confidence } where landmarks are [x, y, z] pixels in the
+ * input image (468 points, 478 with irises), box is
+ * { xMin, yMin, xMax, yMax, width, height } and confidence is 0-1.
+ *
+ * Detectors on TensorFlow.js take a `backend` option ('auto' by default, or
+ * 'webgl', 'wasm', 'cpu') and `wasmPath`, see FaceDetector.selectBackend.
+ */
+
+class FaceDetector {
+    constructor(options = {}) {
+        this.options = options;
+        this.isLoaded = false;
+        this.backend = null; // TensorFlow.js backend in use, for detectors that run on tf.js
+    }
+
+    /**
+     * Check if the libraries this detector needs are present
+     */
+    static isAvailable() {
+        return true;
+    }
+
+    /**
+     * Load the model
+     */
+    async load() {
+        this.isLoaded = true;
+    }
+
+    /**
+     * Detect faces in a video, image or canvas
+     */
+    async estimateFaces(input) {
+        throw new Error(`${this.constructor.name} does not implement estimateFaces`);
+    }
+
+    /**
+     * Release the model
+     */
+    dispose() {
+        this.isLoaded = false;
+    }
+
+    /**
+     * Build a box from landmarks, for models that do not report one
+     */
+    static boxFromLandmarks(landmarks) {
+        const xs = landmarks.map(point => point[0]);
+        const ys = landmarks.map(point => point[1]);
+        return FaceDetector.makeBox(Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys));
+    }
+
+    /**
+     * Box in the normalised shape
+     */
+    static makeBox(xMin, yMin, xMax, yMax) {
+        return { xMin, yMin, xMax, yMax, width: xMax - xMin, height: yMax - yMin };
+    }
+
+    /**
+     * Register a detector under a name
+     */
+    static register(name, DetectorClass, defaults = {}) {
+        FaceDetector.registry.set(name, { DetectorClass, defaults });
+    }
+
+    /**
+     * Create a registered detector
+     */
+    static create(name, options = {}) {
+        const { DetectorClass } = FaceDetector.getEntry(name);
+        return new DetectorClass(FaceDetector.getOptions(name, options));
+    }
+
+    /**
+     * Options a registered detector is created with: its defaults, then `options`
+     */
+    static getOptions(name, options = {}) {
+        return { ...FaceDetector.getEntry(name).defaults, ...options };
+    }
+
+    /**
+     * Registry entry for a name
+     */
+    static getEntry(name) {
+        const entry = FaceDetector.registry.get(name);
+        if (!entry) {
+            throw new Error(`Unknown face detector "${name}". Available: ${FaceDetector.getNames().join(', ')}`);
+        }
+        return entry;
+    }
+
+    /**
+     * Check if a registered detector can run on this page
+     */
+    static isRegisteredAvailable(name) {
+        const entry = FaceDetector.registry.get(name);
+        return !!entry && entry.DetectorClass.isAvailable();
+    }
+
+    /**
+     * Names of all registered detectors
+     */
+    static getNames() {
+        return Array.from(FaceDetector.registry.keys());
+    }
+
+    /**
+     * Add a script to the page, or import it in a worker; resolves once it has run
+     */
+    static loadScript(url) {
+        if (typeof document === 'undefined') {
+            return new Promise(resolve => {
+                importScripts(url);
+                resolve();
+            });
+        }
+
+        return new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = url;
+            script.onload = () => resolve();
+            script.onerror = () => reject(new Error(`Failed to load ${url}`));
+            document.head.appendChild(script);
+        });
+    }
+
+    /**
+     * Switch TensorFlow.js to the first backend that starts
+     *
+     * `backend` is tried first unless it is 'auto', then webgl, wasm and cpu.
+     * A software WebGL renderer (SwiftShader, llvmpipe) is passed over for
+     * wasm, when the wasm backend is loaded and starts. Resolves to the
+     * backend in use.
+     */
+    static async selectBackend(backend = 'auto', wasmPath = FaceDetector.WASM_PATH) {
+        // The path can only be set before the wasm backend first starts
+        if (tf.wasm && wasmPath && !tf.findBackend('wasm')) tf.wasm.setWasmPaths(wasmPath);
+
+        const candidates = FaceDetector.BACKENDS.filter(name => name !== backend);
+        if (backend !== 'auto') candidates.unshift(backend);
+
+        for (const name of candidates) {
+            if (!(await FaceDetector.startBackend(name))) continue;
+
+            // Software WebGL is slower than wasm, but still beats the cpu backend
+            if (name === 'webgl' && backend !== 'webgl' && FaceDetector.isSoftwareWebGL()) {
+                if (await FaceDetector.startBackend('wasm')) return 'wasm';
+                await FaceDetector.startBackend('webgl');
+            }
+            return tf.getBackend();
+        }
+        throw new Error(`No TensorFlow.js backend could be started (tried ${candidates.join(', ')})`);
+    }
+
+    /**
+     * Switch TensorFlow.js to a backend; resolves to false if it is not loaded or fails to start
+     */
+    static async startBackend(name) {
+        if (!tf.findBackendFactory(name)) return false;
+
+        try {
+            if (!(await tf.setBackend(name))) return false;
+            await tf.ready();
+            return true;
+        } catch (error) {
+            console.warn(`[FaceDetector] TensorFlow.js backend "${name}" failed to start:`, error);
+            return false;
+        }
+    }
+
+    /**
+     * Check if the tf.js WebGL backend runs on a software renderer
+     */
+    static isSoftwareWebGL() {
+        const gpgpu = tf.backend() && tf.backend().gpgpu;
+        const gl = gpgpu && gpgpu.gl;
+        if (!gl) return false;
+
+        const info = gl.getExtension('WEBGL_debug_renderer_info');
+        const renderer = info ? gl.getParameter(info.UNMASKED_RENDERER_WEBGL) : gl.getParameter(gl.RENDERER);
+        return /swiftshader|llvmpipe|software|basic render/i.test(renderer || '');
+    }
+}
+
+FaceDetector.registry = new Map();
+
+// TensorFlow.js backends in order of preference
+FaceDetector.BACKENDS = ['webgl', 'wasm', 'cpu'];
+
+// Where the wasm backend finds its .wasm files (copied there by npm run build)
+FaceDetector.WASM_PATH = 'vendor/';
+
+/**
+ * MediaPipe Facemesh through the legacy face-landmarks-detection 0.0.x API
+ */
+class LegacyFacemeshDetector extends FaceDetector {
+    static isAvailable() {
+        return typeof tf !== 'undefined' && typeof faceLandmarksDetection !== 'undefined' &&
+            !!faceLandmarksDetection.SupportedPackages;
+    }
+
+    async load() {
+        if (!LegacyFacemeshDetector.isAvailable()) {
+            throw new Error('face-landmarks-detection 0.0.x and TensorFlow.js are required');
+        }
+
+        const { modelUrl, detectorModelUrl, irisModelUrl, backend, wasmPath, ...config } = this.options;
+        const facemesh = faceLandmarksDetection.SupportedPackages.mediapipeFacemesh;
+        this.backend = await FaceDetector.selectBackend(backend, wasmPath);
+
+        try {
+            this.model = await faceLandmarksDetection.load(facemesh, { ...config, modelUrl, detectorModelUrl, irisModelUrl });
+        } catch (error) {
+            if (!modelUrl && !detectorModelUrl && !irisModelUrl) throw error;
+
+            // Self-hosted weights not downloaded (npm run models), use the TF Hub ones
+            console.warn('[LegacyFacemeshDetector] Self-hosted model weights failed to load, using TF Hub:', error);
+            this.model = await faceLandmarksDetection.load(facemesh, config);
+        }
+        this.isLoaded = true;
+    }
+
+    async estimateFaces(input) {
+        const faces = await this.model.estimateFaces({
+            input,
+            returnTensors: false,
+            flipHorizontal: false,
+            predictIrises: true
+        });
+
+        return faces
+            .filter(face => face.scaledMesh)
+            .map(face => {
+                const { topLeft, bottomRight } = face.boundingBox || {};
+                return {
+                    landmarks: face.scaledMesh,
+                    box: topLeft && bottomRight
+                        ? FaceDetector.makeBox(topLeft[0], topLeft[1], bottomRight[0], bottomRight[1])
+                        : FaceDetector.boxFromLandmarks(face.scaledMesh),
+                    confidence: typeof face.faceInViewConfidence === 'number' ? face.faceInViewConfidence : 1
+                };
+            });
+    }
+
+    dispose() {
+        this.model = null;
+        this.isLoaded = false;
+    }
+}
+
+/**
+ * MediaPipe FaceMesh through the face-landmarks-detection 1.x createDetector API
+ *
+ * `runtime` is 'tfjs' (optionally on the TensorFlow.js `backend` 'wasm', whose
+ * script is loaded from `backendUrl` if the page has not, with its .wasm files
+ * in `wasmPath`) or 'mediapipe', which runs the WASM MediaPipe solution from
+ * `solutionPath`. The tfjs runtime loads its weights from `detectorModelUrl`
+ * and `landmarkModelUrl`, falling back to TF Hub.
+ *
+ * The 1.x library is loaded on demand from `libraryUrl` and kept apart from
+ * the faceLandmarksDetection global, which stays the 0.0.x API the legacy
+ * detector uses, so both can run on one page.
+ */
+class MediaPipeFaceMeshDetector extends FaceDetector {
+    static isAvailable() {
+        // The library is loaded on demand, with a script tag or, in a worker, importScripts
+        return !!MediaPipeFaceMeshDetector.library || typeof document !== 'undefined' || typeof importScripts === 'function';
+    }
+
+    async load() {
+        const {
+            runtime = 'tfjs', backend, backendUrl, wasmPath, maxFaces = 1, refineLandmarks = true, solutionPath,
+            detectorModelUrl, landmarkModelUrl, libraryUrl = MediaPipeFaceMeshDetector.LIBRARY_URL
+        } = this.options;
+        const library = await MediaPipeFaceMeshDetector.loadLibrary(libraryUrl);
+        const facemesh = library.SupportedModels.MediaPipeFaceMesh;
+
+        if (runtime === 'mediapipe') {
+            // The MediaPipe solution loads its files with script tags
+            if (typeof document === 'undefined') throw new Error('The MediaPipe runtime cannot run in a worker');
+            if (typeof FaceMesh === 'undefined') await FaceDetector.loadScript(`${solutionPath}/face_mesh.js`);
+            this.model = await library.createDetector(facemesh, { runtime, maxFaces, refineLandmarks, solutionPath });
+            this.isLoaded = true;
+            return;
+        }
+
+        if (typeof tf !== 'undefined') {
+            if (backend === 'wasm' && !tf.wasm && backendUrl) await FaceDetector.loadScript(backendUrl);
+            this.backend = await FaceDetector.selectBackend(backend, wasmPath);
+        }
+
+        // The self-hosted landmark weights are the attention mesh, which only refineLandmarks uses
+        const config = { runtime, maxFaces, refineLandmarks };
+        const localModels = { detectorModelUrl, landmarkModelUrl: refineLandmarks ? landmarkModelUrl : undefined };
+
+        try {
+            this.model = await library.createDetector(facemesh, { ...config, ...localModels });
+        } catch (error) {
+            if (!localModels.detectorModelUrl && !localModels.landmarkModelUrl) throw error;
+
+            // Self-hosted weights not downloaded (npm run models), use the TF Hub ones
+            console.warn('[MediaPipeFaceMeshDetector] Self-hosted model weights failed to load, using TF Hub:', error);
+            this.model = await library.createDetector(facemesh, config);
+        }
+        this.isLoaded = true;
+    }
+
+    /**
+     * Load face-landmarks-detection 1.x once and hand back its API
+     *
+     * The library sets the faceLandmarksDetection global as it runs; the
+     * previous value is put back afterwards.
+     */
+    static loadLibrary(url) {
+        if (!MediaPipeFaceMeshDetector.libraryLoad) {
+            const current = typeof faceLandmarksDetection !== 'undefined' ? faceLandmarksDetection : undefined;
+
+            // A page that already loads 1.x itself
+            if (current && typeof current.createDetector === 'function') {
+                MediaPipeFaceMeshDetector.library = current;
+            }
+
+            MediaPipeFaceMeshDetector.libraryLoad = MediaPipeFaceMeshDetector.library
+                ? Promise.resolve(MediaPipeFaceMeshDetector.library)
+                : FaceDetector.loadScript(url).then(() => {
+                    const library = globalThis.faceLandmarksDetection;
+                    if (current === undefined) delete globalThis.faceLandmarksDetection;
+                    else globalThis.faceLandmarksDetection = current;
+
+                    if (!library || typeof library.createDetector !== 'function') {
+                        throw new Error(`${url} is not face-landmarks-detection 1.x`);
+                    }
+                    MediaPipeFaceMeshDetector.library = library;
+                    return library;
+                });
+
+            // Let a failed load be tried again
+            MediaPipeFaceMeshDetector.libraryLoad.catch(() => {
+                MediaPipeFaceMeshDetector.libraryLoad = null;
+            });
+        }
+        return MediaPipeFaceMeshDetector.libraryLoad;
+    }
+
+    async estimateFaces(input) {
+        const faces = await this.model.estimateFaces(input, { flipHorizontal: false });
+
+        return faces.map(face => {
+            const landmarks = face.keypoints.map(point => [point.x, point.y, point.z || 0]);
+            return {
+                landmarks,
+                box: face.box
+                    ? FaceDetector.makeBox(face.box.xMin, face.box.yMin, face.box.xMax, face.box.yMax)
+                    : FaceDetector.boxFromLandmarks(landmarks),
+                confidence: typeof face.score === 'number' ? face.score : 1
+            };
+        });
+    }
+
+    dispose() {
+        if (this.model && this.model.dispose) this.model.dispose();
+        this.model = null;
+        this.isLoaded = false;
+    }
+}
+
+/**
+ * Replays recorded landmarks instead of running a model, for demos and
+ * headless tests
+ *
+ * `recording` (or JSON fetched from `url`) is { frames: [[face, ...], ...] }
+ * with faces in the normalised output shape. Frames play in order and loop
+ * unless `loop` is false.
+ */
+class ReplayFaceDetector extends FaceDetector {
+    async load() {
+        let recording = this.options.recording;
+
+        if (!recording && this.options.url) {
+            const response = await fetch(this.options.url);
+            if (!response.ok) {
+                throw new Error(`Failed to load landmark recording ${this.options.url}: HTTP ${response.status}`);
+            }
+            recording = await response.json();
+        }
+
+        if (!recording || !Array.isArray(recording.frames)) {
+            throw new Error('Landmark recording must have a "frames" array');
+        }
+
+        this.frames = recording.frames;
+        this.frameIndex = 0;
+        this.isLoaded = true;
+    }
+
+    async estimateFaces(input) {
+        if (this.frames.length === 0) return [];
+
+        if (this.frameIndex >= this.frames.length) {
+            if (this.options.loop === false) return [];
+            this.frameIndex = 0;
+        }
+
+        const faces = this.frames[this.frameIndex++];
+        return faces.map(face => ({
+            landmarks: face.landmarks,
+            box: face.box || FaceDetector.boxFromLandmarks(face.landmarks),
+            confidence: typeof face.confidence === 'number' ? face.confidence : 1
+        }));
+    }
+}
+
+// face-landmarks-detection 1.x API, once loaded (see loadLibrary)
+MediaPipeFaceMeshDetector.library = null;
+MediaPipeFaceMeshDetector.libraryLoad = null;
+
+// Weights served with the app (see scripts/fetch-models.js), so detection works offline
+LegacyFacemeshDetector.LOCAL_MODELS = {
+    modelUrl: 'models/facemesh/model.json',
+    detectorModelUrl: 'models/blazeface/model.json',
+    irisModelUrl: 'models/iris/model.json'
+};
+MediaPipeFaceMeshDetector.LOCAL_MODELS = {
+    detectorModelUrl: 'models/face-detection-short/model.json',
+    landmarkModelUrl: 'models/attention-mesh/model.json'
+};
+
+// face-landmarks-detection 1.0.5, the last to run on TensorFlow.js 3.x (copied into vendor/ by npm run build)
+MediaPipeFaceMeshDetector.LIBRARY_URL = 'vendor/face-landmarks-detection-1.js';
+
+FaceDetector.register('legacy', LegacyFacemeshDetector, LegacyFacemeshDetector.LOCAL_MODELS);
+FaceDetector.register('tfjs', MediaPipeFaceMeshDetector, { runtime: 'tfjs', ...MediaPipeFaceMeshDetector.LOCAL_MODELS });
+FaceDetector.register('tfjs-wasm', MediaPipeFaceMeshDetector, {
+    runtime: 'tfjs',
+    backend: 'wasm',
+    backendUrl: 'vendor/tf-backend-wasm.min.js',
+    ...MediaPipeFaceMeshDetector.LOCAL_MODELS
+});
+FaceDetector.register('wasm', MediaPipeFaceMeshDetector, {
+    runtime: 'mediapipe',
+    solutionPath: 'vendor/face_mesh'
+});
+FaceDetector.register('replay', ReplayFaceDetector);
+
+export { FaceDetector, LegacyFacemeshDetector, MediaPipeFaceMeshDetector, ReplayFaceDetector };
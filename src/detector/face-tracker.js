@@ -0,0 +1,142 @@
+/**
+ * Face Tracker
+ * Gives detected faces stable ids across frames so each face keeps its own
+ * smoothing state and selected frame
+ */
+
+class FaceTracker {
+    constructor(options = {}) {
+        // Frames a face may go undetected before its track is dropped
+        this.maxMissedFrames = options.maxMissedFrames || 10;
+
+        // Largest jump between frames, as a fraction of face width, still matched to a track
+        this.matchDistance = options.matchDistance || 0.6;
+
+        this.tracks = [];
+        this.nextId = 1;
+
+        this.callbacks = {
+            onTrackAdded: null,
+            onTrackRemoved: null
+        };
+    }
+
+    /**
+     * Match this frame's faces to existing tracks
+     *
+     * Each face ({ landmarks, ... }) gets `id` and `track` set. Tracks hold
+     * `state`, a per-face bag for smoothing, and `frameId`, the frame chosen
+     * for that face (null follows the global selection).
+     */
+    update(faces) {
+        const detections = faces.map(face => ({
+            face,
+            centre: FaceTracker.getCentre(face.landmarks),
+            width: FaceTracker.getFaceWidth(face.landmarks)
+        }));
+
+        // Greedy nearest-first matching is plenty for a handful of faces
+        const pairs = [];
+        this.tracks.forEach(track => {
+            detections.forEach(detection => {
+                const distance = Math.hypot(
+                    detection.centre[0] - track.centre[0],
+                    detection.centre[1] - track.centre[1]
+                );
+                if (distance < this.matchDistance * Math.max(track.width, detection.width)) {
+                    pairs.push({ track, detection, distance });
+                }
+            });
+        });
+        pairs.sort((a, b) => a.distance - b.distance);
+
+        const matchedTracks = new Set();
+        const matchedDetections = new Set();
+        pairs.forEach(({ track, detection }) => {
+            if (matchedTracks.has(track) || matchedDetections.has(detection)) return;
+            matchedTracks.add(track);
+            matchedDetections.add(detection);
+            this.assign(track, detection);
+        });
+
+        // Drop tracks that have been missing for too long
+        this.tracks = this.tracks.filter(track => {
+            if (matchedTracks.has(track)) return true;
+            track.missed++;
+            if (track.missed <= this.maxMissedFrames) return true;
+            if (this.callbacks.onTrackRemoved) this.callbacks.onTrackRemoved(track);
+            return false;
+        });
+
+        // Start tracks for new faces
+        detections
+            .filter(detection => !matchedDetections.has(detection))
+            .forEach(detection => {
+                const track = { id: this.nextId++, frameId: null, state: {}, missed: 0, centre: null, width: 0 };
+                this.assign(track, detection);
+                this.tracks.push(track);
+                if (this.callbacks.onTrackAdded) this.callbacks.onTrackAdded(track);
+            });
+
+        return faces;
+    }
+
+    /**
+     * Attach a detection to a track
+     */
+    assign(track, detection) {
+        track.centre = detection.centre;
+        track.width = detection.width;
+        track.missed = 0;
+        detection.face.id = track.id;
+        detection.face.track = track;
+    }
+
+    /**
+     * Get all live tracks, including briefly missing faces
+     */
+    getTracks() {
+        return this.tracks;
+    }
+
+    /**
+     * Get a track by id
+     */
+    getTrack(id) {
+        return this.tracks.find(track => track.id === id) || null;
+    }
+
+    /**
+     * Drop all tracks
+     */
+    reset() {
+        const removed = this.tracks;
+        this.tracks = [];
+        if (this.callbacks.onTrackRemoved) removed.forEach(track => this.callbacks.onTrackRemoved(track));
+    }
+
+    /**
+     * Set callback functions
+     */
+    setCallbacks(callbacks) {
+        this.callbacks = { ...this.callbacks, ...callbacks };
+    }
+
+    /**
+     * Point between the eyes (landmark 168)
+     */
+    static getCentre(landmarks) {
+        return landmarks[168];
+    }
+
+    /**
+     * Face width in pixels between the cheeks (landmarks 234/454)
+     */
+    static getFaceWidth(landmarks) {
+        const left = landmarks[234];
+        const right = landmarks[454];
+        return left && right ? Math.hypot(right[0] - left[0], right[1] - left[1]) : 0;
+    }
+}
+
+export { FaceTracker };
@@ -0,0 +1,264 @@
+/**
+ * Head Pose Estimator
+ * Fits face-mesh landmarks to a canonical 3D face model and returns the
+ * head rotation, translation and scale in landmark (pixel) space.
+ */
+
+class HeadPoseEstimator {
+    constructor(canonicalModel = HeadPoseEstimator.DEFAULT_CANONICAL_MODEL) {
+        this.setCanonicalModel(canonicalModel);
+    }
+
+    /**
+     * Set the canonical face model
+     *
+     * Accepts either a map of landmark index -> { point: [x, y, z], weight }
+     * or a full array of 468 [x, y, z] points (e.g. MediaPipe's canonical
+     * face model), all in millimetres with x to the right of the image,
+     * y down and z away from the camera.
+     */
+    setCanonicalModel(model) {
+        if (Array.isArray(model)) {
+            this.canonicalPoints = model.map((point, index) => ({ index, point, weight: 1 }));
+        } else {
+            this.canonicalPoints = Object.keys(model).map(index => ({
+                index: Number(index),
+                point: model[index].point,
+                weight: model[index].weight === undefined ? 1 : model[index].weight
+            }));
+        }
+    }
+
+    /**
+     * Estimate head pose from face-mesh landmarks
+     *
+     * Returns null when too few landmarks match the canonical model.
+     */
+    estimate(landmarks) {
+        const pairs = this.canonicalPoints.filter(entry => landmarks[entry.index]);
+        if (pairs.length < 4) return null;
+
+        // Weighted centroids
+        let totalWeight = 0;
+        const canonicalCentroid = [0, 0, 0];
+        const observedCentroid = [0, 0, 0];
+
+        pairs.forEach(({ index, point, weight }) => {
+            const observed = landmarks[index];
+            totalWeight += weight;
+            for (let axis = 0; axis < 3; axis++) {
+                canonicalCentroid[axis] += point[axis] * weight;
+                observedCentroid[axis] += (observed[axis] || 0) * weight;
+            }
+        });
+
+        for (let axis = 0; axis < 3; axis++) {
+            canonicalCentroid[axis] /= totalWeight;
+            observedCentroid[axis] /= totalWeight;
+        }
+
+        // Cross-covariance between centred canonical and observed points
+        const covariance = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+        let canonicalSpread = 0;
+
+        pairs.forEach(({ index, point, weight }) => {
+            const observed = landmarks[index];
+            const p = HeadPoseEstimator.subtract(point, canonicalCentroid);
+            const q = HeadPoseEstimator.subtract([observed[0], observed[1], observed[2] || 0], observedCentroid);
+
+            for (let row = 0; row < 3; row++) {
+                for (let col = 0; col < 3; col++) {
+                    covariance[row][col] += weight * p[row] * q[col];
+                }
+            }
+            canonicalSpread += weight * HeadPoseEstimator.dot(p, p);
+        });
+
+        const rotation = HeadPoseEstimator.rotationFromCovariance(covariance);
+
+        // Least-squares scale and translation for the fitted rotation
+        let projected = 0;
+        pairs.forEach(({ index, point, weight }) => {
+            const observed = landmarks[index];
+            const p = HeadPoseEstimator.subtract(point, canonicalCentroid);
+            const q = HeadPoseEstimator.subtract([observed[0], observed[1], observed[2] || 0], observedCentroid);
+            projected += weight * HeadPoseEstimator.dot(q, HeadPoseEstimator.multiply(rotation, p));
+        });
+
+        const scale = canonicalSpread > 0 ? projected / canonicalSpread : 1;
+        const rotatedCentroid = HeadPoseEstimator.multiply(rotation, canonicalCentroid);
+        const translation = [0, 1, 2].map(axis => observedCentroid[axis] - scale * rotatedCentroid[axis]);
+
+        // Root-mean-square fit error in landmark units
+        let squaredError = 0;
+        pairs.forEach(({ index, point, weight }) => {
+            const observed = landmarks[index];
+            const fitted = HeadPoseEstimator.multiply(rotation, point);
+            for (let axis = 0; axis < 3; axis++) {
+                const diff = scale * fitted[axis] + translation[axis] - (observed[axis] || 0);
+                squaredError += weight * diff * diff;
+            }
+        });
+
+        return {
+            rotation,
+            translation,
+            scale,
+            ...HeadPoseEstimator.toEulerAngles(rotation),
+            error: Math.sqrt(squaredError / totalWeight)
+        };
+    }
+
+    /**
+     * Map a canonical model point (mm) into landmark space with a pose
+     */
+    static project(pose, point) {
+        const rotated = HeadPoseEstimator.multiply(pose.rotation, point);
+        return [0, 1, 2].map(axis => pose.scale * rotated[axis] + pose.translation[axis]);
+    }
+
+    /**
+     * Yaw, pitch and roll in radians
+     *
+     * yaw > 0 when the face turns towards the right of the image,
+     * pitch > 0 when the face tilts up, roll > 0 when clockwise on screen.
+     */
+    static toEulerAngles(rotation) {
+        // Face normal (towards the camera) and the eye line in landmark space
+        const normal = [-rotation[0][2], -rotation[1][2], -rotation[2][2]];
+        const eyeLine = [rotation[0][0], rotation[1][0], rotation[2][0]];
+
+        return {
+            yaw: Math.atan2(normal[0], -normal[2]),
+            pitch: Math.atan2(-normal[1], Math.hypot(normal[0], normal[2])),
+            roll: Math.atan2(eyeLine[1], eyeLine[0])
+        };
+    }
+
+    /**
+     * Best rotation for a cross-covariance matrix (Horn's quaternion method)
+     */
+    static rotationFromCovariance(s) {
+        const n = [
+            [s[0][0] + s[1][1] + s[2][2], s[1][2] - s[2][1], s[2][0] - s[0][2], s[0][1] - s[1][0]],
+            [s[1][2] - s[2][1], s[0][0] - s[1][1] - s[2][2], s[0][1] + s[1][0], s[2][0] + s[0][2]],
+            [s[2][0] - s[0][2], s[0][1] + s[1][0], -s[0][0] + s[1][1] - s[2][2], s[1][2] + s[2][1]],
+            [s[0][1] - s[1][0], s[2][0] + s[0][2], s[1][2] + s[2][1], -s[0][0] - s[1][1] + s[2][2]]
+        ];
+
+        const { values, vectors } = HeadPoseEstimator.symmetricEigen(n);
+        let best = 0;
+        for (let i = 1; i < 4; i++) {
+            if (values[i] > values[best]) best = i;
+        }
+
+        const [w, x, y, z] = vectors.map(row => row[best]);
+        return [
+            [w * w + x * x - y * y - z * z, 2 * (x * y - w * z), 2 * (x * z + w * y)],
+            [2 * (x * y + w * z), w * w - x * x + y * y - z * z, 2 * (y * z - w * x)],
+            [2 * (x * z - w * y), 2 * (y * z + w * x), w * w - x * x - y * y + z * z]
+        ];
+    }
+
+    /**
+     * Eigen-decomposition of a small symmetric matrix (cyclic Jacobi)
+     *
+     * Eigenvectors are returned as the columns of `vectors`.
+     */
+    static symmetricEigen(matrix) {
+        const size = matrix.length;
+        const a = matrix.map(row => row.slice());
+        const v = a.map((row, i) => row.map((_, j) => (i === j ? 1 : 0)));
+
+        for (let sweep = 0; sweep < 50; sweep++) {
+            let offDiagonal = 0;
+            for (let p = 0; p < size; p++) {
+                for (let q = p + 1; q < size; q++) offDiagonal += a[p][q] * a[p][q];
+            }
+            if (offDiagonal < 1e-18) break;
+
+            for (let p = 0; p < size; p++) {
+                for (let q = p + 1; q < size; q++) {
+                    if (Math.abs(a[p][q]) < 1e-18) continue;
+
+                    const theta = (a[q][q] - a[p][p]) / (2 * a[p][q]);
+                    const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+                    const c = 1 / Math.sqrt(t * t + 1);
+                    const s = t * c;
+
+                    for (let k = 0; k < size; k++) {
+                        const akp = a[k][p];
+                        const akq = a[k][q];
+                        a[k][p] = c * akp - s * akq;
+                        a[k][q] = s * akp + c * akq;
+                    }
+                    for (let k = 0; k < size; k++) {
+                        const apk = a[p][k];
+                        const aqk = a[q][k];
+                        a[p][k] = c * apk - s * aqk;
+                        a[q][k] = s * apk + c * aqk;
+                    }
+                    for (let k = 0; k < size; k++) {
+                        const vkp = v[k][p];
+                        const vkq = v[k][q];
+                        v[k][p] = c * vkp - s * vkq;
+                        v[k][q] = s * vkp + c * vkq;
+                    }
+                }
+            }
+        }
+
+        return { values: a.map((row, i) => row[i]), vectors: v };
+    }
+
+    static subtract(a, b) {
+        return [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+    }
+
+    static dot(a, b) {
+        return a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+    }
+
+    static multiply(matrix, vector) {
+        return matrix.map(row => row[0] * vector[0] + row[1] * vector[1] + row[2] * vector[2]);
+    }
+}
+
+/**
+ * Rigid landmarks of an average adult face in millimetres, origin at the
+ * nose bridge (168). Lips and jaw deform with expressions, so they get a
+ * lower weight.
+ */
+HeadPoseEstimator.DEFAULT_CANONICAL_MODEL = {
+    168: { point: [0, 0, 0] },
+    6: { point: [0, 12, -4] },
+    197: { point: [0, 20, -9] },
+    4: { point: [0, 38, -19] },
+    1: { point: [0, 43, -21] },
+    2: { point: [0, 53, -10] },
+    98: { point: [-15, 47, 0] },
+    327: { point: [15, 47, 0] },
+    133: { point: [-15, 3, 10] },
+    362: { point: [15, 3, 10] },
+    33: { point: [-45, 5, 20] },
+    263: { point: [45, 5, 20] },
+    159: { point: [-31, -3, 8] },
+    386: { point: [31, -3, 8] },
+    145: { point: [-31, 8, 10] },
+    374: { point: [31, 8, 10] },
+    105: { point: [-32, -17, 2] },
+    334: { point: [32, -17, 2] },
+    70: { point: [-50, -13, 16] },
+    300: { point: [50, -13, 16] },
+    151: { point: [0, -40, 3] },
+    10: { point: [0, -62, 12] },
+    127: { point: [-70, 2, 60] },
+    356: { point: [70, 2, 60] },
+    234: { point: [-72, 22, 62] },
+    454: { point: [72, 22, 62] },
+    61: { point: [-25, 78, 14], weight: 0.5 },
+    291: { point: [25, 78, 14], weight: 0.5 },
+    152: { point: [0, 118, 18], weight: 0.5 }
+};
+
+export { HeadPoseEstimator };
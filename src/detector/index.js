@@ -0,0 +1,13 @@
+/**
+ * Detector
+ * Face landmark detectors, the inference loop, face tracking and filtering, head pose and PD measurement
+ */
+
+export { FaceDetector, LegacyFacemeshDetector, MediaPipeFaceMeshDetector, ReplayFaceDetector } from './face-detectors.js';
+export { WorkerFaceDetector } from './worker-face-detector.js';
+export { FaceTracker } from './face-tracker.js';
+export { HeadPoseEstimator } from './head-pose-estimator.js';
+export { PDMeasurement } from './pd-measurement.js';
+export { InferenceLoop } from './inference-loop.js';
+export { LandmarkInterpolator } from './landmark-interpolator.js';
+export { OneEuroFilter, LandmarkFilter } from './landmark-filter.js';
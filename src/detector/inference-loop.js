@@ -0,0 +1,113 @@
+/**
+ * Inference Loop
+ * Runs face detection on its own schedule, apart from the render loop, at a
+ * rate that adapts to how long each detection takes
+ *
+ * After each detection the loop waits long enough that detection takes at
+ * most `budget` of the time (0.5 leaves half of the main thread to rendering,
+ * 1 runs back to back, for detectors in a worker), within `maxRate` and
+ * `minRate` detections per second.
+ */
+
+class InferenceLoop {
+    constructor(options = {}) {
+        this.maxRate = options.maxRate || 30;
+        this.minRate = options.minRate || 5;
+        this.budget = options.budget || 0.5;
+
+        this.latency = 0; // ms, smoothed
+        this.lastLatency = 0;
+        this.running = false;
+        this.timer = null;
+        this.generation = 0; // bumped on stop so a detection in flight does not schedule another
+
+        this.callbacks = {
+            onResult: null,
+            onError: null
+        };
+    }
+
+    /**
+     * Start calling `detect` (an async function) until stopped
+     */
+    start(detect) {
+        this.stop();
+        this.detect = detect;
+        this.latency = 0;
+        this.running = true;
+        this.run(this.generation);
+    }
+
+    /**
+     * Stop after the detection in flight, dropping its result
+     */
+    stop() {
+        this.generation++;
+        this.running = false;
+        clearTimeout(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Check if the loop is running
+     */
+    isRunning() {
+        return this.running;
+    }
+
+    /**
+     * Run one detection and schedule the next
+     */
+    async run(generation) {
+        const started = performance.now();
+
+        try {
+            const result = await this.detect();
+            if (generation !== this.generation) return;
+
+            this.recordLatency(performance.now() - started);
+            if (this.callbacks.onResult) this.callbacks.onResult(result, this.lastLatency);
+        } catch (error) {
+            if (generation !== this.generation) return;
+            if (this.callbacks.onError) this.callbacks.onError(error);
+        }
+
+        if (generation !== this.generation) return;
+        this.timer = setTimeout(() => this.run(generation), this.getDelay());
+    }
+
+    /**
+     * Smooth the latency so one slow detection does not halve the rate
+     */
+    recordLatency(latency) {
+        this.lastLatency = latency;
+        this.latency = this.latency ? this.latency * 0.8 + latency * 0.2 : latency;
+    }
+
+    /**
+     * Wait before the next detection, in ms
+     */
+    getDelay() {
+        const interval = Math.min(
+            Math.max(this.latency / this.budget, 1000 / this.maxRate),
+            1000 / this.minRate
+        );
+        return Math.max(0, interval - this.latency);
+    }
+
+    /**
+     * Detections per second the loop is aiming for
+     */
+    getTargetRate() {
+        return 1000 / (this.latency + this.getDelay());
+    }
+
+    /**
+     * Set callback functions
+     */
+    setCallbacks(callbacks) {
+        this.callbacks = { ...this.callbacks, ...callbacks };
+    }
+}
+
+export { InferenceLoop };
@@ -0,0 +1,182 @@
+/**
+ * Landmark Filter
+ * Steadies face landmarks between detections with a One Euro filter: heavy
+ * smoothing while the head is still, little lag while it moves
+ *
+ * Speeds are measured in face widths per second, so the same settings suit
+ * near and far faces. Each face has its own filter in its track state. A
+ * face missing from a detection is held where it was, coasting to a stop,
+ * for up to `holdFrames` detections; after that, or after a gap of more than
+ * `resetAfter` ms, its filter starts afresh.
+ */
+
+import { FaceTracker } from './face-tracker.js';
+
+/**
+ * One Euro filter over a list of values (Casiez et al. 2012)
+ *
+ * The cutoff frequency rises from `minCutoff` (Hz) by `beta` per unit of
+ * speed; `derivativeCutoff` (Hz) smooths the speed itself.
+ */
+class OneEuroFilter {
+    constructor(options = {}) {
+        this.options = options;
+        this.minCutoff = options.minCutoff;
+        this.beta = options.beta;
+        this.derivativeCutoff = options.derivativeCutoff;
+        this.resetAfter = options.resetAfter;
+        this.reset();
+    }
+
+    /**
+     * Filter values taken at `time` (ms); `scale` converts them to the unit speeds are measured in
+     */
+    filter(values, time, scale = 1) {
+        const dt = (time - this.time) / 1000;
+        if (this.values && dt <= 0) return this.values;
+
+        if (!this.values || this.values.length !== values.length || dt * 1000 > this.resetAfter) {
+            this.values = Float64Array.from(values);
+            this.velocities = new Float64Array(values.length);
+        } else {
+            const derivativeAlpha = OneEuroFilter.getAlpha(this.derivativeCutoff, dt);
+
+            for (let i = 0; i < values.length; i++) {
+                const velocity = (values[i] - this.values[i]) / dt * scale;
+                this.velocities[i] += (velocity - this.velocities[i]) * derivativeAlpha;
+
+                const cutoff = this.minCutoff + this.beta * Math.abs(this.velocities[i]);
+                this.values[i] += (values[i] - this.values[i]) * OneEuroFilter.getAlpha(cutoff, dt);
+            }
+        }
+
+        this.time = time;
+        this.scale = scale;
+        return this.values;
+    }
+
+    /**
+     * Carry on at the last speed, slowed by `decay`, when no new values came
+     */
+    coast(time, decay) {
+        const dt = (time - this.time) / 1000;
+        if (!this.values || !(dt > 0)) return this.values;
+
+        for (let i = 0; i < this.values.length; i++) {
+            this.velocities[i] *= decay;
+            this.values[i] += this.velocities[i] / this.scale * dt;
+        }
+        this.time = time;
+        return this.values;
+    }
+
+    /**
+     * Forget the previous values
+     */
+    reset() {
+        this.values = null;
+        this.velocities = null;
+        this.time = 0;
+        this.scale = 1;
+    }
+
+    /**
+     * Blend weight of a new value for a cutoff frequency and time step
+     */
+    static getAlpha(cutoff, dt) {
+        const tau = 1 / (2 * Math.PI * cutoff);
+        return 1 / (1 + tau / dt);
+    }
+}
+
+class LandmarkFilter {
+    /**
+     * `preset` is a name from LandmarkFilter.PRESETS or settings of its own
+     */
+    constructor(preset = 'balanced') {
+        this.setPreset(preset);
+    }
+
+    /**
+     * Switch settings; custom settings fill in the rest from 'balanced'
+     */
+    setPreset(preset) {
+        if (typeof preset !== 'string') {
+            this.preset = 'custom';
+            this.settings = { ...LandmarkFilter.PRESETS.balanced, ...preset };
+            return;
+        }
+
+        if (!Object.prototype.hasOwnProperty.call(LandmarkFilter.PRESETS, preset)) {
+            throw new Error(`Unknown smoothing preset "${preset}". Available: ${Object.keys(LandmarkFilter.PRESETS).join(', ')}`);
+        }
+        this.preset = preset;
+        this.settings = LandmarkFilter.PRESETS[preset];
+    }
+
+    /**
+     * Replace each tracked face's landmarks with filtered ones, detected at `time` (ms)
+     *
+     * The detected landmarks are kept as `rawLandmarks`.
+     */
+    filterFaces(faces, time) {
+        faces.forEach(face => {
+            const state = face.track.state;
+            // New and lost faces, and faces filtered with other settings, start afresh
+            if (!state.landmarkFilter || state.landmarkFilterLost || state.landmarkFilter.options !== this.settings) {
+                state.landmarkFilter = new OneEuroFilter(this.settings);
+                state.landmarkFilterLost = false;
+            }
+
+            const width = FaceTracker.getFaceWidth(face.landmarks);
+            const values = state.landmarkFilter.filter(face.landmarks.flat(), time, width > 0 ? 1 / width : 1);
+
+            face.rawLandmarks = face.landmarks;
+            face.landmarks = LandmarkFilter.toPoints(values, face.landmarks);
+            state.lastFace = face;
+        });
+    }
+
+    /**
+     * Faces missing from the latest detection but still held, at `time` (ms)
+     *
+     * Each is its last detected face with `held` set to the number of missed detections.
+     */
+    getHeldFaces(tracks, time) {
+        return tracks
+            .filter(track => track.missed > 0 && track.state.lastFace && !track.state.landmarkFilterLost)
+            .filter(track => {
+                if (track.missed <= this.settings.holdFrames) return true;
+                track.state.landmarkFilterLost = true;
+                return false;
+            })
+            .map(track => {
+                const face = track.state.lastFace;
+                const values = track.state.landmarkFilter.coast(time, this.settings.decay);
+                return { ...face, landmarks: LandmarkFilter.toPoints(values, face.landmarks), held: track.missed };
+            });
+    }
+
+    /**
+     * Split flat values back into points shaped like `points`
+     */
+    static toPoints(values, points) {
+        let offset = 0;
+        return points.map(point => {
+            const result = Array.from(values.subarray(offset, offset + point.length));
+            offset += point.length;
+            return result;
+        });
+    }
+}
+
+// Cutoffs in Hz, beta per face width per second, holdFrames in detections,
+// decay of the coasting speed per frame held
+LandmarkFilter.PRESETS = {
+    steady: { minCutoff: 0.4, beta: 2, derivativeCutoff: 1, holdFrames: 6, decay: 0.6, resetAfter: 1000 },
+    balanced: { minCutoff: 1, beta: 5, derivativeCutoff: 1, holdFrames: 4, decay: 0.5, resetAfter: 1000 },
+    responsive: { minCutoff: 2.5, beta: 12, derivativeCutoff: 1.5, holdFrames: 2, decay: 0.3, resetAfter: 1000 },
+    off: { minCutoff: Infinity, beta: 0, derivativeCutoff: 1, holdFrames: 0, decay: 0, resetAfter: 1000 }
+};
+
+export { OneEuroFilter, LandmarkFilter };
@@ -0,0 +1,52 @@
+/**
+ * Landmark Interpolator
+ * Moves a face's landmarks smoothly from one detection to the next, so the
+ * render loop can draw every display frame while detection runs less often
+ *
+ * Each new detection becomes the target; the landmarks glide there from
+ * wherever they were drawn, over the time the next detection is expected
+ * to take. Nothing is extrapolated, so the glasses never overshoot.
+ */
+
+class LandmarkInterpolator {
+    constructor() {
+        this.from = null;
+        this.to = null;
+        this.start = 0;
+        this.duration = 0;
+    }
+
+    /**
+     * Set newly detected landmarks as the target, reached `duration` ms after `time`
+     */
+    setTarget(landmarks, time, duration) {
+        this.from = this.to ? this.getLandmarks(time) : landmarks;
+        this.to = landmarks;
+        this.start = time;
+        this.duration = duration;
+    }
+
+    /**
+     * Landmarks to draw at `time`; the target itself once reached
+     */
+    getLandmarks(time) {
+        const progress = this.getProgress(time);
+        if (progress >= 1 || this.from === this.to) return this.to;
+
+        return this.to.map((point, index) => {
+            const previous = this.from[index];
+            if (!previous) return point;
+            return point.map((value, axis) => previous[axis] + (value - previous[axis]) * progress);
+        });
+    }
+
+    /**
+     * How far along to the target, 0-1
+     */
+    getProgress(time) {
+        if (!this.to || this.duration <= 0) return 1;
+        return Math.min(1, Math.max(0, (time - this.start) / this.duration));
+    }
+}
+
+export { LandmarkInterpolator };
@@ -0,0 +1,251 @@
+/**
+ * Pupillary Distance Measurement
+ * Estimates the distance between the pupils in millimetres from the iris
+ * landmarks, averaged over a few seconds of frames
+ */
+
+class PDMeasurement {
+    constructor(options = {}) {
+        // The visible iris is close to 11.7 mm across for most adults
+        this.irisDiameter = 11.7; // mm
+
+        this.duration = options.duration || 3000; // ms of accepted frames
+        this.minSamples = options.minSamples || 30;
+        this.maxYaw = options.maxYaw || 0.14; // radians (~8°)
+        this.maxPitch = options.maxPitch || 0.17; // radians (~10°)
+        this.minIrisPixels = options.minIrisPixels || 8;
+        this.maxMovement = options.maxMovement || 3; // mm between frames
+
+        this.callbacks = {
+            onUpdate: null,
+            onComplete: null
+        };
+
+        this.reset();
+    }
+
+    /**
+     * Clear samples and return to idle
+     */
+    reset() {
+        this.state = 'idle'; // 'idle' | 'measuring' | 'done'
+        this.samples = [];
+        this.framesSeen = 0;
+        this.measuredTime = 0;
+        this.lastTimestamp = null;
+        this.lastCentre = null;
+        this.result = null;
+    }
+
+    /**
+     * Start a new measurement
+     */
+    start() {
+        this.reset();
+        this.state = 'measuring';
+        this.notify('Look straight at the camera and hold still');
+    }
+
+    /**
+     * Abandon the current measurement
+     */
+    stop() {
+        this.reset();
+    }
+
+    /**
+     * Check if a measurement is in progress
+     */
+    isMeasuring() {
+        return this.state === 'measuring';
+    }
+
+    /**
+     * Feed one video frame
+     *
+     * `faces` is the list of tracked faces ({ landmarks, pose }) for the frame.
+     */
+    addFrame(faces, timestamp = performance.now()) {
+        if (!this.isMeasuring()) return;
+
+        const elapsed = this.lastTimestamp === null ? 0 : Math.min(timestamp - this.lastTimestamp, 200);
+        this.lastTimestamp = timestamp;
+        this.framesSeen++;
+
+        if (faces.length === 0) {
+            this.rejectFrame('No face detected - look at the camera');
+            return;
+        }
+
+        if (faces.length > 1) {
+            this.rejectFrame('Only one person should be in view');
+            return;
+        }
+
+        const { landmarks, pose } = faces[0];
+        const irises = PDMeasurement.getIrises(landmarks);
+
+        if (!irises) {
+            this.rejectFrame('Eyes not found - remove glasses and look at the camera');
+            return;
+        }
+
+        if (pose && Math.abs(pose.yaw) > this.maxYaw) {
+            this.rejectFrame(pose.yaw > 0 ? 'Turn your head slightly right' : 'Turn your head slightly left');
+            return;
+        }
+
+        if (pose && Math.abs(pose.pitch) > this.maxPitch) {
+            this.rejectFrame(pose.pitch > 0 ? 'Tilt your head slightly down' : 'Tilt your head slightly up');
+            return;
+        }
+
+        const irisPixels = (irises[0].diameter + irises[1].diameter) / 2;
+        if (irisPixels < this.minIrisPixels) {
+            this.rejectFrame('Move closer to the camera');
+            return;
+        }
+
+        const mmPerPixel = this.irisDiameter / irisPixels;
+        const centre = [0, 1].map(axis => (irises[0].centre[axis] + irises[1].centre[axis]) / 2);
+        const movement = this.lastCentre
+            ? Math.hypot(centre[0] - this.lastCentre[0], centre[1] - this.lastCentre[1]) * mmPerPixel
+            : 0;
+        this.lastCentre = centre;
+
+        if (movement > this.maxMovement) {
+            this.rejectFrame('Hold still');
+            return;
+        }
+
+        const pupilPixels = Math.hypot(
+            irises[1].centre[0] - irises[0].centre[0],
+            irises[1].centre[1] - irises[0].centre[1],
+            irises[1].centre[2] - irises[0].centre[2]
+        );
+
+        this.samples.push(pupilPixels * mmPerPixel);
+        this.measuredTime += elapsed;
+
+        if (this.measuredTime >= this.duration && this.samples.length >= this.minSamples) {
+            this.finish();
+        } else {
+            this.notify('Hold still...');
+        }
+    }
+
+    /**
+     * Skip a frame and tell the user why
+     */
+    rejectFrame(guidance) {
+        this.lastCentre = null;
+        this.notify(guidance);
+    }
+
+    /**
+     * Complete the measurement from the collected samples
+     */
+    finish() {
+        this.result = PDMeasurement.summarise(this.samples, this.framesSeen, this.minSamples);
+        this.state = 'done';
+
+        const guidance = this.result.confidence >= PDMeasurement.MIN_CONFIDENCE
+            ? 'Measurement complete'
+            : 'Low confidence - try again in even light and keep still';
+        this.notify(guidance);
+
+        if (this.callbacks.onComplete) {
+            this.callbacks.onComplete(this.result);
+        }
+    }
+
+    /**
+     * Report progress to the UI
+     */
+    notify(guidance) {
+        if (!this.callbacks.onUpdate) return;
+
+        const current = this.samples.length > 0 ? PDMeasurement.median(this.samples) : null;
+        this.callbacks.onUpdate({
+            state: this.state,
+            guidance,
+            progress: Math.min(1, this.measuredTime / this.duration),
+            pupillaryDistance: this.result ? this.result.pupillaryDistance : current,
+            confidence: this.result ? this.result.confidence : null
+        });
+    }
+
+    /**
+     * Get the last completed measurement, or null
+     */
+    getResult() {
+        return this.result;
+    }
+
+    /**
+     * Set callback functions
+     */
+    setCallbacks(callbacks) {
+        this.callbacks = { ...this.callbacks, ...callbacks };
+    }
+
+    /**
+     * Get both iris centres and pixel diameters, or null without iris landmarks
+     *
+     * Landmarks 468-472 and 473-477 are each an iris centre followed by four
+     * points on its edge (right, top, left, bottom).
+     */
+    static getIrises(landmarks) {
+        if (!landmarks || landmarks.length < 478) return null;
+
+        const iris = (start) => {
+            const [centre, right, top, left, bottom] = landmarks.slice(start, start + 5);
+            const horizontal = Math.hypot(right[0] - left[0], right[1] - left[1]);
+            const vertical = Math.hypot(top[0] - bottom[0], top[1] - bottom[1]);
+
+            return {
+                centre: [centre[0], centre[1], centre[2] || 0],
+                diameter: (horizontal + vertical) / 2
+            };
+        };
+
+        return [iris(468), iris(473)];
+    }
+
+    /**
+     * Combine samples into a PD estimate with a 0-1 confidence
+     *
+     * Confidence drops with sample spread, too few samples and a high share of
+     * rejected frames.
+     */
+    static summarise(samples, framesSeen, minSamples) {
+        const pupillaryDistance = PDMeasurement.median(samples);
+        const mean = samples.reduce((sum, value) => sum + value, 0) / samples.length;
+        const spread = Math.sqrt(samples.reduce((sum, value) => sum + (value - mean) ** 2, 0) / samples.length);
+
+        const stability = Math.max(0, 1 - spread / 3);
+        const coverage = Math.min(1, samples.length / minSamples);
+        const acceptance = Math.min(1, samples.length / Math.max(1, framesSeen) + 0.3);
+
+        return {
+            pupillaryDistance: Math.round(pupillaryDistance * 2) / 2,
+            confidence: Math.round(stability * coverage * acceptance * 100) / 100,
+            spread,
+            samples: samples.length
+        };
+    }
+
+    /**
+     * Median of a list of numbers
+     */
+    static median(values) {
+        const sorted = [...values].sort((a, b) => a - b);
+        const middle = Math.floor(sorted.length / 2);
+        return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+    }
+}
+
+// Results below this are shown but not used for frame sizing
+PDMeasurement.MIN_CONFIDENCE = 0.6;
+
+export { PDMeasurement };
@@ -0,0 +1,168 @@
+/**
+ * Worker Face Detector
+ * Runs another registered detector in a Web Worker, so inference never
+ * blocks rendering on the page
+ *
+ * Each frame is copied into an ImageBitmap and handed to the worker
+ * (dist/virtual-glasses.worker.js), which draws it onto an OffscreenCanvas
+ * for the detector. Options are `detector`, the registered name to run, and
+ * `scriptUrl`; any others go to that detector.
+ */
+
+import { FaceDetector } from './face-detectors.js';
+
+class WorkerFaceDetector extends FaceDetector {
+    constructor(options = {}) {
+        super(options);
+        this.worker = null;
+        this.requests = new Map(); // pending { resolve, reject } keyed by request id
+        this.nextRequestId = 1;
+
+        this.handleMessage = (event) => this.onMessage(event.data);
+        this.handleError = (event) => this.rejectAll(new Error(event.message || 'Face detection worker failed'));
+    }
+
+    static isAvailable() {
+        return typeof Worker !== 'undefined' && typeof OffscreenCanvas !== 'undefined' &&
+            typeof createImageBitmap === 'function';
+    }
+
+    async load() {
+        if (!WorkerFaceDetector.isAvailable()) {
+            throw new Error('Web Workers with OffscreenCanvas are required');
+        }
+
+        const { detector = 'legacy', scriptUrl = WorkerFaceDetector.SCRIPT_URL, ...options } = this.options;
+        const detectorOptions = { wasmPath: FaceDetector.WASM_PATH, ...FaceDetector.getOptions(detector, options) };
+
+        this.worker = new Worker(scriptUrl);
+        this.worker.addEventListener('message', this.handleMessage);
+        this.worker.addEventListener('error', this.handleError);
+
+        try {
+            const result = await this.request({
+                type: 'load',
+                detector,
+                options: WorkerFaceDetector.resolveUrls(detectorOptions)
+            });
+            this.backend = result.backend;
+        } catch (error) {
+            this.dispose();
+            throw error;
+        }
+        this.isLoaded = true;
+    }
+
+    async estimateFaces(input) {
+        const frame = await createImageBitmap(input);
+        return this.request({ type: 'detect', frame }, [frame]);
+    }
+
+    /**
+     * Send a request to the worker; resolves to its result
+     */
+    request(message, transfer = []) {
+        if (!this.worker) return Promise.reject(new Error('Face detection worker is not running'));
+
+        const id = this.nextRequestId++;
+        return new Promise((resolve, reject) => {
+            this.requests.set(id, { resolve, reject });
+            this.worker.postMessage({ ...message, id }, transfer);
+        });
+    }
+
+    /**
+     * Settle the request a worker reply belongs to
+     */
+    onMessage(reply) {
+        const request = this.requests.get(reply.id);
+        if (!request) return;
+
+        this.requests.delete(reply.id);
+        if (reply.ok) request.resolve(reply.result);
+        else request.reject(new Error(reply.error));
+    }
+
+    /**
+     * Fail every pending request
+     */
+    rejectAll(error) {
+        this.requests.forEach(request => request.reject(error));
+        this.requests.clear();
+    }
+
+    dispose() {
+        if (this.worker) {
+            this.worker.removeEventListener('message', this.handleMessage);
+            this.worker.removeEventListener('error', this.handleError);
+            this.worker.terminate();
+            this.worker = null;
+        }
+        this.rejectAll(new Error('Face detection worker was stopped'));
+        this.isLoaded = false;
+    }
+
+    /**
+     * Resolve URL options against the page, since the worker script lives in dist/
+     */
+    static resolveUrls(options) {
+        const resolved = { ...options };
+        WorkerFaceDetector.URL_OPTIONS
+            .filter(key => typeof resolved[key] === 'string')
+            .forEach(key => {
+                resolved[key] = new URL(resolved[key], document.baseURI).href;
+            });
+        return resolved;
+    }
+
+    /**
+     * Answer load and detect requests inside the worker (see src/worker.js)
+     */
+    static serve(scope) {
+        let detector = null;
+        let canvas = null;
+
+        const handlers = {
+            load: async ({ detector: name, options }) => {
+                if (detector) detector.dispose();
+                detector = FaceDetector.create(name, options);
+                await detector.load();
+                return { backend: detector.backend };
+            },
+            detect: async ({ frame }) => {
+                if (!detector) {
+                    frame.close();
+                    throw new Error('No face detector loaded');
+                }
+
+                if (!canvas || canvas.width !== frame.width || canvas.height !== frame.height) {
+                    canvas = new OffscreenCanvas(frame.width, frame.height);
+                }
+                canvas.getContext('2d').drawImage(frame, 0, 0);
+                frame.close();
+                return detector.estimateFaces(canvas);
+            }
+        };
+
+        scope.addEventListener('message', async ({ data }) => {
+            const handler = Object.prototype.hasOwnProperty.call(handlers, data.type) ? handlers[data.type] : null;
+
+            try {
+                if (!handler) throw new Error(`Unknown request "${data.type}"`);
+                scope.postMessage({ id: data.id, ok: true, result: await handler(data) });
+            } catch (error) {
+                scope.postMessage({ id: data.id, ok: false, error: error.message });
+            }
+        });
+    }
+}
+
+// Built from src/worker.js by npm run build
+WorkerFaceDetector.SCRIPT_URL = 'dist/virtual-glasses.worker.js';
+
+// Detector options that hold URLs or paths
+WorkerFaceDetector.URL_OPTIONS = [
+    'url', 'modelUrl', 'detectorModelUrl', 'irisModelUrl', 'landmarkModelUrl', 'solutionPath', 'wasmPath', 'libraryUrl', 'backendUrl'
+];
+
+export { WorkerFaceDetector };
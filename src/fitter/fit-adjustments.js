@@ -0,0 +1,151 @@
+/**
+ * Fit Adjustments
+ * The user's own tweaks to the automatic fit, per frame, remembered in
+ * localStorage
+ *
+ * An adjustment is { lift, scale, tilt }: lift in mm up the face (negative
+ * lowers the frame down the nose), scale as a factor of the fitted size and
+ * tilt in degrees, clockwise in the image. Millimetres are converted with the
+ * face's own scale when drawing, so an adjustment looks the same near and far
+ * from the camera.
+ */
+
+class FitAdjustments {
+    constructor(options = {}) {
+        this.storageKey = options.storageKey || 'virtualGlasses.fit';
+        this.adjustments = this.load(); // adjustments keyed by frame id
+
+        this.callbacks = {
+            onChange: null
+        };
+    }
+
+    /**
+     * Get a frame's adjustment, the default when it has none
+     */
+    get(frameId) {
+        return this.adjustments[frameId] || FitAdjustments.DEFAULT;
+    }
+
+    /**
+     * Check if a frame has been adjusted
+     */
+    isAdjusted(frameId) {
+        return !!this.adjustments[frameId];
+    }
+
+    /**
+     * Set a frame's adjustment; missing fields keep their current values
+     *
+     * Values are kept within FitAdjustments.LIMITS. Returns the adjustment.
+     */
+    set(frameId, adjustment) {
+        const next = FitAdjustments.normalise({ ...this.get(frameId), ...adjustment });
+
+        if (FitAdjustments.isDefault(next)) {
+            delete this.adjustments[frameId];
+        } else {
+            this.adjustments[frameId] = next;
+        }
+        this.save(frameId);
+        return this.get(frameId);
+    }
+
+    /**
+     * Add to a frame's adjustment, e.g. nudge(id, { lift: 0.5 }); `scale` is added to the factor
+     */
+    nudge(frameId, change) {
+        const current = this.get(frameId);
+        const next = {};
+        Object.keys(FitAdjustments.DEFAULT).forEach(field => {
+            next[field] = current[field] + (Number(change[field]) || 0);
+        });
+        return this.set(frameId, next);
+    }
+
+    /**
+     * Go back to the automatic fit for a frame
+     */
+    reset(frameId) {
+        if (!this.isAdjusted(frameId)) return;
+        delete this.adjustments[frameId];
+        this.save(frameId);
+    }
+
+    /**
+     * Read the saved adjustments, dropping malformed entries
+     */
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey)) || {};
+            const adjustments = {};
+            Object.keys(saved).forEach(frameId => {
+                if (!saved[frameId] || typeof saved[frameId] !== 'object') return;
+                const adjustment = FitAdjustments.normalise({ ...FitAdjustments.DEFAULT, ...saved[frameId] });
+                if (!FitAdjustments.isDefault(adjustment)) adjustments[frameId] = adjustment;
+            });
+            return adjustments;
+        } catch (error) {
+            return {};
+        }
+    }
+
+    /**
+     * Remember the adjustments and notify listeners of the frame that changed
+     */
+    save(frameId) {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.adjustments));
+        } catch (error) {
+            console.warn('Could not save fit adjustments:', error);
+        }
+
+        if (this.callbacks.onChange) this.callbacks.onChange(frameId, this.get(frameId));
+    }
+
+    /**
+     * Set callback functions
+     */
+    setCallbacks(callbacks) {
+        this.callbacks = { ...this.callbacks, ...callbacks };
+    }
+
+    /**
+     * Clamp each field to its limits and round away floating-point drift
+     */
+    static normalise(adjustment) {
+        const result = {};
+        Object.keys(FitAdjustments.DEFAULT).forEach(field => {
+            const [min, max] = FitAdjustments.LIMITS[field];
+            const value = Number(adjustment[field]);
+            const clamped = Number.isFinite(value) ? Math.min(max, Math.max(min, value)) : FitAdjustments.DEFAULT[field];
+            result[field] = Math.round(clamped * 1000) / 1000;
+        });
+        return result;
+    }
+
+    /**
+     * Check if an adjustment leaves the automatic fit as it is
+     */
+    static isDefault(adjustment) {
+        return Object.keys(FitAdjustments.DEFAULT).every(field => adjustment[field] === FitAdjustments.DEFAULT[field]);
+    }
+}
+
+FitAdjustments.DEFAULT = Object.freeze({ lift: 0, scale: 1, tilt: 0 });
+
+// Allowed range of each field: mm, factor, degrees
+FitAdjustments.LIMITS = {
+    lift: [-8, 8],
+    scale: [0.8, 1.25],
+    tilt: [-12, 12]
+};
+
+// How far one press of a control or key moves each field
+FitAdjustments.STEPS = {
+    lift: 0.5,
+    scale: 0.02,
+    tilt: 1
+};
+
+export { FitAdjustments };
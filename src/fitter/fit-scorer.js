@@ -0,0 +1,147 @@
+/**
+ * Fit Scorer
+ * Compares the measured face with each frame's dimensions to recommend a
+ * frame size and flag frames that are too narrow or too wide
+ */
+
+import { FrameFitter } from './frame-fitter.js';
+
+class FitScorer {
+    constructor(options = {}) {
+        // Recent face samples, combined with a median for stable readings
+        this.maxSamples = options.maxSamples || 45;
+        this.minSamples = options.minSamples || 10;
+        this.samples = [];
+    }
+
+    /**
+     * Forget the collected face samples
+     */
+    reset() {
+        this.samples = [];
+    }
+
+    /**
+     * Add a face measurement from one video frame
+     *
+     * `face` comes from FrameFitter.measureFace(); its pxPerMm turns the
+     * landmark distances into millimetres.
+     */
+    addFace(landmarks, face, pupillaryDistance) {
+        const distance = (a, b) => Math.hypot(a[0] - b[0], a[1] - b[1], (a[2] || 0) - (b[2] || 0));
+        const points = [127, 356, 122, 351].map(index => landmarks[index]);
+        if (points.some(point => !point) || !(face.pxPerMm > 0)) return;
+
+        this.samples.push({
+            faceWidth: distance(points[0], points[1]) / face.pxPerMm,
+            bridgeWidth: distance(points[2], points[3]) / face.pxPerMm,
+            pupillaryDistance
+        });
+
+        if (this.samples.length > this.maxSamples) {
+            this.samples.shift();
+        }
+    }
+
+    /**
+     * Get the measured face in millimetres, or null until enough samples
+     *
+     * faceWidth is temple to temple (landmarks 127/356), bridgeWidth is the
+     * width of the nose bridge between its sides (landmarks 122/351). A still
+     * photo only gives one sample, so callers can lower `minSamples`.
+     */
+    getFaceMeasurement(minSamples = this.minSamples) {
+        if (this.samples.length < minSamples) return null;
+
+        const median = (key) => {
+            const values = this.samples.map(sample => sample[key]).sort((a, b) => a - b);
+            const middle = Math.floor(values.length / 2);
+            return values.length % 2 ? values[middle] : (values[middle - 1] + values[middle]) / 2;
+        };
+
+        const faceWidth = median('faceWidth');
+
+        return {
+            faceWidth,
+            bridgeWidth: median('bridgeWidth'),
+            pupillaryDistance: median('pupillaryDistance'),
+            size: FitScorer.getSize(faceWidth)
+        };
+    }
+
+    /**
+     * Score how well a frame fits a measured face
+     *
+     * Returns a 0-100 score, the frame's size and a verdict: 'good',
+     * 'narrow', 'wide', 'too-narrow' or 'too-wide'.
+     */
+    static scoreFrame(frame, face) {
+        const dimensions = frame.dimensions || FrameFitter.DEFAULT_DIMENSIONS;
+        const frameWidth = FitScorer.getFrameWidth(frame);
+        const widthDifference = frameWidth - face.faceWidth;
+
+        // Millimetres outside the comfortable range, weighted per measurement
+        const outside = (value, min, max) => Math.max(0, min - value, value - max);
+        const lensCentreDistance = dimensions.lensWidth + dimensions.bridgeWidth;
+        const penalty =
+            outside(widthDifference, -FitScorer.WIDTH_TOLERANCE, FitScorer.WIDTH_TOLERANCE) * 5 +
+            outside(lensCentreDistance - face.pupillaryDistance, 0, 10) * 3 +
+            outside(dimensions.bridgeWidth - face.bridgeWidth, -3, 3) * 4;
+
+        let verdict = 'good';
+        if (widthDifference < -FitScorer.WIDTH_LIMIT) verdict = 'too-narrow';
+        else if (widthDifference > FitScorer.WIDTH_LIMIT) verdict = 'too-wide';
+        else if (widthDifference < -FitScorer.WIDTH_TOLERANCE) verdict = 'narrow';
+        else if (widthDifference > FitScorer.WIDTH_TOLERANCE) verdict = 'wide';
+
+        return {
+            score: Math.round(Math.max(0, 100 - penalty)),
+            verdict,
+            size: FitScorer.getSize(frameWidth),
+            widthDifference
+        };
+    }
+
+    /**
+     * Score every frame, keyed by frame id
+     */
+    static scoreFrames(frames, face) {
+        return new Map(frames.map(frame => [frame.id, FitScorer.scoreFrame(frame, face)]));
+    }
+
+    /**
+     * Total frame width in mm, estimated from the lenses when not given
+     */
+    static getFrameWidth(frame) {
+        const dimensions = frame.dimensions || FrameFitter.DEFAULT_DIMENSIONS;
+        return dimensions.frameWidth || dimensions.lensWidth * 2 + dimensions.bridgeWidth + 10;
+    }
+
+    /**
+     * S/M/L size for a face or frame width in mm
+     */
+    static getSize(width) {
+        if (width <= FitScorer.SIZES.S) return 'S';
+        if (width <= FitScorer.SIZES.M) return 'M';
+        return 'L';
+    }
+}
+
+// Largest width (mm) for each size
+FitScorer.SIZES = { S: 131, M: 140 };
+
+// Frame width may differ from face width by this much (mm) and still fit well
+FitScorer.WIDTH_TOLERANCE = 3;
+
+// Beyond this difference (mm) the frame is flagged as too narrow or too wide
+FitScorer.WIDTH_LIMIT = 8;
+
+FitScorer.VERDICT_LABELS = {
+    'good': 'Good fit',
+    'narrow': 'A bit narrow',
+    'wide': 'A bit wide',
+    'too-narrow': 'Too narrow',
+    'too-wide': 'Too wide'
+};
+
+export { FitScorer };
@@ -0,0 +1,218 @@
+/**
+ * Frame Fitter
+ * Places and scales a frame on the face from its fit anchors and physical
+ * lens and bridge widths
+ */
+
+class FrameFitter {
+    constructor() {
+        // Adult average, used until the user's own PD is known
+        this.averagePupillaryDistance = 63; // mm
+        this.pupillaryDistance = null;
+
+        // Pupils usually sit a little above the lens centre
+        this.pupilAboveLensCentre = 3; // mm
+    }
+
+    /**
+     * Use a measured pupillary distance (mm) for face scale
+     */
+    setPupillaryDistance(distance) {
+        this.pupillaryDistance = distance > 0 ? distance : null;
+    }
+
+    /**
+     * Get the pupillary distance used for face scale
+     */
+    getPupillaryDistance() {
+        return this.pupillaryDistance || this.averagePupillaryDistance;
+    }
+
+    /**
+     * Get a frame's 2D overlay anchors in image pixels
+     *
+     * Frames without fit metadata (e.g. the static selector markup) get
+     * generic anchors scaled to the image.
+     */
+    static getOverlayAnchors(frame, imageWidth, imageHeight) {
+        if (frame && frame.fit && frame.fit.overlay) return frame.fit.overlay;
+
+        const anchors = {};
+        Object.keys(FrameFitter.DEFAULT_OVERLAY_ANCHORS).forEach(name => {
+            const [x, y] = FrameFitter.DEFAULT_OVERLAY_ANCHORS[name];
+            anchors[name] = [x * imageWidth, y * imageHeight];
+        });
+        return anchors;
+    }
+
+    /**
+     * Get the model-space point that sits between the eyes, or null
+     *
+     * This is midway between the lens centres, level with the front of the bridge.
+     */
+    static getModelPivot(frame) {
+        const anchors = frame && frame.fit && frame.fit.model;
+        if (!anchors) return null;
+
+        return [
+            (anchors.leftLens[0] + anchors.rightLens[0]) / 2,
+            (anchors.leftLens[1] + anchors.rightLens[1]) / 2,
+            anchors.bridge[2]
+        ];
+    }
+
+    /**
+     * Distance between the two lens centres in mm
+     */
+    static getLensCentreDistance(frame) {
+        const dimensions = (frame && frame.dimensions) || FrameFitter.DEFAULT_DIMENSIONS;
+        return dimensions.lensWidth + dimensions.bridgeWidth;
+    }
+
+    /**
+     * Measure eye positions and face scale from landmarks
+     */
+    measureFace(landmarks, pose) {
+        const eyeCentre = (inner, outer, top, bottom) => [
+            (inner[0] + outer[0]) / 2,
+            (top[1] + bottom[1] + inner[1] + outer[1]) / 4,
+            ((inner[2] || 0) + (outer[2] || 0)) / 2
+        ];
+
+        const leftEye = eyeCentre(landmarks[133], landmarks[33], landmarks[159], landmarks[145]);
+        const rightEye = eyeCentre(landmarks[362], landmarks[263], landmarks[386], landmarks[374]);
+
+        // Distance includes depth so head turns do not shrink the face scale
+        const eyeDistance = Math.hypot(
+            rightEye[0] - leftEye[0],
+            rightEye[1] - leftEye[1],
+            rightEye[2] - leftEye[2]
+        );
+
+        const roll = pose ? pose.roll : Math.atan2(rightEye[1] - leftEye[1], rightEye[0] - leftEye[0]);
+
+        return {
+            leftEye,
+            rightEye,
+            centre: [0, 1, 2].map(axis => (leftEye[axis] + rightEye[axis]) / 2),
+            eyeDistance,
+            pxPerMm: eyeDistance / this.getPupillaryDistance(),
+            noseTop: landmarks[168],
+            noseBridge: landmarks[6],
+            roll,
+            yaw: pose ? pose.yaw : 0,
+            pitch: pose ? pose.pitch : 0
+        };
+    }
+
+    /**
+     * Convert an image point to the face's rotated, un-foreshortened frame
+     */
+    static toLocal(point, face) {
+        const dx = point[0] - face.centre[0];
+        const dy = point[1] - face.centre[1];
+        const cos = Math.cos(-face.roll);
+        const sin = Math.sin(-face.roll);
+
+        return [
+            (dx * cos - dy * sin) / Math.max(0.2, Math.cos(face.yaw)),
+            (dx * sin + dy * cos) / Math.max(0.2, Math.cos(face.pitch))
+        ];
+    }
+
+    /**
+     * Fit a 2D overlay image to a measured face
+     *
+     * Returns the draw rectangle in a frame centred between the eyes, rotated
+     * by roll and before yaw/pitch foreshortening, plus the temple x positions.
+     * `adjustment` is the user's { lift, scale, tilt } (see FitAdjustments).
+     */
+    fitOverlay(frame, image, face, adjustment = null) {
+        const imageWidth = image.naturalWidth || image.width;
+        const imageHeight = image.naturalHeight || image.height;
+        const { leftLens, rightLens, bridge, leftTemple, rightTemple } =
+            FrameFitter.getOverlayAnchors(frame, imageWidth, imageHeight);
+
+        // Scale so the lens centres are as far apart as on the real frame
+        const imageLensDistance = Math.hypot(rightLens[0] - leftLens[0], rightLens[1] - leftLens[1]);
+        let scale = (FrameFitter.getLensCentreDistance(frame) * face.pxPerMm) / imageLensDistance;
+        if (adjustment) scale *= adjustment.scale;
+
+        // Lens centres sit just below the pupils
+        const lensMid = [(leftLens[0] + rightLens[0]) / 2, (leftLens[1] + rightLens[1]) / 2];
+        const offsetX = -lensMid[0] * scale;
+        let offsetY = -lensMid[1] * scale + this.pupilAboveLensCentre * face.pxPerMm;
+
+        // Keep the bridge resting on the nose, between the nasion and the nose bridge
+        if (face.noseTop && face.noseBridge) {
+            const bridgeY = bridge[1] * scale + offsetY;
+            const noseTopY = FrameFitter.toLocal(face.noseTop, face)[1];
+            const noseBridgeY = FrameFitter.toLocal(face.noseBridge, face)[1];
+            offsetY += Math.min(Math.max(bridgeY, noseTopY), noseBridgeY) - bridgeY;
+        }
+
+        // The user's lift moves the frame off the nose it was resting on
+        if (adjustment) offsetY -= adjustment.lift * face.pxPerMm;
+
+        return {
+            x: face.centre[0],
+            y: face.centre[1],
+            angle: face.roll + (adjustment ? adjustment.tilt * Math.PI / 180 : 0),
+            yaw: face.yaw,
+            pitch: face.pitch,
+            scale,
+            width: imageWidth * scale,
+            height: imageHeight * scale,
+            offsetX,
+            offsetY,
+            leftTempleX: leftTemple[0] * scale + offsetX,
+            rightTempleX: rightTemple[0] * scale + offsetX
+        };
+    }
+
+    /**
+     * Fit a 3D model to a measured face
+     *
+     * Returns the model scale (landmark px per model unit), how far below
+     * the eyes the model pivot goes and the hinge x positions in px from the
+     * pivot, or null without model anchors.
+     */
+    fitModel(frame, face) {
+        const anchors = frame && frame.fit && frame.fit.model;
+        if (!anchors) return null;
+
+        const modelLensDistance = Math.hypot(
+            anchors.rightLens[0] - anchors.leftLens[0],
+            anchors.rightLens[1] - anchors.leftLens[1],
+            anchors.rightLens[2] - anchors.leftLens[2]
+        );
+
+        const scale = (FrameFitter.getLensCentreDistance(frame) * face.pxPerMm) / modelLensDistance;
+        const pivot = FrameFitter.getModelPivot(frame);
+
+        return {
+            scale,
+            pupilOffset: this.pupilAboveLensCentre * face.pxPerMm,
+            leftTempleX: (anchors.leftTemple[0] - pivot[0]) * scale,
+            rightTempleX: (anchors.rightTemple[0] - pivot[0]) * scale
+        };
+    }
+}
+
+// Generic overlay anchors as fractions of the image size
+FrameFitter.DEFAULT_OVERLAY_ANCHORS = {
+    leftLens: [0.3, 0.5],
+    rightLens: [0.7, 0.5],
+    bridge: [0.5, 0.4],
+    leftTemple: [0.02, 0.35],
+    rightTemple: [0.98, 0.35]
+};
+
+FrameFitter.DEFAULT_DIMENSIONS = {
+    lensWidth: 52,
+    lensHeight: 40,
+    bridgeWidth: 18,
+    templeLength: 140
+};
+
+export { FrameFitter };
@@ -0,0 +1,9 @@
+/**
+ * Fitter
+ * Frame placement from fit anchors, the user's fit adjustments and frame size
+ * recommendations
+ */
+
+export { FrameFitter } from './frame-fitter.js';
+export { FitScorer } from './fit-scorer.js';
+export { FitAdjustments } from './fit-adjustments.js';
@@ -0,0 +1,13 @@
+/**
+ * Virtual Glasses
+ * Every part of the library; each part can also be imported on its own
+ * from its folder (e.g. src/catalog/index.js)
+ */
+
+export * from './camera/index.js';
+export * from './detector/index.js';
+export * from './fitter/index.js';
+export * from './renderer/index.js';
+export * from './catalog/index.js';
+export * from './capture/index.js';
+export * from './ui/index.js';
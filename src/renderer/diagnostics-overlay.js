@@ -0,0 +1,153 @@
+/**
+ * Diagnostics Overlay
+ * Draws what the fit is based on over the live view: the landmark mesh, the
+ * face box, eye centres and frame anchors, the head-pose axes and a panel of
+ * detection stats
+ *
+ * Text is flipped back when the preview is mirrored, so it stays readable.
+ * Faces are { landmarks, box, confidence, pose, held } from the app; anchors
+ * come from FrameFitter.measureFace() and the occlusion mask's hinges.
+ */
+
+class DiagnosticsOverlay {
+    constructor() {
+        this.enabled = false;
+        this.font = '12px monospace';
+    }
+
+    /**
+     * Turn the overlay on or off
+     */
+    setEnabled(enabled) {
+        this.enabled = !!enabled;
+    }
+
+    /**
+     * Draw one face's mesh, box, anchors and pose axes
+     *
+     * `measurements` is from FrameFitter.measureFace() and `occluder`
+     * ({ centre, roll, left, right }) is where the frame and its hinges sit.
+     */
+    drawFace(ctx, face, measurements, occluder, mirrored = false) {
+        const { landmarks } = face;
+        ctx.save();
+
+        // Landmark mesh, faded for held faces
+        ctx.fillStyle = face.held ? 'rgba(255, 200, 0, 0.5)' : 'rgba(0, 255, 180, 0.7)';
+        landmarks.forEach(point => {
+            ctx.fillRect(point[0] - 0.75, point[1] - 0.75, 1.5, 1.5);
+        });
+
+        if (face.box) {
+            ctx.strokeStyle = 'rgba(255, 255, 255, 0.8)';
+            ctx.lineWidth = 1;
+            ctx.strokeRect(face.box.xMin, face.box.yMin, face.box.width, face.box.height);
+        }
+
+        if (measurements) {
+            DiagnosticsOverlay.drawDot(ctx, measurements.leftEye, 3, 'red');
+            DiagnosticsOverlay.drawDot(ctx, measurements.rightEye, 3, 'red');
+            if (measurements.noseTop) DiagnosticsOverlay.drawDot(ctx, measurements.noseTop, 2.5, 'orange');
+            if (measurements.noseBridge) DiagnosticsOverlay.drawDot(ctx, measurements.noseBridge, 2.5, 'orange');
+        }
+
+        // Frame centre and hinges, along the frame's own roll
+        if (occluder) {
+            const cos = Math.cos(occluder.roll);
+            const sin = Math.sin(occluder.roll);
+            const hinge = x => [occluder.centre[0] + x * cos, occluder.centre[1] + x * sin];
+            DiagnosticsOverlay.drawDot(ctx, occluder.centre, 3, 'blue');
+            DiagnosticsOverlay.drawDot(ctx, hinge(occluder.left), 3, 'magenta');
+            DiagnosticsOverlay.drawDot(ctx, hinge(occluder.right), 3, 'magenta');
+        }
+
+        if (face.pose && face.pose.rotation && measurements) {
+            this.drawAxes(ctx, face.pose.rotation, landmarks[1] || measurements.centre, measurements.eyeDistance);
+        }
+
+        // Label above the box, from its left edge as seen on screen: id, confidence and pose angles
+        const anchor = face.box ? [mirrored ? face.box.xMax : face.box.xMin, face.box.yMin - 4] : landmarks[10];
+        if (anchor) {
+            const degrees = value => Math.round(value * 180 / Math.PI);
+            const parts = [`#${face.id !== undefined ? face.id : '?'}`];
+            if (typeof face.confidence === 'number') parts.push(`${Math.round(face.confidence * 100)}%`);
+            if (face.pose) parts.push(`y${degrees(face.pose.yaw)} p${degrees(face.pose.pitch)} r${degrees(face.pose.roll)}`);
+            if (face.held) parts.push(`held ${face.held}`);
+            this.drawText(ctx, [parts.join(' ')], anchor, mirrored);
+        }
+
+        ctx.restore();
+    }
+
+    /**
+     * Head axes from a pose rotation (columns are the head's x, y and z in
+     * landmark axes), drawn from `origin`, `length` px long
+     *
+     * x is red, y (down the face) green and the facing direction blue.
+     */
+    drawAxes(ctx, rotation, origin, length) {
+        const axes = [
+            { direction: [rotation[0][0], rotation[1][0]], color: 'red' },
+            { direction: [rotation[0][1], rotation[1][1]], color: 'lime' },
+            // The head's z points away from the camera; draw where the face is facing
+            { direction: [-rotation[0][2], -rotation[1][2]], color: 'deepskyblue' }
+        ];
+
+        ctx.save();
+        ctx.lineWidth = 2;
+        axes.forEach(axis => {
+            ctx.strokeStyle = axis.color;
+            ctx.beginPath();
+            ctx.moveTo(origin[0], origin[1]);
+            ctx.lineTo(origin[0] + axis.direction[0] * length, origin[1] + axis.direction[1] * length);
+            ctx.stroke();
+        });
+        ctx.restore();
+    }
+
+    /**
+     * Panel of stats lines in the top corner as seen on screen
+     */
+    drawHud(ctx, lines, mirrored = false) {
+        const x = mirrored ? ctx.canvas.width - 8 : 8;
+        this.drawText(ctx, lines, [x, 8], mirrored, true);
+    }
+
+    /**
+     * Lines of text on a dark backing, starting at `position` on their left
+     * as seen on screen, above it or, with `fromTop`, below it
+     *
+     * With `mirrored`, the text is flipped so it reads the right way in a mirrored preview.
+     */
+    drawText(ctx, lines, position, mirrored = false, fromTop = false) {
+        const lineHeight = 15;
+
+        ctx.save();
+        ctx.font = this.font;
+        ctx.textBaseline = 'top';
+        ctx.translate(position[0], position[1]);
+        if (mirrored) ctx.scale(-1, 1);
+
+        const width = Math.max(...lines.map(line => ctx.measureText(line).width)) + 8;
+        const height = lines.length * lineHeight + 4;
+        const top = fromTop ? 0 : -height;
+
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+        ctx.fillRect(0, top, width, height);
+        ctx.fillStyle = '#fff';
+        lines.forEach((line, index) => ctx.fillText(line, 4, top + 2 + index * lineHeight));
+        ctx.restore();
+    }
+
+    /**
+     * Filled circle at a point
+     */
+    static drawDot(ctx, point, radius, color) {
+        ctx.fillStyle = color;
+        ctx.beginPath();
+        ctx.arc(point[0], point[1], radius, 0, 2 * Math.PI);
+        ctx.fill();
+    }
+}
+
+export { DiagnosticsOverlay };
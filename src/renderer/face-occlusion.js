@@ -0,0 +1,118 @@
+/**
+ * Face Occlusion
+ * Hides the parts of a frame that are behind the head, using the face-mesh
+ * silhouette as a mask
+ *
+ * Glasses are drawn onto an offscreen layer first. For each face, the region
+ * behind the far hinge and inside the head silhouette is erased from the
+ * layer, and the layer is then composited onto the overlay canvas. The same
+ * pass works for the 2D overlay and the 3D renderer output.
+ */
+
+class FaceOcclusion {
+    constructor() {
+        this.enabled = true;
+
+        // Below this yaw (radians) both temples point straight back and nothing is hidden
+        this.minYaw = 0.05;
+
+        // How far the back of the head shows past the face oval as the head turns,
+        // as a fraction of face width
+        this.headDepth = 0.5;
+
+        this.layer = null;
+        this.layerCtx = null;
+    }
+
+    /**
+     * Get a cleared offscreen layer to draw glasses onto
+     */
+    beginLayer(width, height) {
+        if (!this.layer) {
+            this.layer = document.createElement('canvas');
+            this.layerCtx = this.layer.getContext('2d');
+        }
+
+        if (this.layer.width !== width || this.layer.height !== height) {
+            this.layer.width = width;
+            this.layer.height = height;
+        } else {
+            this.layerCtx.clearRect(0, 0, width, height);
+        }
+
+        return this.layerCtx;
+    }
+
+    /**
+     * Erase the parts of one face's frame that are behind the head
+     *
+     * `frame` describes where the frame sits: { centre: [x, y], roll, yaw,
+     * left, right }, with left/right the hinge offsets in pixels along the
+     * eye line (after foreshortening), negative to the image left.
+     */
+    occlude(ctx, landmarks, frame) {
+        if (Math.abs(frame.yaw) < this.minYaw) return;
+
+        const silhouette = FaceOcclusion.getSilhouette(landmarks);
+        if (!silhouette) return;
+
+        // The far side is the one the face turns towards
+        const side = Math.sign(frame.yaw);
+        const hinge = Math.abs(side > 0 ? frame.right : frame.left);
+        const axis = [Math.cos(frame.roll), Math.sin(frame.roll)];
+        const along = (point) => ((point[0] - frame.centre[0]) * axis[0] + (point[1] - frame.centre[1]) * axis[1]) * side;
+
+        // Push the far half of the face oval outwards for the back of the head
+        const faceWidth = Math.max(...silhouette.map(along)) - Math.min(...silhouette.map(along));
+        const extension = faceWidth * this.headDepth * Math.sin(Math.abs(frame.yaw));
+        const outline = silhouette.map(point => {
+            if (along(point) <= 0) return point;
+            return [point[0] + axis[0] * side * extension, point[1] + axis[1] * side * extension];
+        });
+
+        ctx.save();
+
+        // Only beyond the far hinge; the frame front stays in front of the face
+        const reach = ctx.canvas.width + ctx.canvas.height;
+        ctx.translate(frame.centre[0], frame.centre[1]);
+        ctx.rotate(frame.roll);
+        ctx.beginPath();
+        ctx.rect(side > 0 ? hinge : -reach, -reach, reach - hinge, reach * 2);
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.clip();
+
+        ctx.globalCompositeOperation = 'destination-out';
+        ctx.beginPath();
+        outline.forEach((point, index) => {
+            if (index === 0) ctx.moveTo(point[0], point[1]);
+            else ctx.lineTo(point[0], point[1]);
+        });
+        ctx.closePath();
+        ctx.fill();
+
+        ctx.restore();
+    }
+
+    /**
+     * Draw the layer onto the overlay canvas
+     */
+    endLayer(ctx) {
+        ctx.drawImage(this.layer, 0, 0);
+    }
+
+    /**
+     * Face oval landmarks in order, or null if any are missing
+     */
+    static getSilhouette(landmarks) {
+        const points = FaceOcclusion.FACE_OVAL.map(index => landmarks[index]);
+        return points.every(point => point) ? points : null;
+    }
+}
+
+// MediaPipe face mesh silhouette, clockwise from the top of the forehead
+FaceOcclusion.FACE_OVAL = [
+    10, 338, 297, 332, 284, 251, 389, 356, 454, 323, 361, 288, 397, 365, 379, 378, 400, 377,
+    152, 148, 176, 149, 150, 136, 172, 58, 132, 93, 234, 127, 162, 21, 54, 103, 67, 109
+];
+
+export { FaceOcclusion };
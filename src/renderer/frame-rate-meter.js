@@ -0,0 +1,78 @@
+/**
+ * Frame Rate Meter
+ * Counts frames per second over the last second, and frames dropped when
+ * ticks arrive late
+ *
+ * The expected interval is the shortest gap seen recently (the display's
+ * refresh interval, for a render loop); a gap of about two intervals counts
+ * as one dropped frame.
+ */
+
+class FrameRateMeter {
+    constructor(options = {}) {
+        this.window = options.window || 1000; // ms
+        this.reset();
+    }
+
+    /**
+     * Record a frame at `time` (ms, performance.now())
+     */
+    tick(time = performance.now()) {
+        const previous = this.times[this.times.length - 1];
+        this.times.push(time);
+        this.frames++;
+
+        while (this.times.length > 2 && time - this.times[0] > this.window) this.times.shift();
+
+        if (previous === undefined) return;
+        const gap = time - previous;
+        this.interval = this.interval ? this.interval * 0.9 + gap * 0.1 : gap;
+
+        const gaps = this.times.slice(1).map((t, index) => t - this.times[index]);
+        const expected = Math.max(Math.min(...gaps), FrameRateMeter.MIN_INTERVAL);
+        const missed = Math.round(gap / expected) - 1;
+        if (missed > 0) this.dropped += missed;
+    }
+
+    /**
+     * Frames per second over the last window
+     */
+    getFps() {
+        const count = this.times.length;
+        if (count < 2) return 0;
+        return (count - 1) * 1000 / (this.times[count - 1] - this.times[0]);
+    }
+
+    /**
+     * Smoothed time between frames in ms, 0 before the second frame
+     */
+    getInterval() {
+        return this.interval;
+    }
+
+    /**
+     * { fps, frames, dropped }
+     */
+    getStats() {
+        return {
+            fps: Math.round(this.getFps() * 10) / 10,
+            frames: this.frames,
+            dropped: this.dropped
+        };
+    }
+
+    /**
+     * Start counting afresh
+     */
+    reset() {
+        this.times = [];
+        this.frames = 0;
+        this.dropped = 0;
+        this.interval = 0;
+    }
+}
+
+// Shortest interval trusted as a real frame, in ms (240 Hz)
+FrameRateMeter.MIN_INTERVAL = 1000 / 240;
+
+export { FrameRateMeter };
@@ -0,0 +1,75 @@
+/**
+ * Frame Variants
+ * Builds the 2D overlays for a frame's colour and material variants
+ *
+ * A catalog variant either brings its own `overlayImage` or a `recolor` rule
+ * ({ color, mode, strength }) that is applied to the frame's overlay image.
+ * Recoloured overlays are made once per variant and kept as canvases, which
+ * draw like images. The 3D renderer applies the variant's `materials` and
+ * `textures` to the model (see Glasses3DRenderer.applyVariant).
+ */
+
+class FrameVariants {
+    constructor() {
+        // Recoloured overlay canvases keyed by "frame/variant"
+        this.overlays = new Map();
+    }
+
+    /**
+     * Get the overlay to draw for a frame variant
+     *
+     * `baseImage` is the frame's own overlay image and `variantImage` the
+     * variant's overlayImage when it has one. Returns null until the image
+     * it depends on has loaded.
+     */
+    getOverlay(frameId, variant, baseImage, variantImage = null) {
+        if (variantImage) return FrameVariants.isLoaded(variantImage) ? variantImage : null;
+        if (!FrameVariants.isLoaded(baseImage)) return null;
+        if (!variant || !variant.recolor) return baseImage;
+
+        const key = `${frameId}/${variant.id}`;
+        const cached = this.overlays.get(key);
+        if (cached && cached.source === baseImage.src) return cached.canvas;
+
+        const canvas = FrameVariants.recolor(baseImage, variant.recolor);
+        this.overlays.set(key, { source: baseImage.src, canvas });
+        return canvas;
+    }
+
+    /**
+     * Recolour an image, keeping its alpha
+     *
+     * `mode` is a canvas blend mode ('color' by default, which keeps the
+     * shading and takes hue and saturation from `color`); `strength` (0-1)
+     * fades the new colour in.
+     */
+    static recolor(image, rule) {
+        const canvas = document.createElement('canvas');
+        canvas.width = image.naturalWidth || image.width;
+        canvas.height = image.naturalHeight || image.height;
+        const ctx = canvas.getContext('2d');
+
+        ctx.drawImage(image, 0, 0);
+
+        ctx.globalCompositeOperation = rule.mode || 'color';
+        ctx.globalAlpha = rule.strength !== undefined ? rule.strength : 1;
+        ctx.fillStyle = rule.color;
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+        // Blend modes paint the transparent background too; cut back to the frame
+        ctx.globalCompositeOperation = 'destination-in';
+        ctx.globalAlpha = 1;
+        ctx.drawImage(image, 0, 0);
+
+        return canvas;
+    }
+
+    /**
+     * Check if an image has loaded and can be drawn
+     */
+    static isLoaded(image) {
+        return !!image && image.complete && image.naturalWidth > 0;
+    }
+}
+
+export { FrameVariants };
@@ -0,0 +1,694 @@
+/**
+ * Glasses 3D Renderer
+ * Loads the bundled glTF frames with three.js and draws them onto the overlay
+ * canvas using the head pose fitted from the face-mesh landmarks.
+ *
+ * Requires three.js r147 and its examples/js GLTFLoader as globals.
+ */
+
+class Glasses3DRenderer {
+    constructor() {
+        this.renderer = null;
+        this.scene = null;
+        this.ambientLight = null;
+        this.keyLight = null;
+        this.camera = null;
+        this.glCanvas = null;
+        this.width = 0;
+        this.height = 0;
+        this.isSoftwareContext = false;
+        this.contextLost = false;
+
+        // Loaded glTF scenes keyed by glasses style
+        this.models = new Map();
+        this.pendingModels = new Map();
+        this.failedModels = new Set();
+        this.currentStyle = null;
+
+        // One model instance per rendered face, keyed by face id
+        this.instances = new Map();
+
+        // Variant base colour textures keyed by URL
+        this.textures = new Map();
+
+        // Environment map for mirror-coated lenses (see setReflection)
+        this.pmremGenerator = null;
+        this.reflectionTarget = null;
+        this.reflectionTexture = null;
+        this.reflectionUpdated = -Infinity;
+        this.reflectionInterval = 500;
+
+        // Frame width relative to the outer eye corners, for models without fit anchors
+        this.frameWidthRatio = 1.55;
+
+        // Field of view used to rebuild perspective from pixel coordinates
+        this.fieldOfView = 45;
+    }
+
+    /**
+     * Check if three.js and the glTF loader are available
+     */
+    static isSupported() {
+        return typeof THREE !== 'undefined' && typeof THREE.GLTFLoader !== 'undefined';
+    }
+
+    /**
+     * Create the WebGL context, scene, camera and lights
+     */
+    init(width, height) {
+        if (this.renderer) {
+            this.setSize(width, height);
+            return true;
+        }
+
+        if (!Glasses3DRenderer.isSupported()) return false;
+
+        try {
+            this.glCanvas = document.createElement('canvas');
+
+            // Accept software rasterisers (SwiftShader, llvmpipe) so CPU-only machines still get 3D
+            this.renderer = new THREE.WebGLRenderer({
+                canvas: this.glCanvas,
+                alpha: true,
+                antialias: false,
+                preserveDrawingBuffer: true,
+                powerPreference: 'low-power',
+                failIfMajorPerformanceCaveat: false
+            });
+        } catch (error) {
+            console.warn('WebGL not available, using 2D glasses overlay:', error);
+            this.renderer = null;
+            this.glCanvas = null;
+            return false;
+        }
+
+        this.isSoftwareContext = this.detectSoftwareContext();
+        this.renderer.setPixelRatio(1);
+        this.renderer.setClearColor(0x000000, 0);
+        this.renderer.outputEncoding = THREE.sRGBEncoding;
+
+        this.glCanvas.addEventListener('webglcontextlost', (event) => {
+            event.preventDefault();
+            this.contextLost = true;
+            console.warn('WebGL context lost, falling back to 2D glasses overlay');
+        });
+        this.glCanvas.addEventListener('webglcontextrestored', () => {
+            this.contextLost = false;
+        });
+
+        this.scene = new THREE.Scene();
+        this.ambientLight = new THREE.HemisphereLight(0xffffff, 0x444444, 1.0);
+        this.scene.add(this.ambientLight);
+
+        this.keyLight = new THREE.DirectionalLight(0xffffff, 0.8);
+        this.keyLight.position.set(0, 200, 600);
+        this.scene.add(this.keyLight);
+
+        this.camera = new THREE.PerspectiveCamera(this.fieldOfView, 1, 1, 10000);
+        this.setSize(width, height);
+
+        return true;
+    }
+
+    /**
+     * Detect software WebGL so the render target can be reduced
+     */
+    detectSoftwareContext() {
+        const gl = this.renderer.getContext();
+        const debugInfo = gl.getExtension('WEBGL_debug_renderer_info');
+        const rendererName = debugInfo
+            ? gl.getParameter(debugInfo.UNMASKED_RENDERER_WEBGL)
+            : gl.getParameter(gl.RENDERER);
+
+        return /swiftshader|llvmpipe|software|basic render/i.test(rendererName || '');
+    }
+
+    /**
+     * Match the overlay canvas size and rebuild the pixel-space camera
+     */
+    setSize(width, height) {
+        if (!this.renderer || (width === this.width && height === this.height)) return;
+
+        this.width = width;
+        this.height = height;
+
+        // Software contexts render at half resolution and get scaled up on composite
+        const renderScale = this.isSoftwareContext ? 0.5 : 1;
+        this.renderer.setSize(Math.round(width * renderScale), Math.round(height * renderScale), false);
+
+        // Place the camera so that one world unit equals one video pixel on the z = 0 plane
+        const distance = (height / 2) / Math.tan(THREE.MathUtils.degToRad(this.fieldOfView / 2));
+        this.camera.aspect = width / height;
+        this.camera.position.set(0, 0, distance);
+        this.camera.near = distance / 10;
+        this.camera.far = distance * 10;
+        this.camera.lookAt(0, 0, 0);
+        this.camera.updateProjectionMatrix();
+    }
+
+    /**
+     * Check if the renderer can draw the given style right now
+     */
+    isReady(style) {
+        return !!this.renderer && !this.contextLost && this.models.has(style);
+    }
+
+    /**
+     * Check if a style's model failed to load
+     */
+    hasFailed(style) {
+        return this.failedModels.has(style);
+    }
+
+    /**
+     * Load and normalise a glTF model for a glasses style
+     *
+     * `pivot` is the model-space point between the eyes from the frame's fit
+     * anchors (see FrameFitter.getModelPivot); without it the model is centred
+     * on its bounding box.
+     */
+    loadModel(style, url, pivot = null) {
+        if (this.models.has(style)) return Promise.resolve(this.models.get(style));
+        if (this.pendingModels.has(style)) return this.pendingModels.get(style);
+
+        const loader = new THREE.GLTFLoader();
+        const pending = new Promise((resolve, reject) => {
+            loader.load(
+                url,
+                (gltf) => resolve(gltf.scene),
+                undefined,
+                (error) => reject(error)
+            );
+        }).then((scene) => {
+            const model = this.normaliseModel(scene, pivot);
+            this.models.set(style, model);
+            this.pendingModels.delete(style);
+            return model;
+        }).catch((error) => {
+            this.failedModels.add(style);
+            this.pendingModels.delete(style);
+            throw error;
+        });
+
+        this.pendingModels.set(style, pending);
+        return pending;
+    }
+
+    /**
+     * Move a model's pivot to the origin
+     *
+     * With fit anchors the model keeps its own units; otherwise it is centred
+     * on its front face and scaled to unit width.
+     */
+    normaliseModel(scene, pivotPoint) {
+        if (pivotPoint) {
+            scene.position.set(-pivotPoint[0], -pivotPoint[1], -pivotPoint[2]);
+
+            const model = new THREE.Group();
+            model.add(scene);
+            model.userData.hasFitAnchors = true;
+            return model;
+        }
+
+        const box = new THREE.Box3().setFromObject(scene);
+        const size = box.getSize(new THREE.Vector3());
+        const center = box.getCenter(new THREE.Vector3());
+
+        // Pivot sits at the middle of the frame front, which lines up with the eyes
+        scene.position.set(-center.x, -center.y, -box.max.z);
+
+        const pivot = new THREE.Group();
+        pivot.add(scene);
+        pivot.scale.setScalar(1 / (size.x || 1));
+
+        const model = new THREE.Group();
+        model.add(pivot);
+        return model;
+    }
+
+    /**
+     * Set the model drawn on faces that have no style of their own
+     */
+    setStyle(style) {
+        this.currentStyle = style;
+    }
+
+    /**
+     * Get or create the model instance for a face, replacing it when the style changes
+     */
+    getInstance(id, style) {
+        const existing = this.instances.get(id);
+        if (existing && existing.style === style) return existing;
+
+        if (existing) this.removeInstance(existing);
+
+        const object = this.models.get(style).clone(true);
+        this.scene.add(object);
+
+        const lenses = this.findLenses(object);
+        const instance = { object, style, pose: null, lenses, variantId: null, parts: this.findParts(object, lenses) };
+        this.instances.set(id, instance);
+        return instance;
+    }
+
+    /**
+     * Remove the model instances of faces that are no longer rendered
+     */
+    removeInstances(keepIds) {
+        this.instances.forEach((instance, id) => {
+            if (keepIds.has(id)) return;
+            this.removeInstance(instance);
+            this.instances.delete(id);
+        });
+    }
+
+    /**
+     * Take an instance out of the scene and free its lens materials
+     */
+    removeInstance(instance) {
+        this.scene.remove(instance.object);
+        instance.parts.forEach(part => {
+            part.mesh.material = part.material;
+            if (part.variantMaterial) part.variantMaterial.dispose();
+        });
+        instance.lenses.forEach(lens => {
+            lens.mesh.material = lens.material;
+            lens.mesh.geometry = lens.geometry;
+            if (lens.lensMaterial) lens.lensMaterial.dispose();
+            if (lens.lensGeometry) lens.lensGeometry.dispose();
+        });
+    }
+
+    /**
+     * Find the lens meshes of a model instance
+     *
+     * Lenses are the meshes with a transparent material or one named after
+     * glass or lenses. Returned entries keep the model's own material and
+     * geometry so a clear lens can go back to them.
+     */
+    findLenses(object) {
+        const lenses = [];
+        object.traverse(node => {
+            if (!node.isMesh || Array.isArray(node.material)) return;
+            if (!node.material.transparent && !/glass|lens|vidro/i.test(node.material.name)) return;
+            lenses.push({ mesh: node, material: node.material, geometry: node.geometry, lensMaterial: null, lensGeometry: null });
+        });
+        return lenses;
+    }
+
+    /**
+     * Find the frame meshes (everything but the lenses) of a model instance
+     */
+    findParts(object, lenses) {
+        const lensMeshes = new Set(lenses.map(lens => lens.mesh));
+        const parts = [];
+        object.traverse(node => {
+            if (!node.isMesh || Array.isArray(node.material) || lensMeshes.has(node)) return;
+            parts.push({ mesh: node, material: node.material, variantMaterial: null });
+        });
+        return parts;
+    }
+
+    /**
+     * Give an instance's frame the materials of a catalog variant
+     *
+     * `variant.materials` maps glTF material names to { color, metalness,
+     * roughness } and `variant.textures` maps them to a base colour texture
+     * URL. Changed materials are copied per instance; a variant without
+     * changes (or null) keeps the model's own materials.
+     */
+    applyVariant(instance, variant) {
+        const variantId = variant ? variant.id : null;
+        if (instance.variantId === variantId) return;
+        instance.variantId = variantId;
+
+        const materials = (variant && variant.materials) || {};
+        const textures = (variant && variant.textures) || {};
+
+        instance.parts.forEach(part => {
+            if (part.variantMaterial) {
+                part.variantMaterial.dispose();
+                part.variantMaterial = null;
+            }
+
+            const name = part.material.name;
+            const settings = materials[name];
+            const textureUrl = textures[name];
+            if (!settings && !textureUrl) {
+                part.mesh.material = part.material;
+                return;
+            }
+
+            const material = part.material.clone();
+            if (textureUrl) {
+                // A new texture brings its own colour, so drop the tint unless one is given
+                material.map = this.loadTexture(textureUrl);
+                material.color.set(0xffffff);
+            }
+            if (settings && settings.color) material.color.set(settings.color).convertSRGBToLinear();
+            if (settings && settings.metalness !== undefined) material.metalness = settings.metalness;
+            if (settings && settings.roughness !== undefined) material.roughness = settings.roughness;
+            material.needsUpdate = true;
+
+            part.variantMaterial = material;
+            part.mesh.material = material;
+        });
+    }
+
+    /**
+     * Load a variant texture with the glTF conventions (no flip, sRGB, repeat)
+     */
+    loadTexture(url) {
+        if (!this.textures.has(url)) {
+            const texture = new THREE.TextureLoader().load(url, undefined, undefined, (error) => {
+                console.warn(`Failed to load variant texture ${url}:`, error);
+            });
+            texture.flipY = false;
+            texture.encoding = THREE.sRGBEncoding;
+            texture.wrapS = THREE.RepeatWrapping;
+            texture.wrapT = THREE.RepeatWrapping;
+            this.textures.set(url, texture);
+        }
+        return this.textures.get(url);
+    }
+
+    /**
+     * Give an instance's lenses a lens appearance from LensRenderer.getAppearance()
+     *
+     * Clear lenses keep the model's own glass. Other lenses get a shared
+     * standard material per mesh; gradients fade through vertex alpha from
+     * the top of the lenses to the bottom, and mirrors reflect the texture
+     * set with setReflection().
+     */
+    applyLens(instance, appearance) {
+        if (instance.lenses.length === 0) return;
+
+        if (!appearance || appearance.type === 'clear') {
+            instance.lenses.forEach(lens => {
+                lens.mesh.material = lens.material;
+                lens.mesh.geometry = lens.geometry;
+            });
+            return;
+        }
+
+        const gradient = appearance.type === 'gradient';
+        if (gradient) this.prepareGradient(instance, appearance);
+
+        const color = new THREE.Color(appearance.color).convertSRGBToLinear();
+        const envMap = appearance.mirror ? this.reflectionTexture : null;
+
+        instance.lenses.forEach(lens => {
+            if (!lens.lensMaterial) {
+                lens.lensMaterial = new THREE.MeshStandardMaterial({
+                    transparent: true,
+                    depthWrite: false,
+                    side: THREE.DoubleSide
+                });
+            }
+
+            const material = lens.lensMaterial;
+            if (material.vertexColors !== gradient || material.envMap !== envMap) {
+                material.needsUpdate = true;
+            }
+
+            material.color.copy(color);
+            material.opacity = appearance.opacity;
+            material.vertexColors = gradient;
+            material.metalness = appearance.mirror ? 1 : 0.1;
+            material.roughness = appearance.mirror ? 0.2 : 0.05;
+            material.envMap = envMap;
+
+            lens.mesh.material = material;
+            lens.mesh.geometry = gradient ? lens.lensGeometry : lens.geometry;
+        });
+    }
+
+    /**
+     * Build per-vertex alpha for a gradient, top of the lenses opaque
+     */
+    prepareGradient(instance, appearance) {
+        const ratio = appearance.opacity > 0 ? appearance.bottomOpacity / appearance.opacity : 1;
+        if (instance.gradientRatio === ratio) return;
+        instance.gradientRatio = ratio;
+
+        // Heights in the instance's own space, so both lenses share one gradient
+        instance.object.updateMatrixWorld(true);
+        const toInstance = new THREE.Matrix4().copy(instance.object.matrixWorld).invert();
+        const point = new THREE.Vector3();
+        const heights = instance.lenses.map(lens => {
+            const matrix = new THREE.Matrix4().multiplyMatrices(toInstance, lens.mesh.matrixWorld);
+            const positions = lens.geometry.attributes.position;
+            const values = new Float32Array(positions.count);
+            for (let index = 0; index < positions.count; index++) {
+                values[index] = point.fromBufferAttribute(positions, index).applyMatrix4(matrix).y;
+            }
+            return values;
+        });
+
+        const all = heights.flatMap(values => Array.from(values));
+        const top = Math.max(...all);
+        const span = (top - Math.min(...all)) || 1;
+
+        instance.lenses.forEach((lens, lensIndex) => {
+            if (!lens.lensGeometry) lens.lensGeometry = lens.geometry.clone();
+
+            const values = heights[lensIndex];
+            const colors = new Float32Array(values.length * 4);
+            values.forEach((height, index) => {
+                colors.set([1, 1, 1, 1 + (ratio - 1) * ((top - height) / span)], index * 4);
+            });
+            lens.lensGeometry.setAttribute('color', new THREE.BufferAttribute(colors, 4));
+        });
+    }
+
+    /**
+     * Use a canvas (e.g. LensRenderer's blurred video copy) as the mirror reflection
+     *
+     * Standard materials need the map prefiltered (PMREM), which is too slow
+     * for every frame, so the reflection is refreshed every reflectionInterval ms.
+     */
+    setReflection(canvas, now = performance.now()) {
+        if (!this.renderer || now - this.reflectionUpdated < this.reflectionInterval) return;
+        this.reflectionUpdated = now;
+
+        if (!this.pmremGenerator) this.pmremGenerator = new THREE.PMREMGenerator(this.renderer);
+
+        const source = new THREE.CanvasTexture(canvas);
+        source.mapping = THREE.EquirectangularReflectionMapping;
+        source.encoding = THREE.sRGBEncoding;
+
+        const target = this.pmremGenerator.fromEquirectangular(source);
+        source.dispose();
+
+        if (this.reflectionTarget) this.reflectionTarget.dispose();
+        this.reflectionTarget = target;
+        this.reflectionTexture = target.texture;
+    }
+
+    /**
+     * Light the frames to match the room (see LightingEstimator.getLighting)
+     *
+     * Both lights take the white balance and exposure; the key light moves
+     * to the estimated direction and takes more of the light the more
+     * one-sided it is.
+     */
+    setLighting(lighting) {
+        if (!this.scene) return;
+
+        const [r, g, b] = lighting.gains;
+        const strength = lighting.strength;
+
+        this.ambientLight.color.setRGB(r, g, b);
+        this.ambientLight.intensity = 1.0 * lighting.exposure * (1 - 0.4 * strength);
+
+        this.keyLight.color.setRGB(r, g, b);
+        this.keyLight.intensity = 0.8 * lighting.exposure * (1 + 0.6 * strength);
+
+        // Image axes have y down; the key light sits 600 units off along the direction
+        const [x, y, z] = lighting.direction;
+        this.keyLight.position.set(x * 600, -y * 600 + 200 * (1 - strength), z * 600);
+    }
+
+    /**
+     * Convert a face-mesh landmark to world space
+     */
+    toWorld(point) {
+        return new THREE.Vector3(
+            point[0] - this.width / 2,
+            this.height / 2 - point[1],
+            -(point[2] || 0)
+        );
+    }
+
+    /**
+     * Convert a head-pose rotation (landmark axes: y down, z away) to world space
+     */
+    toWorldQuaternion(rotation) {
+        const r = rotation;
+
+        // Conjugate with diag(1, -1, -1) to flip the y and z axes on both sides
+        const matrix = new THREE.Matrix4().set(
+            r[0][0], -r[0][1], -r[0][2], 0,
+            -r[1][0], r[1][1], r[1][2], 0,
+            -r[2][0], r[2][1], r[2][2], 0,
+            0, 0, 0, 1
+        );
+        return new THREE.Quaternion().setFromRotationMatrix(matrix);
+    }
+
+    /**
+     * Work out position, rotation and scale of the frame for a face, with the user's adjustment
+     */
+    computePose(face, hasFitAnchors) {
+        const pose = this.computeFittedPose(face, hasFitAnchors);
+        const { adjustment, measurements } = face;
+        if (!adjustment || !measurements) return pose;
+
+        // Lift along the head's up axis, tilt about its forward axis (clockwise in the image)
+        const up = new THREE.Vector3(0, 1, 0).applyQuaternion(pose.quaternion);
+        pose.position.addScaledVector(up, adjustment.lift * measurements.pxPerMm);
+        pose.quaternion.multiply(
+            new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 0, 1), -adjustment.tilt * Math.PI / 180)
+        );
+        pose.scale *= adjustment.scale;
+        return pose;
+    }
+
+    /**
+     * Work out position, rotation and scale of the frame for a face from the automatic fit
+     */
+    computeFittedPose(face, hasFitAnchors) {
+        const { landmarks, pose: headPose, measurements, modelFit } = face;
+        const leftEyeOuter = this.toWorld(landmarks[33]);
+        const rightEyeOuter = this.toWorld(landmarks[263]);
+        const leftEyeInner = this.toWorld(landmarks[133]);
+        const rightEyeInner = this.toWorld(landmarks[362]);
+
+        let quaternion;
+        if (headPose) {
+            quaternion = this.toWorldQuaternion(headPose.rotation);
+        } else {
+            // Without a fitted pose, build head axes from the eye line and face height
+            const forehead = this.toWorld(landmarks[10]);
+            const chin = this.toWorld(landmarks[152]);
+            const xAxis = rightEyeOuter.clone().sub(leftEyeOuter).normalize();
+            const upHint = forehead.clone().sub(chin).normalize();
+            const zAxis = new THREE.Vector3().crossVectors(xAxis, upHint).normalize();
+            const yAxis = new THREE.Vector3().crossVectors(zAxis, xAxis).normalize();
+
+            quaternion = new THREE.Quaternion().setFromRotationMatrix(
+                new THREE.Matrix4().makeBasis(xAxis, yAxis, zAxis)
+            );
+        }
+
+        const position = measurements
+            ? this.toWorld(measurements.centre)
+            : leftEyeOuter.clone()
+                .add(rightEyeOuter)
+                .add(leftEyeInner)
+                .add(rightEyeInner)
+                .multiplyScalar(0.25);
+
+        if (hasFitAnchors && modelFit) {
+            // Lens centres sit just below the pupils, along the head's own down axis
+            const down = new THREE.Vector3(0, -1, 0).applyQuaternion(quaternion);
+            position.addScaledVector(down, modelFit.pupilOffset);
+            return { position, quaternion, scale: modelFit.scale };
+        }
+
+        const scale = leftEyeOuter.distanceTo(rightEyeOuter) * this.frameWidthRatio;
+        return { position, quaternion, scale };
+    }
+
+    /**
+     * Render each face's model and composite onto a 2D context
+     *
+     * Each face is { id, style, variant, lens, landmarks, pose, measurements,
+     * modelFit, adjustment } where pose comes from HeadPoseEstimator,
+     * measurements/modelFit from FrameFitter, variant from the catalog, lens
+     * from LensRenderer.getAppearance() and adjustment from FitAdjustments.
+     * `id` defaults to the face's index and `style` to the one set with
+     * setStyle(); faces whose model is not loaded are skipped.
+     */
+    render(ctx, faces) {
+        const renderedIds = new Set();
+
+        faces.forEach((face, index) => {
+            const id = face.id !== undefined ? face.id : index;
+            const style = face.style || this.currentStyle;
+            if (!this.isReady(style)) return;
+
+            const instance = this.getInstance(id, style);
+            const hasFitAnchors = !!instance.object.userData.hasFitAnchors;
+            const pose = this.computePose(face, hasFitAnchors);
+
+            instance.object.position.copy(pose.position);
+            instance.object.quaternion.copy(pose.quaternion);
+            instance.object.scale.setScalar(pose.scale);
+            this.applyVariant(instance, face.variant);
+            this.applyLens(instance, face.lens);
+            renderedIds.add(id);
+        });
+
+        // Models of faces that left the frame are released
+        this.removeInstances(renderedIds);
+        if (renderedIds.size === 0) return false;
+
+        this.renderer.render(this.scene, this.camera);
+        ctx.drawImage(this.glCanvas, 0, 0, this.width, this.height);
+        return true;
+    }
+
+    /**
+     * Release GPU resources
+     */
+    dispose() {
+        this.models.forEach(model => {
+            model.traverse(node => {
+                if (node.geometry) node.geometry.dispose();
+                if (node.material) {
+                    const materials = Array.isArray(node.material) ? node.material : [node.material];
+                    materials.forEach(material => {
+                        Object.values(material).forEach(value => {
+                            if (value && value.isTexture) value.dispose();
+                        });
+                        material.dispose();
+                    });
+                }
+            });
+        });
+
+        this.instances.forEach(instance => this.removeInstance(instance));
+        this.models.clear();
+        this.instances.clear();
+
+        this.textures.forEach(texture => texture.dispose());
+        this.textures.clear();
+
+        if (this.reflectionTarget) {
+            this.reflectionTarget.dispose();
+            this.reflectionTarget = null;
+            this.reflectionTexture = null;
+        }
+
+        if (this.pmremGenerator) {
+            this.pmremGenerator.dispose();
+            this.pmremGenerator = null;
+        }
+
+        if (this.renderer) {
+            this.renderer.dispose();
+            this.renderer = null;
+        }
+
+        this.scene = null;
+        this.ambientLight = null;
+        this.keyLight = null;
+        this.camera = null;
+        this.glCanvas = null;
+        this.width = 0;
+        this.height = 0;
+    }
+}
+
+export { Glasses3DRenderer };
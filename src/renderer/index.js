@@ -0,0 +1,14 @@
+/**
+ * Renderer
+ * 3D frames, lens materials, colour variants, occlusion by the head, room
+ * lighting, frame rates and the diagnostics overlay
+ */
+
+export { Glasses3DRenderer } from './glasses-3d-renderer.js';
+export { LensRenderer } from './lens-renderer.js';
+export { FrameVariants } from './frame-variants.js';
+export { FaceOcclusion } from './face-occlusion.js';
+export { FrameRateMeter } from './frame-rate-meter.js';
+export { LightingEstimator } from './lighting-estimator.js';
+export { OverlayLighting } from './overlay-lighting.js';
+export { DiagnosticsOverlay } from './diagnostics-overlay.js';
@@ -0,0 +1,203 @@
+/**
+ * Lens Renderer
+ * Draws lens materials (tint, gradient, mirror and photochromic) into the
+ * lens area of a frame
+ *
+ * Lenses come from the catalog's `lenses` list and are chosen per frame. The
+ * 2D overlay paints them into lens shapes around the frame's lens anchors,
+ * under the rims; the 3D renderer applies the same appearance to the model's
+ * lens meshes.
+ */
+
+import { FrameFitter } from '../fitter/frame-fitter.js';
+
+class LensRenderer {
+    constructor() {
+        // Simulated outdoor light for photochromic lenses, 0 (indoors) to 1 (full sun)
+        this.brightness = 0.5;
+
+        // Small, blurred and mirrored copy of the video for mirror coatings
+        this.reflection = null;
+        this.reflectionCtx = null;
+        this.reflectionWidth = 64;
+
+        // Superellipse exponent of the 2D lens shape: 2 is an ellipse, higher is squarer
+        this.lensRoundness = 4;
+    }
+
+    /**
+     * Set the simulated outdoor light (0-1) that darkens photochromic lenses
+     */
+    setBrightness(brightness) {
+        this.brightness = Math.min(1, Math.max(0, brightness));
+    }
+
+    /**
+     * Work out how a lens looks right now
+     *
+     * Returns { id, type, color, opacity, bottomOpacity, mirror } with
+     * opacities 0-1. Photochromic lenses go from `clearOpacity` indoors to
+     * `opacity` in full sun; only gradients have a different bottomOpacity.
+     */
+    getAppearance(lens) {
+        const type = LensRenderer.TYPE_DEFAULTS[lens.type] ? lens.type : 'clear';
+        const settings = { ...LensRenderer.TYPE_DEFAULTS[type], ...lens };
+
+        let opacity = settings.opacity;
+        if (type === 'photochromic') {
+            opacity = settings.clearOpacity + (settings.opacity - settings.clearOpacity) * this.brightness;
+        }
+
+        return {
+            id: lens.id,
+            type,
+            color: settings.color,
+            opacity,
+            bottomOpacity: type === 'gradient' ? settings.bottomOpacity : opacity,
+            mirror: type === 'mirror'
+        };
+    }
+
+    /**
+     * Refresh the reflection from a video, image or canvas
+     */
+    updateReflection(source) {
+        const sourceWidth = source.videoWidth || source.naturalWidth || source.width;
+        const sourceHeight = source.videoHeight || source.naturalHeight || source.height;
+        if (!sourceWidth || !sourceHeight) return;
+
+        if (!this.reflection) {
+            this.reflection = document.createElement('canvas');
+            this.reflectionCtx = this.reflection.getContext('2d');
+        }
+
+        // Drawing into a tiny canvas and stretching it back up does most of the blurring
+        const width = this.reflectionWidth;
+        const height = Math.max(1, Math.round(width * sourceHeight / sourceWidth));
+        if (this.reflection.width !== width || this.reflection.height !== height) {
+            this.reflection.width = width;
+            this.reflection.height = height;
+        }
+
+        const ctx = this.reflectionCtx;
+        ctx.save();
+        ctx.setTransform(-1, 0, 0, 1, width, 0);
+        if ('filter' in ctx) ctx.filter = 'blur(2px)';
+        ctx.drawImage(source, 0, 0, width, height);
+        ctx.restore();
+    }
+
+    /**
+     * Paint the lenses of a frame
+     *
+     * `ctx` must be in overlay image pixels (the frame's placement already
+     * applied) and `shapes` come from getLensShapes(). Draw the frame image
+     * afterwards so the rims cover the lens edges.
+     */
+    drawLenses(ctx, appearance, shapes) {
+        shapes.forEach(shape => {
+            const halfWidth = shape.width / 2;
+            const halfHeight = shape.height / 2;
+
+            ctx.save();
+            ctx.translate(shape.centre[0], shape.centre[1]);
+            ctx.rotate(shape.angle);
+            this.traceLens(ctx, halfWidth, halfHeight);
+            ctx.clip();
+
+            if (appearance.type === 'gradient') {
+                const gradient = ctx.createLinearGradient(0, -halfHeight, 0, halfHeight);
+                gradient.addColorStop(0, LensRenderer.toRgba(appearance.color, appearance.opacity));
+                gradient.addColorStop(1, LensRenderer.toRgba(appearance.color, appearance.bottomOpacity));
+                ctx.fillStyle = gradient;
+            } else {
+                ctx.fillStyle = LensRenderer.toRgba(appearance.color, appearance.opacity);
+            }
+            ctx.fillRect(-halfWidth, -halfHeight, shape.width, shape.height);
+
+            if (appearance.mirror && this.reflection) {
+                ctx.globalAlpha = appearance.opacity * 0.6;
+                ctx.drawImage(this.reflection, -halfWidth, -halfHeight, shape.width, shape.height);
+                ctx.globalAlpha = 1;
+            }
+
+            // Diagonal glare so even clear lenses read as glass
+            const glare = appearance.mirror ? 0.25 : 0.1;
+            const highlight = ctx.createLinearGradient(-halfWidth, -halfHeight, halfWidth, halfHeight);
+            highlight.addColorStop(0.2, 'rgba(255, 255, 255, 0)');
+            highlight.addColorStop(0.35, `rgba(255, 255, 255, ${glare})`);
+            highlight.addColorStop(0.5, 'rgba(255, 255, 255, 0)');
+            ctx.fillStyle = highlight;
+            ctx.fillRect(-halfWidth, -halfHeight, shape.width, shape.height);
+
+            ctx.restore();
+        });
+    }
+
+    /**
+     * Add a lens outline centred on the origin to the current path
+     */
+    traceLens(ctx, halfWidth, halfHeight) {
+        const exponent = 2 / this.lensRoundness;
+        const steps = 48;
+
+        ctx.beginPath();
+        for (let step = 0; step < steps; step++) {
+            const angle = (step / steps) * Math.PI * 2;
+            const cos = Math.cos(angle);
+            const sin = Math.sin(angle);
+            const x = halfWidth * Math.sign(cos) * Math.pow(Math.abs(cos), exponent);
+            const y = halfHeight * Math.sign(sin) * Math.pow(Math.abs(sin), exponent);
+            if (step === 0) ctx.moveTo(x, y);
+            else ctx.lineTo(x, y);
+        }
+        ctx.closePath();
+    }
+
+    /**
+     * Lens outlines in overlay image pixels
+     *
+     * Each lens is centred on its fit anchor, tilted with the line between the
+     * two anchors and sized from the frame's lensWidth and lensHeight.
+     */
+    static getLensShapes(frame, imageWidth, imageHeight) {
+        const { leftLens, rightLens } = FrameFitter.getOverlayAnchors(frame, imageWidth, imageHeight);
+        const dimensions = (frame && frame.dimensions) || FrameFitter.DEFAULT_DIMENSIONS;
+
+        const imageLensDistance = Math.hypot(rightLens[0] - leftLens[0], rightLens[1] - leftLens[1]);
+        const pxPerMm = imageLensDistance / FrameFitter.getLensCentreDistance(frame);
+        const angle = Math.atan2(rightLens[1] - leftLens[1], rightLens[0] - leftLens[0]);
+
+        return [leftLens, rightLens].map(centre => ({
+            centre,
+            angle,
+            width: dimensions.lensWidth * pxPerMm,
+            height: dimensions.lensHeight * pxPerMm
+        }));
+    }
+
+    /**
+     * Convert a #rrggbb colour and an alpha to a CSS rgba() string
+     */
+    static toRgba(hex, alpha) {
+        const value = parseInt(hex.slice(1), 16);
+        return `rgba(${(value >> 16) & 255}, ${(value >> 8) & 255}, ${value & 255}, ${alpha})`;
+    }
+}
+
+// Settings each lens type starts from; catalog entries override them
+LensRenderer.TYPE_DEFAULTS = {
+    clear: { color: '#ffffff', opacity: 0.05 },
+    tint: { color: '#333333', opacity: 0.7 },
+    gradient: { color: '#333333', opacity: 0.8, bottomOpacity: 0.1 },
+    mirror: { color: '#8a9bb0', opacity: 0.85 },
+    photochromic: { color: '#333333', opacity: 0.8, clearOpacity: 0.05 }
+};
+
+// Offered when the catalog does not list any lenses
+LensRenderer.DEFAULT_LENSES = [
+    { id: 'clear', name: 'Clear', type: 'clear' },
+    { id: 'grey-tint', name: 'Grey tint', type: 'tint', color: '#2e2e2e', opacity: 0.75 }
+];
+
+export { LensRenderer };
@@ -0,0 +1,323 @@
+/**
+ * Lighting Estimator
+ * Reads the room's lighting off the face in the video, so the glasses can be
+ * lit to match: how bright it is, the colour of the light and where it comes
+ * from
+ *
+ * A few dozen skin landmarks (forehead, cheeks, nose and chin, clear of the
+ * eyes, brows and lips) are sampled from a small copy of the face. Their mean
+ * colour against a typical skin colour gives the white balance; a plane
+ * fitted to their brightness across the face gives the light's direction,
+ * since the lit side of a face is the brighter one. Estimates are taken a few
+ * times a second and eased in, so the lighting drifts rather than flickers.
+ */
+
+class LightingEstimator {
+    constructor(options = {}) {
+        this.interval = options.interval || 200; // ms between samples
+        this.easing = options.easing || 0.3; // weight of each new estimate
+        this.sampleWidth = 64; // px, width the face region is shrunk to
+
+        this.enabled = true;
+        this.canvas = null;
+        this.ctx = null;
+
+        this.reset();
+    }
+
+    /**
+     * Forget the estimate and go back to neutral lighting
+     */
+    reset() {
+        this.lighting = LightingEstimator.getNeutral();
+        this.lastUpdate = -Infinity;
+        this.hasEstimate = false;
+    }
+
+    /**
+     * Turn estimation on or off; off lights the glasses neutrally
+     */
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        this.reset();
+    }
+
+    /**
+     * The current lighting
+     *
+     * { brightness, temperature, exposure, gains, direction, strength }:
+     * brightness is the face's mean luma (0-1), temperature an approximate
+     * colour temperature in kelvin, exposure the factor to scale the glasses'
+     * colours by and gains the [r, g, b] white balance to multiply them by.
+     * direction is a unit vector towards the light in image axes (x right,
+     * y down, z towards the camera) and strength (0-1) how one-sided it is.
+     */
+    getLighting() {
+        return this.lighting;
+    }
+
+    /**
+     * Sample faces (lists of landmarks) in a video, image or canvas at `time` (ms)
+     *
+     * Does nothing until `interval` has passed since the last sample.
+     */
+    update(source, landmarkSets, time = performance.now()) {
+        if (!this.enabled || landmarkSets.length === 0 || time - this.lastUpdate < this.interval) {
+            return this.lighting;
+        }
+        this.lastUpdate = time;
+
+        const samples = this.sample(source, landmarkSets);
+        const estimate = samples && LightingEstimator.analyse(samples);
+        if (!estimate) return this.lighting;
+
+        this.lighting = this.hasEstimate ? LightingEstimator.blend(this.lighting, estimate, this.easing) : estimate;
+        this.hasEstimate = true;
+        return this.lighting;
+    }
+
+    /**
+     * Colours of the skin landmarks, with their place on the face
+     *
+     * Returns [{ r, g, b, x, y }] with colours 0-1 and x and y relative to
+     * the face centre in half face widths, or null when nothing could be read.
+     */
+    sample(source, landmarkSets) {
+        const sourceWidth = source.videoWidth || source.naturalWidth || source.width;
+        const sourceHeight = source.videoHeight || source.naturalHeight || source.height;
+        if (!sourceWidth || !sourceHeight) return null;
+
+        const points = landmarkSets.flatMap(landmarks =>
+            LightingEstimator.SAMPLE_LANDMARKS.map(index => landmarks[index]).filter(Boolean)
+        );
+        if (points.length === 0) return null;
+
+        // Only the faces' bounding box is copied, small
+        const left = Math.max(0, Math.floor(Math.min(...points.map(point => point[0]))));
+        const top = Math.max(0, Math.floor(Math.min(...points.map(point => point[1]))));
+        const right = Math.min(sourceWidth, Math.ceil(Math.max(...points.map(point => point[0]))) + 1);
+        const bottom = Math.min(sourceHeight, Math.ceil(Math.max(...points.map(point => point[1]))) + 1);
+        if (right - left < 2 || bottom - top < 2) return null;
+
+        const scale = this.sampleWidth / (right - left);
+        const width = this.sampleWidth;
+        const height = Math.max(1, Math.round((bottom - top) * scale));
+
+        if (!this.canvas) {
+            this.canvas = document.createElement('canvas');
+            this.ctx = this.canvas.getContext('2d', { willReadFrequently: true });
+        }
+        if (this.canvas.width !== width || this.canvas.height !== height) {
+            this.canvas.width = width;
+            this.canvas.height = height;
+        }
+
+        let pixels;
+        try {
+            this.ctx.drawImage(source, left, top, right - left, bottom - top, 0, 0, width, height);
+            pixels = this.ctx.getImageData(0, 0, width, height).data;
+        } catch (error) {
+            // Cross-origin images cannot be read back
+            return null;
+        }
+
+        const samples = [];
+        landmarkSets.forEach(landmarks => {
+            const leftCheek = landmarks[234];
+            const rightCheek = landmarks[454];
+            if (!leftCheek || !rightCheek) return;
+
+            const centre = [(leftCheek[0] + rightCheek[0]) / 2, (leftCheek[1] + rightCheek[1]) / 2];
+            const halfWidth = Math.hypot(rightCheek[0] - leftCheek[0], rightCheek[1] - leftCheek[1]) / 2;
+            if (!(halfWidth > 0)) return;
+
+            LightingEstimator.SAMPLE_LANDMARKS.forEach(index => {
+                const point = landmarks[index];
+                if (!point) return;
+
+                const px = Math.min(width - 1, Math.max(0, Math.round((point[0] - left) * scale)));
+                const py = Math.min(height - 1, Math.max(0, Math.round((point[1] - top) * scale)));
+                const offset = (py * width + px) * 4;
+
+                samples.push({
+                    r: pixels[offset] / 255,
+                    g: pixels[offset + 1] / 255,
+                    b: pixels[offset + 2] / 255,
+                    x: (point[0] - centre[0]) / halfWidth,
+                    y: (point[1] - centre[1]) / halfWidth
+                });
+            });
+        });
+
+        return samples.length >= LightingEstimator.MIN_SAMPLES ? samples : null;
+    }
+
+    /**
+     * Work out the lighting from skin samples (see sample())
+     */
+    static analyse(samples) {
+        const count = samples.length;
+        const mean = [0, 0, 0];
+        samples.forEach(sample => {
+            mean[0] += sample.r / count;
+            mean[1] += sample.g / count;
+            mean[2] += sample.b / count;
+        });
+
+        const brightness = LightingEstimator.getLuma(mean);
+        if (brightness < 0.02) return null;
+
+        // Least-squares plane: luma = a + gx * x + gy * y
+        const lumas = samples.map(sample => LightingEstimator.getLuma([sample.r, sample.g, sample.b]));
+        const plane = LightingEstimator.fitPlane(samples, lumas);
+        let gx = 0;
+        let gy = 0;
+        if (plane && plane[0] > 0) {
+            gx = plane[1] / plane[0];
+            gy = plane[2] / plane[0];
+        }
+        const slope = Math.hypot(gx, gy);
+        const length = Math.hypot(gx, gy, 1);
+
+        // The skin's colour cast against typical skin, halved so skin tones do not read as tinted light
+        const reference = LightingEstimator.REFERENCE_SKIN;
+        const chroma = mean.map(value => value / (mean[0] + mean[1] + mean[2]) * 3);
+        const cast = chroma.map((value, channel) => value / reference[channel]);
+        const gains = LightingEstimator.normaliseGains(cast.map(value => Math.sqrt(value)));
+
+        const redToBlue = cast[0] / Math.max(cast[2], 0.01);
+        const temperature = Math.round(LightingEstimator.clamp(6500 * Math.pow(redToBlue, -1.2), 2000, 12000) / 50) * 50;
+
+        return {
+            brightness,
+            temperature,
+            exposure: LightingEstimator.clamp(
+                Math.pow(brightness / LightingEstimator.REFERENCE_BRIGHTNESS, 0.6),
+                LightingEstimator.EXPOSURE_RANGE[0],
+                LightingEstimator.EXPOSURE_RANGE[1]
+            ),
+            gains,
+            direction: [gx / length, gy / length, 1 / length],
+            strength: Math.min(1, slope)
+        };
+    }
+
+    /**
+     * Fit value = a + b * x + c * y to samples, returning [a, b, c] or null
+     */
+    static fitPlane(samples, values) {
+        // Normal equations: matrix[i][j] = sum(basis_i * basis_j), rhs[i] = sum(basis_i * value)
+        const matrix = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+        const rhs = [0, 0, 0];
+        samples.forEach((sample, index) => {
+            const basis = [1, sample.x, sample.y];
+            basis.forEach((a, row) => {
+                basis.forEach((b, column) => {
+                    matrix[row][column] += a * b;
+                });
+                rhs[row] += a * values[index];
+            });
+        });
+
+        // Cramer's rule
+        const determinant = LightingEstimator.det3(matrix);
+        if (Math.abs(determinant) < 1e-9) return null;
+
+        return [0, 1, 2].map(column => {
+            const replaced = matrix.map((row, rowIndex) =>
+                row.map((value, columnIndex) => (columnIndex === column ? rhs[rowIndex] : value))
+            );
+            return LightingEstimator.det3(replaced) / determinant;
+        });
+    }
+
+    /**
+     * Determinant of a 3x3 matrix (rows of three)
+     */
+    static det3(m) {
+        return m[0][0] * (m[1][1] * m[2][2] - m[1][2] * m[2][1]) -
+            m[0][1] * (m[1][0] * m[2][2] - m[1][2] * m[2][0]) +
+            m[0][2] * (m[1][0] * m[2][1] - m[1][1] * m[2][0]);
+    }
+
+    /**
+     * Ease from one lighting estimate towards another by `weight` (0-1)
+     */
+    static blend(from, to, weight) {
+        const mix = (a, b) => a + (b - a) * weight;
+        const direction = from.direction.map((value, axis) => mix(value, to.direction[axis]));
+        const length = Math.hypot(...direction) || 1;
+
+        return {
+            brightness: mix(from.brightness, to.brightness),
+            temperature: Math.round(mix(from.temperature, to.temperature) / 50) * 50,
+            exposure: mix(from.exposure, to.exposure),
+            gains: from.gains.map((value, channel) => mix(value, to.gains[channel])),
+            direction: direction.map(value => value / length),
+            strength: mix(from.strength, to.strength)
+        };
+    }
+
+    /**
+     * Scale gains so they keep brightness (luma 1), each within GAIN_RANGE
+     */
+    static normaliseGains(gains) {
+        const luma = LightingEstimator.getLuma(gains) || 1;
+        return gains.map(gain => LightingEstimator.clamp(
+            gain / luma,
+            LightingEstimator.GAIN_RANGE[0],
+            LightingEstimator.GAIN_RANGE[1]
+        ));
+    }
+
+    /**
+     * Rec. 709 luma of an [r, g, b] colour
+     */
+    static getLuma(rgb) {
+        return 0.2126 * rgb[0] + 0.7152 * rgb[1] + 0.0722 * rgb[2];
+    }
+
+    /**
+     * Keep a value within min and max
+     */
+    static clamp(value, min, max) {
+        return Math.min(max, Math.max(min, value));
+    }
+
+    /**
+     * Lighting that leaves the glasses as they are: lit from the front, in daylight
+     */
+    static getNeutral() {
+        return {
+            brightness: LightingEstimator.REFERENCE_BRIGHTNESS,
+            temperature: 6500,
+            exposure: 1,
+            gains: [1, 1, 1],
+            direction: [0, 0, 1],
+            strength: 0
+        };
+    }
+}
+
+// Skin landmarks of the face mesh: forehead, cheeks, nose and chin
+LightingEstimator.SAMPLE_LANDMARKS = [
+    10, 67, 109, 338, 297, 151, 108, 337,
+    50, 101, 36, 205, 187, 123, 116, 117, 118, 119, 147,
+    280, 330, 266, 425, 411, 352, 345, 346, 347, 348, 376,
+    4, 5, 195, 197, 1, 45, 275, 48, 278,
+    152, 175, 199, 200, 18, 421, 201, 428, 208, 172, 397, 136, 365
+];
+
+// Fewest readable samples trusted for an estimate
+LightingEstimator.MIN_SAMPLES = 12;
+
+// Mean luma of a face in a well-lit room, which leaves the glasses unchanged
+LightingEstimator.REFERENCE_BRIGHTNESS = 0.5;
+
+// Chromaticity (r, g, b over their mean) of typical skin in daylight
+LightingEstimator.REFERENCE_SKIN = [1.25, 0.95, 0.8];
+
+LightingEstimator.EXPOSURE_RANGE = [0.45, 1.2];
+LightingEstimator.GAIN_RANGE = [0.8, 1.2];
+
+export { LightingEstimator };
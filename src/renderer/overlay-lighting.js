@@ -0,0 +1,135 @@
+/**
+ * Overlay Lighting
+ * Lights the 2D glasses overlay to match the room (see LightingEstimator):
+ * exposure and white balance on the frame and lens colours, and a soft
+ * contact shadow where the frame sits on the nose and over the cheeks
+ *
+ * The frame image is multiplied per channel into a canvas, kept until the
+ * lighting moves by more than a small step, so it is redone a few times a
+ * second at most. The 3D renderer lights its model instead (see
+ * Glasses3DRenderer.setLighting) but shares the contact shadow.
+ */
+
+class OverlayLighting {
+    constructor() {
+        // Lit copies of overlay images: image -> { key, canvas }
+        this.litImages = new WeakMap();
+
+        // Lighting changes smaller than this step reuse the lit image
+        this.step = 0.02;
+
+        // Shadow darkness (0-1) for a face lit from one side, before exposure
+        this.shadowOpacity = 0.3;
+    }
+
+    /**
+     * Per-channel factors [r, g, b] the overlay's colours are multiplied by
+     */
+    getFactors(lighting) {
+        return lighting.gains.map(gain => Math.round(gain * lighting.exposure / this.step) * this.step);
+    }
+
+    /**
+     * The frame image lit for `lighting`, or the image itself when it is neutral or cannot be read
+     */
+    getLitImage(image, lighting) {
+        const factors = this.getFactors(lighting);
+        if (factors.every(factor => factor === 1)) return image;
+
+        const key = factors.join(',');
+        const cached = this.litImages.get(image);
+        if (cached && cached.key === key) return cached.canvas;
+
+        const canvas = cached ? cached.canvas : document.createElement('canvas');
+        canvas.width = image.naturalWidth || image.width;
+        canvas.height = image.naturalHeight || image.height;
+        const ctx = canvas.getContext('2d', { willReadFrequently: true });
+
+        try {
+            ctx.drawImage(image, 0, 0);
+            const pixels = ctx.getImageData(0, 0, canvas.width, canvas.height);
+            const data = pixels.data;
+            for (let offset = 0; offset < data.length; offset += 4) {
+                data[offset] *= factors[0];
+                data[offset + 1] *= factors[1];
+                data[offset + 2] *= factors[2];
+            }
+            ctx.putImageData(pixels, 0, 0);
+        } catch (error) {
+            // Cross-origin overlays cannot be read back; draw them unlit
+            return image;
+        }
+
+        this.litImages.set(image, { key, canvas });
+        return canvas;
+    }
+
+    /**
+     * A lens appearance with its colour lit for `lighting`
+     */
+    getLitLens(appearance, lighting) {
+        const factors = this.getFactors(lighting);
+        if (factors.every(factor => factor === 1)) return appearance;
+
+        const value = parseInt(appearance.color.slice(1), 16);
+        const channels = [(value >> 16) & 255, (value >> 8) & 255, value & 255]
+            .map((channel, index) => Math.min(255, Math.round(channel * factors[index])));
+        const color = '#' + channels.map(channel => channel.toString(16).padStart(2, '0')).join('');
+
+        return { ...appearance, color };
+    }
+
+    /**
+     * Darken the skin under a face's frame: the nose bridge and both cheeks
+     *
+     * Drawn before the glasses, in image pixels. The shadows fall away from
+     * the light and darken as it gets more one-sided.
+     */
+    drawContactShadows(ctx, landmarks, lighting) {
+        const leftCheek = landmarks[234];
+        const rightCheek = landmarks[454];
+        if (!leftCheek || !rightCheek) return;
+
+        const faceWidth = Math.hypot(rightCheek[0] - leftCheek[0], rightCheek[1] - leftCheek[1]);
+        const roll = Math.atan2(rightCheek[1] - leftCheek[1], rightCheek[0] - leftCheek[0]);
+        const opacity = this.shadowOpacity * (0.4 + 0.6 * lighting.strength) * Math.min(1, lighting.exposure);
+        if (!(faceWidth > 0) || opacity <= 0.005) return;
+
+        // Cast away from the light, by up to 5% of the face width
+        const shift = [-lighting.direction[0] * faceWidth * 0.05, -lighting.direction[1] * faceWidth * 0.05];
+
+        ctx.save();
+        ctx.globalCompositeOperation = 'source-over';
+        OverlayLighting.SHADOWS.forEach(shadow => {
+            const point = landmarks[shadow.landmark];
+            if (!point) return;
+
+            ctx.save();
+            ctx.translate(point[0] + shift[0], point[1] + shift[1]);
+            ctx.rotate(roll);
+            ctx.translate(0, shadow.drop * faceWidth);
+            ctx.scale(shadow.width * faceWidth, shadow.height * faceWidth);
+
+            // A unit circle stretched into an ellipse, fading out to its edge
+            const gradient = ctx.createRadialGradient(0, 0, 0, 0, 0, 1);
+            gradient.addColorStop(0, `rgba(0, 0, 0, ${opacity * shadow.opacity})`);
+            gradient.addColorStop(1, 'rgba(0, 0, 0, 0)');
+            ctx.fillStyle = gradient;
+            ctx.beginPath();
+            ctx.arc(0, 0, 1, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.restore();
+        });
+        ctx.restore();
+    }
+}
+
+// Contact shadows: landmark, offset down the face and half-axes, all in face
+// widths, and darkness relative to shadowOpacity
+OverlayLighting.SHADOWS = [
+    { landmark: 6, drop: 0.03, width: 0.06, height: 0.035, opacity: 1 }, // nose bridge
+    { landmark: 118, drop: 0.02, width: 0.12, height: 0.03, opacity: 0.6 }, // cheek on the image's left
+    { landmark: 347, drop: 0.02, width: 0.12, height: 0.03, opacity: 0.6 } // cheek on the image's right
+];
+
+export { OverlayLighting };
@@ -0,0 +1,340 @@
+/**
+ * Embed Bridge
+ * postMessage protocol for shops that show the try-on page in an iframe
+ *
+ * Only windows from allow-listed origins are answered. Every message carries
+ * the protocol name and a schema version:
+ *
+ *   request  { protocol: 'virtual-glasses', version: 1, id, type, payload }
+ *   reply    { protocol, version, id, type, ok: true, result }
+ *            { protocol, version, id, type, ok: false, error: { code, message } }
+ *   event    { protocol, version, type: 'event', event, data }
+ *   ready    { protocol, version, type: 'ready', supportedVersions }
+ *
+ * Requests are 'selectFrame', 'loadCatalog', 'capture', 'subscribe' and
+ * 'unsubscribe'; their payloads are checked against EmbedBridge.SCHEMAS for
+ * the version they were sent with. Events are 'status' ({ message }) and
+ * 'faceCount' ({ count }).
+ */
+
+class EmbedBridge {
+    /**
+     * Options:
+     * - allowedOrigins: origins that may drive the app, e.g. ['https://shop.example']
+     * - target: window to announce 'ready' to (default: the parent window)
+     */
+    constructor(app, options = {}) {
+        this.app = app;
+        this.allowedOrigins = EmbedBridge.normaliseOrigins(options.allowedOrigins || []);
+        this.target = options.target || window.parent;
+
+        // { source, version, events } keyed by origin
+        this.subscribers = new Map();
+
+        this.handleMessage = (event) => this.onMessage(event);
+        window.addEventListener('message', this.handleMessage);
+
+        // Chained to the app's own callbacks, which are put back by destroy()
+        const { onStatusChange, onFaceCountChange } = this.app.callbacks;
+        this.previousCallbacks = { onStatusChange, onFaceCountChange };
+        this.callbacks = {
+            onStatusChange: (message) => {
+                if (onStatusChange) onStatusChange(message);
+                this.emit('status', { message });
+            },
+            onFaceCountChange: (count) => {
+                if (onFaceCountChange) onFaceCountChange(count);
+                this.emit('faceCount', { count });
+            }
+        };
+        this.app.setCallbacks(this.callbacks);
+
+        this.announce();
+    }
+
+    /**
+     * Tell the embedding page the bridge is listening
+     *
+     * Posted once per allowed origin, so only a page from one of them receives it.
+     */
+    announce() {
+        if (!this.target || this.target === window) return;
+
+        const message = {
+            protocol: EmbedBridge.PROTOCOL,
+            version: EmbedBridge.getLatestVersion(),
+            type: 'ready',
+            supportedVersions: Object.keys(EmbedBridge.SCHEMAS).map(Number)
+        };
+        this.allowedOrigins.forEach(origin => this.target.postMessage(message, origin));
+    }
+
+    /**
+     * Check if a window origin may drive the app
+     */
+    isAllowedOrigin(origin) {
+        return this.allowedOrigins.includes(origin);
+    }
+
+    /**
+     * Handle a request from an embedding page
+     */
+    async onMessage(event) {
+        const request = event.data;
+        if (!request || typeof request !== 'object' || request.protocol !== EmbedBridge.PROTOCOL) return;
+
+        if (!this.isAllowedOrigin(event.origin)) {
+            console.warn(`[EmbedBridge] Ignored message from origin ${event.origin}`);
+            return;
+        }
+        if (!event.source) return;
+
+        const reply = (body) => event.source.postMessage({
+            protocol: EmbedBridge.PROTOCOL,
+            version: request.version,
+            id: request.id,
+            type: request.type,
+            ...body
+        }, event.origin);
+
+        const schemas = EmbedBridge.getOwn(EmbedBridge.SCHEMAS, request.version);
+        if (!schemas) {
+            reply(EmbedBridge.getErrorReply('unsupported-version',
+                `Version ${request.version} is not supported, use one of ${Object.keys(EmbedBridge.SCHEMAS).join(', ')}`));
+            return;
+        }
+
+        const schema = EmbedBridge.getOwn(schemas, request.type);
+        if (!schema) {
+            reply(EmbedBridge.getErrorReply('unknown-type', `Unknown request type "${request.type}"`));
+            return;
+        }
+
+        const payload = request.payload || {};
+        const errors = EmbedBridge.validate(payload, schema);
+        if (errors.length > 0) {
+            reply(EmbedBridge.getErrorReply('invalid-payload', errors.join('; ')));
+            return;
+        }
+
+        try {
+            const result = await this.handleRequest(request.type, payload, event, request.version);
+            reply({ ok: true, result });
+        } catch (error) {
+            reply(EmbedBridge.getErrorReply(error.code || 'failed', error.message));
+        }
+    }
+
+    /**
+     * Carry out a validated request; throws errors with a `code` to reply with
+     */
+    handleRequest(type, payload, event, version) {
+        if (type === 'selectFrame') return this.selectFrame(payload);
+        if (type === 'loadCatalog') return this.loadCatalog(payload.url);
+        if (type === 'capture') return this.capture();
+        return this.updateSubscription(event, version, payload.events, type === 'subscribe');
+    }
+
+    /**
+     * Put on a catalog frame; resolves to the look now worn
+     */
+    async selectFrame({ frame, variant, lens }) {
+        await this.app.catalogReady;
+        if (!this.app.catalog.getFrame(frame)) {
+            throw EmbedBridge.createError('unknown-frame', `Unknown frame "${frame}"`);
+        }
+
+        this.app.applyLook({ frame, variant: variant || null, lens: lens || null });
+        return this.app.getLook(frame);
+    }
+
+    /**
+     * Switch to another frame catalog; resolves to its frames
+     */
+    async loadCatalog(url) {
+        if (!await this.app.setCatalogUrl(url)) {
+            throw EmbedBridge.createError('catalog-failed', `Could not load the frame catalog ${url}`);
+        }
+
+        return {
+            defaultFrame: this.app.catalog.getDefaultFrame().id,
+            frames: this.app.catalog.getFrames().map(frame => ({
+                id: frame.id,
+                name: frame.name,
+                brand: frame.brand,
+                price: frame.price
+            }))
+        };
+    }
+
+    /**
+     * Take a photo into the gallery; resolves to the PNG Blob and its size
+     */
+    async capture() {
+        if (!this.app.webcamUI.isActive()) {
+            throw EmbedBridge.createError('no-source', 'Start the camera or upload a photo before capturing');
+        }
+
+        let item;
+        try {
+            item = await this.app.takePhoto();
+        } catch (error) {
+            throw EmbedBridge.createError('capture-failed', `Could not capture the photo: ${error.message}`);
+        }
+
+        return { blob: item.blob, filename: item.filename, width: item.width, height: item.height };
+    }
+
+    /**
+     * Add or remove events a page is sent; resolves to its current events
+     */
+    updateSubscription(event, version, events, subscribe) {
+        const subscriber = this.subscribers.get(event.origin) || { events: new Set() };
+        subscriber.source = event.source;
+        subscriber.version = version;
+        events.forEach(name => {
+            if (subscribe) subscriber.events.add(name);
+            else subscriber.events.delete(name);
+        });
+
+        if (subscriber.events.size > 0) this.subscribers.set(event.origin, subscriber);
+        else this.subscribers.delete(event.origin);
+        return { events: [...subscriber.events] };
+    }
+
+    /**
+     * Send an event to the pages subscribed to it
+     */
+    emit(name, data) {
+        this.subscribers.forEach((subscriber, origin) => {
+            if (!subscriber.events.has(name)) return;
+
+            try {
+                subscriber.source.postMessage({
+                    protocol: EmbedBridge.PROTOCOL,
+                    version: subscriber.version,
+                    type: 'event',
+                    event: name,
+                    data
+                }, origin);
+            } catch (error) {
+                // The subscribed window has gone away
+                this.subscribers.delete(origin);
+            }
+        });
+    }
+
+    /**
+     * Stop answering messages
+     */
+    destroy() {
+        window.removeEventListener('message', this.handleMessage);
+
+        // Put back the callbacks the bridge chained to, unless the page has replaced them since
+        const restored = {};
+        Object.keys(this.callbacks).forEach(name => {
+            if (this.app.callbacks[name] === this.callbacks[name]) restored[name] = this.previousCallbacks[name];
+        });
+        this.app.setCallbacks(restored);
+        this.subscribers.clear();
+    }
+
+    /**
+     * Check a payload against a schema of `field: 'type'`, where a type ending
+     * in '?' is optional; returns the problems found
+     */
+    static validate(payload, schema) {
+        if (typeof payload !== 'object' || Array.isArray(payload)) return ['payload must be an object'];
+
+        const errors = [];
+        Object.keys(schema).forEach(field => {
+            const type = schema[field].replace(/\?$/, '');
+            const value = payload[field];
+
+            if (value === undefined || value === null) {
+                if (!schema[field].endsWith('?')) errors.push(`${field} is required`);
+            } else if (type === 'events') {
+                if (!Array.isArray(value) || value.some(name => !EmbedBridge.EVENTS.includes(name))) {
+                    errors.push(`${field} must be a list of ${EmbedBridge.EVENTS.join(', ')}`);
+                }
+            } else if (typeof value !== type || value === '') {
+                errors.push(`${field} must be a non-empty ${type}`);
+            }
+        });
+        return errors;
+    }
+
+    /**
+     * Read the allowed origins from <meta name="virtual-glasses-embed-origins">
+     * (space or comma separated)
+     */
+    static getPageOrigins(doc = document) {
+        const meta = doc.querySelector('meta[name="virtual-glasses-embed-origins"]');
+        return meta ? meta.content.split(/[\s,]+/).filter(Boolean) : [];
+    }
+
+    /**
+     * Turn allowed origins into the form event.origin uses; wildcards and
+     * invalid entries are dropped
+     */
+    static normaliseOrigins(origins) {
+        return origins.reduce((valid, origin) => {
+            try {
+                const url = new URL(origin);
+                if (url.origin === 'null' || origin.includes('*')) throw new Error('not a single origin');
+                valid.push(url.origin);
+            } catch (error) {
+                console.warn(`[EmbedBridge] Ignoring allowed origin "${origin}": ${error.message}`);
+            }
+            return valid;
+        }, []);
+    }
+
+    /**
+     * Look a key up without reaching inherited properties like "constructor"
+     */
+    static getOwn(object, key) {
+        return Object.prototype.hasOwnProperty.call(object, key) ? object[key] : null;
+    }
+
+    /**
+     * Newest protocol version, announced in 'ready'
+     */
+    static getLatestVersion() {
+        return Math.max(...Object.keys(EmbedBridge.SCHEMAS).map(Number));
+    }
+
+    /**
+     * Reply body for a failed request
+     */
+    static getErrorReply(code, message) {
+        return { ok: false, error: { code, message } };
+    }
+
+    /**
+     * Error carrying the code to reply with
+     */
+    static createError(code, message) {
+        const error = new Error(message);
+        error.code = code;
+        return error;
+    }
+}
+
+EmbedBridge.PROTOCOL = 'virtual-glasses';
+
+// Events pages can subscribe to
+EmbedBridge.EVENTS = ['status', 'faceCount'];
+
+// Request payloads by protocol version, then request type
+EmbedBridge.SCHEMAS = {
+    1: {
+        selectFrame: { frame: 'string', variant: 'string?', lens: 'string?' },
+        loadCatalog: { url: 'string' },
+        capture: {},
+        subscribe: { events: 'events' },
+        unsubscribe: { events: 'events' }
+    }
+};
+
+export { EmbedBridge };
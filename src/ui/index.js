@@ -0,0 +1,9 @@
+/**
+ * UI
+ * The try-on app, the embeddable widget, the iframe bridge and offline support
+ */
+
+export { VirtualGlassesTryOn } from './virtual-glasses.js';
+export { TryOnWidget } from './try-on-widget.js';
+export { EmbedBridge } from './embed-bridge.js';
+export { OfflineManager } from './offline-manager.js';
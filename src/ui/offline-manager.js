@@ -0,0 +1,157 @@
+/**
+ * Offline Manager
+ * Registers the service worker (sw.js) and tells the page about updates
+ *
+ * Callbacks: onOfflineReady once the app is cached for the first time,
+ * onUpdateReady when a new version of the app is waiting (applyUpdate()
+ * switches to it and reloads), onCatalogUpdated ({ url, version }) when
+ * the service worker has cached a new version of a frame catalog, and
+ * onCatalogIncomplete ({ url, failed }) when some of a catalog's frame assets
+ * could not be cached (they are retried on the next check).
+ */
+
+class OfflineManager {
+    /**
+     * Options (all optional):
+     * - scriptUrl: the service worker script (default 'sw.js')
+     * - catalogUrl: frame catalog checked for new versions along with the app
+     * - updateInterval: ms between update checks, for kiosks left open for days
+     */
+    constructor(options = {}) {
+        this.scriptUrl = options.scriptUrl || 'sw.js';
+        this.catalogUrl = options.catalogUrl || 'catalog/frames.json';
+        this.updateInterval = options.updateInterval || OfflineManager.UPDATE_INTERVAL;
+        this.registration = null;
+        this.updateTimer = null;
+        this.reloadOnUpdate = false;
+
+        this.callbacks = {
+            onOfflineReady: null,
+            onUpdateReady: null,
+            onCatalogUpdated: null,
+            onCatalogIncomplete: null
+        };
+
+        this.handleMessage = (event) => this.onMessage(event);
+        this.handleControllerChange = () => {
+            if (this.reloadOnUpdate) window.location.reload();
+        };
+    }
+
+    /**
+     * Check if this browser can run the app offline
+     */
+    static isSupported() {
+        return typeof navigator !== 'undefined' && 'serviceWorker' in navigator;
+    }
+
+    /**
+     * Register the service worker; resolves to its registration, or null if it could not be registered
+     */
+    async register() {
+        if (!OfflineManager.isSupported()) return null;
+
+        try {
+            this.registration = await navigator.serviceWorker.register(this.scriptUrl);
+        } catch (error) {
+            console.warn('[OfflineManager] Service worker registration failed:', error);
+            return null;
+        }
+
+        navigator.serviceWorker.addEventListener('message', this.handleMessage);
+        navigator.serviceWorker.addEventListener('controllerchange', this.handleControllerChange);
+
+        if (this.registration.waiting && navigator.serviceWorker.controller) {
+            this.notify('onUpdateReady');
+        }
+        this.registration.addEventListener('updatefound', () => this.watchInstall(this.registration.installing));
+
+        this.updateTimer = setInterval(() => this.checkForUpdates(), this.updateInterval);
+        return this.registration;
+    }
+
+    /**
+     * Follow a new service worker until it is installed
+     */
+    watchInstall(worker) {
+        if (!worker) return;
+
+        worker.addEventListener('statechange', () => {
+            if (worker.state !== 'installed') return;
+
+            // With a controller this is an update, without one the first install
+            if (navigator.serviceWorker.controller) this.notify('onUpdateReady');
+            else this.notify('onOfflineReady');
+        });
+    }
+
+    /**
+     * Look for a new app version and a new catalog version
+     *
+     * The catalog request goes through the service worker, which checks it in the background.
+     */
+    async checkForUpdates() {
+        if (!this.registration) return;
+
+        try {
+            await this.registration.update();
+            await fetch(this.catalogUrl);
+        } catch (error) {
+            // Offline; try again next time
+        }
+    }
+
+    /**
+     * Switch to the waiting version of the app and reload the page
+     */
+    applyUpdate() {
+        const waiting = this.registration && this.registration.waiting;
+        if (!waiting) return;
+
+        this.reloadOnUpdate = true;
+        waiting.postMessage({ type: 'skip-waiting' });
+    }
+
+    /**
+     * Handle a message from the service worker
+     */
+    onMessage(event) {
+        const message = event.data;
+        if (!message) return;
+
+        if (message.type === 'catalog-updated') {
+            this.notify('onCatalogUpdated', { url: message.url, version: message.version });
+        } else if (message.type === 'catalog-incomplete') {
+            this.notify('onCatalogIncomplete', { url: message.url, failed: message.failed });
+        }
+    }
+
+    /**
+     * Call a callback if it is set
+     */
+    notify(name, detail) {
+        if (this.callbacks[name]) this.callbacks[name](detail);
+    }
+
+    /**
+     * Stop checking for updates; the service worker stays registered
+     */
+    cleanup() {
+        clearInterval(this.updateTimer);
+        if (!OfflineManager.isSupported()) return;
+
+        navigator.serviceWorker.removeEventListener('message', this.handleMessage);
+        navigator.serviceWorker.removeEventListener('controllerchange', this.handleControllerChange);
+    }
+
+    /**
+     * Set callback functions
+     */
+    setCallbacks(callbacks) {
+        this.callbacks = { ...this.callbacks, ...callbacks };
+    }
+}
+
+OfflineManager.UPDATE_INTERVAL = 60 * 60 * 1000; // ms
+
+export { OfflineManager };
@@ -0,0 +1,288 @@
+/**
+ * Try-On Widget
+ * Embeddable try-on for product pages, with a small public API and events
+ *
+ * TryOnWidget.create(container, options) builds its own markup inside the
+ * container and runs its own VirtualGlassesTryOn on it, so several widgets
+ * can live on one page. The markup uses the app's element ids behind a
+ * prefix of its own (e.g. vg-widget-1-video), so the ids stay unique on the
+ * page, and is styled by style/virtual-glasses.css.
+ *
+ * Events: faceDetected ({ id, count, box }), frameChanged ({ frame,
+ * variant, lens, faceId }), captured (a gallery item with a PNG `blob`) and
+ * error ({ message }).
+ */
+
+import { VirtualGlassesTryOn } from './virtual-glasses.js';
+
+class TryOnWidget {
+    /**
+     * Mount a widget in a container element (or a selector for one)
+     *
+     * Options (all optional):
+     * - frame, variant, lens: the look to start with (default: the catalog's default frame)
+     * - catalogUrl, captureTemplatesUrl: where to load the catalog and capture templates from
+     * - controls: show the start, stop, upload and photo buttons (default true)
+     * - selector: show the frame and lens selector (default true)
+     * - autoStart: start the camera straight away (default false)
+     */
+    static create(container, options = {}) {
+        return new TryOnWidget(container, options);
+    }
+
+    constructor(container, options = {}) {
+        this.container = typeof container === 'string' ? document.querySelector(container) : container;
+        if (!this.container) {
+            throw new Error(`TryOnWidget container not found: ${container}`);
+        }
+
+        this.options = { ...TryOnWidget.DEFAULT_OPTIONS, ...options };
+        this.listeners = new Map(TryOnWidget.EVENTS.map(event => [event, new Set()]));
+        this.destroyed = false;
+        this.idPrefix = `vg-widget-${TryOnWidget.nextId++}-`;
+
+        this.root = document.createElement('div');
+        this.root.className = 'virtual-glasses-widget';
+        this.root.innerHTML = TryOnWidget.getMarkup(this.options, this.idPrefix);
+        this.container.appendChild(this.root);
+
+        const { frame, variant, lens } = this.options;
+        this.app = new VirtualGlassesTryOn({
+            root: this.root,
+            idPrefix: this.idPrefix,
+            catalogUrl: this.options.catalogUrl,
+            captureTemplatesUrl: this.options.captureTemplatesUrl,
+            look: { frame, variant, lens }
+        });
+
+        this.app.setCallbacks({
+            onFaceDetected: (face) => this.emit('faceDetected', face),
+            onFrameChanged: (look) => this.emit('frameChanged', look),
+            onCaptured: (item) => this.emit('captured', item),
+            onError: (message) => this.emit('error', { message })
+        });
+
+        // start() reports failures as error events and resolves to false, it never rejects
+        if (this.options.autoStart) this.start();
+    }
+
+    /**
+     * Listen to a widget event
+     */
+    on(event, handler) {
+        this.getListeners(event).add(handler);
+        return this;
+    }
+
+    /**
+     * Stop listening to a widget event
+     */
+    off(event, handler) {
+        this.getListeners(event).delete(handler);
+        return this;
+    }
+
+    /**
+     * Call the listeners of an event; a failing listener does not stop the others
+     */
+    emit(event, detail) {
+        if (this.destroyed) return;
+
+        this.getListeners(event).forEach(handler => {
+            try {
+                handler(detail);
+            } catch (error) {
+                console.error(`[TryOnWidget] ${event} listener failed:`, error);
+            }
+        });
+    }
+
+    /**
+     * Listeners of an event, rejecting unknown event names
+     */
+    getListeners(event) {
+        const listeners = this.listeners.get(event);
+        if (!listeners) {
+            throw new Error(`Unknown TryOnWidget event "${event}", expected one of ${TryOnWidget.EVENTS.join(', ')}`);
+        }
+        return listeners;
+    }
+
+    /**
+     * Start the camera; resolves to true once it is running, false if the
+     * camera or the face model failed to start (sent as an error event too)
+     */
+    async start() {
+        this.assertAlive();
+
+        try {
+            await this.app.startCamera();
+        } catch (error) {
+            // The app has already shown the failure, which emits the error event
+            console.warn('[TryOnWidget] Could not start:', error);
+            return false;
+        }
+        return this.app.webcamUI.isActive();
+    }
+
+    /**
+     * Stop the camera
+     */
+    stop() {
+        this.assertAlive();
+        this.app.stopCamera();
+    }
+
+    /**
+     * Put on a catalog frame, optionally in a variant and with a lens
+     *
+     * Waits for the catalog to load and resolves to the look now worn.
+     */
+    async setFrame(id, options = {}) {
+        this.assertAlive();
+        await this.app.catalogReady;
+
+        if (!this.app.catalog.getFrame(id)) {
+            throw new Error(`Unknown frame "${id}"`);
+        }
+
+        this.app.applyLook({ frame: id, variant: options.variant || null, lens: options.lens || null });
+        return this.getFrame();
+    }
+
+    /**
+     * The look being worn: { frame, variant, lens }, or null before the catalog loads
+     */
+    getFrame() {
+        const style = this.app.currentGlassesStyle;
+        return style ? this.app.getLook(style) : null;
+    }
+
+    /**
+     * The catalog frames that can be put on, once the catalog has loaded
+     */
+    async getFrames() {
+        await this.app.catalogReady;
+        return this.app.catalog.getFrames().map(frame => ({
+            id: frame.id,
+            name: frame.name,
+            brand: frame.brand,
+            price: frame.price
+        }));
+    }
+
+    /**
+     * Take a photo of the try-on
+     *
+     * Resolves to the capture ({ blob, url, filename, width, height, ... }),
+     * or null when no source is running. `download: true` also saves it.
+     */
+    async capture(options = {}) {
+        this.assertAlive();
+        const item = await this.app.capturePhoto();
+        if (item && options.download) this.app.captures.download(item.id);
+        return item;
+    }
+
+    /**
+     * Stop the camera and detection, release the model and remove the markup
+     */
+    destroy() {
+        if (this.destroyed) return;
+
+        this.app.destroy();
+        this.root.remove();
+        this.listeners.forEach(listeners => listeners.clear());
+        this.destroyed = true;
+    }
+
+    /**
+     * Fail clearly when a destroyed widget is used
+     */
+    assertAlive() {
+        if (this.destroyed) throw new Error('TryOnWidget has been destroyed');
+    }
+
+    /**
+     * The widget's markup: the app's camera view, controls and selector, with
+     * every id given `idPrefix`
+     */
+    static getMarkup(options, idPrefix = '') {
+        const controls = `
+            <div class="controls">
+                <button class="btn btn-primary" id="startCamera">🎥 Start Camera</button>
+                <button class="btn btn-secondary" id="uploadPhoto">🖼️ Upload Photo</button>
+                <input type="file" id="photoInput" accept="image/*" hidden>
+                <button class="btn btn-danger" id="stopCamera" style="display: none;">⏹️ Stop</button>
+                <button class="btn btn-secondary" id="capturePhoto" style="display: none;">📸 Take Photo</button>
+            </div>`;
+
+        const selector = `
+            <div class="glasses-selector">
+                <div class="lens-options" id="lensOptions">
+                    <label>Lenses <select id="lensSelect"></select></label>
+                    <label class="lens-brightness" id="lensBrightnessControl" style="display: none;">☀️ Outdoor light
+                        <input type="range" id="lensBrightness" min="0" max="100" value="50">
+                    </label>
+                </div>
+                <div class="fit-adjust" id="fitAdjust">
+                    <span class="fit-adjust-title">Fit</span>
+                    <button class="fit-nudge" data-adjust="lift" data-direction="1" title="Higher (↑)">⬆️</button>
+                    <button class="fit-nudge" data-adjust="lift" data-direction="-1" title="Lower (↓)">⬇️</button>
+                    <button class="fit-nudge" data-adjust="scale" data-direction="-1" title="Smaller (-)">➖</button>
+                    <button class="fit-nudge" data-adjust="scale" data-direction="1" title="Larger (+)">➕</button>
+                    <button class="fit-nudge" data-adjust="tilt" data-direction="-1" title="Tilt anticlockwise ([)">↺</button>
+                    <button class="fit-nudge" data-adjust="tilt" data-direction="1" title="Tilt clockwise (])">↻</button>
+                    <span class="fit-adjust-summary" id="fitAdjustSummary">Automatic fit</span>
+                    <button class="fit-reset" id="resetFit" data-adjust="reset" title="Reset (0)" disabled>Reset</button>
+                </div>
+                <div class="glasses-grid" id="glassesGrid"></div>
+                <div class="frame-credit" id="frameCredit"></div>
+            </div>`;
+
+        const markup = `
+            <div class="camera-section" id="cameraSection" tabindex="0" title="Drag or pinch the glasses to adjust the fit">
+                <div class="placeholder" id="placeholder">
+                    <div class="icon">📷</div>
+                    <div>Start the camera to try these frames on</div>
+                </div>
+                <video class="camera-video" id="video" style="display: none;" autoplay playsinline muted></video>
+                <img class="camera-photo" id="photo" style="display: none;" alt="Uploaded photo">
+                <canvas class="camera-overlay" id="canvas" style="display: none;"></canvas>
+                <div class="loading" id="loading" style="display: none;">
+                    <div class="spinner"></div>
+                    <p>Loading AI model...</p>
+                </div>
+            </div>
+            ${options.controls ? controls : ''}
+            <div class="face-detection-info" id="faceInfo" style="display: none;">
+                <span id="faceCount">Detecting faces...</span>
+            </div>
+            ${options.selector ? selector : ''}
+            <div class="error" id="errorDiv">
+                <span id="errorText"></span>
+                <button class="close-error" id="closeError">✕</button>
+            </div>
+            <div class="status" id="status">Ready</div>`;
+
+        return markup.replace(/\bid="([^"]+)"/g, (match, id) => `id="${idPrefix}${id}"`);
+    }
+}
+
+TryOnWidget.EVENTS = ['faceDetected', 'frameChanged', 'captured', 'error'];
+
+// Numbers the widgets on a page, for their id prefixes
+TryOnWidget.nextId = 1;
+
+TryOnWidget.DEFAULT_OPTIONS = {
+    frame: null,
+    variant: null,
+    lens: null,
+    catalogUrl: 'catalog/frames.json',
+    captureTemplatesUrl: 'catalog/capture-templates.json',
+    controls: true,
+    selector: true,
+    autoStart: false
+};
+
+export { TryOnWidget };
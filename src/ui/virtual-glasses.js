@@ -0,0 +1,2880 @@
+/**
+ * Virtual Glasses Try-On Application
+ * Main application class that handles face detection and glasses overlay
+ */
+
+import { CameraSource, InputSource } from '../camera/input-sources.js';
+import { WebcamUILib } from '../camera/webcam-ui-lib.js';
+import { CaptureManager } from '../capture/capture-manager.js';
+import { CaptureTemplates } from '../capture/capture-templates.js';
+import { FrameCatalog } from '../catalog/frame-catalog.js';
+import { LookCollection } from '../catalog/look-collection.js';
+import { FaceDetector } from '../detector/face-detectors.js';
+import { FaceTracker } from '../detector/face-tracker.js';
+import { HeadPoseEstimator } from '../detector/head-pose-estimator.js';
+import { InferenceLoop } from '../detector/inference-loop.js';
+import { LandmarkFilter } from '../detector/landmark-filter.js';
+import { LandmarkInterpolator } from '../detector/landmark-interpolator.js';
+import { PDMeasurement } from '../detector/pd-measurement.js';
+import { WorkerFaceDetector } from '../detector/worker-face-detector.js';
+import { FitAdjustments } from '../fitter/fit-adjustments.js';
+import { FitScorer } from '../fitter/fit-scorer.js';
+import { FrameFitter } from '../fitter/frame-fitter.js';
+import { DiagnosticsOverlay } from '../renderer/diagnostics-overlay.js';
+import { FaceOcclusion } from '../renderer/face-occlusion.js';
+import { FrameRateMeter } from '../renderer/frame-rate-meter.js';
+import { FrameVariants } from '../renderer/frame-variants.js';
+import { Glasses3DRenderer } from '../renderer/glasses-3d-renderer.js';
+import { LensRenderer } from '../renderer/lens-renderer.js';
+import { LightingEstimator } from '../renderer/lighting-estimator.js';
+import { OverlayLighting } from '../renderer/overlay-lighting.js';
+
+class VirtualGlassesTryOn {
+    /**
+     * Options (all optional):
+     * - root: element holding the UI, elements are looked up by id inside it (default: the document)
+     * - idPrefix: prefix of those ids, so several apps can share a page (default none)
+     * - catalogUrl, captureTemplatesUrl: where to load the catalog and capture templates from
+     * - look: { frame, variant, lens } to start with, instead of the one in the page URL
+     * - diagnostics: start with the diagnostics overlay on (default: when the page URL has ?debug=1)
+     */
+    constructor(options = {}) {
+        this.root = options.root || document;
+        this.idPrefix = options.idPrefix || '';
+        this.initialLook = options.look || null;
+        this.webcamUI = new WebcamUILib({ root: this.root, idPrefix: this.idPrefix });
+        this.detector = null;
+        this.animationId = null;
+        this.detectionGeneration = 0; // bumped on stop so in-flight detections do not restart the loop
+
+        // Detection runs at its own adaptive rate; rendering runs every display frame and
+        // moves the landmarks between detections
+        this.inferenceLoop = new InferenceLoop();
+        this.latestFaces = null; // faces from the last detection, drawn until the next one
+        this.renderMeter = new FrameRateMeter();
+        this.detectionMeter = new FrameRateMeter();
+        this.staticFaces = null; // faces found once in an uploaded photo
+        this.currentGlassesStyle = 'glasses-04';
+        this.currentGlassesImage = '3dmodel/glasses-04/glasses_04.png';
+        this.currentFrame = null;
+        this.glassesImages = new Map(); // overlay images keyed by glasses style
+        this.isModelLoaded = false;
+
+        // Frame catalog that drives the glasses selector
+        this.catalogUrl = options.catalogUrl || 'catalog/frames.json';
+        this.catalog = new FrameCatalog();
+
+        // 3D glTF rendering with the 2D image overlay as fallback
+        this.renderMode = 'auto'; // 'auto' | '3d' | '2d'
+        this.renderer3D = Glasses3DRenderer.isSupported() ? new Glasses3DRenderer() : null;
+
+        // Head pose (yaw, pitch, roll) fitted from the face mesh
+        this.headPoseEstimator = new HeadPoseEstimator();
+        this.lastHeadPose = null;
+        
+        // Frame placement from per-frame fit anchors and physical sizes
+        this.frameFitter = new FrameFitter();
+
+        // The user's nudges to the fit (height, size, tilt), saved per frame
+        this.fitAdjustments = new FitAdjustments();
+
+        // Hides the parts of frames that are behind the head
+        this.faceOcclusion = new FaceOcclusion();
+
+        // Room lighting read off the face, matched by the frames
+        this.lightingEstimator = new LightingEstimator();
+        this.overlayLighting = new OverlayLighting();
+
+        // Landmarks, anchors, pose axes and stats drawn over the live view
+        this.diagnostics = new DiagnosticsOverlay();
+        this.diagnostics.setEnabled(options.diagnostics !== undefined
+            ? options.diagnostics
+            : new URLSearchParams(window.location.search).get('debug') === '1');
+        this.renderedFaces = []; // faces last drawn, for the diagnostics dump
+
+        // Lens materials, chosen per frame
+        this.lensRenderer = new LensRenderer();
+        this.lensSelections = new Map(); // lens id keyed by frame id
+
+        // Colour and material variants, chosen per frame
+        this.frameVariants = new FrameVariants();
+        this.variantSelections = new Map(); // variant id keyed by frame id
+
+        // Favourite and recently tried looks, and comparing them
+        this.looks = new LookCollection();
+        this.compareSelection = []; // keys of the looks ticked for comparing
+        this.compareFlip = null; // { looks, index, timer } while flipping in the live view
+        this.compareFlipInterval = 2500; // ms per look
+
+        // Stills, bursts and clips at the source's resolution, kept in a gallery
+        this.captures = new CaptureManager((target, maxWidth) => this.composeCapture(target, maxWidth));
+
+        // Branding drawn onto captures: logo, frame details, product link and credits
+        this.captureTemplatesUrl = options.captureTemplatesUrl || 'catalog/capture-templates.json';
+        this.captureTemplates = new CaptureTemplates();
+        this.captureTemplateId = null;
+
+        // Pupillary distance measured from the iris landmarks
+        this.pdMeasurement = new PDMeasurement();
+
+        // Frame size recommendations from the measured face
+        this.fitScorer = new FitScorer();
+        this.fitScores = null;
+        this.sortByFit = false;
+        this.lastFitUpdate = 0;
+
+        // Stable face ids; each face keeps its own landmark filter and frame
+        this.faceTracker = new FaceTracker();
+        this.landmarkFilter = new LandmarkFilter('balanced');
+        this.selectedFaceId = null; // null applies the selection to every face
+        this.visibleFaceIds = new Set(); // faces drawn on the last frame, to spot new ones
+        this.faceCount = 0;
+
+        // Runs when the update offered in the banner is accepted (see OfflineManager)
+        this.pendingUpdate = null;
+
+        // Notified of new faces, look changes, captures and errors (see TryOnWidget),
+        // and of status and face count changes (see EmbedBridge)
+        this.callbacks = {
+            onFaceDetected: null,
+            onFrameChanged: null,
+            onCaptured: null,
+            onError: null,
+            onStatusChange: null,
+            onFaceCountChange: null
+        };
+        
+        // Face detection settings
+        this.faceDetectionConfig = {
+            detector: 'legacy', // name registered with FaceDetector
+            useWorker: false, // run the detector in a Web Worker where supported
+            maxFaces: 2,  // Faces tracked at once, each can wear a different frame
+            refineLandmarks: true,
+            minDetectionConfidence: 0.7, // Higher confidence for better accuracy
+            minTrackingConfidence: 0.5
+        };
+        
+        this.init();
+    }
+
+    /**
+     * Initialize the application
+     */
+    init() {
+        this.setupEventListeners();
+        this.setupWebcamCallbacks();
+        this.setupCaptureCallbacks();
+        this.setupInferenceCallbacks();
+        this.catalogReady = this.loadCatalog();
+        this.loadCaptureTemplates();
+        this.webcamUI.updateCameraControls();
+        this.updateStatus('Ready - Click Start Camera');
+        
+        // Check if required libraries are loaded
+        setTimeout(() => {
+            if (!FaceDetector.isRegisteredAvailable(this.faceDetectionConfig.detector)) {
+                this.showError(navigator.onLine
+                    ? 'Required AI libraries failed to load. Please refresh the page.'
+                    : 'Required AI libraries are not saved on this device yet. Connect to the internet once and reload to use try-on offline.');
+            }
+        }, 2000);
+    }
+
+    /**
+     * Setup event listeners for UI elements
+     */
+    setupEventListeners() {
+        // Camera controls
+        const startBtn = this.getElement('startCamera');
+        const stopBtn = this.getElement('stopCamera');
+        const captureBtn = this.getElement('capturePhoto');
+        
+        if (startBtn) startBtn.addEventListener('click', () => this.startCamera());
+        if (stopBtn) stopBtn.addEventListener('click', () => this.stopCamera());
+        if (captureBtn) captureBtn.addEventListener('click', () => this.capturePhoto());
+
+        // Bursts, clips and the capture gallery
+        const burstBtn = this.getElement('captureBurst');
+        const recordBtn = this.getElement('recordClip');
+        if (burstBtn) burstBtn.addEventListener('click', () => this.captureBurst());
+        if (recordBtn) recordBtn.addEventListener('click', () => this.toggleRecording());
+
+        const templateSelect = this.getElement('captureTemplate');
+        if (templateSelect) {
+            templateSelect.addEventListener('change', () => { this.captureTemplateId = templateSelect.value; });
+        }
+
+        const gallery = this.getElement('gallery');
+        if (gallery) {
+            gallery.addEventListener('click', (e) => {
+                const item = e.target.closest('.gallery-item');
+                if (e.target.closest(this.getSelector('downloadAllCaptures'))) {
+                    this.downloadAllCaptures();
+                } else if (e.target.closest(this.getSelector('clearGallery'))) {
+                    this.captures.clear();
+                } else if (item && e.target.closest('.gallery-download')) {
+                    this.captures.download(Number(item.dataset.id));
+                } else if (item && e.target.closest('.gallery-delete')) {
+                    this.captures.removeItem(Number(item.dataset.id));
+                }
+            });
+        }
+
+        const shareBtn = this.getElement('shareLook');
+        if (shareBtn) shareBtn.addEventListener('click', () => this.shareLook());
+
+        // Camera, resolution and front/rear choice
+        const cameraSelect = this.getElement('cameraSelect');
+        const resolutionSelect = this.getElement('resolutionSelect');
+        const switchFacingBtn = this.getElement('switchFacing');
+
+        if (cameraSelect) {
+            cameraSelect.addEventListener('change', () => this.setCameraOptions({ deviceId: cameraSelect.value || null }));
+        }
+        if (resolutionSelect) {
+            resolutionSelect.addEventListener('change', () => this.setCameraOptions({ resolution: resolutionSelect.value }));
+        }
+        if (switchFacingBtn) {
+            switchFacingBtn.addEventListener('click', () => this.switchFacingMode());
+        }
+        if (navigator.mediaDevices && navigator.mediaDevices.addEventListener) {
+            this.handleDeviceChange = () => this.webcamUI.updateCameraControls();
+            navigator.mediaDevices.addEventListener('devicechange', this.handleDeviceChange);
+        }
+
+        // Photo and video file inputs
+        const uploadPhotoBtn = this.getElement('uploadPhoto');
+        const uploadVideoBtn = this.getElement('uploadVideo');
+        const photoInput = this.getElement('photoInput');
+        const videoInput = this.getElement('videoInput');
+
+        if (uploadPhotoBtn && photoInput) uploadPhotoBtn.addEventListener('click', () => photoInput.click());
+        if (uploadVideoBtn && videoInput) uploadVideoBtn.addEventListener('click', () => videoInput.click());
+        if (photoInput) {
+            photoInput.addEventListener('change', () => {
+                if (photoInput.files[0]) this.loadPhoto(photoInput.files[0]);
+                photoInput.value = '';
+            });
+        }
+        if (videoInput) {
+            videoInput.addEventListener('change', () => {
+                if (videoInput.files[0]) this.loadVideoFile(videoInput.files[0]);
+                videoInput.value = '';
+            });
+        }
+
+        // PD measurement
+        const measurePDBtn = this.getElement('measurePD');
+        const cancelPDBtn = this.getElement('cancelPD');
+        if (measurePDBtn) measurePDBtn.addEventListener('click', () => this.startPDMeasurement());
+        if (cancelPDBtn) cancelPDBtn.addEventListener('click', () => this.stopPDMeasurement());
+
+        // Glasses selection (delegated, the grid is rebuilt from the catalog)
+        const glassesGrid = this.getElement('glassesGrid');
+        if (glassesGrid) {
+            glassesGrid.addEventListener('click', (e) => {
+                const option = e.target.closest('.glasses-option');
+                if (!option) return;
+
+                if (e.target.closest('.favourite-toggle')) {
+                    this.toggleFavourite(option.dataset.style);
+                    return;
+                }
+
+                this.stopCompareFlip();
+
+                // A swatch picks the variant first, so the frame is put on in it
+                // and selectGlasses() reports the change once
+                const swatch = e.target.closest('.variant-swatch');
+                if (swatch) this.selectVariant(option.dataset.style, swatch.dataset.variant, false);
+
+                this.selectGlasses(option);
+                this.recordLook(option.dataset.style);
+            });
+        }
+
+        // Lens choice for the selected frame
+        const lensSelect = this.getElement('lensSelect');
+        const lensBrightness = this.getElement('lensBrightness');
+        if (lensSelect) lensSelect.addEventListener('change', () => this.selectLens(lensSelect.value));
+        if (lensBrightness) {
+            lensBrightness.addEventListener('input', () => this.setLensBrightness(Number(lensBrightness.value) / 100));
+        }
+
+        const glassesSort = this.getElement('glassesSort');
+        if (glassesSort) {
+            glassesSort.addEventListener('change', () => this.setSortByFit(glassesSort.value === 'fit'));
+        }
+
+        // Favourites, recent looks and comparing them
+        const looksPanel = this.getElement('looksPanel');
+        if (looksPanel) {
+            looksPanel.addEventListener('click', (e) => {
+                const chip = e.target.closest('.look-chip');
+                const look = chip && this.findLook(chip.dataset.key);
+                if (!look) return;
+
+                if (e.target.closest('.look-remove')) {
+                    this.looks.removeFavourite(look);
+                } else if (e.target.closest('.look-favourite')) {
+                    this.looks.toggleFavourite(look);
+                } else if (e.target.closest('.look-apply')) {
+                    this.stopCompareFlip();
+                    this.applyLook(look);
+                    this.recordLook(look.frame);
+                }
+            });
+            looksPanel.addEventListener('change', (e) => {
+                if (!e.target.classList.contains('look-compare')) return;
+                this.toggleCompareLook(e.target.closest('.look-chip').dataset.key, e.target.checked);
+            });
+        }
+
+        const compareSelectedBtn = this.getElement('compareSelected');
+        const compareLastTwoBtn = this.getElement('compareLastTwo');
+        const flipLooksBtn = this.getElement('flipLooks');
+        const closeCompareBtn = this.getElement('closeCompare');
+        if (compareSelectedBtn) compareSelectedBtn.addEventListener('click', () => this.openCompare(this.getSelectedLooks()));
+        if (compareLastTwoBtn) compareLastTwoBtn.addEventListener('click', () => this.openCompare(this.looks.getHistory().slice(0, 2)));
+        if (flipLooksBtn) {
+            flipLooksBtn.addEventListener('click', () => {
+                if (this.compareFlip) this.stopCompareFlip();
+                else this.startCompareFlip(this.getFlipLooks());
+            });
+        }
+        if (closeCompareBtn) closeCompareBtn.addEventListener('click', () => this.closeCompare());
+
+        const compareGrid = this.getElement('compareGrid');
+        if (compareGrid) {
+            compareGrid.addEventListener('click', (e) => {
+                const wearBtn = e.target.closest('.compare-wear');
+                const look = wearBtn && this.findLook(wearBtn.dataset.key);
+                if (!look) return;
+                this.applyLook(look);
+                this.recordLook(look.frame);
+                this.closeCompare();
+            });
+        }
+
+        // Nudge the fit with the on-screen buttons, or keys and gestures on the camera view
+        const fitAdjust = this.getElement('fitAdjust');
+        if (fitAdjust) {
+            fitAdjust.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-adjust]');
+                if (!button) return;
+
+                if (button.dataset.adjust === 'reset') this.resetFitAdjustment();
+                else this.nudgeFit(button.dataset.adjust, Number(button.dataset.direction));
+            });
+        }
+
+        const cameraSection = this.getElement('cameraSection');
+        if (cameraSection) {
+            cameraSection.addEventListener('keydown', (e) => this.handleFitKey(e));
+            cameraSection.addEventListener('keydown', (e) => this.handleDiagnosticsKey(e));
+            this.setupFitGestures(cameraSection);
+        }
+
+        // Choose which face the glasses selection applies to
+        const faceTargets = this.getElement('faceTargets');
+        if (faceTargets) {
+            faceTargets.addEventListener('click', (e) => {
+                const chip = e.target.closest('.face-target');
+                if (chip) this.selectFaceTarget(chip.dataset.faceId ? Number(chip.dataset.faceId) : null);
+            });
+        }
+
+        // Error handling
+        const closeErrorBtn = this.getElement('closeError');
+        if (closeErrorBtn) {
+            closeErrorBtn.addEventListener('click', () => this.webcamUI.hideError());
+        }
+
+        // New app or catalog version offered in the update banner
+        const applyUpdateBtn = this.getElement('applyUpdate');
+        const dismissUpdateBtn = this.getElement('dismissUpdate');
+        if (applyUpdateBtn) {
+            applyUpdateBtn.addEventListener('click', () => this.applyPendingUpdate());
+        }
+        if (dismissUpdateBtn) {
+            dismissUpdateBtn.addEventListener('click', () => this.hideUpdateBanner());
+        }
+
+        // Pause face detection while the page is hidden
+        this.handleVisibilityChange = () => {
+            if (document.hidden) {
+                this.stopFaceDetection();
+            } else if (this.webcamUI.isActive()) {
+                setTimeout(() => this.startFaceDetection(), 100);
+            }
+        };
+        document.addEventListener('visibilitychange', this.handleVisibilityChange);
+
+        // Handle page unload
+        this.handleUnload = () => this.cleanup();
+        window.addEventListener('beforeunload', this.handleUnload);
+    }
+
+    /**
+     * Find a UI element by id within the root
+     */
+    getElement(id) {
+        return this.root.querySelector(this.getSelector(id));
+    }
+
+    /**
+     * CSS selector for a UI element id
+     */
+    getSelector(id) {
+        return `#${this.idPrefix}${id}`;
+    }
+
+    /**
+     * Setup webcam UI callbacks
+     */
+    setupWebcamCallbacks() {
+        this.webcamUI.setCallbacks({
+            onStart: () => this.onCameraStart(),
+            onStop: () => this.onCameraStop(),
+            onError: (error, message) => this.onCameraError(error, message)
+        });
+
+        this.faceTracker.setCallbacks({
+            onTrackAdded: () => this.renderFaceTargets(),
+            onTrackRemoved: (track) => {
+                if (track.id === this.selectedFaceId) this.selectFaceTarget(null);
+                else this.renderFaceTargets();
+            }
+        });
+
+        this.pdMeasurement.setCallbacks({
+            onUpdate: (status) => this.updatePDDisplay(status),
+            onComplete: (result) => this.onPDMeasured(result)
+        });
+
+        this.looks.setCallbacks({
+            onChange: () => this.renderLooks()
+        });
+
+        this.fitAdjustments.setCallbacks({
+            onChange: () => {
+                this.updateFitControls();
+                this.renderStaticFaces();
+            }
+        });
+    }
+
+    /**
+     * Load the frame catalog and build the glasses selector from it
+     *
+     * Resolves to true once the catalog is in use.
+     */
+    async loadCatalog(url = this.catalogUrl) {
+        try {
+            await this.catalog.load(url);
+        } catch (error) {
+            // Keep the static options from the page markup
+            console.error(error);
+            const details = error.errors && error.errors.length > 0 ? `: ${error.errors.join('; ')}` : '';
+            this.showError(`${error.message}${details}`);
+            this.preloadGlassesImages();
+            this.loadGlassesImage(this.currentGlassesStyle, this.currentGlassesImage);
+            this.loadGlassesModel(this.currentGlassesStyle);
+            this.updateLensControls();
+            this.updateFitControls();
+            return false;
+        }
+
+        if (this.catalog.errors.length > 0) {
+            this.showError(`Frame catalog has ${this.catalog.errors.length} problem(s): ${this.catalog.errors.join('; ')}`);
+        }
+
+        this.renderGlassesSelector();
+        this.preloadGlassesImages();
+        // The page link can pick the look, unless one was given
+        const look = this.initialLook;
+        this.applySharedLook(look
+            ? new URLSearchParams(Object.entries(look).filter(([, value]) => value))
+            : new URLSearchParams(window.location.search));
+        this.renderLooks();
+        this.catalogUrl = url;
+        return true;
+    }
+
+    /**
+     * Switch to another frame catalog, keeping the current look if the new one has its frame
+     *
+     * Resolves to false, keeping the current catalog, when the new one cannot be loaded.
+     */
+    async setCatalogUrl(url) {
+        await this.catalogReady;
+        this.initialLook = this.getLook(this.currentGlassesStyle);
+        this.catalogReady = this.loadCatalog(url);
+        return this.catalogReady;
+    }
+
+    /**
+     * Select the frame, variant and lens from a shared link (?frame=&variant=&lens=)
+     */
+    applySharedLook(params) {
+        const frame = this.catalog.getFrame(params.get('frame')) || this.catalog.getDefaultFrame();
+        const variantId = params.get('variant');
+        const lensId = params.get('lens');
+
+        if (variantId && (frame.variants || []).some(variant => variant.id === variantId)) {
+            this.variantSelections.set(frame.id, variantId);
+            this.updateVariantSwatches(frame.id);
+        }
+        if (lensId && this.getLensOptions(frame.id).some(lens => lens.id === lensId)) {
+            this.lensSelections.set(frame.id, lensId);
+        }
+
+        this.selectGlasses(frame.id);
+    }
+
+    /**
+     * Build the glasses selector grid from the catalog
+     */
+    renderGlassesSelector() {
+        const glassesGrid = this.getElement('glassesGrid');
+        if (!glassesGrid) return;
+
+        glassesGrid.innerHTML = '';
+
+        this.catalog.getFrames().forEach(frame => {
+            const option = document.createElement('div');
+            option.className = 'glasses-option';
+            option.dataset.style = frame.id;
+            option.dataset.image = frame.overlayImage;
+            option.title = `${frame.brand} ${frame.name}`;
+
+            const preview = document.createElement('img');
+            preview.className = 'glasses-preview';
+            preview.src = frame.previewImage;
+            preview.alt = frame.name;
+
+            const label = document.createElement('div');
+            label.className = 'label';
+            label.textContent = frame.name;
+
+            const brand = document.createElement('div');
+            brand.className = 'brand';
+            brand.textContent = frame.brand;
+
+            const price = document.createElement('div');
+            price.className = 'price';
+            price.textContent = FrameCatalog.formatPrice(frame.price);
+
+            const favourite = document.createElement('button');
+            favourite.type = 'button';
+            favourite.className = 'favourite-toggle';
+            favourite.title = 'Add to favourites';
+            favourite.textContent = '♡';
+
+            option.append(favourite, preview, label, brand, price);
+
+            if (frame.variants) {
+                const swatches = document.createElement('div');
+                swatches.className = 'variant-swatches';
+                frame.variants.forEach(variant => {
+                    const swatch = document.createElement('button');
+                    swatch.type = 'button';
+                    swatch.className = 'variant-swatch';
+                    swatch.dataset.variant = variant.id;
+                    swatch.title = variant.name;
+                    swatch.setAttribute('aria-label', variant.name);
+                    swatch.style.background = variant.swatch;
+                    swatches.appendChild(swatch);
+                });
+                option.appendChild(swatches);
+            }
+
+            glassesGrid.appendChild(option);
+            this.updateVariantSwatches(frame.id);
+        });
+    }
+
+    /**
+     * Mark a frame's chosen variant swatch and show its preview image
+     */
+    updateVariantSwatches(style) {
+        const option = this.root.querySelector(`.glasses-option[data-style="${style}"]`);
+        const frame = this.catalog.getFrame(style);
+        const variant = this.getVariant(style);
+        if (!option || !frame || !variant) return;
+
+        option.querySelectorAll('.variant-swatch').forEach(swatch => {
+            swatch.classList.toggle('active', swatch.dataset.variant === variant.id);
+        });
+
+        const preview = option.querySelector('.glasses-preview');
+        if (preview) preview.src = variant.previewImage || frame.previewImage;
+    }
+
+    /**
+     * Preload all glasses images
+     */
+    preloadGlassesImages() {
+        const glassesOptions = this.root.querySelectorAll('.glasses-option');
+        
+        glassesOptions.forEach(option => {
+            const imgSrc = option.dataset.image;
+            if (imgSrc) {
+                const img = new Image();
+                img.src = imgSrc;
+                // Handle broken image links
+                img.onerror = () => {
+                    console.warn(`Failed to load glasses image: ${imgSrc}`);
+                    option.style.opacity = '0.5';
+                    option.title = 'Image not available';
+                };
+            }
+        });
+    }
+
+    /**
+     * Load the overlay image for a glasses style
+     */
+    loadGlassesImage(style, imageSrc = this.getGlassesImagePath(style)) {
+        const cached = this.glassesImages.get(style);
+        if (cached && cached.src === new URL(imageSrc, document.baseURI).href) return cached;
+
+        const image = new Image();
+        image.onload = () => {
+            this.updateStatus(`Loaded glasses: ${style}`);
+            this.renderStaticFaces();
+        };
+        image.onerror = () => {
+            console.error(`Failed to load glasses image: ${imageSrc}`);
+            this.showError(`Failed to load glasses image: ${imageSrc}`);
+        };
+        image.src = imageSrc;
+
+        this.glassesImages.set(style, image);
+        return image;
+    }
+
+    /**
+     * Get the drawable 2D overlay for a glasses style in a variant (by default
+     * its chosen one), or null while loading
+     */
+    getOverlayImage(style, variant = this.getVariant(style)) {
+        const baseImage = this.glassesImages.get(style) || this.loadGlassesImage(style);
+
+        let variantImage = null;
+        if (variant && variant.overlayImage) {
+            const key = `${style}/${variant.id}`;
+            variantImage = this.glassesImages.get(key) || this.loadGlassesImage(key, variant.overlayImage);
+        }
+
+        return this.frameVariants.getOverlay(style, variant, baseImage, variantImage);
+    }
+
+    /**
+     * Get the overlay image path for a glasses style
+     */
+    getGlassesImagePath(style) {
+        const frame = this.catalog.getFrame(style);
+        if (frame) return frame.overlayImage;
+
+        const option = this.root.querySelector(`.glasses-option[data-style="${style}"]`);
+        return option ? option.dataset.image : this.currentGlassesImage;
+    }
+
+    /**
+     * Get the glTF path for a glasses style
+     */
+    getGlassesModelPath(style) {
+        const frame = this.catalog.getFrame(style);
+        if (frame) return frame.model;
+
+        return `3dmodel/${style}/scene.gltf`;
+    }
+
+    /**
+     * Load the 3D model for a glasses style
+     */
+    loadGlassesModel(style) {
+        const modelPath = this.getGlassesModelPath(style);
+        if (!this.renderer3D || this.renderMode === '2d' || !modelPath) return Promise.resolve();
+
+        const pivot = FrameFitter.getModelPivot(this.catalog.getFrame(style));
+
+        return this.renderer3D.loadModel(style, modelPath, pivot)
+            .then(() => {
+                if (style === this.currentGlassesStyle) {
+                    this.updateStatus(`Loaded 3D glasses: ${style}`);
+                }
+                this.renderStaticFaces();
+            })
+            .catch((error) => {
+                console.warn(`Failed to load 3D glasses model for ${style}, using 2D overlay:`, error);
+            });
+    }
+
+    /**
+     * Check if glasses of a style should be drawn with the 3D renderer
+     */
+    shouldRender3D(canvas, style = this.currentGlassesStyle) {
+        if (!this.renderer3D || this.renderMode === '2d') return false;
+        if (!this.renderer3D.init(canvas.width, canvas.height)) return false;
+
+        this.renderer3D.setStyle(this.currentGlassesStyle);
+        return this.renderer3D.isReady(style);
+    }
+
+    /**
+     * Set the rendering path ('auto', '3d' or '2d')
+     */
+    setRenderMode(mode) {
+        this.renderMode = mode;
+        this.loadGlassesModel(this.currentGlassesStyle);
+    }
+
+    /**
+     * Start camera and face detection
+     */
+    async startCamera() {
+        await this.startInput(() => this.webcamUI.startCamera());
+    }
+
+    /**
+     * Change camera device, resolution or facing mode, switching a running camera over
+     */
+    async setCameraOptions(preferences) {
+        if (!(this.webcamUI.getSource() instanceof CameraSource)) {
+            await this.webcamUI.setCameraPreferences(preferences);
+            return;
+        }
+
+        await this.startInput(() => this.webcamUI.setCameraPreferences(preferences));
+    }
+
+    /**
+     * Switch between the front and rear camera
+     */
+    async switchFacingMode() {
+        const { facingMode } = this.webcamUI.getCameraPreferences();
+        await this.setCameraOptions({ facingMode: facingMode === 'environment' ? 'user' : 'environment', deviceId: null });
+    }
+
+    /**
+     * Try glasses on an uploaded photo
+     */
+    async loadPhoto(file) {
+        await this.startInput(() => this.webcamUI.startPhoto(file));
+    }
+
+    /**
+     * Try glasses on a local video file, played frame by frame
+     */
+    async loadVideoFile(file) {
+        await this.startInput(() => this.webcamUI.startVideoFile(file));
+    }
+
+    /**
+     * Start an input source, then face detection on it
+     */
+    async startInput(startSource) {
+        this.stopFaceDetection();
+
+        const success = await startSource();
+        if (success) {
+            await this.loadFaceDetectionModel();
+            this.startFaceDetection();
+        }
+    }
+
+    /**
+     * Stop the input source and face detection
+     */
+    stopCamera() {
+        this.stopFaceDetection();
+        this.webcamUI.stopCamera();
+    }
+
+    /**
+     * Setup capture gallery callbacks
+     */
+    setupCaptureCallbacks() {
+        this.captures.setCallbacks({
+            onChange: () => this.renderGallery(),
+            onCapture: (item) => {
+                if (this.callbacks.onCaptured) this.callbacks.onCaptured(item);
+            },
+            onRecordingChange: (isRecording) => this.updateRecordButton(isRecording)
+        });
+
+        // Only offer the clip formats this browser can record
+        const clipFormat = this.getElement('clipFormat');
+        const webmOption = clipFormat ? clipFormat.querySelector('option[value="webm"]') : null;
+        if (webmOption && !CaptureManager.getWebMType()) {
+            webmOption.remove();
+            if (clipFormat) clipFormat.value = 'gif';
+        }
+
+        this.renderGallery();
+    }
+
+    /**
+     * Setup inference loop callbacks
+     */
+    setupInferenceCallbacks() {
+        this.inferenceLoop.setCallbacks({
+            onResult: (trackedFaces) => this.onFacesDetected(trackedFaces),
+            onError: (error) => console.warn('Face detection error:', error)
+        });
+    }
+
+    /**
+     * Load the capture templates and fill the template selector
+     *
+     * Without them captures are saved unbranded.
+     */
+    async loadCaptureTemplates() {
+        const templateSelect = this.getElement('captureTemplate');
+
+        try {
+            await this.captureTemplates.load(this.captureTemplatesUrl);
+        } catch (error) {
+            console.error(error);
+            if (templateSelect) templateSelect.style.display = 'none';
+            return;
+        }
+
+        this.captureTemplateId = this.captureTemplates.getDefaultTemplate().id;
+        if (!templateSelect) return;
+
+        templateSelect.innerHTML = '';
+        this.captureTemplates.getTemplates().forEach(template => {
+            const option = document.createElement('option');
+            option.value = template.id;
+            option.textContent = template.name;
+            templateSelect.appendChild(option);
+        });
+        templateSelect.value = this.captureTemplateId;
+    }
+
+    /**
+     * Draw a capture frame: the preview at source resolution plus the chosen template
+     */
+    composeCapture(target, maxWidth) {
+        const canvas = this.webcamUI.composeFrame(target, maxWidth);
+        const template = this.captureTemplates.getTemplate(this.captureTemplateId);
+        if (template) this.captureTemplates.apply(canvas, template, this.getCaptureInfo());
+        return canvas;
+    }
+
+    /**
+     * The look and credits a capture template shows
+     *
+     * Frame details are for the selected frame; credits cover every frame
+     * being worn, since each model's license asks for attribution.
+     */
+    getCaptureInfo() {
+        const style = this.currentGlassesStyle;
+        const styles = new Set([style, ...this.faceTracker.getTracks().map(track => track.frameId || style)]);
+        const credits = [...styles]
+            .map(id => this.catalog.getFrame(id))
+            .filter(frame => frame && frame.license)
+            .map(frame => frame.license);
+
+        return {
+            frame: this.catalog.getFrame(style),
+            variant: this.getVariant(style),
+            lens: this.getLens(style),
+            shareUrl: this.getShareData().url,
+            credits
+        };
+    }
+
+    /**
+     * Base file name for captures of the current look
+     */
+    getCaptureName() {
+        const variant = this.getVariant(this.currentGlassesStyle);
+        const look = variant ? `${this.currentGlassesStyle}-${variant.id}` : this.currentGlassesStyle;
+        return `virtual-glasses-${look}`;
+    }
+
+    /**
+     * Capture photo with glasses overlay into the gallery
+     *
+     * Returns the gallery item, or null when nothing was captured.
+     */
+    async capturePhoto() {
+        if (!this.webcamUI.isActive()) return null;
+
+        try {
+            return await this.takePhoto();
+        } catch (error) {
+            console.error('Photo capture failed:', error);
+            this.showError('Could not capture the photo.');
+            return null;
+        }
+    }
+
+    /**
+     * Capture a photo of the running source into the gallery; rejects if it cannot be taken
+     */
+    async takePhoto() {
+        const item = await this.captures.capturePhoto(this.getCaptureName());
+        this.updateStatus(`Photo added to the gallery (${item.width}×${item.height})`);
+        return item;
+    }
+
+    /**
+     * Capture a burst of photos into the gallery
+     */
+    async captureBurst() {
+        if (!this.webcamUI.isActive()) return;
+
+        const burstBtn = this.getElement('captureBurst');
+        if (burstBtn) burstBtn.disabled = true;
+        this.updateStatus('Capturing burst...');
+
+        try {
+            const items = await this.captures.captureBurst(this.getCaptureName());
+            this.updateStatus(`${items.length} photos added to the gallery`);
+        } catch (error) {
+            console.error('Burst capture failed:', error);
+            this.showError('Could not capture the burst.');
+        } finally {
+            if (burstBtn) burstBtn.disabled = false;
+        }
+    }
+
+    /**
+     * Start recording a clip in the chosen format, or stop the one being recorded
+     */
+    async toggleRecording() {
+        if (this.captures.isRecording()) {
+            this.captures.stopRecording();
+            return;
+        }
+        if (!this.webcamUI.isActive()) return;
+
+        const clipFormat = this.getElement('clipFormat');
+        const format = clipFormat ? clipFormat.value : 'webm';
+        this.updateStatus(`Recording ${format.toUpperCase()}...`);
+
+        try {
+            await this.captures.recordClip(this.getCaptureName(), format);
+            this.updateStatus(`${format.toUpperCase()} clip added to the gallery`);
+        } catch (error) {
+            console.error('Recording failed:', error);
+            this.showError(`Could not record the clip: ${error.message}`);
+        }
+    }
+
+    /**
+     * Show whether a clip is being recorded on the record button
+     */
+    updateRecordButton(isRecording) {
+        const recordBtn = this.getElement('recordClip');
+        const clipFormat = this.getElement('clipFormat');
+        if (recordBtn) {
+            recordBtn.textContent = isRecording ? '⏹️ Stop' : '⏺️ Record';
+            recordBtn.classList.toggle('recording', isRecording);
+        }
+        if (clipFormat) clipFormat.disabled = isRecording;
+    }
+
+    /**
+     * Download every capture in the gallery as a zip
+     */
+    async downloadAllCaptures() {
+        try {
+            this.updateStatus('Preparing zip...');
+            await this.captures.downloadAll();
+            this.updateStatus('Gallery downloaded');
+        } catch (error) {
+            console.error('Zip download failed:', error);
+            this.showError('Could not build the zip download.');
+        }
+    }
+
+    /**
+     * Show the captured photos and clips
+     */
+    renderGallery() {
+        const gallery = this.getElement('gallery');
+        const grid = this.getElement('galleryGrid');
+        const count = this.getElement('galleryCount');
+        const items = this.captures.getItems();
+
+        if (gallery) gallery.style.display = items.length > 0 ? 'block' : 'none';
+        if (count) count.textContent = `${items.length} capture${items.length === 1 ? '' : 's'}`;
+        if (!grid) return;
+
+        grid.innerHTML = '';
+        items.forEach(item => {
+            const tile = document.createElement('div');
+            tile.className = 'gallery-item';
+            tile.dataset.id = item.id;
+
+            let media;
+            if (item.type === 'webm') {
+                media = document.createElement('video');
+                media.controls = true;
+                media.loop = true;
+                media.muted = true;
+                media.playsInline = true;
+            } else {
+                media = document.createElement('img');
+                media.alt = item.filename;
+            }
+            media.src = item.url;
+
+            const label = document.createElement('span');
+            label.className = 'gallery-label';
+            label.textContent = `${item.type.toUpperCase()} · ${item.width}×${item.height}`;
+
+            const download = document.createElement('button');
+            download.type = 'button';
+            download.className = 'gallery-download';
+            download.title = 'Download';
+            download.textContent = '⬇️';
+
+            const remove = document.createElement('button');
+            remove.type = 'button';
+            remove.className = 'gallery-delete';
+            remove.title = 'Delete';
+            remove.textContent = '🗑️';
+
+            const actions = document.createElement('div');
+            actions.className = 'gallery-actions';
+            actions.append(label, download, remove);
+
+            tile.append(media, actions);
+            grid.appendChild(tile);
+        });
+    }
+
+    /**
+     * Get the title, text and link that describe the current look
+     *
+     * The link reopens the page with the same frame, variant and lens.
+     */
+    getShareData() {
+        const style = this.currentGlassesStyle;
+        const frame = this.catalog.getFrame(style);
+        const variant = this.getVariant(style);
+        const lens = this.getLens(style);
+
+        const url = new URL(window.location.href);
+        url.search = '';
+        url.hash = '';
+        url.searchParams.set('frame', style);
+        if (variant) url.searchParams.set('variant', variant.id);
+        url.searchParams.set('lens', lens.id);
+
+        const name = frame ? `${frame.brand} ${frame.name}` : style;
+        const details = [variant && variant.name, `${lens.name} lenses`].filter(Boolean).join(', ');
+
+        return {
+            title: 'Virtual Glasses Try-On',
+            text: `${name} (${details})`,
+            url: url.href
+        };
+    }
+
+    /**
+     * Share the current look with the system share sheet, or copy its link
+     */
+    async shareLook() {
+        const data = this.getShareData();
+
+        try {
+            if (navigator.share) {
+                await navigator.share(data);
+            } else if (navigator.clipboard) {
+                await navigator.clipboard.writeText(data.url);
+                this.updateStatus('Link copied to the clipboard');
+            } else {
+                this.showError(`Sharing is not supported here. Link: ${data.url}`);
+            }
+        } catch (error) {
+            // Closing the share sheet is not an error
+            if (error.name !== 'AbortError') {
+                console.error('Sharing failed:', error);
+                this.showError(`Sharing failed: ${error.message}`);
+            }
+        }
+    }
+
+    /**
+     * Load the configured face detection model
+     */
+    async loadFaceDetectionModel() {
+        if (this.detector || this.isModelLoaded) return;
+
+        try {
+            this.updateStatus('Loading AI model...');
+            this.webcamUI.showLoading();
+
+            this.detector = await this.createFaceDetector();
+
+            // A worker leaves the main thread free, so it can detect back to back
+            this.inferenceLoop.budget = this.detector instanceof WorkerFaceDetector ? 1 : 0.5;
+            
+            this.isModelLoaded = true;
+            this.webcamUI.hideLoading();
+            this.updateStatus('AI model loaded successfully');
+
+        } catch (error) {
+            this.webcamUI.hideLoading();
+            this.showError(navigator.onLine
+                ? `AI model loading failed: ${error.message}`
+                : 'The AI model is not saved on this device yet. Connect to the internet once and reload to use try-on offline.');
+            throw error;
+        }
+    }
+
+    /**
+     * Create and load the configured detector, in a worker if asked for and supported
+     */
+    async createFaceDetector() {
+        const { detector, useWorker, ...detectorOptions } = this.faceDetectionConfig;
+
+        if (useWorker && WorkerFaceDetector.isAvailable()) {
+            const workerDetector = new WorkerFaceDetector({ detector, ...detectorOptions });
+            try {
+                await workerDetector.load();
+                return workerDetector;
+            } catch (error) {
+                console.warn('Face detection worker failed, detecting on the page instead:', error);
+            }
+        }
+
+        const faceDetector = FaceDetector.create(detector, detectorOptions);
+        await faceDetector.load();
+        return faceDetector;
+    }
+
+    /**
+     * Start face detection loop
+     */
+    startFaceDetection() {
+        if (!this.webcamUI.isActive() || !this.detector) return;
+
+        this.stopFaceDetection();
+        this.lightingEstimator.reset();
+
+        const source = this.webcamUI.getSource();
+        if (source.isStatic()) {
+            this.detectStaticFaces();
+            return;
+        }
+
+        this.latestFaces = null;
+        this.renderMeter.reset();
+        this.detectionMeter.reset();
+
+        // Video files step frame by frame, so each frame is drawn with its own faces
+        if (source.advance) {
+            this.detectFaces();
+        } else {
+            this.inferenceLoop.start(() => this.trackFaces(this.webcamUI.getSourceElement()));
+            this.renderLoop();
+        }
+        this.updateStatus('Face detection running');
+    }
+
+    /**
+     * Stop face detection loop
+     */
+    stopFaceDetection() {
+        this.detectionGeneration++;
+        this.inferenceLoop.stop();
+
+        if (this.animationId) {
+            cancelAnimationFrame(this.animationId);
+            this.animationId = null;
+        }
+    }
+
+    /**
+     * Take a detection from the inference loop and make it the faces' next target
+     */
+    onFacesDetected(trackedFaces) {
+        const now = performance.now();
+        this.detectionMeter.tick(now);
+        this.pdMeasurement.addFrame(trackedFaces);
+        this.updateFitScores(trackedFaces);
+
+        // Glide to the new landmarks over the time the next detection takes
+        const faces = trackedFaces.concat(this.getHeldFaces());
+        const duration = this.detectionMeter.getInterval();
+        faces.forEach(face => {
+            const state = face.track.state;
+            if (!state.interpolator) state.interpolator = new LandmarkInterpolator();
+            state.interpolator.setTarget(face.landmarks, now, duration);
+        });
+        this.latestFaces = faces;
+    }
+
+    /**
+     * Draw the latest faces on every display frame, moving them between detections
+     */
+    renderLoop() {
+        if (!this.webcamUI.isActive()) return;
+
+        const now = performance.now();
+        this.renderMeter.tick(now);
+
+        if (this.latestFaces) {
+            try {
+                this.renderFaces(this.interpolateFaces(this.latestFaces, now));
+            } catch (error) {
+                console.warn('Rendering error:', error);
+            }
+        }
+
+        this.animationId = requestAnimationFrame(() => this.renderLoop());
+    }
+
+    /**
+     * Faces with their landmarks and pose where they are at `time`, between two detections
+     */
+    interpolateFaces(faces, time) {
+        return faces.map(face => {
+            const landmarks = face.track.state.interpolator.getLandmarks(time);
+            if (landmarks === face.landmarks) return face;
+            return { ...face, landmarks, pose: this.estimateHeadPose(landmarks) };
+        });
+    }
+
+    /**
+     * Detect and draw one video file frame at a time
+     */
+    async detectFaces() {
+        if (!this.webcamUI.isActive() || !this.detector) return;
+
+        const generation = this.detectionGeneration;
+
+        try {
+            const source = this.webcamUI.getSource();
+            const input = this.webcamUI.getSourceElement();
+
+            // Detect faces ({ landmarks, box, confidence })
+            const started = performance.now();
+            const trackedFaces = await this.trackFaces(input);
+            if (generation !== this.detectionGeneration) return;
+
+            this.inferenceLoop.recordLatency(performance.now() - started);
+            this.detectionMeter.tick();
+            this.renderMeter.tick();
+            this.pdMeasurement.addFrame(trackedFaces);
+            this.updateFitScores(trackedFaces);
+            this.renderFaces(trackedFaces.concat(this.getHeldFaces()));
+
+            // Video files step to their next frame once this one is drawn
+            if (source.advance) await source.advance();
+
+        } catch (error) {
+            console.warn('Face detection error:', error);
+        }
+
+        // Continue detection loop
+        if (this.webcamUI.isActive() && generation === this.detectionGeneration) {
+            this.animationId = requestAnimationFrame(() => this.detectFaces());
+        }
+    }
+
+    /**
+     * Detect faces once in a still photo; frame changes re-render them
+     */
+    async detectStaticFaces() {
+        const generation = this.detectionGeneration;
+
+        try {
+            this.updateStatus('Detecting faces in photo...');
+            const trackedFaces = await this.trackFaces(this.webcamUI.getSourceElement());
+            if (generation !== this.detectionGeneration) return;
+
+            this.staticFaces = trackedFaces;
+            this.fitScorer.reset();
+            this.lastFitUpdate = 0;
+            this.updateFitScores(trackedFaces, 1);
+            this.renderFaces(trackedFaces);
+
+            this.updateStatus(trackedFaces.length > 0 ? 'Photo ready - choose your glasses' : 'No face found in photo');
+        } catch (error) {
+            console.warn('Face detection error:', error);
+            this.showError(`Face detection failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Redraw the faces of a still photo, e.g. after a frame change
+     */
+    renderStaticFaces() {
+        if (!this.staticFaces || !this.webcamUI.isActive()) return;
+        this.renderFaces(this.staticFaces);
+    }
+
+    /**
+     * Detect faces in an image or video element and give each a stable id, filtered landmarks and pose
+     */
+    async trackFaces(input) {
+        const faces = this.faceTracker.update(await this.findFaces(input));
+
+        // Steady each face's landmarks, then fit its pose to the steadied ones
+        const now = performance.now();
+        this.landmarkFilter.filterFaces(faces, now);
+        faces.forEach(face => {
+            face.pose = this.estimateHeadPose(face.landmarks);
+        });
+
+        // Sample the lighting where the faces were actually found
+        this.lightingEstimator.update(input, faces.map(face => face.rawLandmarks), now);
+        return faces;
+    }
+
+    /**
+     * Faces missed by the latest detection that are still drawn while they coast to a stop
+     */
+    getHeldFaces() {
+        return this.landmarkFilter.getHeldFaces(this.faceTracker.getTracks(), performance.now())
+            .map(face => ({ ...face, pose: this.estimateHeadPose(face.landmarks) }));
+    }
+
+    /**
+     * Set how strongly face landmarks are smoothed: 'steady', 'balanced', 'responsive', 'off',
+     * or settings of its own (see LandmarkFilter)
+     */
+    setSmoothingPreset(preset) {
+        this.landmarkFilter.setPreset(preset);
+    }
+
+    /**
+     * Detect faces in an image, video or canvas; poses are left to the caller
+     */
+    async findFaces(input) {
+        const faces = await this.detector.estimateFaces(input);
+
+        return faces
+            .filter(face => face.landmarks.length > 168)
+            .map(face => ({
+                landmarks: face.landmarks,
+                box: face.box,
+                confidence: face.confidence
+            }));
+    }
+
+    /**
+     * Clear the overlay and draw each face's glasses, in 3D where its model is loaded
+     */
+    renderFaces(trackedFaces) {
+        const canvas = this.webcamUI.getCanvasElement();
+        const ctx = this.webcamUI.getCanvasContext();
+        if (!canvas || !ctx) return;
+
+        // Clear canvas
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+        trackedFaces.forEach(face => {
+            face.style = this.getFaceStyle(face);
+            face.variant = this.getVariant(face.style);
+            face.lens = this.lensRenderer.getAppearance(this.getLens(face.style));
+        });
+
+        this.drawFaces(ctx, trackedFaces, this.webcamUI.getSourceElement());
+        this.renderedFaces = trackedFaces;
+        if (this.diagnostics.enabled) this.drawDiagnostics(ctx, trackedFaces);
+
+        // Update face count display
+        this.webcamUI.updateFaceCount(trackedFaces.length);
+        this.setFaceCount(trackedFaces.length);
+
+        trackedFaces
+            .filter(face => !this.visibleFaceIds.has(face.id))
+            .forEach(face => {
+                if (this.callbacks.onFaceDetected) {
+                    this.callbacks.onFaceDetected({ id: face.id, count: trackedFaces.length, box: face.box });
+                }
+            });
+        this.visibleFaceIds = new Set(trackedFaces.map(face => face.id));
+    }
+
+    /**
+     * Draw glasses for faces that already have their style, variant and lens set
+     *
+     * `source` is the image the faces were found in, reflected by mirror lenses.
+     */
+    drawFaces(ctx, faces, source) {
+        const canvas = ctx.canvas;
+
+        // Glasses go onto a separate layer so the head can be cut out of them
+        const occlusion = this.faceOcclusion.enabled;
+        const target = occlusion ? this.faceOcclusion.beginLayer(canvas.width, canvas.height) : ctx;
+
+        faces.forEach(face => {
+            face.occluder = null;
+            face.adjustment = this.fitAdjustments.get(face.style);
+        });
+
+        // Mirror coatings reflect a blurred copy of the current frame
+        if (source && faces.some(face => face.lens.mirror)) {
+            this.lensRenderer.updateReflection(source);
+            if (this.renderer3D) this.renderer3D.setReflection(this.lensRenderer.reflection);
+        }
+
+        // Contact shadows go under the frames, 2D or 3D
+        const lighting = this.lightingEstimator.getLighting();
+        if (this.lightingEstimator.enabled) {
+            faces.forEach(face => this.overlayLighting.drawContactShadows(target, face.landmarks, lighting));
+        }
+
+        const faces3D = faces.filter(face => this.shouldRender3D(canvas, face.style));
+        faces3D.forEach(face => {
+            face.measurements = this.frameFitter.measureFace(face.landmarks, face.pose);
+            face.modelFit = this.frameFitter.fitModel(this.catalog.getFrame(face.style), face.measurements);
+        });
+        if (this.renderer3D) {
+            this.renderer3D.setLighting(lighting);
+            this.renderer3D.render(target, faces3D);
+        }
+
+        const faces2D = faces.filter(face => !faces3D.includes(face));
+        faces2D.forEach(face => this.drawGlassesOnFace(target, face));
+
+        if (occlusion) {
+            faces3D
+                .concat(faces2D.filter(face => face.occluder))
+                .forEach(face => this.faceOcclusion.occlude(target, face.landmarks, this.getOccluder(face)));
+            this.faceOcclusion.endLayer(ctx);
+        }
+    }
+
+    /**
+     * Estimate head pose from face landmarks
+     */
+    estimateHeadPose(landmarks) {
+        this.lastHeadPose = this.headPoseEstimator.estimate(landmarks);
+        return this.lastHeadPose;
+    }
+
+    /**
+     * Get the most recent head pose (rotation, translation, yaw, pitch, roll)
+     */
+    getHeadPose() {
+        return this.lastHeadPose;
+    }
+
+    /**
+     * Get the glasses style shown on a tracked face
+     */
+    getFaceStyle(face) {
+        return (face.track && face.track.frameId) || this.currentGlassesStyle;
+    }
+
+    /**
+     * Draw glasses on a face ({ landmarks, pose, style, variant, lens })
+     */
+    drawGlassesOnFace(ctx, face) {
+        const { landmarks } = face;
+        const pose = face.pose !== undefined ? face.pose : this.estimateHeadPose(landmarks);
+        const style = face.style || this.currentGlassesStyle;
+
+        // Image or recoloured canvas for the frame's variant
+        const glassesImg = this.getOverlayImage(style, face.variant !== undefined ? face.variant : this.getVariant(style));
+        if (!glassesImg) return;
+        const imageWidth = glassesImg.naturalWidth || glassesImg.width;
+        const imageHeight = glassesImg.naturalHeight || glassesImg.height;
+
+        // Eye corners and lids used to find the eye centres
+        const essentialLandmarks = [33, 133, 159, 145, 263, 362, 386, 374];
+        if (essentialLandmarks.some(index => !landmarks[index])) {
+            console.warn('Essential eye landmarks not detected');
+            return;
+        }
+
+        // Place and scale the frame from its fit anchors and physical size
+        const measurements = this.frameFitter.measureFace(landmarks, pose);
+        const placement = this.frameFitter.fitOverlay(
+            this.catalog.getFrame(style),
+            glassesImg,
+            measurements,
+            face.adjustment || this.fitAdjustments.get(style)
+        );
+
+        // The occlusion mask follows the drawn frame, hinges included
+        face.occluder = {
+            centre: [placement.x, placement.y],
+            roll: placement.angle,
+            yaw: placement.yaw,
+            left: placement.leftTempleX * Math.cos(placement.yaw),
+            right: placement.rightTempleX * Math.cos(placement.yaw)
+        };
+
+        // Draw glasses
+        ctx.save();
+        ctx.globalCompositeOperation = 'source-over';
+        
+        // Transform and draw
+        ctx.translate(placement.x, placement.y);
+        ctx.rotate(placement.angle);
+
+        // Foreshorten the flat frame as the head turns or nods
+        ctx.scale(Math.cos(placement.yaw), Math.cos(placement.pitch));
+
+        // Lenses go under the rims, drawn in overlay image pixels
+        const lighting = this.lightingEstimator.getLighting();
+        const lens = this.overlayLighting.getLitLens(
+            face.lens || this.lensRenderer.getAppearance(this.getLens(style)),
+            lighting
+        );
+        const imageScale = placement.width / imageWidth;
+        ctx.save();
+        ctx.translate(placement.offsetX, placement.offsetY);
+        ctx.scale(imageScale, imageScale);
+        this.lensRenderer.drawLenses(
+            ctx,
+            lens,
+            LensRenderer.getLensShapes(this.catalog.getFrame(style), imageWidth, imageHeight)
+        );
+        ctx.restore();
+
+        // Draw the frame opaque, with the lens centres in front of the eyes
+        ctx.drawImage(
+            this.overlayLighting.getLitImage(glassesImg, lighting),
+            placement.offsetX,
+            placement.offsetY,
+            placement.width,
+            placement.height
+        );
+
+        ctx.restore();
+    }
+
+    /**
+     * Where a face's frame sits, for the occlusion mask
+     *
+     * Hinge offsets are foreshortened by yaw like the drawn frame. Models
+     * without fit anchors use the catalog (or default) frame width.
+     */
+    getOccluder(face) {
+        if (face.occluder) return face.occluder;
+
+        const { measurements, modelFit } = face;
+        const adjustment = face.adjustment || FitAdjustments.DEFAULT;
+        const foreshortening = Math.cos(measurements.yaw) * adjustment.scale;
+        const halfWidth = FitScorer.getFrameWidth(this.catalog.getFrame(face.style) || {}) / 2 * measurements.pxPerMm;
+
+        return {
+            centre: measurements.centre,
+            roll: measurements.roll + adjustment.tilt * Math.PI / 180,
+            yaw: measurements.yaw,
+            left: (modelFit ? modelFit.leftTempleX : -halfWidth) * foreshortening,
+            right: (modelFit ? modelFit.rightTempleX : halfWidth) * foreshortening
+        };
+    }
+
+    /**
+     * Get the user's fit adjustment ({ lift, scale, tilt }, see FitAdjustments) for a frame
+     */
+    getFitAdjustment(style = this.getTargetStyle()) {
+        return this.fitAdjustments.get(style);
+    }
+
+    /**
+     * Set the fit adjustment for a frame, the one being chosen by default
+     */
+    setFitAdjustment(adjustment, style = this.getTargetStyle()) {
+        return this.fitAdjustments.set(style, adjustment);
+    }
+
+    /**
+     * Move one field of the chosen frame's fit by a step in `direction` (1 or -1)
+     *
+     * Tilt steps are clockwise on screen, so they flip for the mirrored camera preview.
+     */
+    nudgeFit(field, direction = 1) {
+        if (!Object.prototype.hasOwnProperty.call(FitAdjustments.STEPS, field)) return;
+
+        const sign = field === 'tilt' && this.isPreviewMirrored() ? -1 : 1;
+        this.fitAdjustments.nudge(this.getTargetStyle(), { [field]: FitAdjustments.STEPS[field] * direction * sign });
+    }
+
+    /**
+     * Go back to the automatic fit for the chosen frame
+     */
+    resetFitAdjustment() {
+        this.fitAdjustments.reset(this.getTargetStyle());
+        this.updateStatus('Fit reset');
+    }
+
+    /**
+     * Keys on the focused camera view: arrows move the frame up and down,
+     * + and - resize it, [ and ] tilt it and 0 resets
+     */
+    handleFitKey(e) {
+        if (e.ctrlKey || e.metaKey || e.altKey) return;
+
+        if (e.key === '0') {
+            this.resetFitAdjustment();
+        } else if (VirtualGlassesTryOn.FIT_KEYS[e.key]) {
+            const [field, direction] = VirtualGlassesTryOn.FIT_KEYS[e.key];
+            this.nudgeFit(field, direction);
+        } else {
+            return;
+        }
+        e.preventDefault();
+    }
+
+    /**
+     * Drag the frame up and down with one finger; pinch to resize and twist to tilt with two
+     *
+     * Gestures start from the adjustment in place when the fingers went down,
+     * and only while a face is being tracked.
+     */
+    setupFitGestures(element) {
+        const pointers = new Map(); // pointer id -> [x, y] in screen px
+        let gesture = null;
+
+        const begin = () => {
+            const pxPerMm = this.getFacePxPerMm();
+            const canvas = this.webcamUI.getCanvasElement();
+            const rect = canvas ? canvas.getBoundingClientRect() : null;
+            if (!pxPerMm || !rect || !rect.height || pointers.size === 0) {
+                gesture = null;
+                return;
+            }
+
+            const style = this.getTargetStyle();
+            gesture = {
+                style,
+                start: this.fitAdjustments.get(style),
+                points: [...pointers.values()],
+                mmPerScreenPx: canvas.height / rect.height / pxPerMm
+            };
+        };
+
+        element.addEventListener('pointerdown', (e) => {
+            if (!this.webcamUI.isActive() || pointers.size >= 2) return;
+            pointers.set(e.pointerId, [e.clientX, e.clientY]);
+            begin();
+        });
+
+        element.addEventListener('pointermove', (e) => {
+            if (!pointers.has(e.pointerId)) return;
+            pointers.set(e.pointerId, [e.clientX, e.clientY]);
+            if (!gesture) return;
+
+            const points = [...pointers.values()];
+            const [from, to] = [gesture.points, points].map(list => VirtualGlassesTryOn.getGestureFrame(list));
+            if (from.count !== to.count) return;
+
+            const change = { lift: gesture.start.lift - (to.centre[1] - from.centre[1]) * gesture.mmPerScreenPx };
+            if (to.count === 2 && from.span > 0) {
+                const turn = (to.angle - from.angle) * 180 / Math.PI;
+                change.scale = gesture.start.scale * to.span / from.span;
+                change.tilt = gesture.start.tilt + (this.isPreviewMirrored() ? -turn : turn);
+            }
+            this.fitAdjustments.set(gesture.style, change);
+        });
+
+        const end = (e) => {
+            if (!pointers.delete(e.pointerId)) return;
+            begin();
+        };
+        element.addEventListener('pointerup', end);
+        element.addEventListener('pointercancel', end);
+    }
+
+    /**
+     * Centre, spread and angle of the fingers in a gesture
+     */
+    static getGestureFrame(points) {
+        const centre = [0, 1].map(axis => points.reduce((sum, point) => sum + point[axis], 0) / points.length);
+        if (points.length < 2) return { count: points.length, centre, span: 0, angle: 0 };
+
+        const [a, b] = points;
+        return {
+            count: points.length,
+            centre,
+            span: Math.hypot(b[0] - a[0], b[1] - a[1]),
+            angle: Math.atan2(b[1] - a[1], b[0] - a[0])
+        };
+    }
+
+    /**
+     * Face scale (image px per mm) of the selected or first tracked face, 0 without one
+     */
+    getFacePxPerMm() {
+        const tracks = this.faceTracker.getTracks().filter(track => track.state.lastFace);
+        const track = tracks.find(item => item.id === this.selectedFaceId) || tracks[0];
+        if (!track) return 0;
+
+        const face = track.state.lastFace;
+        return this.frameFitter.measureFace(face.landmarks, face.pose).pxPerMm;
+    }
+
+    /**
+     * Check if the camera preview is shown mirrored
+     */
+    isPreviewMirrored() {
+        const source = this.webcamUI.getSource();
+        return !!source && source.isMirrored();
+    }
+
+    /**
+     * Show the chosen frame's adjustment and whether it can be reset
+     */
+    updateFitControls() {
+        const summary = this.getElement('fitAdjustSummary');
+        const resetBtn = this.getElement('resetFit');
+        const style = this.getTargetStyle();
+        const adjusted = this.fitAdjustments.isAdjusted(style);
+
+        if (summary) {
+            summary.textContent = adjusted
+                ? VirtualGlassesTryOn.describeFitAdjustment(this.fitAdjustments.get(style), this.isPreviewMirrored())
+                : 'Automatic fit';
+        }
+        if (resetBtn) resetBtn.disabled = !adjusted;
+    }
+
+    /**
+     * Describe a fit adjustment as seen on screen, e.g. "2 mm higher, 4% larger, tilted 1° clockwise"
+     */
+    static describeFitAdjustment(adjustment, mirrored = false) {
+        const parts = [];
+        if (adjustment.lift) {
+            parts.push(`${Math.round(Math.abs(adjustment.lift) * 10) / 10} mm ${adjustment.lift > 0 ? 'higher' : 'lower'}`);
+        }
+        if (adjustment.scale !== 1) {
+            const percent = Math.round(Math.abs(adjustment.scale - 1) * 100);
+            parts.push(`${percent}% ${adjustment.scale > 1 ? 'larger' : 'smaller'}`);
+        }
+        if (adjustment.tilt) {
+            const clockwise = (adjustment.tilt > 0) !== mirrored;
+            parts.push(`tilted ${Math.abs(Math.round(adjustment.tilt))}° ${clockwise ? 'clockwise' : 'anticlockwise'}`);
+        }
+        return parts.join(', ');
+    }
+
+    /**
+     * Draw the diagnostics overlay for faces just drawn: mesh, anchors, pose axes and stats
+     */
+    drawDiagnostics(ctx, faces) {
+        const mirrored = this.isPreviewMirrored();
+
+        faces.forEach(face => {
+            const measurements = face.measurements || this.frameFitter.measureFace(face.landmarks, face.pose);
+            const occluder = face.occluder || (face.measurements ? this.getOccluder(face) : null);
+            this.diagnostics.drawFace(ctx, face, measurements, occluder, mirrored);
+        });
+
+        const stats = this.getFaceDetectionStats();
+        const lines = [
+            `${stats.detector} on ${stats.backend || '?'}${stats.isWorkerDetection ? ' (worker)' : ''}`,
+            `draw ${stats.fps} fps, ${stats.droppedFrames} dropped`,
+            `detect ${stats.detectionFps} /s, ${stats.inferenceLatency} ms`,
+            `faces ${faces.length}, ${stats.is3DRendering ? '3D' : '2D'}`
+        ];
+        faces
+            .filter(face => typeof face.confidence === 'number')
+            .forEach(face => lines.push(`#${face.id} confidence ${face.confidence.toFixed(2)}`));
+        this.diagnostics.drawHud(ctx, lines, mirrored);
+    }
+
+    /**
+     * Turn the diagnostics overlay on or off
+     */
+    setDiagnosticsEnabled(enabled) {
+        this.diagnostics.setEnabled(enabled);
+        this.renderStaticFaces();
+        this.updateStatus(`Diagnostics ${this.diagnostics.enabled ? 'on' : 'off'}`);
+    }
+
+    /**
+     * Keys on the focused camera view: D toggles diagnostics and J saves the landmarks as JSON
+     */
+    handleDiagnosticsKey(e) {
+        if (e.ctrlKey || e.metaKey || e.altKey) return;
+
+        const key = e.key.toLowerCase();
+        if (key === 'd') {
+            this.setDiagnosticsEnabled(!this.diagnostics.enabled);
+        } else if (key === 'j') {
+            this.downloadDiagnostics();
+        } else {
+            return;
+        }
+        e.preventDefault();
+    }
+
+    /**
+     * Everything a bug report needs about the current frame
+     *
+     * `frames` holds the detected faces in the replay detector's recording
+     * format, so the dump can be played back with
+     * setFaceDetector('replay', { url }). `faces` adds the filtered landmarks
+     * and head pose that were drawn.
+     */
+    getDiagnosticsSnapshot() {
+        const round = point => point.map(value => Math.round(value * 100) / 100);
+        const canvas = this.webcamUI.getCanvasElement();
+        const { currentConfig, ...stats } = this.getFaceDetectionStats();
+        const faces = this.renderedFaces;
+
+        return {
+            createdAt: new Date().toISOString(),
+            userAgent: navigator.userAgent,
+            source: {
+                width: canvas ? canvas.width : 0,
+                height: canvas ? canvas.height : 0,
+                mirrored: this.isPreviewMirrored(),
+                isStatic: !!this.staticFaces
+            },
+            stats,
+            look: this.getLook(this.currentGlassesStyle),
+            fitAdjustment: this.fitAdjustments.get(this.currentGlassesStyle),
+            smoothing: this.landmarkFilter.preset,
+            faces: faces.map(face => ({
+                id: face.id,
+                style: face.style,
+                confidence: face.confidence,
+                held: face.held || 0,
+                box: face.box,
+                pose: face.pose
+                    ? { yaw: face.pose.yaw, pitch: face.pose.pitch, roll: face.pose.roll, error: face.pose.error }
+                    : null,
+                landmarks: face.landmarks.map(round)
+            })),
+            frames: [
+                faces
+                    .filter(face => !face.held)
+                    .map(face => ({
+                        landmarks: (face.rawLandmarks || face.landmarks).map(round),
+                        box: face.box,
+                        confidence: face.confidence
+                    }))
+            ]
+        };
+    }
+
+    /**
+     * Save the diagnostics snapshot as a JSON file
+     */
+    downloadDiagnostics(filename = `virtual-glasses-diagnostics-${Date.now()}.json`) {
+        const json = JSON.stringify(this.getDiagnosticsSnapshot(), null, 2);
+        const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+        CaptureManager.downloadUrl(url, filename);
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+        this.updateStatus(`Saved ${filename}`);
+    }
+
+    /**
+     * Turn hiding the parts of frames behind the head on or off
+     */
+    setOcclusionEnabled(enabled) {
+        this.faceOcclusion.enabled = enabled;
+        this.renderStaticFaces();
+    }
+
+    /**
+     * Turn matching the frames to the room's lighting on or off
+     */
+    setLightingEnabled(enabled) {
+        this.lightingEstimator.setEnabled(enabled);
+
+        // A photo is sampled again, since its faces are not detected again
+        if (enabled && this.staticFaces && this.webcamUI.isActive()) {
+            const landmarkSets = this.staticFaces.map(face => face.rawLandmarks);
+            this.lightingEstimator.update(this.webcamUI.getSourceElement(), landmarkSets);
+        }
+        this.renderStaticFaces();
+    }
+
+    /**
+     * Get the room lighting the frames are matched to (see LightingEstimator.getLighting)
+     */
+    getLighting() {
+        return this.lightingEstimator.getLighting();
+    }
+
+    /**
+     * Start measuring the pupillary distance
+     */
+    startPDMeasurement() {
+        if (!this.webcamUI.isActive()) {
+            this.showError('Start the camera before measuring your PD');
+            return;
+        }
+
+        const panel = this.getElement('pdPanel');
+        if (panel) panel.style.display = 'block';
+
+        this.pdMeasurement.start();
+        this.updateStatus('Measuring pupillary distance...');
+    }
+
+    /**
+     * Cancel an unfinished PD measurement and hide the panel
+     */
+    stopPDMeasurement() {
+        if (this.pdMeasurement.isMeasuring()) {
+            this.pdMeasurement.stop();
+        }
+
+        const panel = this.getElement('pdPanel');
+        if (panel) panel.style.display = 'none';
+    }
+
+    /**
+     * Show PD measurement progress, guidance and result
+     */
+    updatePDDisplay(status) {
+        const guidance = this.getElement('pdGuidance');
+        const progress = this.getElement('pdProgress');
+        const result = this.getElement('pdResult');
+
+        if (guidance) guidance.textContent = status.guidance;
+        if (progress) progress.style.width = `${Math.round(status.progress * 100)}%`;
+
+        if (result) {
+            if (status.pupillaryDistance === null) {
+                result.textContent = '';
+            } else if (status.state === 'done') {
+                result.textContent = `PD ${status.pupillaryDistance} mm (confidence ${Math.round(status.confidence * 100)}%)`;
+            } else {
+                result.textContent = `PD ≈ ${status.pupillaryDistance.toFixed(1)} mm`;
+            }
+        }
+    }
+
+    /**
+     * Use a finished PD measurement for frame sizing if it is reliable
+     */
+    onPDMeasured(result) {
+        if (result.confidence >= PDMeasurement.MIN_CONFIDENCE) {
+            this.frameFitter.setPupillaryDistance(result.pupillaryDistance);
+            this.fitScorer.reset();
+            this.updateStatus(`Pupillary distance: ${result.pupillaryDistance} mm`);
+        } else {
+            this.updateStatus('PD measurement not reliable - please try again');
+        }
+    }
+
+    /**
+     * Get the last PD measurement ({ pupillaryDistance, confidence, ... }) or null
+     */
+    getPupillaryDistance() {
+        return this.pdMeasurement.getResult();
+    }
+
+    /**
+     * Measure the face and refresh the fit of every frame about once a second
+     */
+    updateFitScores(faces, minSamples = this.fitScorer.minSamples) {
+        // Size recommendations are for a single person in view
+        if (faces.length !== 1) return;
+
+        const { landmarks, pose } = faces[0];
+        const face = this.frameFitter.measureFace(landmarks, pose);
+        this.fitScorer.addFace(landmarks, face, this.frameFitter.getPupillaryDistance());
+
+        const now = performance.now();
+        if (now - this.lastFitUpdate < 1000) return;
+        this.lastFitUpdate = now;
+
+        const measurement = this.fitScorer.getFaceMeasurement(minSamples);
+        if (!measurement || this.catalog.getFrames().length === 0) return;
+
+        this.fitScores = FitScorer.scoreFrames(this.catalog.getFrames(), measurement);
+        this.updateFitBadges(measurement);
+    }
+
+    /**
+     * Show the size recommendation and a fit badge on each frame
+     */
+    updateFitBadges(measurement) {
+        const summary = this.getElement('fitSummary');
+        if (summary) {
+            const pdSource = this.frameFitter.pupillaryDistance ? 'measured' : 'average';
+            summary.textContent = `Your size: ${measurement.size} · face ${Math.round(measurement.faceWidth)} mm · ` +
+                `PD ${Math.round(measurement.pupillaryDistance)} mm (${pdSource})`;
+        }
+
+        this.root.querySelectorAll(`${this.getSelector('glassesGrid')} .glasses-option`).forEach(option => {
+            const fit = this.fitScores.get(option.dataset.style);
+            if (!fit) return;
+
+            let badge = option.querySelector('.fit-badge');
+            if (!badge) {
+                badge = document.createElement('div');
+                option.appendChild(badge);
+            }
+
+            badge.className = `fit-badge fit-${fit.verdict}`;
+            badge.textContent = `${FitScorer.VERDICT_LABELS[fit.verdict]} · ${fit.size}`;
+            badge.title = `Fit score ${fit.score}/100`;
+        });
+
+        if (this.sortByFit) this.sortGlassesSelector();
+    }
+
+    /**
+     * Order the glasses selector by fit or by catalog order
+     */
+    setSortByFit(enabled) {
+        this.sortByFit = enabled;
+        this.sortGlassesSelector();
+    }
+
+    /**
+     * Reorder the selector options without rebuilding them
+     */
+    sortGlassesSelector() {
+        const glassesGrid = this.getElement('glassesGrid');
+        if (!glassesGrid) return;
+
+        const catalogOrder = this.catalog.getFrames().map(frame => frame.id);
+        const score = (option) => {
+            const fit = this.fitScores && this.fitScores.get(option.dataset.style);
+            return fit ? fit.score : -1;
+        };
+
+        const options = Array.from(glassesGrid.querySelectorAll('.glasses-option'));
+        options
+            .sort((a, b) => {
+                if (this.sortByFit && score(a) !== score(b)) return score(b) - score(a);
+                return catalogOrder.indexOf(a.dataset.style) - catalogOrder.indexOf(b.dataset.style);
+            })
+            .forEach(option => glassesGrid.appendChild(option));
+    }
+
+    /**
+     * Select glasses style by selector element or frame id
+     */
+    selectGlasses(target) {
+        const element = typeof target === 'string'
+            ? this.root.querySelector(`.glasses-option[data-style="${target}"]`)
+            : target;
+        const style = typeof target === 'string' ? target : element.dataset.style;
+        const frame = this.catalog.getFrame(style);
+
+        if (!frame && !element) {
+            console.warn(`Unknown glasses style: ${style}`);
+            return;
+        }
+
+        // Update UI
+        this.highlightGlassesOption(style);
+
+        const track = this.selectedFaceId !== null ? this.faceTracker.getTrack(this.selectedFaceId) : null;
+        if (track) {
+            // Only the chosen face changes frame
+            track.frameId = style;
+        } else {
+            // Update current style and image for every face
+            this.currentFrame = frame;
+            this.currentGlassesStyle = style;
+            this.currentGlassesImage = frame ? frame.overlayImage : element.dataset.image;
+            this.faceTracker.getTracks().forEach(faceTrack => {
+                faceTrack.frameId = null;
+            });
+        }
+
+        // Load new glasses image and model
+        this.loadGlassesImage(style, frame ? frame.overlayImage : element.dataset.image);
+        this.loadGlassesModel(style);
+        this.updateFrameCredit(frame);
+        this.updateLensControls();
+        this.updateFitControls();
+        this.renderStaticFaces();
+
+        const name = frame ? frame.name : element.querySelector('.label').textContent;
+        this.updateStatus(track ? `Selected: ${name} glasses for face ${track.id}` : `Selected: ${name} glasses`);
+        this.notifyFrameChanged(style, track ? track.id : null);
+    }
+
+    /**
+     * Tell listeners that the look of a frame changed
+     */
+    notifyFrameChanged(style, faceId = null) {
+        if (this.callbacks.onFrameChanged) this.callbacks.onFrameChanged({ ...this.getLook(style), faceId });
+    }
+
+    /**
+     * Get the variant shown for a glasses style: the chosen one, else the frame's default
+     *
+     * Returns null for frames without variants.
+     */
+    getVariant(style) {
+        const frame = this.catalog.getFrame(style);
+        if (!frame || !frame.variants) return null;
+
+        const variantId = this.variantSelections.get(style) || frame.defaultVariant;
+        return frame.variants.find(variant => variant.id === variantId) || frame.variants[0];
+    }
+
+    /**
+     * Choose the colour or material variant of a frame
+     *
+     * `notify` false leaves telling the frameChanged listeners to the caller.
+     */
+    selectVariant(style, variantId, notify = true) {
+        const frame = this.catalog.getFrame(style);
+        const variant = frame && frame.variants && frame.variants.find(option => option.id === variantId);
+        if (!variant) {
+            console.warn(`Unknown variant for ${style}: ${variantId}`);
+            return;
+        }
+
+        this.variantSelections.set(style, variant.id);
+        this.updateVariantSwatches(style);
+        this.renderLooks();
+        this.renderStaticFaces();
+        this.updateStatus(`Selected: ${frame.name} in ${variant.name}`);
+        if (notify) this.notifyFrameChanged(style);
+    }
+
+    /**
+     * Get the lenses offered for a glasses style
+     */
+    getLensOptions(style) {
+        const lenses = this.catalog.getLenses(style);
+        return lenses.length > 0 ? lenses : LensRenderer.DEFAULT_LENSES;
+    }
+
+    /**
+     * Get the lens shown in a glasses style: the chosen one, else the frame's default
+     */
+    getLens(style) {
+        const options = this.getLensOptions(style);
+        const frame = this.catalog.getFrame(style);
+        const lensId = this.lensSelections.get(style) || (frame && frame.defaultLens);
+        return options.find(lens => lens.id === lensId) || options[0];
+    }
+
+    /**
+     * Choose the lens for the frame being edited (the selected face's, or the global one)
+     */
+    selectLens(lensId) {
+        const style = this.getTargetStyle();
+        const lens = this.getLensOptions(style).find(option => option.id === lensId);
+        if (!lens) {
+            console.warn(`Unknown lens for ${style}: ${lensId}`);
+            return;
+        }
+
+        this.lensSelections.set(style, lens.id);
+        this.updateLensControls();
+        this.recordLook(style);
+        this.renderStaticFaces();
+        this.updateStatus(`Selected: ${lens.name} lenses`);
+        this.notifyFrameChanged(style, this.selectedFaceId);
+    }
+
+    /**
+     * Set the simulated outdoor light (0-1) for photochromic lenses
+     */
+    setLensBrightness(brightness) {
+        this.lensRenderer.setBrightness(brightness);
+        this.renderStaticFaces();
+    }
+
+    /**
+     * Fill the lens picker for the frame being edited
+     */
+    updateLensControls() {
+        const lensSelect = this.getElement('lensSelect');
+        const brightnessControl = this.getElement('lensBrightnessControl');
+        if (!lensSelect) return;
+
+        const style = this.getTargetStyle();
+        const current = this.getLens(style);
+
+        lensSelect.innerHTML = '';
+        this.getLensOptions(style).forEach(lens => {
+            const option = document.createElement('option');
+            option.value = lens.id;
+            option.textContent = lens.name;
+            lensSelect.appendChild(option);
+        });
+        lensSelect.value = current.id;
+
+        if (brightnessControl) {
+            brightnessControl.style.display = current.type === 'photochromic' ? 'inline-flex' : 'none';
+        }
+    }
+
+    /**
+     * Get the glasses style that selections apply to: the selected face's frame, or the global one
+     */
+    getTargetStyle() {
+        const track = this.selectedFaceId !== null ? this.faceTracker.getTrack(this.selectedFaceId) : null;
+        return (track && track.frameId) || this.currentGlassesStyle;
+    }
+
+    /**
+     * Get the look ({ frame, variant, lens }) a glasses style is shown in right now
+     */
+    getLook(style) {
+        const variant = this.getVariant(style);
+        return { frame: style, variant: variant ? variant.id : null, lens: this.getLens(style).id };
+    }
+
+    /**
+     * Get the variant of a saved look, falling back to the frame's current one
+     */
+    getLookVariant(look) {
+        const frame = this.catalog.getFrame(look.frame);
+        const variant = frame && frame.variants && frame.variants.find(option => option.id === look.variant);
+        return variant || this.getVariant(look.frame);
+    }
+
+    /**
+     * Get the lens of a saved look, falling back to the frame's current one
+     */
+    getLookLens(look) {
+        return this.getLensOptions(look.frame).find(lens => lens.id === look.lens) || this.getLens(look.frame);
+    }
+
+    /**
+     * Readable name of a look, e.g. "Square Bold · Tortoiseshell · Clear"
+     */
+    describeLook(look) {
+        const frame = this.catalog.getFrame(look.frame);
+        const variant = this.getLookVariant(look);
+        return [frame ? frame.name : look.frame, variant && variant.name, this.getLookLens(look).name]
+            .filter(Boolean)
+            .join(' · ');
+    }
+
+    /**
+     * Wear a saved look: its frame, variant and lens
+     */
+    applyLook(look) {
+        const variant = this.getLookVariant(look);
+        if (variant) {
+            this.variantSelections.set(look.frame, variant.id);
+            this.updateVariantSwatches(look.frame);
+        }
+        this.lensSelections.set(look.frame, this.getLookLens(look).id);
+
+        this.selectGlasses(look.frame);
+        this.renderLooks();
+    }
+
+    /**
+     * Add a frame's current look to the recently tried looks
+     */
+    recordLook(style) {
+        if (this.catalog.getFrame(style)) this.looks.addToHistory(this.getLook(style));
+    }
+
+    /**
+     * Add a frame's current look to the favourites, or remove it
+     */
+    toggleFavourite(style) {
+        const look = this.getLook(style);
+        const added = this.looks.toggleFavourite(look);
+        this.updateStatus(`${added ? 'Added to' : 'Removed from'} favourites: ${this.describeLook(look)}`);
+    }
+
+    /**
+     * Find a favourite or recent look by key
+     */
+    findLook(key) {
+        return this.looks.getFavourites().concat(this.looks.getHistory())
+            .find(look => LookCollection.getKey(look) === key) || null;
+    }
+
+    /**
+     * Tick or untick a look for comparing (two to four looks)
+     */
+    toggleCompareLook(key, selected) {
+        this.compareSelection = this.compareSelection.filter(item => item !== key);
+
+        if (selected) {
+            if (this.compareSelection.length >= VirtualGlassesTryOn.MAX_COMPARE_LOOKS) {
+                this.updateStatus(`Compare up to ${VirtualGlassesTryOn.MAX_COMPARE_LOOKS} looks at once`);
+            } else {
+                this.compareSelection.push(key);
+            }
+        }
+
+        this.renderLooks();
+    }
+
+    /**
+     * Get the looks ticked for comparing
+     */
+    getSelectedLooks() {
+        return this.compareSelection.map(key => this.findLook(key)).filter(Boolean);
+    }
+
+    /**
+     * Looks to flip between: the ticked ones, or the last two tried
+     */
+    getFlipLooks() {
+        const selected = this.getSelectedLooks();
+        return selected.length >= 2 ? selected : this.looks.getHistory().slice(0, 2);
+    }
+
+    /**
+     * Show the favourite and recent looks, favourite hearts and compare buttons
+     */
+    renderLooks() {
+        const isKnown = (look) => !!this.catalog.getFrame(look.frame);
+        const favourites = this.looks.getFavourites().filter(isKnown);
+        const history = this.looks.getHistory().filter(isKnown);
+
+        // Forget ticks on looks that are gone
+        this.compareSelection = this.compareSelection.filter(key => this.findLook(key));
+
+        const renderChips = (container, looks, emptyText, action) => {
+            if (!container) return;
+            container.innerHTML = '';
+
+            if (looks.length === 0) {
+                const empty = document.createElement('span');
+                empty.className = 'looks-empty';
+                empty.textContent = emptyText;
+                container.appendChild(empty);
+                return;
+            }
+
+            looks.forEach(look => {
+                const key = LookCollection.getKey(look);
+                const chip = document.createElement('div');
+                chip.className = 'look-chip';
+                chip.dataset.key = key;
+
+                const compare = document.createElement('input');
+                compare.type = 'checkbox';
+                compare.className = 'look-compare';
+                compare.title = 'Compare';
+                compare.checked = this.compareSelection.includes(key);
+
+                const apply = document.createElement('button');
+                apply.type = 'button';
+                apply.className = 'look-apply';
+                apply.textContent = this.describeLook(look);
+
+                chip.append(compare, apply, action(look));
+                container.appendChild(chip);
+            });
+        };
+
+        renderChips(this.getElement('favouriteLooks'), favourites, 'Tap ♡ on a frame to save it', () => {
+            const remove = document.createElement('button');
+            remove.type = 'button';
+            remove.className = 'look-remove';
+            remove.title = 'Remove from favourites';
+            remove.textContent = '✕';
+            return remove;
+        });
+
+        renderChips(this.getElement('recentLooks'), history, 'Frames you try appear here', (look) => {
+            const favourite = document.createElement('button');
+            favourite.type = 'button';
+            favourite.className = 'look-favourite';
+            favourite.title = 'Add to favourites';
+            favourite.textContent = this.looks.isFavourite(look) ? '♥' : '♡';
+            return favourite;
+        });
+
+        // Hearts on the selector show whether each frame's current look is saved
+        this.root.querySelectorAll('.glasses-option').forEach(option => {
+            const toggle = option.querySelector('.favourite-toggle');
+            if (!toggle) return;
+            const isFavourite = this.looks.isFavourite(this.getLook(option.dataset.style));
+            toggle.classList.toggle('active', isFavourite);
+            toggle.textContent = isFavourite ? '♥' : '♡';
+            toggle.title = isFavourite ? 'Remove from favourites' : 'Add to favourites';
+        });
+
+        const compareSelectedBtn = this.getElement('compareSelected');
+        const compareLastTwoBtn = this.getElement('compareLastTwo');
+        const flipLooksBtn = this.getElement('flipLooks');
+        const selectedCount = this.compareSelection.length;
+
+        if (compareSelectedBtn) {
+            compareSelectedBtn.disabled = selectedCount < 2;
+            compareSelectedBtn.textContent = `🔲 Compare selected (${selectedCount})`;
+        }
+        if (compareLastTwoBtn) compareLastTwoBtn.disabled = history.length < 2;
+        if (flipLooksBtn) {
+            flipLooksBtn.disabled = !this.compareFlip && this.getFlipLooks().length < 2;
+            flipLooksBtn.textContent = this.compareFlip ? '⏹️ Stop flipping' : '🔁 Flip live';
+        }
+    }
+
+    /**
+     * Show two to four looks side by side on one snapshot of the current face
+     */
+    async openCompare(looks) {
+        const compareLooks = looks.filter(look => this.catalog.getFrame(look.frame)).slice(0, VirtualGlassesTryOn.MAX_COMPARE_LOOKS);
+        if (compareLooks.length < 2) {
+            this.showError('Choose two to four looks to compare');
+            return;
+        }
+
+        const source = this.webcamUI.getSource();
+        if (!source || !this.webcamUI.isActive() || !this.detector) {
+            this.showError('Start the camera or upload a photo to compare frames on your face');
+            return;
+        }
+
+        this.stopCompareFlip();
+        this.updateStatus('Preparing comparison...');
+
+        // Every tile uses the same snapshot, so only the frames differ
+        const snapshot = document.createElement('canvas');
+        snapshot.width = source.getWidth();
+        snapshot.height = source.getHeight();
+        snapshot.getContext('2d').drawImage(source.getElement(), 0, 0, snapshot.width, snapshot.height);
+
+        let faces;
+        try {
+            // One pose per face serves every tile
+            faces = (await this.findFaces(snapshot))
+                .map(face => ({ ...face, pose: this.estimateHeadPose(face.landmarks) }));
+            await Promise.all(compareLooks.map(look => this.loadLook(look)));
+        } catch (error) {
+            console.error('Comparison failed:', error);
+            this.showError(`Could not prepare the comparison: ${error.message}`);
+            return;
+        }
+
+        if (faces.length === 0) {
+            this.showError('No face found to compare frames on - look at the camera and try again');
+            return;
+        }
+
+        const panel = this.getElement('comparePanel');
+        const grid = this.getElement('compareGrid');
+        if (!panel || !grid) return;
+
+        grid.innerHTML = '';
+        grid.classList.toggle('mirrored', source.isMirrored());
+
+        compareLooks.forEach((look, index) => {
+            const tile = document.createElement('canvas');
+            tile.width = snapshot.width;
+            tile.height = snapshot.height;
+            const ctx = tile.getContext('2d');
+            ctx.drawImage(snapshot, 0, 0);
+
+            const lookFaces = faces.map((face, faceIndex) => ({
+                ...face,
+                id: `compare-${index}-${faceIndex}`,
+                style: look.frame,
+                variant: this.getLookVariant(look),
+                lens: this.lensRenderer.getAppearance(this.getLookLens(look))
+            }));
+            this.drawFaces(ctx, lookFaces, snapshot);
+
+            const figure = document.createElement('figure');
+            figure.className = 'compare-tile';
+
+            const caption = document.createElement('figcaption');
+            caption.textContent = this.describeLook(look);
+
+            const wear = document.createElement('button');
+            wear.type = 'button';
+            wear.className = 'compare-wear';
+            wear.dataset.key = LookCollection.getKey(look);
+            wear.textContent = 'Wear this';
+
+            caption.appendChild(wear);
+            figure.append(tile, caption);
+            grid.appendChild(figure);
+        });
+
+        panel.style.display = 'block';
+        this.updateStatus(`Comparing ${compareLooks.length} looks`);
+    }
+
+    /**
+     * Hide the comparison grid
+     */
+    closeCompare() {
+        const panel = this.getElement('comparePanel');
+        const grid = this.getElement('compareGrid');
+        if (panel) panel.style.display = 'none';
+        if (grid) grid.innerHTML = '';
+    }
+
+    /**
+     * Wait until a look's overlay images and model are ready to draw
+     */
+    async loadLook(look) {
+        const variant = this.getLookVariant(look);
+        const images = [this.loadGlassesImage(look.frame)];
+        if (variant && variant.overlayImage) {
+            images.push(this.loadGlassesImage(`${look.frame}/${variant.id}`, variant.overlayImage));
+        }
+
+        // Broken images fall back like in the live view, so failures are not fatal here
+        await Promise.all([
+            ...images
+                .filter(image => !image.complete)
+                .map(image => InputSource.waitForEvent(image, 'load').catch(() => {})),
+            this.loadGlassesModel(look.frame)
+        ]);
+    }
+
+    /**
+     * Flip the live view between looks on a timer
+     */
+    startCompareFlip(looks) {
+        const flipLooks = looks.filter(look => this.catalog.getFrame(look.frame));
+        if (flipLooks.length < 2) {
+            this.showError('Choose at least two looks to flip between');
+            return;
+        }
+
+        this.stopCompareFlip();
+        this.closeCompare();
+
+        this.compareFlip = { looks: flipLooks, index: 0, timer: null };
+        const showNext = () => {
+            const flip = this.compareFlip;
+            const look = flip.looks[flip.index];
+            this.applyLook(look);
+            this.updateStatus(`Look ${flip.index + 1} of ${flip.looks.length}: ${this.describeLook(look)}`);
+            flip.index = (flip.index + 1) % flip.looks.length;
+        };
+
+        showNext();
+        this.compareFlip.timer = setInterval(showNext, this.compareFlipInterval);
+        this.renderLooks();
+    }
+
+    /**
+     * Stop flipping between looks, keeping the one on screen
+     */
+    stopCompareFlip() {
+        if (!this.compareFlip) return;
+
+        clearInterval(this.compareFlip.timer);
+        this.compareFlip = null;
+        this.renderLooks();
+    }
+
+    /**
+     * Mark the selector option for a glasses style as active
+     */
+    highlightGlassesOption(style) {
+        this.root.querySelector('.glasses-option.active')?.classList.remove('active');
+        this.root.querySelector(`.glasses-option[data-style="${style}"]`)?.classList.add('active');
+    }
+
+    /**
+     * Choose the face that glasses selection applies to (null for all faces)
+     */
+    selectFaceTarget(faceId) {
+        const track = faceId !== null ? this.faceTracker.getTrack(faceId) : null;
+        this.selectedFaceId = track ? track.id : null;
+
+        const style = this.getTargetStyle();
+        this.highlightGlassesOption(style);
+        this.updateFrameCredit(this.catalog.getFrame(style));
+        this.updateLensControls();
+        this.updateFitControls();
+        this.renderFaceTargets();
+    }
+
+    /**
+     * Show a chip per tracked face, ordered left to right as seen on screen
+     */
+    renderFaceTargets() {
+        const faceTargets = this.getElement('faceTargets');
+        if (!faceTargets) return;
+
+        const mirrored = this.isPreviewMirrored();
+        const tracks = [...this.faceTracker.getTracks()]
+            .sort((a, b) => mirrored ? b.centre[0] - a.centre[0] : a.centre[0] - b.centre[0]);
+
+        faceTargets.innerHTML = '';
+        faceTargets.style.display = tracks.length > 1 || this.selectedFaceId !== null ? 'flex' : 'none';
+
+        const addChip = (label, faceId) => {
+            const chip = document.createElement('button');
+            chip.type = 'button';
+            chip.className = 'face-target';
+            chip.textContent = label;
+            if (faceId !== null) chip.dataset.faceId = faceId;
+            if (faceId === this.selectedFaceId) chip.classList.add('active');
+            faceTargets.appendChild(chip);
+        };
+
+        addChip('All faces', null);
+        tracks.forEach(track => addChip(`Face ${track.id}`, track.id));
+    }
+
+    /**
+     * Set how many faces are tracked at once
+     */
+    setMaxFaces(maxFaces) {
+        this.updateFaceDetectionConfig({ maxFaces });
+    }
+
+    /**
+     * Show the model attribution for the selected frame
+     */
+    updateFrameCredit(frame) {
+        const credit = this.getElement('frameCredit');
+        if (!credit) return;
+
+        credit.textContent = '';
+        if (!frame) return;
+
+        const link = document.createElement('a');
+        link.href = frame.license.source;
+        link.target = '_blank';
+        link.rel = 'noopener';
+        link.textContent = `"${frame.license.title}"`;
+
+        credit.append('3D model: ', link, ` by ${frame.license.author}, ${frame.license.type}`);
+    }
+
+    /**
+     * Camera start callback
+     */
+    onCameraStart() {
+        // PD is averaged over several frames, so it needs a moving source
+        const measurePDBtn = this.getElement('measurePD');
+        const source = this.webcamUI.getSource();
+        if (measurePDBtn) measurePDBtn.style.display = source.isStatic() ? 'none' : 'inline-block';
+
+        if (source instanceof CameraSource) {
+            // Device labels are only readable once camera permission is granted
+            this.webcamUI.updateCameraControls();
+            this.updateStatus('Camera started successfully');
+        } else {
+            this.updateStatus('File loaded successfully');
+        }
+    }
+
+    /**
+     * Camera stop callback
+     */
+    onCameraStop() {
+        this.stopFaceDetection();
+        this.stopPDMeasurement();
+        this.stopCompareFlip();
+        this.captures.stopRecording();
+        this.faceTracker.reset();
+        this.visibleFaceIds = new Set();
+        this.setFaceCount(0);
+        this.staticFaces = null;
+        this.renderedFaces = [];
+
+        const measurePDBtn = this.getElement('measurePD');
+        if (measurePDBtn) measurePDBtn.style.display = 'none';
+
+        this.updateStatus('Camera stopped');
+    }
+
+    /**
+     * Camera error callback
+     */
+    onCameraError(error, message) {
+        this.stopFaceDetection();
+        console.error('Camera error:', error);
+        if (this.callbacks.onError) this.callbacks.onError(message || error.message);
+    }
+
+    /**
+     * Show error message
+     */
+    showError(message) {
+        this.webcamUI.showError(message);
+        if (this.callbacks.onError) this.callbacks.onError(message);
+    }
+
+    /**
+     * Offer an update in the banner; `apply` runs when the user accepts it
+     */
+    showUpdateBanner(message, apply) {
+        const banner = this.getElement('updateBanner');
+        const text = this.getElement('updateText');
+        if (!banner) return;
+
+        this.pendingUpdate = apply;
+        if (text) text.textContent = message;
+        banner.style.display = 'flex';
+    }
+
+    /**
+     * Apply the update offered in the banner
+     */
+    applyPendingUpdate() {
+        const apply = this.pendingUpdate;
+        this.hideUpdateBanner();
+        if (apply) apply();
+    }
+
+    /**
+     * Hide the update banner, leaving the update for later
+     */
+    hideUpdateBanner() {
+        const banner = this.getElement('updateBanner');
+        if (banner) banner.style.display = 'none';
+        this.pendingUpdate = null;
+    }
+
+    /**
+     * Set callback functions
+     */
+    setCallbacks(callbacks) {
+        this.callbacks = { ...this.callbacks, ...callbacks };
+    }
+
+    /**
+     * Update status display
+     */
+    updateStatus(message) {
+        this.webcamUI.updateStatus(message);
+        if (this.callbacks.onStatusChange) this.callbacks.onStatusChange(message);
+    }
+
+    /**
+     * Keep the number of faces in view, telling listeners when it changes
+     */
+    setFaceCount(count) {
+        if (count === this.faceCount) return;
+
+        this.faceCount = count;
+        if (this.callbacks.onFaceCountChange) this.callbacks.onFaceCountChange(count);
+    }
+
+    /**
+     * Cleanup resources
+     */
+    cleanup() {
+        this.stopFaceDetection();
+        this.stopCompareFlip();
+        this.captures.cleanup();
+        this.webcamUI.cleanup();
+
+        if (this.renderer3D) {
+            this.renderer3D.dispose();
+        }
+        
+        if (this.detector) {
+            this.detector.dispose();
+            this.detector = null;
+        }
+        
+        this.isModelLoaded = false;
+    }
+
+    /**
+     * Release everything and stop listening to the page, before removing the UI
+     */
+    destroy() {
+        Object.keys(this.callbacks).forEach(name => { this.callbacks[name] = null; });
+        this.cleanup();
+        document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+        window.removeEventListener('beforeunload', this.handleUnload);
+        if (this.handleDeviceChange) {
+            navigator.mediaDevices.removeEventListener('devicechange', this.handleDeviceChange);
+        }
+    }
+
+    /**
+     * Get current glasses information
+     */
+    getCurrentGlasses() {
+        return {
+            style: this.currentGlassesStyle,
+            image: this.currentGlassesImage,
+            frame: this.currentFrame,
+            variant: this.getVariant(this.currentGlassesStyle),
+            lens: this.getLens(this.currentGlassesStyle),
+            fit: this.fitScores ? this.fitScores.get(this.currentGlassesStyle) || null : null,
+            faces: this.faceTracker.getTracks().map(track => {
+                const style = track.frameId || this.currentGlassesStyle;
+                const variant = this.getVariant(style);
+                return { id: track.id, style, variant: variant ? variant.id : null, lens: this.getLens(style).id };
+            })
+        };
+    }
+
+    /**
+     * Check if face detection is running
+     */
+    isFaceDetectionActive() {
+        return (this.animationId !== null || this.inferenceLoop.isRunning()) && this.webcamUI.isActive();
+    }
+
+    /**
+     * Update face detection configuration
+     */
+    updateFaceDetectionConfig(config) {
+        this.faceDetectionConfig = { ...this.faceDetectionConfig, ...config };
+        
+        // Reload model with new config if needed
+        if (this.isModelLoaded) {
+            this.isModelLoaded = false;
+            this.stopFaceDetection();
+            if (this.detector) this.detector.dispose();
+            this.detector = null;
+            if (this.webcamUI.isActive()) {
+                this.loadFaceDetectionModel().then(() => {
+                    this.startFaceDetection();
+                });
+            }
+        }
+    }
+
+    /**
+     * Switch to another registered face detector ('legacy', 'tfjs', 'tfjs-wasm', 'wasm', 'replay')
+     */
+    setFaceDetector(name, options = {}) {
+        this.updateFaceDetectionConfig({ detector: name, ...options });
+    }
+
+    /**
+     * Get face detection statistics
+     *
+     * `fps` and `droppedFrames` are for drawing, `detectionFps` and
+     * `inferenceLatency` (ms, smoothed) for the detector.
+     */
+    getFaceDetectionStats() {
+        const render = this.renderMeter.getStats();
+
+        return {
+            isModelLoaded: this.isModelLoaded,
+            detector: this.faceDetectionConfig.detector,
+            backend: this.detector ? this.detector.backend : null,
+            isWorkerDetection: this.detector instanceof WorkerFaceDetector,
+            isDetectionRunning: this.isFaceDetectionActive(),
+            fps: render.fps,
+            droppedFrames: render.dropped,
+            detectionFps: this.detectionMeter.getStats().fps,
+            inferenceLatency: Math.round(this.inferenceLoop.latency),
+            renderMode: this.renderMode,
+            is3DRendering: !!this.renderer3D && this.renderer3D.isReady(this.currentGlassesStyle),
+            isSoftwareWebGL: !!this.renderer3D && this.renderer3D.isSoftwareContext,
+            lighting: this.lightingEstimator.getLighting(),
+            currentConfig: this.faceDetectionConfig
+        };
+    }
+}
+
+// Looks shown side by side in the compare view
+VirtualGlassesTryOn.MAX_COMPARE_LOOKS = 4;
+
+// Keys that nudge the fit on the camera view: field and direction
+VirtualGlassesTryOn.FIT_KEYS = {
+    ArrowUp: ['lift', 1],
+    ArrowDown: ['lift', -1],
+    '+': ['scale', 1],
+    '=': ['scale', 1],
+    '-': ['scale', -1],
+    ']': ['tilt', 1],
+    '[': ['tilt', -1]
+};
+
+export { VirtualGlassesTryOn };
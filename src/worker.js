@@ -0,0 +1,11 @@
+/**
+ * Face detection worker entry, built into dist/virtual-glasses.worker.js
+ * Runs the detector for WorkerFaceDetector off the main thread
+ */
+
+import { WorkerFaceDetector } from './detector/worker-face-detector.js';
+
+// tf.js and face-landmarks-detection are globals here too, loaded from vendor/
+importScripts('../vendor/tf.min.js', '../vendor/tf-backend-wasm.min.js', '../vendor/face-landmarks-detection.js');
+
+WorkerFaceDetector.serve(self);
@@ -0,0 +1,209 @@
+/**
+ * Service Worker
+ * Keeps the app shell, the frame catalog with its frame assets and the model
+ * weights on the device, so try-on works without a connection
+ *
+ * - App shell (dist/precache-manifest.js, written by `npm run build`): cached
+ *   per build version. A new build installs a new worker, which waits until
+ *   the page applies the update with { type: 'skip-waiting' }. Installing
+ *   only depends on the shell.
+ * - Frame catalogs (catalog/*.json): served from the cache and checked in the
+ *   background. When a catalog's `version` changes, its frame assets are
+ *   cached first, then the catalog itself, and pages are sent
+ *   { type: 'catalog-updated', url, version }. Assets that fail are reported
+ *   with { type: 'catalog-incomplete', url, failed } and retried on the next
+ *   check.
+ * - Anything else from this origin is cached the first time it is fetched.
+ */
+
+importScripts('dist/precache-manifest.js');
+
+const { version, files } = self.PRECACHE_MANIFEST;
+const CACHE_PREFIX = 'virtual-glasses-';
+const SHELL_CACHE = `${CACHE_PREFIX}shell-${version}`;
+const CATALOG_CACHE = `${CACHE_PREFIX}catalog`;
+const RUNTIME_CACHE = `${CACHE_PREFIX}runtime`;
+
+const scopeUrl = new URL(self.registration.scope);
+const shellUrls = new Set(files.map(file => new URL(file, scopeUrl).href));
+const defaultCatalogUrl = new URL('catalog/frames.json', scopeUrl).href;
+
+// Catalog checks in progress, keyed by URL
+const catalogUpdates = new Map();
+
+self.addEventListener('install', (event) => {
+    // A frame asset that cannot be fetched must not keep the app from installing
+    event.waitUntil(caches.open(SHELL_CACHE)
+        .then(cache => cache.addAll([...shellUrls].map(reload)))
+        .then(() => updateCatalog(defaultCatalogUrl).catch(error => console.warn('[sw] Catalog could not be cached:', error))));
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(caches.keys()
+        .then(keys => Promise.all(keys
+            .filter(key => key.startsWith(`${CACHE_PREFIX}shell-`) && key !== SHELL_CACHE)
+            .map(key => caches.delete(key))))
+        .then(() => self.clients.claim()));
+});
+
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'skip-waiting') self.skipWaiting();
+});
+
+self.addEventListener('fetch', (event) => {
+    const url = new URL(event.request.url);
+    if (event.request.method !== 'GET' || url.origin !== scopeUrl.origin) return;
+
+    event.respondWith(isCatalog(url) ? serveCatalog(event) : serveCached(event.request));
+});
+
+/**
+ * Frame catalogs are the JSON files under catalog/ that are not part of the shell
+ */
+function isCatalog(url) {
+    return url.pathname.startsWith(`${scopeUrl.pathname}catalog/`) &&
+        url.pathname.endsWith('.json') &&
+        !shellUrls.has(url.origin + url.pathname);
+}
+
+/**
+ * Answer with the cached catalog straight away and look for a new version
+ */
+async function serveCatalog(event) {
+    const url = event.request.url.split('?')[0];
+    const cached = await caches.match(url, { cacheName: CATALOG_CACHE });
+    const update = updateCatalog(url);
+
+    if (cached) {
+        event.waitUntil(update.catch(error => console.warn('[sw] Catalog check failed:', error)));
+        return cached;
+    }
+
+    try {
+        await update;
+        return await caches.match(url, { cacheName: CATALOG_CACHE });
+    } catch (error) {
+        // Could not cache it, e.g. a missing frame asset; the page still gets the catalog
+        return fetch(event.request);
+    }
+}
+
+/**
+ * Fetch a catalog and, if its version is new, cache its frame assets and then
+ * the catalog; for the same version only assets still missing are fetched
+ */
+function updateCatalog(url) {
+    if (!catalogUpdates.has(url)) {
+        const update = fetchCatalog(url).finally(() => catalogUpdates.delete(url));
+        catalogUpdates.set(url, update);
+    }
+    return catalogUpdates.get(url);
+}
+
+async function fetchCatalog(url) {
+    const response = await fetch(url, { cache: 'no-store' });
+    if (!response.ok) throw new Error(`HTTP ${response.status} for ${url}`);
+
+    const catalog = await response.clone().json();
+    const cache = await caches.open(CATALOG_CACHE);
+    const cached = await cache.match(url);
+    const cachedVersion = cached ? (await cached.json()).version : undefined;
+    const isNewVersion = !cached || cachedVersion !== catalog.version;
+
+    const assets = getCatalogAssets(catalog, url);
+    const failed = await cacheAssets(cache, assets, isNewVersion);
+    failed.push(...await cacheAssets(cache, await getModelDependencies(cache, assets), isNewVersion));
+    if (isNewVersion) await cache.put(url, response);
+
+    if (failed.length > 0) {
+        console.warn(`[sw] ${failed.length} frame asset(s) of ${url} could not be cached:`, failed);
+        notifyClients({ type: 'catalog-incomplete', url, failed });
+    }
+    if (cached && isNewVersion) notifyClients({ type: 'catalog-updated', url, version: catalog.version });
+}
+
+/**
+ * Cache each asset on its own, so one that fails does not stop the others;
+ * resolves to the URLs that could not be cached
+ *
+ * Unless `refresh` is set, assets already in the cache are kept.
+ */
+async function cacheAssets(cache, urls, refresh) {
+    const results = await Promise.allSettled(urls.map(async (url) => {
+        if (!refresh && await cache.match(url)) return;
+        await cache.add(reload(url));
+    }));
+    return urls.filter((url, index) => results[index].status === 'rejected');
+}
+
+/**
+ * URLs of the images, models and textures a catalog's frames use
+ */
+function getCatalogAssets(catalog, catalogUrl) {
+    const urls = new Set();
+    const add = (path) => {
+        if (path) urls.add(new URL(path, catalogUrl).href);
+    };
+
+    (catalog.frames || []).forEach(frame => {
+        add(frame.previewImage);
+        add(frame.overlayImage);
+        add(frame.model);
+        (frame.variants || []).forEach(variant => {
+            add(variant.previewImage);
+            add(variant.overlayImage);
+            Object.values(variant.textures || {}).forEach(add);
+        });
+    });
+    return Array.from(urls);
+}
+
+/**
+ * Buffers and textures referenced by the cached glTF models
+ *
+ * Models that are not cached (or not valid JSON) are skipped; they are
+ * already reported as failed.
+ */
+async function getModelDependencies(cache, assets) {
+    const urls = new Set();
+
+    for (const modelUrl of assets.filter(asset => new URL(asset).pathname.endsWith('.gltf'))) {
+        const response = await cache.match(modelUrl);
+        const gltf = response && await response.json().catch(() => null);
+        if (!gltf) continue;
+
+        [...(gltf.buffers || []), ...(gltf.images || [])]
+            .filter(entry => entry.uri && !entry.uri.startsWith('data:'))
+            .forEach(entry => urls.add(new URL(entry.uri, modelUrl).href));
+    }
+    return Array.from(urls);
+}
+
+/**
+ * Answer from any cache, else from the network, keeping a copy
+ */
+async function serveCached(request) {
+    // Share links (index.html?frame=...) open the cached page
+    const cached = await caches.match(request, { ignoreSearch: request.mode === 'navigate' });
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    if (response.ok && response.type === 'basic') {
+        const copy = response.clone();
+        caches.open(RUNTIME_CACHE).then(cache => cache.put(request, copy));
+    }
+    return response;
+}
+
+/**
+ * Request that skips the HTTP cache, so a new version never stores stale files
+ */
+function reload(url) {
+    return new Request(url, { cache: 'reload' });
+}
+
+async function notifyClients(message) {
+    // Pages opened before the first install are not controlled yet, but still listen
+    const clients = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    clients.forEach(client => client.postMessage(message));
+}
@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { DiagnosticsOverlay } from '../src/renderer/diagnostics-overlay.js';
+
+// A 2D context that records its calls, with each text 7 px per character
+const createContext = (width = 640) => {
+    const calls = [];
+    const ctx = { canvas: { width, height: 480 }, calls };
+    ['save', 'restore', 'fillRect', 'strokeRect', 'beginPath', 'arc', 'fill', 'moveTo', 'lineTo', 'stroke',
+        'translate', 'scale', 'fillText'].forEach(name => {
+        ctx[name] = (...args) => calls.push([name, ...args]);
+    });
+    ctx.measureText = text => ({ width: text.length * 7 });
+    return ctx;
+};
+
+const callsOf = (ctx, name) => ctx.calls.filter(call => call[0] === name).map(call => call.slice(1));
+
+const box = { xMin: 100, yMin: 50, xMax: 200, yMax: 180, width: 100, height: 130 };
+const face = {
+    id: 3,
+    landmarks: [[110, 60, 0], [150, 120, 0]],
+    box,
+    confidence: 0.876,
+    pose: { yaw: Math.PI / 18, pitch: 0, roll: -Math.PI / 36, rotation: [[1, 0, 0], [0, 1, 0], [0, 0, 1]] }
+};
+const measurements = { leftEye: [130, 100], rightEye: [170, 100], centre: [150, 100], eyeDistance: 40 };
+
+test('labels a face with its id, confidence and pose above its box', () => {
+    const ctx = createContext();
+    new DiagnosticsOverlay().drawFace(ctx, face, null, null);
+
+    assert.deepEqual(callsOf(ctx, 'fillText').map(call => call[0]), ['#3 88% y10 p0 r-5']);
+    assert.deepEqual(callsOf(ctx, 'translate'), [[100, 46]]);
+    assert.deepEqual(callsOf(ctx, 'strokeRect'), [[100, 50, 100, 130]]);
+    assert.equal(callsOf(ctx, 'fillRect').filter(call => call[2] === 1.5).length, face.landmarks.length);
+});
+
+test('flips labels back in a mirrored preview and marks held faces', () => {
+    const ctx = createContext();
+    new DiagnosticsOverlay().drawFace(ctx, { ...face, held: 2 }, null, null, true);
+
+    assert.deepEqual(callsOf(ctx, 'translate'), [[200, 46]]);
+    assert.deepEqual(callsOf(ctx, 'scale'), [[-1, 1]]);
+    assert.match(callsOf(ctx, 'fillText')[0][0], /held 2$/);
+});
+
+test('marks the eyes, the frame centre and its hinges along the roll', () => {
+    const ctx = createContext();
+    const occluder = { centre: [150, 100], roll: 0, left: -60, right: 60 };
+    new DiagnosticsOverlay().drawFace(ctx, { ...face, pose: null }, measurements, occluder);
+
+    assert.deepEqual(callsOf(ctx, 'arc').map(call => call.slice(0, 2)), [[130, 100], [170, 100], [150, 100], [90, 100], [210, 100]]);
+    assert.deepEqual(callsOf(ctx, 'lineTo'), []);
+});
+
+test('draws the pose axes from the nose, facing the camera', () => {
+    const ctx = createContext();
+    new DiagnosticsOverlay().drawFace(ctx, face, measurements, null);
+
+    // Landmark 1 is the nose tip; a head facing the camera has its z axis pointing at the screen
+    assert.deepEqual(callsOf(ctx, 'moveTo'), [[150, 120], [150, 120], [150, 120]]);
+    assert.deepEqual(callsOf(ctx, 'lineTo'), [[190, 120], [150, 160], [150, 120]]);
+});
+
+test('puts the stats panel in the top corner as seen on screen', () => {
+    const overlay = new DiagnosticsOverlay();
+
+    const ctx = createContext(640);
+    overlay.drawHud(ctx, ['fps 30', 'backend webgl']);
+    assert.deepEqual(callsOf(ctx, 'translate'), [[8, 8]]);
+    assert.deepEqual(callsOf(ctx, 'fillRect')[0], [0, 0, 13 * 7 + 8, 2 * 15 + 4]);
+
+    const mirrored = createContext(640);
+    overlay.drawHud(mirrored, ['fps 30'], true);
+    assert.deepEqual(callsOf(mirrored, 'translate'), [[632, 8]]);
+});
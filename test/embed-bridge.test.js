@@ -0,0 +1,121 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { EmbedBridge } from '../src/ui/embed-bridge.js';
+
+const ORIGIN = 'https://shop.example';
+
+// The bridge listens on window; a bare EventTarget stands in for it
+before(() => { globalThis.window = new EventTarget(); });
+after(() => { delete globalThis.window; });
+
+// Just enough of VirtualGlassesTryOn for the bridge
+const createApp = (overrides = {}) => ({
+    callbacks: { onStatusChange: null, onFaceCountChange: null },
+    setCallbacks(callbacks) { this.callbacks = { ...this.callbacks, ...callbacks }; },
+    webcamUI: { isActive: () => true },
+    takePhoto: async () => ({ blob: 'png', filename: 'photo.png', width: 640, height: 480 }),
+    ...overrides
+});
+
+// A page window that collects what the bridge posts to it
+const createSource = () => {
+    const messages = [];
+    return { messages, postMessage: (message, origin) => messages.push({ message, origin }) };
+};
+
+const send = async (bridge, source, request, origin = ORIGIN) => {
+    await bridge.onMessage({ data: { protocol: EmbedBridge.PROTOCOL, version: 1, id: 1, ...request }, origin, source });
+    return source.messages.at(-1) && source.messages.at(-1).message;
+};
+
+test('validates payloads against a schema', () => {
+    const schema = { frame: 'string', lens: 'string?', events: 'events?' };
+
+    assert.deepEqual(EmbedBridge.validate({ frame: 'glasses-01' }, schema), []);
+    assert.deepEqual(EmbedBridge.validate([], schema), ['payload must be an object']);
+    assert.deepEqual(EmbedBridge.validate({ lens: 3, events: ['status', 'clicks'] }, schema), [
+        'frame is required',
+        'lens must be a non-empty string',
+        'events must be a list of status, faceCount'
+    ]);
+    assert.deepEqual(EmbedBridge.validate({ frame: '' }, schema), ['frame must be a non-empty string']);
+});
+
+test('keeps only single, valid allowed origins', (t) => {
+    t.mock.method(console, 'warn', () => {});
+
+    assert.deepEqual(
+        EmbedBridge.normaliseOrigins(['https://shop.example/path', 'https://*.example', 'not a url', 'http://localhost:8080']),
+        ['https://shop.example', 'http://localhost:8080']
+    );
+});
+
+test('does not look up inherited keys', () => {
+    assert.equal(EmbedBridge.getOwn(EmbedBridge.SCHEMAS, 'constructor'), null);
+    assert.equal(EmbedBridge.getOwn(EmbedBridge.SCHEMAS[1], 'capture'), EmbedBridge.SCHEMAS[1].capture);
+});
+
+test('announces itself to allowed origins only', () => {
+    const target = createSource();
+    const bridge = new EmbedBridge(createApp(), { allowedOrigins: [ORIGIN], target });
+
+    assert.deepEqual(target.messages, [{
+        message: { protocol: EmbedBridge.PROTOCOL, version: 1, type: 'ready', supportedVersions: [1] },
+        origin: ORIGIN
+    }]);
+    bridge.destroy();
+});
+
+test('ignores other origins and answers bad requests with error codes', async (t) => {
+    t.mock.method(console, 'warn', () => {});
+    const bridge = new EmbedBridge(createApp(), { allowedOrigins: [ORIGIN], target: createSource() });
+    const source = createSource();
+
+    assert.equal(await send(bridge, source, { type: 'capture' }, 'https://other.example'), undefined);
+    assert.equal((await send(bridge, source, { type: 'capture', version: 2 })).error.code, 'unsupported-version');
+    assert.equal((await send(bridge, source, { type: 'toString' })).error.code, 'unknown-type');
+    assert.equal((await send(bridge, source, { type: 'selectFrame', payload: {} })).error.code, 'invalid-payload');
+    bridge.destroy();
+});
+
+test('capture replies with the photo or a capture-failed error', async () => {
+    const app = createApp();
+    const bridge = new EmbedBridge(app, { allowedOrigins: [ORIGIN], target: createSource() });
+    const source = createSource();
+
+    const reply = await send(bridge, source, { type: 'capture' });
+    assert.deepEqual(reply.result, { blob: 'png', filename: 'photo.png', width: 640, height: 480 });
+
+    app.takePhoto = async () => { throw new Error('canvas is tainted'); };
+    const failed = await send(bridge, source, { type: 'capture' });
+    assert.deepEqual(failed.error, { code: 'capture-failed', message: 'Could not capture the photo: canvas is tainted' });
+
+    app.webcamUI.isActive = () => false;
+    assert.equal((await send(bridge, source, { type: 'capture' })).error.code, 'no-source');
+    bridge.destroy();
+});
+
+test('sends subscribed events and keeps the app callbacks working', async () => {
+    const statuses = [];
+    const app = createApp();
+    app.setCallbacks({ onStatusChange: message => statuses.push(message) });
+    const ownCallback = app.callbacks.onStatusChange;
+
+    const bridge = new EmbedBridge(app, { allowedOrigins: [ORIGIN], target: createSource() });
+    const source = createSource();
+
+    const reply = await send(bridge, source, { type: 'subscribe', payload: { events: ['status'] } });
+    assert.deepEqual(reply.result, { events: ['status'] });
+
+    app.callbacks.onStatusChange('Camera started');
+    app.callbacks.onFaceCountChange(1);
+
+    assert.deepEqual(statuses, ['Camera started']);
+    assert.deepEqual(source.messages.at(-1).message, {
+        protocol: EmbedBridge.PROTOCOL, version: 1, type: 'event', event: 'status', data: { message: 'Camera started' }
+    });
+
+    bridge.destroy();
+    assert.equal(app.callbacks.onStatusChange, ownCallback);
+});
@@ -0,0 +1,282 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { FaceDetector, LegacyFacemeshDetector, MediaPipeFaceMeshDetector, ReplayFaceDetector } from '../src/detector/face-detectors.js';
+
+const landmarks = [[10, 20, 0], [30, 25, -1], [20, 50, 2]];
+
+// Normalised detector output: [x, y, z] landmarks, a full box and a 0-1 confidence
+const assertFaceShape = (face) => {
+    assert.deepEqual(Object.keys(face).sort(), ['box', 'confidence', 'landmarks']);
+    face.landmarks.forEach(point => {
+        assert.equal(point.length, 3);
+        point.forEach(value => assert.equal(typeof value, 'number'));
+    });
+    assert.deepEqual(Object.keys(face.box).sort(), ['height', 'width', 'xMax', 'xMin', 'yMax', 'yMin']);
+    assert.equal(face.box.width, face.box.xMax - face.box.xMin);
+    assert.equal(face.box.height, face.box.yMax - face.box.yMin);
+    assert.ok(face.confidence >= 0 && face.confidence <= 1);
+};
+
+// A stand-in for face-landmarks-detection 1.x
+const createLibrary = (faces) => {
+    const library = {
+        SupportedModels: { MediaPipeFaceMesh: 'MediaPipeFaceMesh' },
+        created: [],
+        createDetector: async (model, config) => {
+            const detector = { disposed: false, estimateFaces: async () => faces, dispose() { this.disposed = true; } };
+            library.created.push({ model, config, detector });
+            return detector;
+        }
+    };
+    return library;
+};
+
+afterEach(() => {
+    MediaPipeFaceMeshDetector.library = null;
+    MediaPipeFaceMeshDetector.libraryLoad = null;
+    delete globalThis.faceLandmarksDetection;
+    delete globalThis.document;
+    delete globalThis.tf;
+});
+
+test('creates registered detectors with their defaults', () => {
+    assert.deepEqual(FaceDetector.getNames(), ['legacy', 'tfjs', 'tfjs-wasm', 'wasm', 'replay']);
+
+    const detector = FaceDetector.create('wasm', { maxFaces: 2 });
+    assert.ok(detector instanceof MediaPipeFaceMeshDetector);
+    assert.equal(detector.options.runtime, 'mediapipe');
+    assert.equal(detector.options.maxFaces, 2);
+
+    assert.throws(() => FaceDetector.create('opencv'), /Unknown face detector "opencv"/);
+});
+
+test('builds boxes from landmarks', () => {
+    assert.deepEqual(FaceDetector.boxFromLandmarks(landmarks), { xMin: 10, yMin: 20, xMax: 30, yMax: 50, width: 20, height: 30 });
+});
+
+test('legacy detector normalises 0.0.x predictions', async () => {
+    const detector = new LegacyFacemeshDetector();
+    detector.model = {
+        estimateFaces: async () => [
+            { scaledMesh: landmarks, boundingBox: { topLeft: [5, 6], bottomRight: [40, 60] }, faceInViewConfidence: 0.9 },
+            { scaledMesh: landmarks },
+            { mesh: landmarks }
+        ]
+    };
+
+    const faces = await detector.estimateFaces({});
+
+    assert.equal(faces.length, 2);
+    faces.forEach(assertFaceShape);
+    assert.deepEqual(faces[0].box, FaceDetector.makeBox(5, 6, 40, 60));
+    assert.equal(faces[0].confidence, 0.9);
+    assert.deepEqual(faces[1].box, FaceDetector.boxFromLandmarks(landmarks));
+    assert.equal(faces[1].confidence, 1);
+});
+
+test('1.x detector normalises keypoints, boxes and scores', async () => {
+    const library = createLibrary([
+        { keypoints: landmarks.map(([x, y, z]) => ({ x, y, z })), box: { xMin: 5, yMin: 6, xMax: 40, yMax: 60, width: 35, height: 54 }, score: 0.8 },
+        { keypoints: [{ x: 10, y: 20 }, { x: 30, y: 50 }] }
+    ]);
+    MediaPipeFaceMeshDetector.library = library;
+
+    const detector = FaceDetector.create('tfjs');
+    await detector.load();
+    const faces = await detector.estimateFaces({});
+
+    assert.deepEqual(library.created[0].config, { runtime: 'tfjs', maxFaces: 1, refineLandmarks: true, ...MediaPipeFaceMeshDetector.LOCAL_MODELS });
+    faces.forEach(assertFaceShape);
+    assert.deepEqual(faces[0].landmarks, landmarks);
+    assert.equal(faces[0].confidence, 0.8);
+    assert.deepEqual(faces[1].landmarks, [[10, 20, 0], [30, 50, 0]]);
+    assert.deepEqual(faces[1].box, FaceDetector.makeBox(10, 20, 30, 50));
+
+    detector.dispose();
+    assert.equal(library.created[0].detector.disposed, true);
+    assert.equal(detector.isLoaded, false);
+});
+
+test('1.x detector falls back to TF Hub weights', async (t) => {
+    t.mock.method(console, 'warn', () => {});
+    const library = createLibrary([]);
+    const createDetector = library.createDetector;
+    library.createDetector = async (model, config) => {
+        if (config.detectorModelUrl) throw new Error('404 models/face-detection-short/model.json');
+        return createDetector(model, config);
+    };
+    MediaPipeFaceMeshDetector.library = library;
+
+    const detector = FaceDetector.create('tfjs');
+    await detector.load();
+
+    assert.deepEqual(library.created.map(entry => entry.config), [{ runtime: 'tfjs', maxFaces: 1, refineLandmarks: true }]);
+    assert.equal(detector.isLoaded, true);
+});
+
+test('1.x detector only uses the self-hosted attention mesh with refineLandmarks', async () => {
+    const library = createLibrary([]);
+    MediaPipeFaceMeshDetector.library = library;
+
+    await FaceDetector.create('tfjs', { refineLandmarks: false }).load();
+
+    assert.equal(library.created[0].config.landmarkModelUrl, undefined);
+    assert.equal(library.created[0].config.detectorModelUrl, MediaPipeFaceMeshDetector.LOCAL_MODELS.detectorModelUrl);
+});
+
+test('wasm detector runs the MediaPipe solution from vendor/', async (t) => {
+    const library = createLibrary([]);
+    MediaPipeFaceMeshDetector.library = library;
+    const loadScript = t.mock.method(FaceDetector, 'loadScript', async () => {});
+    globalThis.document = {};
+
+    await FaceDetector.create('wasm').load();
+
+    assert.deepEqual(loadScript.mock.calls.map(call => call.arguments[0]), ['vendor/face_mesh/face_mesh.js']);
+    assert.deepEqual(library.created[0].config, { runtime: 'mediapipe', maxFaces: 1, refineLandmarks: true, solutionPath: 'vendor/face_mesh' });
+});
+
+test('wasm detector refuses to run in a worker', async () => {
+    MediaPipeFaceMeshDetector.library = createLibrary([]);
+
+    await assert.rejects(FaceDetector.create('wasm').load(), /cannot run in a worker/);
+});
+
+// A stand-in for tf.js with the given backends registered; `failing` ones do not start
+const createTf = ({ registered, failing = [], renderer = null }) => {
+    let current = null;
+    const gl = renderer && {
+        getExtension: () => null,
+        getParameter: () => renderer,
+        RENDERER: 'RENDERER'
+    };
+    return {
+        started: [],
+        findBackendFactory: name => registered.includes(name),
+        findBackend: () => null,
+        async setBackend(name) {
+            this.started.push(name);
+            if (failing.includes(name)) throw new Error(`${name} failed`);
+            current = name;
+            return true;
+        },
+        ready: async () => {},
+        getBackend: () => current,
+        backend: () => (current === 'webgl' && gl ? { gpgpu: { gl } } : {})
+    };
+};
+
+test('selects the requested backend, then falls back in order', async (t) => {
+    t.mock.method(console, 'warn', () => {});
+
+    globalThis.tf = createTf({ registered: ['webgl', 'wasm', 'cpu'] });
+    assert.equal(await FaceDetector.selectBackend('cpu'), 'cpu');
+
+    globalThis.tf = createTf({ registered: ['webgl', 'cpu'], failing: ['webgl'] });
+    assert.equal(await FaceDetector.selectBackend('auto'), 'cpu');
+    assert.deepEqual(globalThis.tf.started, ['webgl', 'cpu']);
+
+    globalThis.tf = createTf({ registered: [] });
+    await assert.rejects(FaceDetector.selectBackend('auto'), /No TensorFlow.js backend/);
+});
+
+test('passes over software WebGL for wasm unless webgl was asked for', async () => {
+    globalThis.tf = createTf({ registered: ['webgl', 'wasm', 'cpu'], renderer: 'Google SwiftShader' });
+    assert.equal(await FaceDetector.selectBackend('auto'), 'wasm');
+
+    globalThis.tf = createTf({ registered: ['webgl', 'wasm', 'cpu'], renderer: 'Google SwiftShader' });
+    assert.equal(await FaceDetector.selectBackend('webgl'), 'webgl');
+
+    globalThis.tf = createTf({ registered: ['webgl', 'cpu'], renderer: 'llvmpipe' });
+    assert.equal(await FaceDetector.selectBackend('auto'), 'webgl');
+});
+
+test('imports scripts in a worker', async (t) => {
+    const imported = [];
+    globalThis.importScripts = url => imported.push(url);
+    t.after(() => delete globalThis.importScripts);
+
+    await FaceDetector.loadScript('vendor/tf.min.js');
+
+    assert.deepEqual(imported, ['vendor/tf.min.js']);
+});
+
+test('1.x library loads without replacing the 0.0.x global', async (t) => {
+    const legacy = { SupportedPackages: { mediapipeFacemesh: 'mediapipe-facemesh' } };
+    const library = createLibrary([]);
+    globalThis.faceLandmarksDetection = legacy;
+    const loadScript = t.mock.method(FaceDetector, 'loadScript', async () => {
+        globalThis.faceLandmarksDetection = library;
+    });
+
+    const loaded = await Promise.all([
+        MediaPipeFaceMeshDetector.loadLibrary('vendor/face-landmarks-detection-1.js'),
+        MediaPipeFaceMeshDetector.loadLibrary('vendor/face-landmarks-detection-1.js')
+    ]);
+
+    assert.deepEqual(loaded, [library, library]);
+    assert.equal(loadScript.mock.callCount(), 1);
+    assert.equal(globalThis.faceLandmarksDetection, legacy);
+});
+
+test('1.x library load fails on the wrong script and can be retried', async (t) => {
+    t.mock.method(FaceDetector, 'loadScript', async () => {
+        globalThis.faceLandmarksDetection = { SupportedPackages: {} };
+    });
+
+    await assert.rejects(MediaPipeFaceMeshDetector.loadLibrary('old.js'), /old.js is not face-landmarks-detection 1.x/);
+    assert.equal(globalThis.faceLandmarksDetection, undefined);
+
+    const library = createLibrary([]);
+    t.mock.method(FaceDetector, 'loadScript', async () => {
+        globalThis.faceLandmarksDetection = library;
+    });
+    assert.equal(await MediaPipeFaceMeshDetector.loadLibrary('new.js'), library);
+});
+
+test('uses a 1.x library the page already loaded', async (t) => {
+    const library = createLibrary([]);
+    globalThis.faceLandmarksDetection = library;
+    const loadScript = t.mock.method(FaceDetector, 'loadScript', async () => {});
+
+    assert.equal(await MediaPipeFaceMeshDetector.loadLibrary('unused.js'), library);
+    assert.equal(loadScript.mock.callCount(), 0);
+});
+
+test('replay detector plays recorded frames in the output shape', async () => {
+    const detector = FaceDetector.create('replay', {
+        recording: { frames: [[{ landmarks, confidence: 0.7 }], [], [{ landmarks, box: FaceDetector.makeBox(0, 0, 1, 1) }]] }
+    });
+    await detector.load();
+
+    const played = [];
+    for (let frame = 0; frame < 4; frame++) played.push(await detector.estimateFaces({}));
+
+    assert.deepEqual(played.map(faces => faces.length), [1, 0, 1, 1]);
+    played.flat().forEach(assertFaceShape);
+    assert.equal(played[0][0].confidence, 0.7);
+    assert.deepEqual(played[2][0].box, FaceDetector.makeBox(0, 0, 1, 1));
+    assert.deepEqual(played[3], played[0]);
+});
+
+test('replay detector stops at the end without loop', async () => {
+    const detector = new ReplayFaceDetector({ recording: { frames: [[{ landmarks }]] }, loop: false });
+    await detector.load();
+
+    assert.equal((await detector.estimateFaces({})).length, 1);
+    assert.deepEqual(await detector.estimateFaces({}), []);
+});
+
+test('replay detector fetches recordings and rejects bad ones', async (t) => {
+    t.mock.method(globalThis, 'fetch', async (url) => url === 'recording.json'
+        ? { ok: true, json: async () => ({ frames: [[{ landmarks }]] }) }
+        : { ok: false, status: 404 });
+
+    const detector = new ReplayFaceDetector({ url: 'recording.json' });
+    await detector.load();
+    assert.equal((await detector.estimateFaces({})).length, 1);
+
+    await assert.rejects(new ReplayFaceDetector({ url: 'missing.json' }).load(), /HTTP 404/);
+    await assert.rejects(new ReplayFaceDetector({ recording: { faces: [] } }).load(), /"frames" array/);
+});
@@ -0,0 +1,75 @@
+import { test, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { FitAdjustments } from '../src/fitter/fit-adjustments.js';
+
+// localStorage over a Map
+const storage = new Map();
+globalThis.localStorage = {
+    getItem: key => (storage.has(key) ? storage.get(key) : null),
+    setItem: (key, value) => storage.set(key, String(value))
+};
+
+beforeEach(() => storage.clear());
+after(() => delete globalThis.localStorage);
+
+test('clamps each field to its limits', () => {
+    assert.deepEqual(FitAdjustments.normalise({ lift: 20, scale: 0.5, tilt: -30 }), { lift: 8, scale: 0.8, tilt: -12 });
+    assert.deepEqual(FitAdjustments.normalise({ lift: -8, scale: 1.25, tilt: 12 }), { lift: -8, scale: 1.25, tilt: 12 });
+});
+
+test('rounds away floating-point drift', () => {
+    assert.deepEqual(FitAdjustments.normalise({ lift: 0.1 + 0.2, scale: 1 + 0.02 * 3, tilt: 1.23456 }), { lift: 0.3, scale: 1.06, tilt: 1.235 });
+});
+
+test('fills missing and non-numeric fields with the defaults', () => {
+    assert.deepEqual(FitAdjustments.normalise({}), FitAdjustments.DEFAULT);
+    assert.deepEqual(FitAdjustments.normalise({ lift: 'up', scale: NaN, tilt: Infinity }), FitAdjustments.DEFAULT);
+    assert.deepEqual(FitAdjustments.normalise({ lift: '2', scale: null, extra: 5 }), { lift: 2, scale: 0.8, tilt: 0 });
+});
+
+test('knows the automatic fit', () => {
+    assert.equal(FitAdjustments.isDefault({ lift: 0, scale: 1, tilt: 0 }), true);
+    assert.equal(FitAdjustments.isDefault({ lift: 0, scale: 1.02, tilt: 0 }), false);
+});
+
+test('sets, nudges and resets a frame, saving each change', () => {
+    const adjustments = new FitAdjustments();
+    const changes = [];
+    adjustments.setCallbacks({ onChange: (frameId, adjustment) => changes.push([frameId, adjustment]) });
+
+    assert.deepEqual(adjustments.set('aviator', { lift: 2 }), { lift: 2, scale: 1, tilt: 0 });
+    assert.deepEqual(adjustments.nudge('aviator', { scale: FitAdjustments.STEPS.scale, tilt: -1 }), { lift: 2, scale: 1.02, tilt: -1 });
+    assert.equal(adjustments.isAdjusted('aviator'), true);
+    assert.deepEqual(JSON.parse(storage.get('virtualGlasses.fit')), { aviator: { lift: 2, scale: 1.02, tilt: -1 } });
+
+    adjustments.reset('aviator');
+    assert.equal(adjustments.isAdjusted('aviator'), false);
+    assert.equal(adjustments.get('aviator'), FitAdjustments.DEFAULT);
+    assert.deepEqual(changes.map(([frameId]) => frameId), ['aviator', 'aviator', 'aviator']);
+    assert.deepEqual(changes[2][1], FitAdjustments.DEFAULT);
+});
+
+test('forgets adjustments set back to the automatic fit', () => {
+    const adjustments = new FitAdjustments();
+    adjustments.set('round', { tilt: 3 });
+    adjustments.nudge('round', { tilt: -3 });
+
+    assert.equal(adjustments.isAdjusted('round'), false);
+    assert.deepEqual(JSON.parse(storage.get('virtualGlasses.fit')), {});
+});
+
+test('loads saved adjustments, dropping malformed entries', () => {
+    storage.set('try-on.fit', JSON.stringify({
+        aviator: { lift: 30, tilt: 2 },
+        round: null,
+        square: 'big',
+        cat: { lift: 0, scale: 1, tilt: 0 }
+    }));
+
+    const adjustments = new FitAdjustments({ storageKey: 'try-on.fit' });
+    assert.deepEqual(adjustments.adjustments, { aviator: { lift: 8, scale: 1, tilt: 2 } });
+
+    storage.set('try-on.fit', '{not json');
+    assert.deepEqual(new FitAdjustments({ storageKey: 'try-on.fit' }).adjustments, {});
+});
@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { FitScorer } from '../src/fitter/fit-scorer.js';
+
+const frameOfWidth = (frameWidth) => ({
+    id: `frame-${frameWidth}`,
+    dimensions: { lensWidth: 52, lensHeight: 40, bridgeWidth: 18, templeLength: 140, frameWidth }
+});
+
+const face = { faceWidth: 138, bridgeWidth: 18, pupillaryDistance: 64 };
+
+test('sizes widths as S, M and L', () => {
+    assert.equal(FitScorer.getSize(125), 'S');
+    assert.equal(FitScorer.getSize(131), 'S');
+    assert.equal(FitScorer.getSize(140), 'M');
+    assert.equal(FitScorer.getSize(141), 'L');
+});
+
+test('estimates the frame width from the lenses when it is not given', () => {
+    assert.equal(FitScorer.getFrameWidth({ dimensions: { lensWidth: 50, bridgeWidth: 20 } }), 130);
+    assert.equal(FitScorer.getFrameWidth(frameOfWidth(142)), 142);
+});
+
+test('scores a frame matching the face as a good fit', () => {
+    const result = FitScorer.scoreFrame(frameOfWidth(139), face);
+
+    assert.equal(result.verdict, 'good');
+    assert.equal(result.score, 100);
+    assert.equal(result.size, 'M');
+    assert.equal(result.widthDifference, 1);
+});
+
+test('flags frames that are narrow or wide', () => {
+    assert.equal(FitScorer.scoreFrame(frameOfWidth(133), face).verdict, 'narrow');
+    assert.equal(FitScorer.scoreFrame(frameOfWidth(128), face).verdict, 'too-narrow');
+    assert.equal(FitScorer.scoreFrame(frameOfWidth(143), face).verdict, 'wide');
+    assert.equal(FitScorer.scoreFrame(frameOfWidth(150), face).verdict, 'too-wide');
+});
+
+test('scores drop the further a frame is from the face', () => {
+    const scores = FitScorer.scoreFrames([139, 143, 150].map(frameOfWidth), face);
+
+    assert.ok(scores.get('frame-139').score > scores.get('frame-143').score);
+    assert.ok(scores.get('frame-143').score > scores.get('frame-150').score);
+});
+
+test('combines face samples with a median once there are enough', () => {
+    const scorer = new FitScorer({ minSamples: 3 });
+    const landmarks = [];
+    const addSample = (faceWidth, bridgeWidth, pd) => {
+        landmarks[127] = [0, 0, 0];
+        landmarks[356] = [faceWidth * 2, 0, 0];
+        landmarks[122] = [0, 10, 0];
+        landmarks[351] = [bridgeWidth * 2, 10, 0];
+        scorer.addFace(landmarks, { pxPerMm: 2 }, pd);
+    };
+
+    addSample(136, 17, 62);
+    addSample(150, 30, 70);
+    assert.equal(scorer.getFaceMeasurement(), null);
+
+    addSample(138, 18, 64);
+    assert.deepEqual(scorer.getFaceMeasurement(), { faceWidth: 138, bridgeWidth: 18, pupillaryDistance: 64, size: 'M' });
+
+    scorer.reset();
+    assert.equal(scorer.getFaceMeasurement(1), null);
+});
+
+test('ignores faces without landmarks or scale', () => {
+    const scorer = new FitScorer({ minSamples: 1 });
+
+    scorer.addFace([], { pxPerMm: 2 }, 63);
+    scorer.addFace(Array(400).fill([0, 0, 0]), { pxPerMm: 0 }, 63);
+
+    assert.equal(scorer.getFaceMeasurement(), null);
+});
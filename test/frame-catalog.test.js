@@ -0,0 +1,98 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+
+import { FrameCatalog } from '../src/catalog/frame-catalog.js';
+
+const catalog = JSON.parse(await readFile(new URL('../catalog/frames.json', import.meta.url), 'utf8'));
+
+// A deep copy of the first shipped frame, to break one field at a time
+const copyFrame = () => structuredClone(catalog.frames[0]);
+
+test('the shipped catalog is valid', () => {
+    const result = FrameCatalog.validate(catalog);
+
+    assert.deepEqual(result.errors, []);
+    assert.equal(result.frames.length, catalog.frames.length);
+    assert.equal(result.lenses.length, catalog.lenses.length);
+});
+
+test('rejects data that is not a catalog', () => {
+    assert.deepEqual(FrameCatalog.validate(null).errors, ['Catalog must be a JSON object']);
+    assert.deepEqual(FrameCatalog.validate([]).errors, ['Catalog must be a JSON object']);
+    assert.deepEqual(FrameCatalog.validate({ frames: {} }).errors, ['Catalog "frames" must be an array']);
+});
+
+test('drops broken frames and keeps the rest', () => {
+    const broken = copyFrame();
+    broken.id = 'Broken Frame';
+    delete broken.price;
+
+    const result = FrameCatalog.validate({ ...catalog, frames: [broken, ...catalog.frames] });
+
+    assert.equal(result.frames.length, catalog.frames.length);
+    assert.ok(!result.frames.includes(broken));
+    assert.ok(result.errors.some(error => error.startsWith('frames[0] ("Broken Frame"): id must be')));
+    assert.ok(result.errors.some(error => error.includes('price must be an object')));
+});
+
+test('reports duplicate frame and lens ids', () => {
+    const result = FrameCatalog.validate({
+        ...catalog,
+        lenses: [...catalog.lenses, catalog.lenses[0]],
+        frames: [...catalog.frames, copyFrame()]
+    });
+
+    assert.equal(result.frames.length, catalog.frames.length);
+    assert.equal(result.lenses.length, catalog.lenses.length);
+    assert.ok(result.errors.includes(`frames[${catalog.frames.length}] ("${catalog.frames[0].id}"): duplicate id "${catalog.frames[0].id}"`));
+    assert.ok(result.errors.includes(`lenses[${catalog.lenses.length}] ("${catalog.lenses[0].id}"): duplicate id "${catalog.lenses[0].id}"`));
+});
+
+test('checks frame lenses against the catalog lenses', () => {
+    const frame = copyFrame();
+    frame.lenses = ['clear', 'no-such-lens'];
+    frame.defaultLens = 'clear';
+
+    const errors = FrameCatalog.validateFrame(frame, new Set(catalog.lenses.map(lens => lens.id)));
+
+    assert.deepEqual(errors, ['lenses: "no-such-lens" does not match any valid lens']);
+});
+
+test('checks fit anchors', () => {
+    const frame = copyFrame();
+    frame.fit.overlay.rightLens = [...frame.fit.overlay.leftLens];
+    frame.fit.overlay.bridge = [1, 'a'];
+
+    assert.deepEqual(FrameCatalog.validateFit(frame), [
+        'fit.overlay.bridge must be an array of 2 numbers',
+        'fit.overlay.leftLens and rightLens must be different points'
+    ]);
+    assert.deepEqual(FrameCatalog.validateFit({}), ['fit must be an object with overlay (and model) anchors']);
+});
+
+test('checks variants', () => {
+    const frame = copyFrame();
+    frame.variants = [
+        { id: 'black', name: 'Black', swatch: '#000000' },
+        { id: 'black', name: 'Again', swatch: 'black', recolor: { color: '#ffffff', strength: 2 } }
+    ];
+    frame.defaultVariant = 'gold';
+
+    assert.deepEqual(FrameCatalog.validateVariants(frame), [
+        'variants[1]: duplicate id "black"',
+        'variants[1].swatch must be a #rrggbb colour',
+        'variants[1].recolor.strength must be a number from 0 to 1',
+        'defaultVariant "gold" does not match any of the frame\'s variants'
+    ]);
+});
+
+test('checks lenses', () => {
+    assert.deepEqual(FrameCatalog.validateLens({ id: 'clear', name: 'Clear', type: 'clear' }), []);
+    assert.deepEqual(FrameCatalog.validateLens({ id: 'x', name: '', type: 'plasma', color: 'red', opacity: 1.5 }), [
+        'name must be a non-empty string',
+        `type must be one of ${FrameCatalog.LENS_TYPES.join(', ')}`,
+        'color must be a #rrggbb colour',
+        'opacity must be a number from 0 to 1'
+    ]);
+});
@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { FrameRateMeter } from '../src/renderer/frame-rate-meter.js';
+
+const tickEvery = (meter, interval, count, start = 0) => {
+    for (let index = 0; index < count; index++) meter.tick(start + index * interval);
+    return start + (count - 1) * interval;
+};
+
+test('reports nothing before the second frame', () => {
+    const meter = new FrameRateMeter();
+    meter.tick(0);
+
+    assert.equal(meter.getFps(), 0);
+    assert.equal(meter.getInterval(), 0);
+    assert.deepEqual(meter.getStats(), { fps: 0, frames: 1, dropped: 0 });
+});
+
+test('counts frames per second over the last window', () => {
+    const meter = new FrameRateMeter();
+    const last = tickEvery(meter, 20, 200);
+
+    assert.equal(meter.getStats().fps, 50);
+    assert.equal(meter.getStats().frames, 200);
+    assert.ok(Math.abs(meter.getInterval() - 20) < 1e-9);
+
+    tickEvery(meter, 40, 60, last + 40);
+    assert.equal(meter.getStats().fps, 25);
+});
+
+test('counts late frames as dropped', () => {
+    const meter = new FrameRateMeter();
+    const last = tickEvery(meter, 16, 10);
+
+    meter.tick(last + 32);
+    assert.equal(meter.getStats().dropped, 1);
+
+    meter.tick(last + 32 + 64);
+    assert.equal(meter.getStats().dropped, 4);
+});
+
+test('does not trust gaps shorter than 240 Hz', () => {
+    const meter = new FrameRateMeter();
+    meter.tick(0);
+    meter.tick(0.5);
+    meter.tick(8.8);
+
+    assert.equal(meter.getStats().dropped, 1);
+});
+
+test('starts afresh on reset', () => {
+    const meter = new FrameRateMeter({ window: 500 });
+    tickEvery(meter, 100, 5);
+    meter.tick(1000);
+    meter.reset();
+
+    assert.equal(meter.window, 500);
+    assert.deepEqual(meter.getStats(), { fps: 0, frames: 0, dropped: 0 });
+    assert.equal(meter.getInterval(), 0);
+});
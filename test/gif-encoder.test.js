@@ -0,0 +1,108 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { GifEncoder } from '../src/capture/gif-encoder.js';
+
+// Plain GIF LZW decoder, to check the encoder's output round-trips
+const decodeLzw = (data, minCodeSize) => {
+    const clearCode = 1 << minCodeSize;
+    const endCode = clearCode + 1;
+    const output = [];
+    let codeSize, dictionary, previous;
+    let bitPosition = 0;
+
+    const reset = () => {
+        codeSize = minCodeSize + 1;
+        dictionary = Array.from({ length: endCode + 1 }, (_, index) => [index]);
+        previous = null;
+    };
+    const read = () => {
+        let code = 0;
+        for (let bit = 0; bit < codeSize; bit++, bitPosition++) {
+            code |= ((data[bitPosition >> 3] >> (bitPosition & 7)) & 1) << bit;
+        }
+        return code;
+    };
+
+    reset();
+    for (;;) {
+        const code = read();
+        if (code === clearCode) { reset(); continue; }
+        if (code === endCode) break;
+
+        let entry;
+        if (previous === null) {
+            entry = dictionary[code];
+        } else {
+            entry = code < dictionary.length ? dictionary[code] : [...dictionary[previous], dictionary[previous][0]];
+            if (dictionary.length < 4096) dictionary.push([...dictionary[previous], entry[0]]);
+            if (dictionary.length === 1 << codeSize && codeSize < 12) codeSize++;
+        }
+        output.push(...entry);
+        previous = code;
+    }
+    return output;
+};
+
+// Concatenate a frame's image data sub-blocks
+const readSubBlocks = (bytes, offset) => {
+    const data = [];
+    while (bytes[offset] !== 0) {
+        data.push(...bytes.subarray(offset + 1, offset + 1 + bytes[offset]));
+        offset += bytes[offset] + 1;
+    }
+    return new Uint8Array(data);
+};
+
+const solidFrame = (width, height, rgb) => ({
+    data: new Uint8ClampedArray(width * height * 4).map((_, index) => index % 4 === 3 ? 255 : rgb[index % 4])
+});
+
+test('maps pure colours to exact palette entries', () => {
+    const indices = GifEncoder.quantise(solidFrame(4, 4, [255, 0, 255]).data, 4, 4);
+
+    indices.forEach(index => assert.deepEqual(GifEncoder.getPaletteColour(index), [255, 0, 255]));
+    assert.deepEqual(GifEncoder.getPaletteColour(0), [0, 0, 0]);
+    assert.deepEqual(GifEncoder.getPaletteColour(251), [255, 255, 255]);
+    assert.deepEqual(GifEncoder.getPaletteColour(255), [0, 0, 0]);
+});
+
+test('LZW output decodes back to the indices', () => {
+    let seed = 1;
+    const random = () => (seed = (seed * 16807) % 2147483647) % 252;
+
+    // Noise fills the code table, so this also covers the table reset
+    [new Uint8Array(6000).map(random), new Uint8Array(5000).fill(7), Uint8Array.of(3)].forEach(indices => {
+        assert.deepEqual(decodeLzw(GifEncoder.lzw(indices, 8), 8), Array.from(indices));
+    });
+});
+
+test('writes a looping GIF89a with one image per frame', async () => {
+    const encoder = new GifEncoder(3, 2, { delay: 120 });
+    encoder.addFrame(solidFrame(3, 2, [0, 0, 0]));
+    encoder.addFrame(solidFrame(3, 2, [255, 255, 255]));
+
+    const bytes = new Uint8Array(await encoder.finish().arrayBuffer());
+    const header = new TextDecoder().decode(bytes.subarray(0, 6));
+    const view = new DataView(bytes.buffer);
+
+    assert.equal(header, 'GIF89a');
+    assert.equal(view.getUint16(6, true), 3);
+    assert.equal(view.getUint16(8, true), 2);
+    assert.equal(new TextDecoder().decode(bytes.subarray(13 + 768 + 3, 13 + 768 + 14)), 'NETSCAPE2.0');
+    assert.equal(bytes[bytes.length - 1], 0x3b);
+    assert.equal(encoder.frameCount, 2);
+
+    // First frame: graphic control extension with the delay, then the image
+    const frame = 13 + 768 + 19;
+    assert.deepEqual(Array.from(bytes.subarray(frame, frame + 3)), [0x21, 0xf9, 0x04]);
+    assert.equal(view.getUint16(frame + 4, true), 12);
+    assert.equal(bytes[frame + 8], 0x2c);
+    assert.deepEqual(decodeLzw(readSubBlocks(bytes, frame + 19), 8), Array(6).fill(0));
+});
+
+test('can play once', async () => {
+    const bytes = new Uint8Array(await new GifEncoder(1, 1, { loop: false }).finish().arrayBuffer());
+
+    assert.equal(bytes.length, 13 + 768 + 1);
+});
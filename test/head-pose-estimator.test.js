@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { HeadPoseEstimator } from '../src/detector/head-pose-estimator.js';
+
+const multiply = (a, b) => a.map(row => [0, 1, 2].map(col => row.reduce((sum, value, k) => sum + value * b[k][col], 0)));
+
+const rotationY = (angle) => [[Math.cos(angle), 0, -Math.sin(angle)], [0, 1, 0], [Math.sin(angle), 0, Math.cos(angle)]];
+const rotationZ = (angle) => [[Math.cos(angle), -Math.sin(angle), 0], [Math.sin(angle), Math.cos(angle), 0], [0, 0, 1]];
+
+// Landmarks of the canonical model seen with a known pose
+const getLandmarks = (pose) => {
+    const landmarks = [];
+    Object.entries(HeadPoseEstimator.DEFAULT_CANONICAL_MODEL).forEach(([index, { point }]) => {
+        landmarks[index] = HeadPoseEstimator.project(pose, point);
+    });
+    return landmarks;
+};
+
+const assertClose = (actual, expected, tolerance = 1e-6) => {
+    assert.ok(Math.abs(actual - expected) < tolerance, `expected ${actual} to be close to ${expected}`);
+};
+
+test('recovers rotation, scale and translation of a posed face', () => {
+    const pose = { rotation: multiply(rotationZ(0.1), rotationY(0.3)), scale: 2.5, translation: [320, 240, 10] };
+    const estimate = new HeadPoseEstimator().estimate(getLandmarks(pose));
+
+    assertClose(estimate.scale, 2.5);
+    pose.translation.forEach((value, axis) => assertClose(estimate.translation[axis], value));
+    pose.rotation.forEach((row, i) => row.forEach((value, j) => assertClose(estimate.rotation[i][j], value)));
+    assertClose(estimate.error, 0);
+});
+
+test('yaw is positive when the face turns towards the right of the image', () => {
+    const estimate = new HeadPoseEstimator().estimate(getLandmarks({ rotation: rotationY(0.4), scale: 3, translation: [0, 0, 0] }));
+
+    assertClose(estimate.yaw, 0.4);
+    assertClose(estimate.pitch, 0);
+    assertClose(estimate.roll, 0);
+});
+
+test('roll is positive when the face tilts clockwise on screen', () => {
+    const estimate = new HeadPoseEstimator().estimate(getLandmarks({ rotation: rotationZ(0.25), scale: 3, translation: [0, 0, 0] }));
+
+    assertClose(estimate.roll, 0.25);
+    assertClose(estimate.yaw, 0);
+});
+
+test('treats missing z as flat landmarks', () => {
+    const landmarks = getLandmarks({ rotation: rotationZ(0), scale: 2, translation: [100, 100, 0] })
+        .map(point => point && [point[0], point[1]]);
+
+    const estimate = new HeadPoseEstimator().estimate(landmarks);
+
+    assert.ok(Number.isFinite(estimate.yaw));
+    assert.ok(Number.isFinite(estimate.scale));
+});
+
+test('returns null with fewer than four matching landmarks', () => {
+    const landmarks = getLandmarks({ rotation: rotationY(0), scale: 1, translation: [0, 0, 0] });
+    const sparse = [];
+    [168, 6, 197].forEach(index => { sparse[index] = landmarks[index]; });
+
+    assert.equal(new HeadPoseEstimator().estimate(sparse), null);
+});
+
+test('accepts a canonical model given as an array of points', () => {
+    const points = [[0, 0, 0], [10, 0, 0], [0, 10, 0], [0, 0, 10], [10, 10, 10]];
+    const estimator = new HeadPoseEstimator(points);
+    const pose = { rotation: rotationY(-0.2), scale: 1.5, translation: [5, 5, 5] };
+
+    const estimate = estimator.estimate(points.map(point => HeadPoseEstimator.project(pose, point)));
+
+    assertClose(estimate.yaw, -0.2);
+    assertClose(estimate.scale, 1.5);
+});
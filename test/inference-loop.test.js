@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { InferenceLoop } from '../src/detector/inference-loop.js';
+
+test('runs detections at most at the maximum rate', () => {
+    const loop = new InferenceLoop({ maxRate: 30 });
+    loop.recordLatency(10);
+
+    assert.ok(Math.abs(loop.getDelay() - (1000 / 30 - 10)) < 1e-9);
+    assert.ok(Math.abs(loop.getTargetRate() - 30) < 1e-9);
+});
+
+test('leaves the rest of the budget to rendering when detection is slow', () => {
+    const loop = new InferenceLoop({ budget: 0.5 });
+    loop.recordLatency(50);
+    assert.equal(loop.getDelay(), 50);
+    assert.equal(loop.getTargetRate(), 10);
+
+    const worker = new InferenceLoop({ budget: 1 });
+    worker.recordLatency(50);
+    assert.equal(worker.getDelay(), 0);
+    assert.equal(worker.getTargetRate(), 20);
+});
+
+test('keeps to the minimum rate even when detection is slower', () => {
+    const loop = new InferenceLoop({ minRate: 5 });
+    loop.recordLatency(150);
+    assert.equal(loop.getDelay(), 50);
+
+    loop.recordLatency(1000);
+    assert.equal(loop.getDelay(), 0);
+});
+
+test('smooths the latency so one slow detection does not halve the rate', () => {
+    const loop = new InferenceLoop();
+    loop.recordLatency(20);
+    loop.recordLatency(120);
+
+    assert.equal(loop.lastLatency, 120);
+    assert.equal(loop.latency, 40);
+});
+
+test('reports results and errors, and schedules the next detection', async (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    const loop = new InferenceLoop();
+    const results = [];
+    const errors = [];
+    loop.setCallbacks({ onResult: result => results.push(result), onError: error => errors.push(error.message) });
+
+    let calls = 0;
+    loop.start(async () => {
+        calls++;
+        if (calls === 2) throw new Error('detection failed');
+        return calls;
+    });
+    await new Promise(setImmediate);
+    assert.deepEqual(results, [1]);
+    assert.ok(loop.timer);
+
+    t.mock.timers.tick(1000);
+    await new Promise(setImmediate);
+    assert.deepEqual(errors, ['detection failed']);
+
+    loop.stop();
+    assert.equal(loop.isRunning(), false);
+    t.mock.timers.tick(1000);
+    await new Promise(setImmediate);
+    assert.equal(calls, 2);
+});
+
+test('drops the result of a detection in flight when stopped', async () => {
+    const loop = new InferenceLoop();
+    const results = [];
+    loop.setCallbacks({ onResult: result => results.push(result) });
+
+    let finish;
+    loop.start(() => new Promise(resolve => { finish = resolve; }));
+    assert.equal(loop.isRunning(), true);
+    loop.stop();
+    finish('late');
+    await new Promise(setImmediate);
+
+    assert.deepEqual(results, []);
+    assert.equal(loop.timer, null);
+});
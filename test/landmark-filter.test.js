@@ -0,0 +1,123 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { OneEuroFilter, LandmarkFilter } from '../src/detector/landmark-filter.js';
+
+const settings = LandmarkFilter.PRESETS.balanced;
+
+const near = (actual, expected, tolerance = 1e-9) => {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} is not ${expected}`);
+};
+
+// A tracked face with 455 landmarks, 100 px between the cheeks (234 and 454), shifted by `x`
+const trackedFace = (track, x = 0) => {
+    const landmarks = Array.from({ length: 455 }, () => [x, 0, 0]);
+    landmarks[454] = [x + 100, 0, 0];
+    return { landmarks, track };
+};
+
+const createTrack = () => ({ id: 1, missed: 0, state: {} });
+
+test('blends new values by the One Euro weight', () => {
+    near(OneEuroFilter.getAlpha(1, 1 / 60), 1 / (1 + 60 / (2 * Math.PI)));
+    assert.equal(OneEuroFilter.getAlpha(Infinity, 1 / 60), 1);
+});
+
+test('passes the first values through and ignores repeated times', () => {
+    const filter = new OneEuroFilter(settings);
+
+    assert.deepEqual(Array.from(filter.filter([1, 2], 0)), [1, 2]);
+    assert.deepEqual(Array.from(filter.filter([5, 6], 0)), [1, 2]);
+});
+
+test('smooths small movements more than fast ones', () => {
+    const slow = new OneEuroFilter(settings);
+    const fast = new OneEuroFilter(settings);
+    slow.filter([0], 0);
+    fast.filter([0], 0);
+
+    const slowShare = slow.filter([1], 100)[0] / 1;
+    const fastShare = fast.filter([50], 100)[0] / 50;
+
+    assert.ok(slowShare > 0 && slowShare < fastShare && fastShare < 1);
+});
+
+test('starts afresh after a long gap or a change in length', () => {
+    const filter = new OneEuroFilter(settings);
+    filter.filter([0, 0], 0);
+
+    assert.deepEqual(Array.from(filter.filter([10, 10], 2000)), [10, 10]);
+    assert.deepEqual(Array.from(filter.filter([3], 2010)), [3]);
+});
+
+test('coasts on at the last speed, slowing down', () => {
+    const filter = new OneEuroFilter(settings);
+    filter.filter([0], 0);
+    filter.filter([10], 100);
+    const value = filter.values[0];
+    const velocity = filter.velocities[0];
+
+    filter.coast(200, 0.5);
+
+    near(filter.velocities[0], velocity * 0.5);
+    near(filter.values[0], value + velocity * 0.5 * 0.1);
+    assert.equal(new OneEuroFilter(settings).coast(100, 0.5), null);
+});
+
+test('rejects unknown presets and fills custom settings from balanced', () => {
+    assert.throws(() => new LandmarkFilter('wobbly'), /Unknown smoothing preset "wobbly"/);
+
+    const filter = new LandmarkFilter({ beta: 1 });
+    assert.equal(filter.preset, 'custom');
+    assert.deepEqual(filter.settings, { ...settings, beta: 1 });
+});
+
+test('filters each face with its own filter and keeps the raw landmarks', () => {
+    const filter = new LandmarkFilter('balanced');
+    const track = createTrack();
+
+    const first = trackedFace(track);
+    filter.filterFaces([first], 0);
+    assert.deepEqual(first.landmarks, first.rawLandmarks);
+
+    const second = trackedFace(track, 10);
+    filter.filterFaces([second], 100);
+    assert.equal(second.rawLandmarks[0][0], 10);
+    assert.ok(second.landmarks[0][0] > 0 && second.landmarks[0][0] < 10);
+    assert.equal(track.state.lastFace, second);
+});
+
+test('passes landmarks straight through when smoothing is off', () => {
+    const filter = new LandmarkFilter('off');
+    const track = createTrack();
+    filter.filterFaces([trackedFace(track)], 0);
+
+    const face = trackedFace(track, 10);
+    filter.filterFaces([face], 100);
+
+    assert.deepEqual(face.landmarks, face.rawLandmarks);
+});
+
+test('holds missed faces for a few detections, then lets them go', () => {
+    const filter = new LandmarkFilter('responsive');
+    const track = createTrack();
+    filter.filterFaces([trackedFace(track)], 0);
+
+    track.missed = 1;
+    const [held] = filter.getHeldFaces([track], 100);
+    assert.equal(held.held, 1);
+    assert.equal(held.landmarks.length, 455);
+
+    track.missed = 3;
+    assert.deepEqual(filter.getHeldFaces([track], 200), []);
+
+    // A lost face starts afresh when it is found again
+    track.missed = 0;
+    const found = trackedFace(track, 50);
+    filter.filterFaces([found], 300);
+    assert.deepEqual(found.landmarks, found.rawLandmarks);
+});
+
+test('splits flat values back into points', () => {
+    assert.deepEqual(LandmarkFilter.toPoints(Float64Array.of(1, 2, 3, 4, 5), [[0, 0, 0], [0, 0]]), [[1, 2, 3], [4, 5]]);
+});
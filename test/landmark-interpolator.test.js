@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { LandmarkInterpolator } from '../src/detector/landmark-interpolator.js';
+
+test('draws the first detection as it is', () => {
+    const interpolator = new LandmarkInterpolator();
+    const landmarks = [[10, 20, 0], [30, 40, 2]];
+
+    assert.equal(interpolator.getProgress(0), 1);
+    interpolator.setTarget(landmarks, 1000, 100);
+
+    assert.equal(interpolator.getLandmarks(1000), landmarks);
+    assert.equal(interpolator.getLandmarks(1050), landmarks);
+});
+
+test('glides to each new detection over its duration', () => {
+    const interpolator = new LandmarkInterpolator();
+    const target = [[20, 40, 4], [50, 60, 2]];
+    interpolator.setTarget([[10, 20, 0], [30, 40, 2]], 0, 100);
+    interpolator.setTarget(target, 100, 100);
+
+    assert.deepEqual(interpolator.getLandmarks(100), [[10, 20, 0], [30, 40, 2]]);
+    assert.deepEqual(interpolator.getLandmarks(150), [[15, 30, 2], [40, 50, 2]]);
+    assert.equal(interpolator.getLandmarks(200), target);
+    assert.equal(interpolator.getLandmarks(500), target);
+});
+
+test('starts the next glide from where the landmarks were drawn', () => {
+    const interpolator = new LandmarkInterpolator();
+    interpolator.setTarget([[0, 0, 0]], 0, 100);
+    interpolator.setTarget([[100, 0, 0]], 0, 100);
+    interpolator.setTarget([[0, 0, 0]], 50, 100);
+
+    assert.deepEqual(interpolator.getLandmarks(50), [[50, 0, 0]]);
+    assert.deepEqual(interpolator.getLandmarks(100), [[25, 0, 0]]);
+});
+
+test('does not extrapolate or go back before the start', () => {
+    const interpolator = new LandmarkInterpolator();
+    interpolator.setTarget([[0, 0, 0]], 100, 100);
+    interpolator.setTarget([[10, 0, 0]], 100, 100);
+
+    assert.equal(interpolator.getProgress(50), 0);
+    assert.equal(interpolator.getProgress(300), 1);
+    assert.deepEqual(interpolator.getLandmarks(50), [[0, 0, 0]]);
+});
+
+test('jumps to targets without a duration and to landmarks with no previous point', () => {
+    const interpolator = new LandmarkInterpolator();
+    interpolator.setTarget([[0, 0, 0]], 0, 100);
+    interpolator.setTarget([[10, 0, 0], [5, 5, 5]], 0, 100);
+
+    assert.deepEqual(interpolator.getLandmarks(50), [[5, 0, 0], [5, 5, 5]]);
+
+    interpolator.setTarget([[20, 0, 0]], 50, 0);
+    assert.deepEqual(interpolator.getLandmarks(50), [[20, 0, 0]]);
+});
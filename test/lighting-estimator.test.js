@@ -0,0 +1,120 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { LightingEstimator } from '../src/renderer/lighting-estimator.js';
+
+// Typical skin in daylight: chromaticity LightingEstimator.REFERENCE_SKIN
+const skin = [0.5, 0.38, 0.32];
+
+const near = (actual, expected, tolerance = 1e-9) => {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} is not ${expected}`);
+};
+
+// Samples on a 5 x 5 grid across the face, coloured by `colourAt(x, y)`
+const sampleGrid = (colourAt) => {
+    const samples = [];
+    for (let x = -1; x <= 1; x += 0.5) {
+        for (let y = -1; y <= 1; y += 0.5) {
+            const [r, g, b] = colourAt(x, y);
+            samples.push({ r, g, b, x, y });
+        }
+    }
+    return samples;
+};
+
+test('reads evenly lit, typical skin as neutral daylight', () => {
+    const lighting = LightingEstimator.analyse(sampleGrid(() => skin));
+
+    near(lighting.brightness, LightingEstimator.getLuma(skin));
+    assert.equal(lighting.temperature, 6500);
+    lighting.gains.forEach(gain => near(gain, 1));
+    [0, 0, 1].forEach((value, axis) => near(lighting.direction[axis], value));
+    near(lighting.strength, 0);
+    near(lighting.exposure, Math.pow(lighting.brightness / 0.5, 0.6));
+});
+
+test('finds the side the light comes from', () => {
+    const fromLeft = LightingEstimator.analyse(sampleGrid((x) => skin.map(value => value * (1 - 0.2 * x))));
+    near(fromLeft.strength, 0.2);
+    near(fromLeft.direction[0], -0.2 / Math.hypot(0.2, 1));
+    near(fromLeft.direction[1], 0);
+    near(Math.hypot(...fromLeft.direction), 1);
+
+    const fromAbove = LightingEstimator.analyse(sampleGrid((x, y) => skin.map(value => value * (1 - 0.3 * y))));
+    assert.ok(fromAbove.direction[1] < 0);
+    near(fromAbove.direction[0], 0);
+});
+
+test('reads warm and cool light from the skin colour', () => {
+    const warm = LightingEstimator.analyse(sampleGrid(() => [0.6, 0.38, 0.24]));
+    assert.ok(warm.temperature < 6500);
+    assert.ok(warm.gains[0] > warm.gains[2]);
+
+    const cool = LightingEstimator.analyse(sampleGrid(() => [0.42, 0.38, 0.4]));
+    assert.ok(cool.temperature > 6500);
+    assert.ok(cool.gains[2] > cool.gains[0]);
+    assert.equal(cool.temperature % 50, 0);
+});
+
+test('keeps exposure within range and gives up in the dark', () => {
+    const bright = LightingEstimator.analyse(sampleGrid(() => [1, 1, 1]));
+    assert.equal(bright.exposure, LightingEstimator.EXPOSURE_RANGE[1]);
+
+    const dim = LightingEstimator.analyse(sampleGrid(() => skin.map(value => value * 0.1)));
+    assert.equal(dim.exposure, LightingEstimator.EXPOSURE_RANGE[0]);
+
+    assert.equal(LightingEstimator.analyse(sampleGrid(() => [0.01, 0.01, 0.01])), null);
+});
+
+test('fits a plane and rejects samples in a line', () => {
+    const samples = sampleGrid(() => skin);
+    const plane = LightingEstimator.fitPlane(samples, samples.map(({ x, y }) => 2 + 3 * x - y));
+    [2, 3, -1].forEach((value, index) => near(plane[index], value));
+
+    const line = [0, 1, 2].map(x => ({ x, y: x }));
+    assert.equal(LightingEstimator.fitPlane(line, [1, 2, 3]), null);
+});
+
+test('keeps gains at the same brightness and within range', () => {
+    const gains = LightingEstimator.normaliseGains([1.1, 1, 0.9]);
+    near(LightingEstimator.getLuma(gains), 1);
+
+    const clamped = LightingEstimator.normaliseGains([3, 1, 0.1]);
+    clamped.forEach(gain => assert.ok(gain >= LightingEstimator.GAIN_RANGE[0] && gain <= LightingEstimator.GAIN_RANGE[1]));
+});
+
+test('eases from one estimate towards the next', () => {
+    const neutral = LightingEstimator.getNeutral();
+    const target = { ...neutral, brightness: 0.3, temperature: 3000, gains: [1.2, 1, 0.8], direction: [-1, 0, 0], strength: 1 };
+
+    const blended = LightingEstimator.blend(neutral, target, 0.5);
+
+    near(blended.brightness, 0.4);
+    assert.equal(blended.temperature, 4750);
+    assert.deepEqual(blended.gains, [1.1, 1, 0.9]);
+    near(blended.direction[0], -Math.SQRT1_2);
+    near(blended.direction[2], Math.SQRT1_2);
+    near(blended.strength, 0.5);
+});
+
+test('samples a few times a second and eases each estimate in', (t) => {
+    const estimator = new LightingEstimator({ interval: 200, easing: 0.5 });
+    const samples = sampleGrid(() => skin);
+    const sample = t.mock.method(estimator, 'sample', () => samples);
+    const face = [[0, 0, 0]];
+
+    const first = estimator.update({}, [face], 1000);
+    near(first.brightness, LightingEstimator.getLuma(skin));
+
+    estimator.update({}, [face], 1100);
+    estimator.update({}, [], 1300);
+    assert.equal(sample.mock.callCount(), 1);
+
+    sample.mock.mockImplementation(() => sampleGrid(() => skin.map(value => value * 0.5)));
+    const second = estimator.update({}, [face], 1300);
+    near(second.brightness, LightingEstimator.getLuma(skin) * 0.75);
+
+    estimator.setEnabled(false);
+    assert.deepEqual(estimator.update({}, [face], 2000), LightingEstimator.getNeutral());
+    assert.equal(sample.mock.callCount(), 2);
+});
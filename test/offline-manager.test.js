@@ -0,0 +1,29 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { OfflineManager } from '../src/ui/offline-manager.js';
+
+test('passes service worker catalog messages to the callbacks', () => {
+    const offline = new OfflineManager();
+    const calls = [];
+    offline.setCallbacks({
+        onCatalogUpdated: detail => calls.push(['updated', detail]),
+        onCatalogIncomplete: detail => calls.push(['incomplete', detail])
+    });
+
+    offline.onMessage({ data: { type: 'catalog-updated', url: 'catalog/frames.json', version: 2 } });
+    offline.onMessage({ data: { type: 'catalog-incomplete', url: 'catalog/frames.json', failed: ['3dmodel/a.png'] } });
+    offline.onMessage({ data: { type: 'something-else' } });
+    offline.onMessage({ data: null });
+
+    assert.deepEqual(calls, [
+        ['updated', { url: 'catalog/frames.json', version: 2 }],
+        ['incomplete', { url: 'catalog/frames.json', failed: ['3dmodel/a.png'] }]
+    ]);
+});
+
+test('registers nothing where service workers are not supported', async () => {
+    // Node has no service workers
+    assert.equal(OfflineManager.isSupported(), false);
+    assert.equal(await new OfflineManager().register(), null);
+});
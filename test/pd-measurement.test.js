@@ -0,0 +1,102 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { PDMeasurement } from '../src/detector/pd-measurement.js';
+
+// 478 face-mesh landmarks with both irises 20 px across, `distance` px apart
+const getLandmarks = (distance = 110, x = 100, y = 100) => {
+    const landmarks = Array.from({ length: 478 }, () => [0, 0, 0]);
+    [[468, x], [473, x + distance]].forEach(([start, centreX]) => {
+        landmarks[start] = [centreX, y, 0];
+        landmarks[start + 1] = [centreX + 10, y, 0];
+        landmarks[start + 2] = [centreX, y - 10, 0];
+        landmarks[start + 3] = [centreX - 10, y, 0];
+        landmarks[start + 4] = [centreX, y + 10, 0];
+    });
+    return landmarks;
+};
+
+const straight = { yaw: 0, pitch: 0 };
+
+test('reads iris centres and diameters', () => {
+    const irises = PDMeasurement.getIrises(getLandmarks());
+
+    assert.deepEqual(irises, [
+        { centre: [100, 100, 0], diameter: 20 },
+        { centre: [210, 100, 0], diameter: 20 }
+    ]);
+    assert.equal(PDMeasurement.getIrises(getLandmarks().slice(0, 468)), null);
+});
+
+test('takes the median', () => {
+    assert.equal(PDMeasurement.median([3, 1, 2]), 2);
+    assert.equal(PDMeasurement.median([4, 1, 3, 2]), 2.5);
+});
+
+test('summarises steady samples with full confidence', () => {
+    const result = PDMeasurement.summarise(Array(30).fill(63), 30, 30);
+
+    assert.deepEqual(result, { pupillaryDistance: 63, confidence: 1, spread: 0, samples: 30 });
+});
+
+test('lowers confidence for spread, few samples and rejected frames', () => {
+    const steady = PDMeasurement.summarise(Array(30).fill(63), 30, 30).confidence;
+
+    assert.ok(PDMeasurement.summarise([60, 66, 60, 66], 4, 4).confidence < steady);
+    assert.ok(PDMeasurement.summarise(Array(10).fill(63), 10, 30).confidence < steady);
+    assert.ok(PDMeasurement.summarise(Array(30).fill(63), 300, 30).confidence < steady);
+});
+
+test('measures the distance between the pupils in millimetres', () => {
+    const measurement = new PDMeasurement({ minSamples: 10, duration: 300 });
+    let completed = null;
+    measurement.setCallbacks({ onComplete: result => { completed = result; } });
+
+    measurement.start();
+    for (let frame = 0; measurement.isMeasuring() && frame < 100; frame++) {
+        measurement.addFrame([{ landmarks: getLandmarks(), pose: straight }], frame * 33);
+    }
+
+    // 110 px between pupils, 11.7 mm irises 20 px across
+    assert.equal(completed.pupillaryDistance, 64.5);
+    assert.equal(completed.confidence, 1);
+    assert.equal(measurement.getResult(), completed);
+});
+
+test('rejects frames with guidance', () => {
+    const measurement = new PDMeasurement();
+    const guidance = [];
+    measurement.setCallbacks({ onUpdate: update => guidance.push(update.guidance) });
+    measurement.start();
+
+    measurement.addFrame([], 0);
+    measurement.addFrame([{ landmarks: getLandmarks() }, { landmarks: getLandmarks() }], 33);
+    measurement.addFrame([{ landmarks: getLandmarks().slice(0, 468) }], 66);
+    measurement.addFrame([{ landmarks: getLandmarks(), pose: { yaw: 0.3, pitch: 0 } }], 100);
+    measurement.addFrame([{ landmarks: getLandmarks(), pose: { yaw: 0, pitch: -0.3 } }], 133);
+    measurement.addFrame([{ landmarks: getLandmarks(10).map(point => point.map(value => value / 4)) }], 166);
+    measurement.addFrame([{ landmarks: getLandmarks(), pose: straight }], 200);
+    measurement.addFrame([{ landmarks: getLandmarks(110, 200), pose: straight }], 233);
+
+    assert.deepEqual(guidance, [
+        'Look straight at the camera and hold still',
+        'No face detected - look at the camera',
+        'Only one person should be in view',
+        'Eyes not found - remove glasses and look at the camera',
+        'Turn your head slightly right',
+        'Tilt your head slightly up',
+        'Move closer to the camera',
+        'Hold still...',
+        'Hold still'
+    ]);
+    assert.equal(measurement.samples.length, 1);
+});
+
+test('ignores frames when not measuring', () => {
+    const measurement = new PDMeasurement();
+
+    measurement.addFrame([{ landmarks: getLandmarks(), pose: straight }], 0);
+
+    assert.equal(measurement.framesSeen, 0);
+    assert.equal(measurement.getResult(), null);
+});
@@ -0,0 +1,94 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { QRCode } from '../src/capture/qr-code.js';
+
+// Format bits around the top left finder, lowest bit first
+const readFormat = (modules) => {
+    const positions = [
+        [8, 0], [8, 1], [8, 2], [8, 3], [8, 4], [8, 5], [8, 7], [8, 8], [7, 8],
+        [5, 8], [4, 8], [3, 8], [2, 8], [1, 8], [0, 8]
+    ];
+    return positions.reduce((bits, [x, y], index) => bits | (modules[y][x] ? 1 << index : 0), 0);
+};
+
+// Codewords read back in the same zigzag order they are placed in
+const readCodewords = (modules, reserved) => {
+    const size = modules.length;
+    const bits = [];
+    for (let right = size - 1; right >= 1; right -= 2) {
+        if (right === 6) right = 5;
+        const upwards = ((right + 1) & 2) === 0;
+        for (let step = 0; step < size; step++) {
+            const y = upwards ? size - 1 - step : step;
+            [right, right - 1].forEach(x => { if (!reserved[y][x]) bits.push(modules[y][x] ? 1 : 0); });
+        }
+    }
+
+    const codewords = [];
+    for (let index = 0; index + 8 <= bits.length; index += 8) {
+        codewords.push(bits.slice(index, index + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+    }
+    return codewords;
+};
+
+test('picks the smallest version that fits', () => {
+    assert.equal(QRCode.getVersion(14), 1);
+    assert.equal(QRCode.getVersion(15), 2);
+    assert.equal(QRCode.getVersion(213), 10);
+    assert.equal(QRCode.getVersion(214), null);
+    assert.throws(() => QRCode.encode('x'.repeat(214)), /too long/);
+});
+
+test('adds Reed-Solomon error correction', () => {
+    // "HELLO WORLD" at 1-M, from the ISO 18004 walkthrough
+    const data = [32, 91, 11, 120, 209, 114, 220, 77, 67, 64, 236, 17, 236, 17, 236, 17];
+
+    assert.deepEqual(QRCode.addErrorCorrection(data, 1), [...data, 196, 35, 39, 119, 235, 215, 231, 226, 93, 23]);
+});
+
+test('pads data codewords', () => {
+    assert.deepEqual(QRCode.getDataCodewords([0x41], 1), [0x40, 0x14, 0x10, 0xec, 0x11, 0xec, 0x11, 0xec, 0x11, 0xec, 0x11, 0xec, 0x11, 0xec, 0x11, 0xec]);
+});
+
+test('computes version information bits', () => {
+    assert.equal(QRCode.getVersionBits(7), 0x07c94);
+    assert.equal(QRCode.getVersionBits(10), 0x0a4d3);
+});
+
+test('draws finder and timing patterns', () => {
+    const { size, modules } = QRCode.encode('https://example.com/frames/glasses-01');
+    assert.equal(size, 29);
+    assert.equal(modules.length, size);
+
+    [[0, 0], [size - 7, 0], [0, size - 7]].forEach(([left, top]) => {
+        for (let dy = 0; dy < 7; dy++) {
+            for (let dx = 0; dx < 7; dx++) {
+                const ring = Math.max(Math.abs(dx - 3), Math.abs(dy - 3));
+                assert.equal(modules[top + dy][left + dx], ring !== 2, `finder at ${left},${top}`);
+            }
+        }
+    });
+    for (let index = 8; index < size - 8; index++) {
+        assert.equal(modules[6][index], index % 2 === 0);
+        assert.equal(modules[index][6], index % 2 === 0);
+    }
+    assert.equal(modules[size - 8][8], true);
+});
+
+test('encodes the text so it reads back', () => {
+    const text = 'https://example.com/p/b307?colour=black';
+    const { modules } = QRCode.encode(text);
+    const version = QRCode.getVersion(text.length);
+
+    // Format: level M and the chosen mask, both copies the same
+    const format = readFormat(modules) ^ 0x5412;
+    assert.equal(format >> 13, 0b00);
+    const mask = (format >> 10) & 0b111;
+
+    const { reserved } = QRCode.getFunctionPatterns(version);
+    const codewords = readCodewords(QRCode.applyMask(modules, reserved, mask), reserved);
+    const expected = QRCode.addErrorCorrection(QRCode.getDataCodewords(Array.from(new TextEncoder().encode(text)), version), version);
+
+    assert.deepEqual(codewords.slice(0, expected.length), expected);
+});
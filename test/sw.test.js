@@ -0,0 +1,178 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import vm from 'node:vm';
+
+const source = await readFile(new URL('../sw.js', import.meta.url), 'utf8');
+const SCOPE = 'https://shop.example/app/';
+
+// In-memory Cache Storage, keyed by URL
+class FakeCache {
+    constructor(fetch) {
+        this.fetch = fetch;
+        this.entries = new Map();
+    }
+
+    async match(request) {
+        const response = this.entries.get(typeof request === 'string' ? request : request.url);
+        return response && response.clone();
+    }
+
+    async put(request, response) {
+        this.entries.set(typeof request === 'string' ? request : request.url, response.clone());
+    }
+
+    async add(request) {
+        const response = await this.fetch(request);
+        if (!response.ok) throw new TypeError(`HTTP ${response.status} for ${request.url}`);
+        await this.put(request, response);
+    }
+
+    async addAll(requests) {
+        const responses = await Promise.all(requests.map(request => this.fetch(request)));
+        responses.forEach((response, index) => {
+            if (!response.ok) throw new TypeError(`HTTP ${response.status} for ${requests[index].url}`);
+        });
+        await Promise.all(responses.map((response, index) => this.put(requests[index], response)));
+    }
+}
+
+/**
+ * Run sw.js against a site of `files` (path: body); returns the worker's
+ * globals, its caches and the messages it sent to pages
+ */
+const startWorker = (files) => {
+    const listeners = {};
+    const messages = [];
+    const fetch = async (request) => {
+        const url = typeof request === 'string' ? request : request.url;
+        const path = new URL(url).pathname.replace('/app/', '');
+        return path in files
+            ? new Response(typeof files[path] === 'string' ? files[path] : JSON.stringify(files[path]))
+            : new Response('Not found', { status: 404 });
+    };
+    const stores = new Map();
+    const caches = {
+        open: async (name) => {
+            if (!stores.has(name)) stores.set(name, new FakeCache(fetch));
+            return stores.get(name);
+        },
+        keys: async () => [...stores.keys()],
+        delete: async (name) => stores.delete(name)
+    };
+
+    const context = vm.createContext({
+        URL, Request, Response,
+        console: { warn: () => {}, log: () => {} },
+        fetch,
+        caches,
+        importScripts: () => {
+            context.self.PRECACHE_MANIFEST = { version: 'test', files: ['./', 'index.html', 'dist/virtual-glasses.umd.js'] };
+        }
+    });
+    context.self = {
+        registration: { scope: SCOPE },
+        addEventListener: (type, listener) => { listeners[type] = listener; },
+        clients: { matchAll: async () => [{ postMessage: message => messages.push(structuredClone(message)) }] }
+    };
+    vm.runInContext(source, context);
+
+    const install = () => {
+        let done;
+        listeners.install({ waitUntil: promise => { done = promise; } });
+        return done;
+    };
+    return { context, stores, messages, files, install };
+};
+
+const catalog = {
+    version: 1,
+    frames: [
+        { id: 'a', previewImage: '../images/a.png', overlayImage: '../images/a.png', model: '../models/a.gltf' },
+        { id: 'b', previewImage: '../images/b.png', overlayImage: '../images/b-overlay.png' }
+    ]
+};
+
+const site = () => ({
+    '': '<html>',
+    'index.html': '<html>',
+    'dist/virtual-glasses.umd.js': '// app',
+    'catalog/frames.json': catalog,
+    'images/a.png': 'png a',
+    'images/b.png': 'png b',
+    'images/b-overlay.png': 'png b overlay',
+    'models/a.gltf': { buffers: [{ uri: 'a.bin' }, { uri: 'data:application/octet-stream;base64,AA==' }], images: [{ uri: 'a.jpg' }] },
+    'models/a.bin': 'bin',
+    'models/a.jpg': 'jpg'
+});
+
+const cachedPaths = (cache) => [...cache.entries.keys()].map(url => url.replace(SCOPE, '')).sort();
+
+test('install caches the shell, the catalog and every frame asset', async () => {
+    const worker = startWorker(site());
+
+    await worker.install();
+
+    assert.deepEqual(cachedPaths(worker.stores.get('virtual-glasses-shell-test')), ['', 'dist/virtual-glasses.umd.js', 'index.html']);
+    assert.deepEqual(cachedPaths(worker.stores.get('virtual-glasses-catalog')), [
+        'catalog/frames.json', 'images/a.png', 'images/b-overlay.png', 'images/b.png', 'models/a.bin', 'models/a.gltf', 'models/a.jpg'
+    ]);
+    assert.deepEqual(worker.messages, []);
+});
+
+test('install succeeds when frame assets are missing, and reports them', async () => {
+    const files = site();
+    delete files['images/b-overlay.png'];
+    delete files['models/a.bin'];
+    const worker = startWorker(files);
+
+    await worker.install();
+
+    const catalogCache = worker.stores.get('virtual-glasses-catalog');
+    assert.ok(cachedPaths(catalogCache).includes('catalog/frames.json'));
+    assert.ok(cachedPaths(catalogCache).includes('images/b.png'));
+    assert.deepEqual(worker.messages, [{
+        type: 'catalog-incomplete',
+        url: `${SCOPE}catalog/frames.json`,
+        failed: [`${SCOPE}images/b-overlay.png`, `${SCOPE}models/a.bin`]
+    }]);
+
+    // The next check fetches only what is still missing
+    files['images/b-overlay.png'] = 'png b overlay';
+    files['models/a.bin'] = 'bin';
+    await worker.context.updateCatalog(`${SCOPE}catalog/frames.json`);
+
+    assert.ok(cachedPaths(catalogCache).includes('images/b-overlay.png'));
+    assert.ok(cachedPaths(catalogCache).includes('models/a.bin'));
+    assert.equal(worker.messages.length, 1);
+});
+
+test('install still succeeds without a catalog', async () => {
+    const files = site();
+    delete files['catalog/frames.json'];
+    const worker = startWorker(files);
+
+    await worker.install();
+
+    assert.equal(cachedPaths(worker.stores.get('virtual-glasses-shell-test')).length, 3);
+});
+
+test('install fails when the shell cannot be cached', async () => {
+    const files = site();
+    delete files['dist/virtual-glasses.umd.js'];
+
+    await assert.rejects(startWorker(files).install(), /HTTP 404/);
+});
+
+test('a new catalog version is cached and announced', async () => {
+    const files = site();
+    const worker = startWorker(files);
+    await worker.install();
+
+    files['catalog/frames.json'] = { ...catalog, version: 2, frames: [...catalog.frames, { id: 'c', previewImage: '../images/c.png', overlayImage: '../images/c.png' }] };
+    files['images/c.png'] = 'png c';
+    await worker.context.updateCatalog(`${SCOPE}catalog/frames.json`);
+
+    assert.ok(cachedPaths(worker.stores.get('virtual-glasses-catalog')).includes('images/c.png'));
+    assert.deepEqual(worker.messages, [{ type: 'catalog-updated', url: `${SCOPE}catalog/frames.json`, version: 2 }]);
+});
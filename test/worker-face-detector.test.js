@@ -0,0 +1,128 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { WorkerFaceDetector } from '../src/detector/worker-face-detector.js';
+
+const landmarks = [[10, 20, 0], [30, 25, -1], [20, 50, 2]];
+const recording = { frames: [[{ landmarks, confidence: 0.9 }], []] };
+
+// A worker that serves requests in this thread, as src/worker.js does
+class FakeWorker extends EventTarget {
+    constructor(url) {
+        super();
+        this.url = url;
+        this.terminated = false;
+        this.scope = new EventTarget();
+        this.scope.postMessage = data => this.dispatchEvent(new MessageEvent('message', { data }));
+        WorkerFaceDetector.serve(this.scope);
+        FakeWorker.created.push(this);
+    }
+
+    postMessage(data) {
+        this.scope.dispatchEvent(new MessageEvent('message', { data }));
+    }
+
+    terminate() {
+        this.terminated = true;
+    }
+}
+FakeWorker.created = [];
+
+class FakeOffscreenCanvas {
+    constructor(width, height) {
+        this.width = width;
+        this.height = height;
+    }
+
+    getContext() {
+        return { drawImage() {} };
+    }
+}
+
+const globals = {
+    Worker: FakeWorker,
+    OffscreenCanvas: FakeOffscreenCanvas,
+    createImageBitmap: async ({ width, height }) => ({ width, height, closed: false, close() { this.closed = true; } }),
+    document: { baseURI: 'https://shop.example/try-on/index.html' }
+};
+
+before(() => Object.assign(globalThis, globals));
+after(() => Object.keys(globals).forEach(name => delete globalThis[name]));
+
+test('resolves URL options against the page', () => {
+    const resolved = WorkerFaceDetector.resolveUrls({
+        modelUrl: 'models/facemesh/model.json',
+        wasmPath: 'vendor/',
+        libraryUrl: 'https://cdn.example/lib.js',
+        maxFaces: 1,
+        recording
+    });
+
+    assert.deepEqual(resolved, {
+        modelUrl: 'https://shop.example/try-on/models/facemesh/model.json',
+        wasmPath: 'https://shop.example/try-on/vendor/',
+        libraryUrl: 'https://cdn.example/lib.js',
+        maxFaces: 1,
+        recording
+    });
+});
+
+test('runs a registered detector in the worker', async () => {
+    const detector = new WorkerFaceDetector({ detector: 'replay', recording });
+    await detector.load();
+
+    const worker = FakeWorker.created.at(-1);
+    assert.equal(worker.url, WorkerFaceDetector.SCRIPT_URL);
+    assert.equal(detector.isLoaded, true);
+
+    const faces = await detector.estimateFaces({ width: 64, height: 48 });
+    assert.equal(faces.length, 1);
+    assert.deepEqual(faces[0].landmarks, landmarks);
+    assert.equal(faces[0].confidence, 0.9);
+    assert.deepEqual(await detector.estimateFaces({ width: 64, height: 48 }), []);
+
+    detector.dispose();
+    assert.equal(worker.terminated, true);
+    assert.equal(detector.isLoaded, false);
+    await assert.rejects(detector.estimateFaces({ width: 64, height: 48 }), /not running/);
+});
+
+test('stops the worker when the detector fails to load', async () => {
+    const detector = new WorkerFaceDetector({ detector: 'replay' });
+
+    await assert.rejects(detector.load(), /"frames" array/);
+    assert.equal(FakeWorker.created.at(-1).terminated, true);
+    assert.equal(detector.worker, null);
+});
+
+test('answers unknown requests and detection before load with errors', async () => {
+    const worker = new FakeWorker('worker.js');
+    const replies = [];
+    worker.addEventListener('message', ({ data }) => replies.push(data));
+    const frame = await globalThis.createImageBitmap({ width: 4, height: 4 });
+
+    worker.postMessage({ id: 1, type: 'toString' });
+    worker.postMessage({ id: 2, type: 'detect', frame });
+    await new Promise(setImmediate);
+
+    assert.deepEqual(replies, [
+        { id: 1, ok: false, error: 'Unknown request "toString"' },
+        { id: 2, ok: false, error: 'No face detector loaded' }
+    ]);
+    assert.equal(frame.closed, true);
+});
+
+test('fails pending requests when the worker errors', async () => {
+    const detector = new WorkerFaceDetector({ detector: 'replay', recording });
+    await detector.load();
+    const worker = FakeWorker.created.at(-1);
+    worker.postMessage = () => {};
+
+    const pending = detector.estimateFaces({ width: 64, height: 48 });
+    await new Promise(setImmediate);
+    worker.dispatchEvent(Object.assign(new Event('error'), { message: 'Script error' }));
+
+    await assert.rejects(pending, /Script error/);
+    assert.equal(detector.requests.size, 0);
+    detector.dispose();
+});
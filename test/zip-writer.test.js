@@ -0,0 +1,80 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { ZipWriter } from '../src/capture/zip-writer.js';
+
+// Read the entries back from the central directory
+const readZip = (buffer) => {
+    const view = new DataView(buffer);
+    const end = buffer.byteLength - 22;
+    assert.equal(view.getUint32(end, true), 0x06054b50);
+
+    const count = view.getUint16(end + 10, true);
+    const entries = [];
+    let offset = view.getUint32(end + 16, true);
+
+    for (let index = 0; index < count; index++) {
+        assert.equal(view.getUint32(offset, true), 0x02014b50);
+        const nameLength = view.getUint16(offset + 28, true);
+        const localOffset = view.getUint32(offset + 42, true);
+        const name = new TextDecoder().decode(new Uint8Array(buffer, offset + 46, nameLength));
+
+        assert.equal(view.getUint32(localOffset, true), 0x04034b50);
+        const size = view.getUint32(localOffset + 18, true);
+        const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true);
+
+        entries.push({
+            name,
+            crc: view.getUint32(offset + 16, true),
+            text: new TextDecoder().decode(new Uint8Array(buffer, dataStart, size))
+        });
+        offset += 46 + nameLength;
+    }
+
+    return entries;
+};
+
+test('computes CRC-32', () => {
+    assert.equal(ZipWriter.crc32(new TextEncoder().encode('123456789')), 0xcbf43926);
+    assert.equal(ZipWriter.crc32(new Uint8Array(0)), 0);
+});
+
+test('numbers duplicate names before the extension', () => {
+    const entries = [{ name: 'photo.png' }, { name: 'photo (2).png' }, { name: 'notes' }];
+
+    assert.equal(ZipWriter.getUniqueName('clip.webm', entries), 'clip.webm');
+    assert.equal(ZipWriter.getUniqueName('photo.png', entries), 'photo (3).png');
+    assert.equal(ZipWriter.getUniqueName('notes', entries), 'notes (2)');
+});
+
+test('encodes MS-DOS dates from 1980 on', () => {
+    assert.deepEqual(ZipWriter.getDosDateTime(new Date(2024, 2, 15, 13, 45, 31)), {
+        time: (13 << 11) | (45 << 5) | 15,
+        date: (44 << 9) | (3 << 5) | 15
+    });
+    assert.equal(ZipWriter.getDosDateTime(new Date(1970, 0, 1)).date >> 9, 0);
+});
+
+test('stores Blobs, ArrayBuffers and byte arrays', async () => {
+    const zip = new ZipWriter();
+    const encoder = new TextEncoder();
+
+    await zip.addFile('a.txt', new Blob(['from a blob']));
+    await zip.addFile('a.txt', encoder.encode('from an array buffer').buffer);
+    await zip.addFile('café.txt', encoder.encode('from bytes'));
+
+    const blob = zip.finish();
+    assert.equal(blob.type, 'application/zip');
+
+    const entries = readZip(await blob.arrayBuffer());
+    assert.deepEqual(entries.map(({ name, text }) => ({ name, text })), [
+        { name: 'a.txt', text: 'from a blob' },
+        { name: 'a (2).txt', text: 'from an array buffer' },
+        { name: 'café.txt', text: 'from bytes' }
+    ]);
+    entries.forEach(entry => assert.equal(entry.crc, ZipWriter.crc32(encoder.encode(entry.text))));
+});
+
+test('builds an empty archive', async () => {
+    assert.deepEqual(readZip(await new ZipWriter().finish().arrayBuffer()), []);
+});